@@ -83,28 +83,53 @@ export const orderAPI = {
 
 export const sellerAPI = {
   getDashboard: () => SellerAPI.get('/dashboard'),
+  getHealthHistory: (days = 90) => SellerAPI.get('/health/history', { params: { days } }),
   getProducts: () => SellerAPI.get('/products'),
   createProduct: (data) => SellerAPI.post('/products', data),
   updateProduct: (id, data) => SellerAPI.put(`/products/${id}`, data),
   deleteProduct: (id) => SellerAPI.delete(`/products/${id}`),
+  bulkProductAction: (data) => SellerAPI.post('/products/bulk', data),
+  getLowStockProducts: () => SellerAPI.get('/products/low-stock'),
+  submitProduct: (id) => SellerAPI.post(`/products/${id}/submit`),
+  duplicateProduct: (id, data = {}) => SellerAPI.post(`/products/${id}/duplicate`, data),
+  updateProductMedia: (id, data) => SellerAPI.put(`/products/${id}/media`, data),
+  getProductTemplates: () => SellerAPI.get('/product-templates'),
+  createProductTemplate: (data) => SellerAPI.post('/product-templates', data),
+  updateProductTemplate: (id, data) => SellerAPI.put(`/product-templates/${id}`, data),
+  deleteProductTemplate: (id) => SellerAPI.delete(`/product-templates/${id}`),
   getOrders: (params) => SellerAPI.get('/orders', { params }),
+  exportOrders: (params) => SellerAPI.get('/orders/export', { params, responseType: 'blob' }), // params.format: 'csv' | 'xlsx'
+  getPackingSlip: (id) => SellerAPI.get(`/orders/${id}/packing-slip`, { responseType: 'blob' }),
+  getGiftReceipt: (id) => SellerAPI.get(`/orders/${id}/gift-receipt`, { responseType: 'blob' }),
+  getPackingSlips: (orderIds) => SellerAPI.post('/orders/packing-slips', { orderIds }, { responseType: 'blob' }),
+  getPickList: (orderIds) => SellerAPI.post('/orders/pick-list', { orderIds }, { responseType: 'blob' }),
   shipOrder: (id, data) => SellerAPI.put(`/orders/${id}/ship`, data),
+  cancelOrderItems: (id, data) => SellerAPI.post(`/orders/${id}/cancel-items`, data), // data: { items: [{ itemId, quantity }], reason }
   getPayouts: () => SellerAPI.get('/payouts'),
+  getEarlyPayoutQuote: () => SellerAPI.get('/payouts/early-quote'),
+  requestEarlyPayout: () => SellerAPI.post('/payouts/request-early'),
+  getPayoutStatement: (id, format) => SellerAPI.get(`/payouts/${id}/statement`, { params: { format }, responseType: 'blob' }), // format: 'pdf' | 'csv'
+  getLedger: (params) => SellerAPI.get('/ledger', { params }), // params: { from, to, page, limit }
   getSettings: () => SellerAPI.get('/settings'),
   updateSettings: (data) => SellerAPI.put('/settings', data),
   getMarketing: () => SellerAPI.get('/marketing'),
   requestUnsuspend: (reason) => SellerAPI.post('/request-unsuspend', { reason }),
-  bulkCsvUpload: (formData) => SellerAPI.post('/products/bulk-csv', formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  bulkCsvUpload: (formData, { dryRun = false } = {}) => SellerAPI.post('/products/bulk-csv', formData, { params: dryRun ? { dryRun: 'true' } : {}, headers: { 'Content-Type': 'multipart/form-data' } }),
+  exportProducts: () => SellerAPI.get('/products/export', { responseType: 'blob' }),
+  getImports: () => SellerAPI.get('/imports'),
+  getImport: (id) => SellerAPI.get(`/imports/${id}`),
   uploadImage: (formData) => SellerAPI.post('/upload-image', formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
 };
 
 export const shippingAPI = {
-  checkServiceability: (orderId) => SellerAPI.post('/shipping/serviceability', { orderId }),
-  createShipment: (orderId, data) => SellerAPI.post(`/shipping/${orderId}/create`, data),
-  assignCourier: (orderId, courierId, courierRate) => SellerAPI.post(`/shipping/${orderId}/assign-courier`, { courierId, courierRate }),
-  schedulePickup: (orderId) => SellerAPI.post(`/shipping/${orderId}/pickup`),
-  getTracking: (orderId) => SellerAPI.get(`/shipping/${orderId}/track`),
-  getLabel: (orderId) => SellerAPI.get(`/shipping/${orderId}/label`),
+  // `shipmentId` picks one package of a split order (default: the latest)
+  checkServiceability: (orderId, { items, shipmentId } = {}) => SellerAPI.post('/shipping/serviceability', { orderId, items, shipmentId }),
+  createShipment: (orderId, data) => SellerAPI.post(`/shipping/${orderId}/create`, data), // data.items: [{ itemId, quantity }]
+  assignCourier: (orderId, courierId, courierRate, shipmentId) => SellerAPI.post(`/shipping/${orderId}/assign-courier`, { courierId, courierRate, shipmentId }),
+  bulkShip: (orderIds, policy) => SellerAPI.post('/shipping/bulk', { orderIds, policy }), // policy: 'cheapest' | 'fastest' | 'best_rated'
+  schedulePickup: (orderId, shipmentId) => SellerAPI.post(`/shipping/${orderId}/pickup`, { shipmentId }),
+  getTracking: (orderId, shipmentId) => SellerAPI.get(`/shipping/${orderId}/track`, { params: { shipmentId } }),
+  getLabel: (orderId, shipmentId) => SellerAPI.get(`/shipping/${orderId}/label`, { params: { shipmentId } }),
 };
 
 export const adminAPI = {
@@ -116,9 +141,15 @@ export const adminAPI = {
   approveSeller: (id) => API.put(`/admin/sellers/${id}/approve`),
   suspendSeller: (id, reason) => API.put(`/admin/sellers/${id}/suspend`, { reason }),
   setSellerCommission: (id, rate) => API.put(`/admin/sellers/${id}/commission`, { commissionRate: rate }),
+  setSellerHealthPolicy: (id, overrides) => API.put(`/admin/sellers/${id}/health-policy`, { overrides }),
+  simulateHealthPolicy: (healthPolicy) => API.post('/admin/health-policy/simulate', { healthPolicy }),
+  getSellerLedger: (id, params) => API.get(`/admin/sellers/${id}/ledger`, { params }),
+  postSellerAdjustment: (id, data) => API.post(`/admin/sellers/${id}/ledger/adjustments`, data), // data: { amount, reason, description, orderId? }
   getProducts: (params) => API.get('/admin/products', { params }),
   featureProduct: (id) => API.put(`/admin/products/${id}/feature`),
   toggleProduct: (id) => API.put(`/admin/products/${id}/toggle`),
+  getReviewQueue: (params) => API.get('/admin/products/review-queue', { params }),
+  moderateProduct: (id, action, reason) => API.put(`/admin/products/${id}/moderate`, { action, reason }),
   getOrders: (params) => API.get('/admin/orders', { params }),
   updateOrder: (id, data) => API.put(`/admin/orders/${id}`, data),
   getCategories: () => API.get('/admin/categories'),
@@ -0,0 +1,96 @@
+import { Navigation, Package } from 'lucide-react';
+
+/**
+ * Packages from the order tracking endpoints (`packages`), falling back to the
+ * single-shipment fields for responses without them.
+ */
+export const trackingPackages = (tracking, fallback = {}) => {
+  if (tracking?.packages?.length) return tracking.packages;
+  return [{
+    courierName: tracking?.courierName || fallback.courierName || null,
+    awb: tracking?.awb || fallback.trackingNumber || null,
+    status: tracking?.shipmentStatus || null,
+    estimatedDelivery: tracking?.estimatedDelivery || fallback.estimatedDelivery || null,
+    items: [],
+    scans: tracking?.scans || []
+  }];
+};
+
+/**
+ * Courier summary and scan timeline for one package. `total` > 1 adds a
+ * "Package n of total" header and the package's items.
+ */
+export default function PackageTracking({ pkg, total = 1, emptyText }) {
+  const scans = pkg.scans || [];
+  return (
+    <div>
+      {total > 1 && (
+        <div className="mb-3">
+          <p className="text-sm font-semibold text-theme-primary flex items-center gap-2"><Package className="w-4 h-4 text-amber-400" /> Package {pkg.packageNumber} of {total}</p>
+          {pkg.items?.length > 0 && (
+            <p className="text-xs text-theme-muted mt-1">{pkg.items.map(i => `${i.title} × ${i.quantity}`).join(', ')}</p>
+          )}
+        </div>
+      )}
+
+      {/* Summary chips */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
+        {pkg.courierName && (
+          <div className="bg-inset rounded-lg p-3">
+            <p className="text-[10px] text-theme-dim uppercase tracking-wider">Courier</p>
+            <p className="text-sm font-medium text-theme-primary mt-0.5">{pkg.courierName}</p>
+          </div>
+        )}
+        {pkg.awb && (
+          <div className="bg-inset rounded-lg p-3">
+            <p className="text-[10px] text-theme-dim uppercase tracking-wider">AWB / Tracking #</p>
+            <p className="text-sm font-medium text-theme-primary mt-0.5 font-mono">{pkg.awb}</p>
+          </div>
+        )}
+        {pkg.status && (
+          <div className="bg-inset rounded-lg p-3">
+            <p className="text-[10px] text-theme-dim uppercase tracking-wider">Shipment Status</p>
+            <p className="text-sm font-medium text-amber-400 mt-0.5 capitalize">{pkg.status.replace(/_/g, ' ')}</p>
+          </div>
+        )}
+        {pkg.estimatedDelivery && (
+          <div className="bg-inset rounded-lg p-3">
+            <p className="text-[10px] text-theme-dim uppercase tracking-wider">Est. Delivery</p>
+            <p className="text-sm font-medium text-theme-primary mt-0.5">{new Date(pkg.estimatedDelivery).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</p>
+          </div>
+        )}
+      </div>
+
+      {/* Scan timeline */}
+      {scans.length > 0 ? (
+        <div className="space-y-0 max-h-72 overflow-y-auto pr-1">
+          {scans.map((scan, i) => {
+            const isFirst = i === 0;
+            const isLast = i === scans.length - 1;
+            return (
+              <div key={i} className="flex gap-3">
+                <div className="flex flex-col items-center">
+                  <div className={`w-3 h-3 rounded-full shrink-0 mt-1 ${isFirst ? 'bg-amber-500' : 'bg-edge'}`} />
+                  {!isLast && <div className="w-px flex-1 bg-edge/40 min-h-[24px]" />}
+                </div>
+                <div className="pb-3 min-w-0">
+                  <p className={`text-sm ${isFirst ? 'font-semibold text-theme-primary' : 'text-theme-secondary'}`}>{scan.activity}</p>
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-0.5 mt-0.5">
+                    {scan.location && (
+                      <span className="text-xs text-theme-dim flex items-center gap-1"><Navigation className="w-3 h-3" />{scan.location}</span>
+                    )}
+                    {scan.timestamp && (
+                      <span className="text-xs text-theme-dim">{new Date(scan.timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <p className="text-sm text-theme-dim">{emptyText}</p>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 import { Link, useNavigate } from 'react-router-dom';
 import { ShoppingBag, Star, Eye, Heart } from 'lucide-react';
-import { useCart, needsCustomization } from '../context/CartContext';
+import { useCart, needsCustomization, hasVariants } from '../context/CartContext';
 import { useWishlist } from '../context/WishlistContext';
 import toast from 'react-hot-toast';
+import ResponsiveImage from './ResponsiveImage';
 
 export default function ProductCard({ product }) {
   const { addItem } = useCart();
@@ -19,6 +20,11 @@ export default function ProductCard({ product }) {
   const handleAdd = (e) => {
     e.preventDefault();
     e.stopPropagation();
+    if (hasVariants(product)) {
+      toast('Choose an option — redirecting to product page', { icon: '👉' });
+      navigate(`/product/${product.slug}`);
+      return;
+    }
     if (needsCustomization(product)) {
       toast('Customization required — redirecting to product page', { icon: '✏️' });
       navigate(`/product/${product.slug}`);
@@ -41,7 +47,12 @@ export default function ProductCard({ product }) {
       <div className="bg-card border border-edge/50 rounded-2xl overflow-hidden hover:border-edge-strong hover:shadow-lg transition-all duration-300">
         <div className="relative aspect-square overflow-hidden bg-inset">
           {product.images?.[0]?.url ? (
-            <img src={product.images[0].url} alt={product.title} loading="lazy" className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500" />
+            <ResponsiveImage
+              image={product.images[0]}
+              alt={product.images[0].alt || product.title}
+              sizes="(min-width: 1024px) 25vw, (min-width: 640px) 33vw, 50vw"
+              className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500"
+            />
           ) : (
             <div className="w-full h-full flex items-center justify-center text-theme-dim">
               <ShoppingBag className="w-12 h-12" />
@@ -50,6 +61,11 @@ export default function ProductCard({ product }) {
           {product.isFeatured && (
             <span className="absolute top-2 left-2 px-2 py-0.5 bg-amber-500 text-zinc-950 text-xs font-bold rounded-full">Featured</span>
           )}
+          {product.sellerAway?.acceptingOrders && (
+            <span className="absolute bottom-2 left-2 px-2 py-0.5 bg-black/60 text-white text-[10px] font-medium rounded-full">
+              Ships after {new Date(product.sellerAway.shipsAfter).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}
+            </span>
+          )}
           <div className="absolute inset-0 bg-black/0 group-hover:bg-black/10 transition-colors" />
           <button onClick={handleWishlist} className={`absolute top-3 right-3 p-2 rounded-full transition-all shadow-lg ${wishlisted ? 'bg-red-500 text-white' : 'bg-black/40 text-white opacity-0 group-hover:opacity-100'}`} title={wishlisted ? 'Remove from wishlist' : 'Add to wishlist'}>
             <Heart className={`w-3.5 h-3.5 ${wishlisted ? 'fill-white' : ''}`} />
@@ -62,7 +78,12 @@ export default function ProductCard({ product }) {
           <p className="text-xs text-amber-400/80 font-medium mb-1">{product.sellerId?.sellerProfile?.businessName || 'Creator'}</p>
           <h3 className="font-semibold text-theme-primary text-sm line-clamp-2 mb-2 group-hover:text-amber-400 transition-colors">{product.title}</h3>
           <div className="flex items-center justify-between">
-            <span className="text-lg font-bold text-theme-primary">Rs. {product.price?.toLocaleString('en-IN')}</span>
+            <span className="flex items-baseline gap-2">
+              <span className="text-lg font-bold text-theme-primary">Rs. {product.price?.toLocaleString('en-IN')}</span>
+              {product.comparePrice > product.price && (
+                <span className="text-xs text-theme-dim line-through">Rs. {product.comparePrice.toLocaleString('en-IN')}</span>
+              )}
+            </span>
             {product.averageRating > 0 && (
               <div className="flex items-center gap-1 text-xs text-theme-muted">
                 <Star className="w-3 h-3 fill-amber-400 text-amber-400" />
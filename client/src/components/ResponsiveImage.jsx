@@ -0,0 +1,34 @@
+/** srcset for one format of an image's server-generated variants (thumb/card/zoom) */
+export const variantSrcSet = (image, format) => {
+  const seen = new Set();
+  return (image?.variants || [])
+    .filter(v => v.format === format)
+    .sort((a, b) => a.width - b.width)
+    .filter(v => !seen.has(v.width) && seen.add(v.width))
+    .map(v => `${v.url} ${v.width}w`)
+    .join(', ');
+};
+
+/** URL of the smallest variant of an image, falling back to the original */
+export const thumbnailUrl = (image) => {
+  const thumb = (image?.variants || []).find(v => v.name === 'thumb' && v.format === 'webp');
+  return thumb?.url || image?.url;
+};
+
+/**
+ * Product image with AVIF/WebP sources when the upload has variants; images
+ * uploaded before variants existed render as a plain <img>.
+ */
+export default function ResponsiveImage({ image, alt, sizes, loading = 'lazy', className }) {
+  const avif = variantSrcSet(image, 'avif');
+  const webp = variantSrcSet(image, 'webp');
+  const img = <img src={image?.url} alt={alt} loading={loading} className={className} />;
+  if (!avif && !webp) return img;
+  return (
+    <picture className="contents">
+      {avif && <source type="image/avif" srcSet={avif} sizes={sizes} />}
+      {webp && <source type="image/webp" srcSet={webp} sizes={sizes} />}
+      {img}
+    </picture>
+  );
+}
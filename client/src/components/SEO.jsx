@@ -9,6 +9,9 @@ export default function SEO({
   description = DEFAULT_DESCRIPTION,
   keywords = 'gifts, creator marketplace, Instagram seller, creator store India, sell online India, online seller platform, corporate gifts, online gifts India, unique gifts, tech gifts, artisan gifts, Giftsity',
   image,
+  imageAlt,
+  imageSrcSet, // responsive variants of `image`, preloaded for the largest paint
+  imageSizes,
   url,
   type = 'website',
   noIndex = false,
@@ -30,15 +33,18 @@ export default function SEO({
       <meta property="og:url" content={pageUrl} />
       <meta property="og:site_name" content={SITE_NAME} />
       {image && <meta property="og:image" content={image} />}
+      {image && imageAlt && <meta property="og:image:alt" content={imageAlt} />}
 
       {/* Twitter Card */}
       <meta name="twitter:card" content="summary_large_image" />
       <meta name="twitter:title" content={fullTitle} />
       <meta name="twitter:description" content={description} />
       {image && <meta name="twitter:image" content={image} />}
+      {image && imageAlt && <meta name="twitter:image:alt" content={imageAlt} />}
 
       {/* Canonical */}
       <link rel="canonical" href={pageUrl} />
+      {image && imageSrcSet && <link rel="preload" as="image" href={image} imagesrcset={imageSrcSet} imagesizes={imageSizes} />}
     </Helmet>
   );
 }
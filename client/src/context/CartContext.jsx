@@ -26,10 +26,11 @@ export function CartProvider({ children }) {
     const maxStock = product.stock || 999;
     const hasCustomizations = product.customizations && product.customizations.length > 0;
     const pid = product._id || product.productId;
+    const variantId = product.variantId || null;
     setItems(prev => {
-      // If NOT customized, merge with existing non-customized entry
+      // If NOT customized, merge with existing non-customized entry of the same variant
       if (!hasCustomizations) {
-        const existing = prev.find(i => i.productId === pid && !i.customizations?.length);
+        const existing = prev.find(i => i.productId === pid && (i.variantId || null) === variantId && !i.customizations?.length);
         if (existing) {
           const newQty = Math.min(existing.quantity + (product.quantity || quantity), maxStock);
           if (newQty === existing.quantity) {
@@ -44,8 +45,10 @@ export function CartProvider({ children }) {
       const cappedQty = Math.min(product.quantity || quantity, maxStock);
       toast.success('Added to cart');
       return [...prev, {
-        cartKey: genCartKey(pid, hasCustomizations),
+        cartKey: genCartKey(variantId ? `${pid}-${variantId}` : pid, hasCustomizations),
         productId: pid,
+        variantId,
+        variantLabel: product.variantLabel || '',
         title: product.title,
         price: product.price,
         image: product.image || product.images?.[0]?.url || '',
@@ -91,3 +94,6 @@ export const useCart = () => useContext(CartContext);
 /** Check if a product has required customization options that must be filled before add-to-cart */
 export const needsCustomization = (product) =>
   product?.isCustomizable && product?.customizationOptions?.some(o => o.required);
+
+/** Check if a product is sold in variants (size, colour, ...) that must be chosen on its page */
+export const hasVariants = (product) => product?.variants?.length > 0;
@@ -299,8 +299,11 @@ export default function AdminPayouts() {
               <div key={p._id} className={`bg-card border rounded-xl p-5 ${p.status === 'on_hold' ? 'border-amber-500/30' : p.status === 'failed' ? 'border-red-500/30' : p.status === 'processing' ? 'border-blue-500/30' : 'border-edge/50'}`}>
                 <div className="flex items-start justify-between mb-3">
                   <div>
-                    <p className="font-semibold text-theme-primary">{p.sellerId?.sellerProfile?.businessName || 'Seller'}</p>
-                    <p className="text-xs text-theme-muted">{p.sellerId?.email} &middot; {p.periodLabel || 'Period'} &middot; {p.orderCount} orders</p>
+                    <p className="font-semibold text-theme-primary">
+                      {p.sellerId?.sellerProfile?.businessName || 'Seller'}
+                      {p.type === 'early' && <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-500/10 text-amber-400">Early payout request</span>}
+                    </p>
+                    <p className="text-xs text-theme-muted">{p.sellerId?.email} &middot; {p.periodLabel || 'Period'} &middot; {p.orderCount} orders{p.requestedAt && <> &middot; requested {new Date(p.requestedAt).toLocaleString('en-IN')}</>}</p>
                   </div>
                   <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${getStatusStyle(p.status)}`}>
                     <StatusIcon className="w-3 h-3" /> {p.status === 'on_hold' ? 'On Hold' : p.status}
@@ -334,9 +337,24 @@ export default function AdminPayouts() {
                   <div><p className="text-theme-dim text-xs">Commission</p><p className="font-medium text-theme-primary">{fmtINR(p.commissionDeducted)}</p></div>
                   <div><p className="text-theme-dim text-xs">Gateway Fees</p><p className="font-medium text-theme-primary">{fmtINR(p.gatewayFeesDeducted)}</p></div>
                   <div><p className="text-theme-dim text-xs">Shipping</p><p className="font-medium text-red-400">{(p.shippingDeducted || 0) > 0 ? `-${fmtINR(p.shippingDeducted)}` : 'Rs. 0'}</p></div>
+                  {(p.refundsDeducted || 0) > 0 && <div><p className="text-theme-dim text-xs">Refunds</p><p className="font-medium text-red-400">-{fmtINR(p.refundsDeducted)}</p></div>}
+                  {(p.commissionReversed || 0) > 0 && <div><p className="text-theme-dim text-xs">Commission Reversed</p><p className="font-medium text-green-400">{fmtINR(p.commissionReversed)}</p></div>}
+                  {(p.adjustments || 0) !== 0 && <div><p className="text-theme-dim text-xs">Adjustments</p><p className={`font-medium ${p.adjustments < 0 ? 'text-red-400' : 'text-green-400'}`}>{p.adjustments < 0 ? `-${fmtINR(-p.adjustments)}` : fmtINR(p.adjustments)}</p></div>}
+                  {(p.reserveHeld || 0) > 0 && <div title={p.reserveReason}><p className="text-theme-dim text-xs">Reserve Held</p><p className="font-medium text-amber-400">-{fmtINR(p.reserveHeld)}</p></div>}
+                  {(p.earlyPayoutFee || 0) > 0 && <div><p className="text-theme-dim text-xs">Early Payout Fee</p><p className="font-medium text-red-400">-{fmtINR(p.earlyPayoutFee)}</p></div>}
+                  {(p.reserveReleased || 0) > 0 && <div><p className="text-theme-dim text-xs">Reserve Released</p><p className="font-medium text-green-400">{fmtINR(p.reserveReleased)}</p></div>}
                   <div><p className="text-theme-dim text-xs">Net Payout</p><p className="font-bold text-green-400">{fmtINR(p.netPayout)}</p></div>
                 </div>
 
+                {/* Refunds clawed back in this payout */}
+                {p.refundAdjustments?.length > 0 && (
+                  <div className="text-xs bg-inset/50 rounded-lg p-2 mb-3 space-y-0.5 text-theme-dim">
+                    {p.refundAdjustments.map(r => (
+                      <p key={r.returnRequestId}>Return on {r.orderNumber || r.orderId}: refund -{fmtINR(r.refunded)}{r.commissionReversed > 0 && <>, commission reversed {fmtINR(r.commissionReversed)}</>} &middot; <span className="text-red-400">net -{fmtINR(-r.net)}</span></p>
+                    ))}
+                  </div>
+                )}
+
                 {/* Bank details */}
                 <div className={`text-xs mb-3 rounded-lg p-2 ${bankOk ? 'text-theme-dim bg-inset/50' : 'text-red-400 bg-red-500/5 border border-red-500/10'}`}>
                   {bankOk ? (
@@ -1,8 +1,22 @@
 import { useState, useEffect } from 'react';
-import { Package, Star, Eye, EyeOff, Trash2, Search, Image } from 'lucide-react';
+import { Package, Star, Eye, EyeOff, Trash2, Search, Image, CheckCircle, XCircle, MessageSquare } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import API from '../../api';
+import API, { adminAPI } from '../../api';
+
+const REVIEW_TABS = [
+  { key: '', label: 'All products' },
+  { key: 'pending_review', label: 'Pending review' },
+  { key: 'changes_requested', label: 'Changes requested' },
+  { key: 'rejected', label: 'Rejected' }
+];
+
+const MODERATION_BADGES = {
+  draft: 'bg-inset text-theme-dim',
+  pending_review: 'bg-blue-500/10 text-blue-400',
+  changes_requested: 'bg-amber-500/10 text-amber-400',
+  rejected: 'bg-red-500/10 text-red-400'
+};
 
 export default function AdminProducts() {
   const [products, setProducts] = useState([]);
@@ -10,21 +24,43 @@ export default function AdminProducts() {
   const [search, setSearch] = useState('');
   const [page, setPage] = useState(1);
   const [total, setTotal] = useState(0);
+  const [reviewTab, setReviewTab] = useState('');
+  const [queueCounts, setQueueCounts] = useState({});
 
-  useEffect(() => { loadProducts(); }, [page, search]);
+  useEffect(() => { loadProducts(); }, [page, search, reviewTab]);
 
   const loadProducts = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams({ page, limit: 20 });
-      if (search) params.set('search', search);
-      const { data } = await API.get(`/admin/products?${params}`);
-      setProducts(data.products || []);
-      setTotal(data.total || 0);
+      if (reviewTab) {
+        const { data } = await adminAPI.getReviewQueue({ status: reviewTab, page, limit: 20 });
+        setProducts(data.products || []);
+        setTotal(data.total || 0);
+        setQueueCounts(data.counts || {});
+      } else {
+        const params = new URLSearchParams({ page, limit: 20 });
+        if (search) params.set('search', search);
+        const { data } = await API.get(`/admin/products?${params}`);
+        setProducts(data.products || []);
+        setTotal(data.total || 0);
+      }
     } catch (e) { console.error(e); }
     setLoading(false);
   };
 
+  const moderate = async (id, action) => {
+    let reason = '';
+    if (action !== 'approve') {
+      reason = prompt(action === 'reject' ? 'Reason for rejection (shown to the seller):' : 'What should the seller change?');
+      if (!reason?.trim()) return;
+    }
+    try {
+      const { data } = await adminAPI.moderateProduct(id, action, reason);
+      toast.success(data.message);
+      loadProducts();
+    } catch (e) { toast.error(e.response?.data?.message || 'Failed'); }
+  };
+
   const toggleFeatured = async (id, featured) => {
     try {
       await API.put(`/admin/products/${id}/feature`);
@@ -62,6 +98,14 @@ export default function AdminProducts() {
         </div>
       </div>
 
+      <div className="flex gap-2 mb-4 overflow-x-auto">
+        {REVIEW_TABS.map(t => (
+          <button key={t.key} onClick={() => { setReviewTab(t.key); setPage(1); }} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap ${reviewTab === t.key ? 'bg-amber-500 text-zinc-950' : 'bg-card border border-edge text-theme-muted'}`}>
+            {t.label}{t.key && queueCounts[t.key] ? ` (${queueCounts[t.key]})` : ''}
+          </button>
+        ))}
+      </div>
+
       {loading ? <LoadingSpinner /> : products.length === 0 ? (
         <div className="text-center py-16 bg-card border border-edge/50 rounded-xl">
           <Package className="w-12 h-12 text-theme-dim mx-auto mb-3" />
@@ -79,12 +123,29 @@ export default function AdminProducts() {
                   <h3 className="font-medium text-sm text-theme-primary truncate">{p.title}</h3>
                   {p.isFeatured && <span className="px-1.5 py-0.5 bg-amber-500/10 text-amber-400 text-[10px] font-medium rounded">Featured</span>}
                   {!p.isActive && <span className="px-1.5 py-0.5 bg-inset text-theme-dim text-[10px] rounded">Hidden</span>}
+                  {MODERATION_BADGES[p.moderationStatus] && <span className={`px-1.5 py-0.5 text-[10px] rounded capitalize ${MODERATION_BADGES[p.moderationStatus]}`}>{p.moderationStatus.replace('_', ' ')}</span>}
                 </div>
                 <p className="text-xs text-theme-muted">
                   {p.sellerId?.sellerProfile?.businessName || 'Unknown seller'} &middot; Rs. {p.price?.toLocaleString('en-IN')} &middot; Stock: {p.stock} &middot; {p.category}
                 </p>
+                {p.moderationReason && <p className="text-xs text-theme-dim mt-0.5">Reason: {p.moderationReason}</p>}
               </div>
               <div className="flex gap-1.5">
+                {p.moderationStatus !== 'approved' && p.moderationStatus !== 'draft' && (
+                  <button onClick={() => moderate(p._id, 'approve')} aria-label="Approve product" className="p-2 rounded-lg bg-inset text-theme-muted hover:text-green-400" title="Approve">
+                    <CheckCircle className="w-4 h-4" />
+                  </button>
+                )}
+                {['pending_review', 'approved'].includes(p.moderationStatus) && (
+                  <button onClick={() => moderate(p._id, 'request_changes')} aria-label="Request changes" className="p-2 rounded-lg bg-inset text-theme-muted hover:text-amber-400" title="Request changes">
+                    <MessageSquare className="w-4 h-4" />
+                  </button>
+                )}
+                {['pending_review', 'approved', 'changes_requested'].includes(p.moderationStatus) && (
+                  <button onClick={() => moderate(p._id, 'reject')} aria-label="Reject product" className="p-2 rounded-lg bg-inset text-theme-muted hover:text-red-400" title="Reject">
+                    <XCircle className="w-4 h-4" />
+                  </button>
+                )}
                 <button onClick={() => toggleFeatured(p._id, p.isFeatured)} aria-label="Toggle featured" className={`p-2 rounded-lg ${p.isFeatured ? 'bg-amber-500/10 text-amber-400' : 'bg-inset text-theme-muted'} hover:text-amber-400`} title="Feature">
                   <Star className={`w-4 h-4 ${p.isFeatured ? 'fill-current' : ''}`} />
                 </button>
@@ -1,9 +1,28 @@
 import { useState, useEffect } from 'react';
-import { Store, Check, X, Ban, RotateCcw, Eye, Edit3, Loader, Search, UserCheck, UserX, Clock } from 'lucide-react';
+import { Store, Check, X, Ban, RotateCcw, Eye, Edit3, Loader, Search, UserCheck, UserX, Clock, HeartPulse, Receipt } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import API from '../../api';
 
+// Health thresholds an admin can override per seller: [key, label]
+const POLICY_OVERRIDE_FIELDS = [
+  ['fulfillmentWarnThreshold', 'Warn: fulfillment below %'],
+  ['fulfillmentSuspendThreshold', 'Suspend: fulfillment below %'],
+  ['cancelRateWarnThreshold', 'Warn: cancel rate above %'],
+  ['cancelRateSuspendThreshold', 'Suspend: cancel rate above %'],
+  ['healthScoreSuspendThreshold', 'Suspend: score below'],
+];
+
+// Reasons for a manual ledger adjustment: [value, label]
+const ADJUSTMENT_REASONS = [
+  ['weight_dispute', 'Weight dispute'],
+  ['rto', 'RTO charge'],
+  ['goodwill', 'Goodwill credit'],
+  ['correction', 'Correction'],
+  ['other', 'Other'],
+];
+const EMPTY_ADJUSTMENT = { amount: '', reason: 'weight_dispute', description: '' };
+
 export default function AdminSellers() {
   const [sellers, setSellers] = useState([]);
   const [pending, setPending] = useState([]);
@@ -14,6 +33,10 @@ export default function AdminSellers() {
   const [editingCommission, setEditingCommission] = useState(null);
   const [commissionValue, setCommissionValue] = useState(0);
   const [actionLoading, setActionLoading] = useState(null);
+  const [editingPolicy, setEditingPolicy] = useState(null);
+  const [policyForm, setPolicyForm] = useState({});
+  const [adjusting, setAdjusting] = useState(null);
+  const [adjustmentForm, setAdjustmentForm] = useState(EMPTY_ADJUSTMENT);
 
   useEffect(() => { loadSellers(); }, []);
 
@@ -78,6 +101,35 @@ export default function AdminSellers() {
     } catch (err) { toast.error('Failed'); }
   };
 
+  const openPolicy = (s) => {
+    const overrides = s.sellerProfile?.healthPolicy || {};
+    setPolicyForm(Object.fromEntries([...POLICY_OVERRIDE_FIELDS.map(([k]) => k), 'autoSuspend'].map(k => [k, overrides[k] ?? ''])));
+    setEditingPolicy(editingPolicy === s._id ? null : s._id);
+  };
+
+  const savePolicy = async (sellerId, clear = false) => {
+    try {
+      const overrides = clear ? null : { ...policyForm, autoSuspend: policyForm.autoSuspend === '' ? null : policyForm.autoSuspend === 'true' || policyForm.autoSuspend === true };
+      await API.put(`/admin/sellers/${sellerId}/health-policy`, { overrides });
+      toast.success(clear ? 'Using platform policy' : 'Health policy overrides saved');
+      setEditingPolicy(null);
+      loadSellers();
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed'); }
+  };
+
+  const openAdjustment = (s) => {
+    setAdjustmentForm(EMPTY_ADJUSTMENT);
+    setAdjusting(adjusting === s._id ? null : s._id);
+  };
+
+  const saveAdjustment = async (sellerId) => {
+    try {
+      await API.post(`/admin/sellers/${sellerId}/ledger/adjustments`, { ...adjustmentForm, amount: Number(adjustmentForm.amount) });
+      toast.success('Adjustment posted');
+      setAdjusting(null);
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed'); }
+  };
+
   const filtered = sellers.filter(s => {
     if (tab === 'active') return s.status === 'active';
     if (tab === 'suspended') return s.status === 'suspended';
@@ -204,6 +256,14 @@ export default function AdminSellers() {
                         Commission: {sp.commissionRate ?? 0}% <Edit3 className="w-3 h-3 inline ml-0.5" />
                       </button>
                     )}
+                    <button onClick={() => openPolicy(s)} className="text-sky-400 hover:text-sky-300">
+                      <HeartPulse className="w-3 h-3 inline mr-0.5" />
+                      Health policy{Object.values(sp.healthPolicy || {}).some(v => v !== null && v !== undefined) ? ' (custom)' : ''}
+                    </button>
+                    <button onClick={() => openAdjustment(s)} className="text-sky-400 hover:text-sky-300">
+                      <Receipt className="w-3 h-3 inline mr-0.5" />
+                      Adjust balance
+                    </button>
                   </div>
                 </div>
                 <div className="flex gap-1.5">
@@ -219,6 +279,57 @@ export default function AdminSellers() {
                   )}
                 </div>
               </div>
+              {editingPolicy === s._id && (
+                <div className="mt-4 pt-4 border-t border-edge/50">
+                  <p className="text-xs text-theme-dim mb-3">Leave a field empty to use the platform policy.</p>
+                  <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                    {POLICY_OVERRIDE_FIELDS.map(([key, label]) => (
+                      <label key={key} className="text-xs text-theme-muted">
+                        {label}
+                        <input type="number" min={0} max={100} value={policyForm[key]} onChange={e => setPolicyForm(f => ({ ...f, [key]: e.target.value }))} placeholder="Platform" className="mt-1 w-full px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary placeholder:text-theme-dim" />
+                      </label>
+                    ))}
+                    <label className="text-xs text-theme-muted">
+                      Auto-suspend
+                      <select value={String(policyForm.autoSuspend)} onChange={e => setPolicyForm(f => ({ ...f, autoSuspend: e.target.value }))} className="mt-1 w-full px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary">
+                        <option value="">Platform</option>
+                        <option value="true">On</option>
+                        <option value="false">Off (warn only)</option>
+                      </select>
+                    </label>
+                  </div>
+                  <div className="flex gap-2 mt-3">
+                    <button onClick={() => savePolicy(s._id)} className="px-3 py-1.5 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-lg text-xs font-semibold">Save</button>
+                    <button onClick={() => savePolicy(s._id, true)} className="px-3 py-1.5 bg-inset text-theme-muted hover:text-theme-primary rounded-lg text-xs font-medium">Use platform policy</button>
+                    <button onClick={() => setEditingPolicy(null)} className="px-3 py-1.5 text-theme-dim hover:text-theme-primary text-xs">Cancel</button>
+                  </div>
+                </div>
+              )}
+              {adjusting === s._id && (
+                <div className="mt-4 pt-4 border-t border-edge/50">
+                  <p className="text-xs text-theme-dim mb-3">Posted to the seller's ledger and settled with their next payout. Use a negative amount to charge the seller.</p>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    <label className="text-xs text-theme-muted">
+                      Amount (Rs.)
+                      <input type="number" step="0.01" value={adjustmentForm.amount} onChange={e => setAdjustmentForm(f => ({ ...f, amount: e.target.value }))} placeholder="-150" className="mt-1 w-full px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary placeholder:text-theme-dim" />
+                    </label>
+                    <label className="text-xs text-theme-muted">
+                      Reason
+                      <select value={adjustmentForm.reason} onChange={e => setAdjustmentForm(f => ({ ...f, reason: e.target.value }))} className="mt-1 w-full px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary">
+                        {ADJUSTMENT_REASONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                      </select>
+                    </label>
+                    <label className="text-xs text-theme-muted col-span-2">
+                      Description (shown to the seller)
+                      <input type="text" maxLength={200} value={adjustmentForm.description} onChange={e => setAdjustmentForm(f => ({ ...f, description: e.target.value }))} placeholder="Courier charged 1.5 kg for order GS..." className="mt-1 w-full px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary placeholder:text-theme-dim" />
+                    </label>
+                  </div>
+                  <div className="flex gap-2 mt-3">
+                    <button onClick={() => saveAdjustment(s._id)} disabled={!adjustmentForm.amount || !adjustmentForm.description.trim()} className="px-3 py-1.5 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-lg text-xs font-semibold disabled:opacity-50">Post adjustment</button>
+                    <button onClick={() => setAdjusting(null)} className="px-3 py-1.5 text-theme-dim hover:text-theme-primary text-xs">Cancel</button>
+                  </div>
+                </div>
+              )}
             </div>
           );
         })}
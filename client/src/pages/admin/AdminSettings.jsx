@@ -1,26 +1,51 @@
 import { useState, useEffect } from 'react';
-import { Settings, DollarSign, CreditCard, Phone, Loader } from 'lucide-react';
+import { Settings, DollarSign, CreditCard, Phone, Loader, HeartPulse, FlaskConical, Plus, Trash2 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import API from '../../api';
 
+// Seller health policy fields: [key, label, unit]
+const HEALTH_FIELDS = [
+  ['fulfillmentWarnThreshold', 'Warn when fulfillment rate is below', '%'],
+  ['fulfillmentSuspendThreshold', 'Suspend when fulfillment rate is below', '%'],
+  ['cancelRateWarnThreshold', 'Warn when cancel rate is above', '%'],
+  ['cancelRateSuspendThreshold', 'Suspend when cancel rate is above', '%'],
+  ['healthScoreSuspendThreshold', 'Suspend when health score is below', '/100'],
+  ['metricsLookbackDays', 'Metrics window', 'days'],
+  ['minOrdersForMetrics', 'Minimum orders before judging', 'orders'],
+  ['autoCancelGraceHours', 'Auto-cancel unshipped orders after the ship-by date', 'hours'],
+];
+
+// Rolling reserve conditions: value -> [label, threshold unit]
+const RESERVE_CONDITIONS = {
+  new_seller: ['Seller approved less than', 'days ago'],
+  low_health: ['Health score below', '/100']
+};
+
 export default function AdminSettings() {
   const [settings, setSettings] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [tab, setTab] = useState('commission');
+  const [simulating, setSimulating] = useState(false);
+  const [simulation, setSimulation] = useState(null);
 
   const [form, setForm] = useState({
     globalCommissionRate: 0,
     paymentGatewayFeeRate: 2,
     payoutSchedule: 'biweekly',
     minimumPayoutAmount: 0,
+    refundCommissionReversal: 'proportional',
+    reserveRules: [],
+    earlyPayout: { enabled: false, feePercent: 0, minimumAmount: 500, minHealthScore: 70 },
     minimumProductPrice: 200,
     maxFeaturedProducts: 10,
+    autoApproveVerifiedSellers: false,
     supportEmail: '',
     supportPhone: '',
     instagramUrl: '',
-    facebookUrl: ''
+    facebookUrl: '',
+    healthPolicy: {}
   });
 
   useEffect(() => { loadSettings(); }, []);
@@ -40,15 +65,36 @@ export default function AdminSettings() {
       await API.put('/admin/settings', form);
       toast.success('Settings saved');
       loadSettings();
-    } catch (err) { toast.error('Failed to save'); }
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to save'); }
     setSaving(false);
   };
 
+  const setEarlyPayout = (key, value) => setForm(f => ({ ...f, earlyPayout: { ...f.earlyPayout, [key]: value } }));
+
+  const setReserveRule = (index, key, value) => {
+    setForm(f => ({ ...f, reserveRules: f.reserveRules.map((r, i) => (i === index ? { ...r, [key]: value } : r)) }));
+  };
+
+  const setPolicy = (key, value) => {
+    setForm(f => ({ ...f, healthPolicy: { ...f.healthPolicy, [key]: value } }));
+    setSimulation(null);
+  };
+
+  const simulatePolicy = async () => {
+    setSimulating(true);
+    try {
+      const { data } = await API.post('/admin/health-policy/simulate', { healthPolicy: form.healthPolicy });
+      setSimulation(data);
+    } catch (err) { toast.error(err.response?.data?.message || 'Simulation failed'); }
+    setSimulating(false);
+  };
+
   if (loading) return <LoadingSpinner />;
 
   const tabs = [
     { key: 'commission', label: 'Commission', icon: DollarSign },
     { key: 'payout', label: 'Payouts', icon: CreditCard },
+    { key: 'health', label: 'Seller Health', icon: HeartPulse },
     { key: 'contact', label: 'Contact', icon: Phone },
   ];
 
@@ -92,6 +138,15 @@ export default function AdminSettings() {
               <input type="number" value={form.minimumProductPrice} onChange={e => setForm(f => ({ ...f, minimumProductPrice: +e.target.value }))} className="w-32 px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
             </div>
           </div>
+
+          <div className="bg-card border border-edge/50 rounded-xl p-6">
+            <h3 className="font-semibold text-theme-primary mb-2">Product Review</h3>
+            <label className="flex items-center gap-2 text-sm text-theme-secondary">
+              <input type="checkbox" checked={!!form.autoApproveVerifiedSellers} onChange={e => setForm(f => ({ ...f, autoApproveVerifiedSellers: e.target.checked }))} className="accent-amber-500" />
+              Auto-approve products from verified sellers
+            </label>
+            <p className="text-xs text-theme-dim mt-2">Other sellers' new products wait in the review queue until an admin approves them.</p>
+          </div>
         </div>
       )}
 
@@ -112,6 +167,138 @@ export default function AdminSettings() {
               <input type="number" value={form.minimumPayoutAmount} onChange={e => setForm(f => ({ ...f, minimumPayoutAmount: +e.target.value }))} className="w-32 px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
             </div>
           </div>
+          <div className="bg-card border border-edge/50 rounded-xl p-6">
+            <h3 className="font-semibold text-theme-primary mb-2">Commission on Return Refunds</h3>
+            <p className="text-xs text-theme-dim mb-3">Refunds are deducted from the seller's next payout. This decides how much of the order's commission is handed back with them.</p>
+            <select value={form.refundCommissionReversal} onChange={e => setForm(f => ({ ...f, refundCommissionReversal: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50">
+              <option value="proportional">Proportional to the refunded amount</option>
+              <option value="full">Full commission</option>
+              <option value="none">None (platform keeps commission)</option>
+            </select>
+          </div>
+          <div className="bg-card border border-edge/50 rounded-xl p-6 space-y-4">
+            <div>
+              <h3 className="font-semibold text-theme-primary mb-2">Early Payouts</h3>
+              <p className="text-xs text-theme-dim">Let sellers request their balance ahead of the schedule, once per payout period. Orders still inside the return window are left for the next payout. Requests join the payouts queue as pending.</p>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-theme-secondary">
+              <input type="checkbox" checked={!!form.earlyPayout?.enabled} onChange={e => setEarlyPayout('enabled', e.target.checked)} className="accent-amber-500" />
+              Sellers can request early payouts
+            </label>
+            <div className="grid sm:grid-cols-3 gap-4">
+              {[['feePercent', 'Fee', '% of the amount'], ['minimumAmount', 'Minimum amount', 'Rs.'], ['minHealthScore', 'Minimum health score', '/100']].map(([key, label, unit]) => (
+                <div key={key}>
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">{label}</label>
+                  <div className="flex items-center gap-2">
+                    <input type="number" min={0} value={form.earlyPayout?.[key] ?? ''} onChange={e => setEarlyPayout(key, e.target.value === '' ? '' : +e.target.value)} className="w-28 px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
+                    <span className="text-xs text-theme-dim">{unit}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className="bg-card border border-edge/50 rounded-xl p-6">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-theme-primary">Rolling Reserve</h3>
+              <button onClick={() => setForm(f => ({ ...f, reserveRules: [...f.reserveRules, { condition: 'new_seller', threshold: 60, percent: 10, holdDays: 14 }] }))} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary flex items-center gap-1">
+                <Plus className="w-3 h-3" /> Add rule
+              </button>
+            </div>
+            <p className="text-xs text-theme-dim mb-4">Hold back part of each payout from new or unhealthy sellers, so refunds after a payout can still be recovered. When several rules match, the one holding the most applies.</p>
+            {form.reserveRules.length === 0 ? (
+              <p className="text-sm text-theme-muted">No reserve rules. Sellers are paid their full balance.</p>
+            ) : (
+              <div className="space-y-3">
+                {form.reserveRules.map((rule, i) => (
+                  <div key={i} className="flex flex-wrap items-center gap-2 text-sm text-theme-secondary bg-inset/50 rounded-lg p-3">
+                    <span>Hold</span>
+                    <input type="number" min={1} max={90} value={rule.percent} onChange={e => setReserveRule(i, 'percent', +e.target.value)} className="w-16 px-2 py-1.5 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
+                    <span>% for</span>
+                    <input type="number" min={1} max={365} value={rule.holdDays} onChange={e => setReserveRule(i, 'holdDays', +e.target.value)} className="w-16 px-2 py-1.5 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
+                    <span>days when</span>
+                    <select value={rule.condition} onChange={e => setReserveRule(i, 'condition', e.target.value)} className="px-2 py-1.5 bg-inset border border-edge rounded-lg text-sm text-theme-primary">
+                      {Object.entries(RESERVE_CONDITIONS).map(([value, [label]]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <input type="number" min={1} value={rule.threshold} onChange={e => setReserveRule(i, 'threshold', +e.target.value)} className="w-20 px-2 py-1.5 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
+                    <span>{RESERVE_CONDITIONS[rule.condition]?.[1]}</span>
+                    <button onClick={() => setForm(f => ({ ...f, reserveRules: f.reserveRules.filter((_, j) => j !== i) }))} className="ml-auto p-1.5 text-theme-dim hover:text-red-400" title="Remove rule">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === 'health' && (
+        <div className="space-y-6">
+          <div className="bg-card border border-edge/50 rounded-xl p-6 space-y-4">
+            <h3 className="font-semibold text-theme-primary">Seller Health Policy</h3>
+            <p className="text-xs text-theme-dim">The daily health check warns and auto-suspends sellers by these thresholds. Thresholds can be overridden per seller from the Sellers page.</p>
+            <div className="grid sm:grid-cols-2 gap-4">
+              {HEALTH_FIELDS.map(([key, label, unit]) => (
+                <div key={key}>
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">{label}</label>
+                  <div className="flex items-center gap-2">
+                    <input type="number" min={0} value={form.healthPolicy?.[key] ?? ''} onChange={e => setPolicy(key, e.target.value === '' ? '' : +e.target.value)} className="w-28 px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
+                    <span className="text-xs text-theme-dim">{unit}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-theme-secondary">
+              <input type="checkbox" checked={form.healthPolicy?.autoSuspend !== false} onChange={e => setPolicy('autoSuspend', e.target.checked)} className="accent-amber-500" />
+              Auto-suspend sellers (off = warn only)
+            </label>
+            <button onClick={simulatePolicy} disabled={simulating} className="flex items-center gap-2 px-4 py-2 bg-inset border border-edge hover:border-amber-500/50 text-theme-primary rounded-lg text-sm font-medium transition-colors disabled:opacity-50">
+              {simulating ? <Loader className="w-4 h-4 animate-spin" /> : <FlaskConical className="w-4 h-4" />} Simulate
+            </button>
+          </div>
+
+          {simulation && (
+            <div className="bg-card border border-edge/50 rounded-xl p-6">
+              <h3 className="font-semibold text-theme-primary mb-1">Simulation</h3>
+              <p className="text-xs text-theme-dim mb-4">
+                {simulation.summary.evaluated} sellers evaluated ({simulation.summary.skipped} skipped: on vacation or too few orders).
+                Under this policy: <span className="text-red-400">{simulation.summary.suspend} suspended</span>, <span className="text-amber-400">{simulation.summary.warn} warned</span>. Nothing has been changed.
+              </p>
+              {simulation.sellers.length === 0 ? (
+                <p className="text-sm text-theme-muted">No seller would be warned or suspended.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-theme-dim border-b border-edge/50">
+                        <th className="py-2 pr-4 font-medium">Seller</th>
+                        <th className="py-2 pr-4 font-medium">Fulfillment</th>
+                        <th className="py-2 pr-4 font-medium">Cancel</th>
+                        <th className="py-2 pr-4 font-medium">Score</th>
+                        <th className="py-2 pr-4 font-medium">Now</th>
+                        <th className="py-2 font-medium">Proposed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {simulation.sellers.map(row => (
+                        <tr key={row.sellerId} className="border-b border-edge/30 align-top">
+                          <td className="py-2 pr-4 text-theme-primary">{row.businessName}{row.hasOverrides && <span className="ml-1 text-[10px] text-sky-400">(override)</span>}</td>
+                          <td className="py-2 pr-4 text-theme-secondary">{row.metrics.fulfillmentRate}%</td>
+                          <td className="py-2 pr-4 text-theme-secondary">{row.metrics.cancelRate}%</td>
+                          <td className="py-2 pr-4 text-theme-secondary">{row.metrics.healthScore}</td>
+                          <td className="py-2 pr-4 text-xs text-theme-muted capitalize">{row.current.action || 'ok'}</td>
+                          <td className="py-2">
+                            <span className={`text-xs font-medium capitalize ${row.proposed.action === 'suspend' ? 'text-red-400' : row.proposed.action === 'warn' ? 'text-amber-400' : 'text-green-400'}`}>{row.proposed.action || 'ok'}</span>
+                            {row.proposed.reason && <p className="text-[11px] text-theme-dim">{row.proposed.reason}</p>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
         </div>
       )}
 
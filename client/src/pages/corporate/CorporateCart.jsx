@@ -48,7 +48,7 @@ export default function CorporateCart() {
     setError('');
     try {
       const res = await corporateAPI.createOrder({
-        items: cart.map(c => ({ productId: c.productId, quantity: c.quantity })),
+        items: cart.map(c => ({ productId: c.productId, variantId: c.variantId || undefined, quantity: c.quantity })),
         shippingAddress
       });
 
@@ -101,12 +101,13 @@ export default function CorporateCart() {
       {/* Cart Items */}
       <div className="bg-card border border-edge/50 rounded-xl divide-y divide-edge/30">
         {cart.map((item, i) => (
-          <div key={item.productId} className="flex items-center gap-4 p-4">
+          <div key={`${item.productId}-${item.variantId || ''}`} className="flex items-center gap-4 p-4">
             <div className="w-16 h-16 rounded-lg overflow-hidden bg-inset shrink-0">
               {item.image ? <img src={item.image} alt={item.title} className="w-full h-full object-cover" /> : <ShoppingBag className="w-6 h-6 text-theme-dim m-auto mt-5" />}
             </div>
             <div className="flex-1 min-w-0">
               <h3 className="text-sm font-semibold truncate">{item.title}</h3>
+              {item.variantLabel && <p className="text-xs text-theme-muted">{item.variantLabel}</p>}
               <p className="text-sm text-amber-400 font-medium">Rs. {item.unitPrice?.toLocaleString()} each</p>
               <p className="text-xs text-theme-dim">Min: {item.minOrderQty} | Max: {item.maxOrderQty}</p>
             </div>
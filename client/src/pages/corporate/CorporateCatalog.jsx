@@ -14,6 +14,7 @@ export default function CorporateCatalog() {
   const [search, setSearch] = useState(searchParams.get('search') || '');
   const [selectedTag, setSelectedTag] = useState(searchParams.get('tag') || '');
   const [sort, setSort] = useState(searchParams.get('sort') || '');
+  const [chosenVariants, setChosenVariants] = useState({}); // { [productId]: variantId }
 
   // Cart state (localStorage-based)
   const [cart, setCart] = useState(() => {
@@ -51,21 +52,28 @@ export default function CorporateCatalog() {
     fetchCatalog();
   };
 
+  // Options a product can be ordered in: its active, in-stock variants
+  const orderableVariants = (product) => (product.variants || []).filter(v => v.isActive !== false && v.stock > 0);
+  const variantName = (product, variant) => (product.variantOptions || []).map(o => variant.options?.[o.name]).filter(Boolean).join(' / ');
+
   const addToCart = (product) => {
-    const existing = cart.find(c => c.productId === product._id);
-    if (existing) return;
+    const variant = orderableVariants(product).find(v => v._id === chosenVariants[product._id]) || null;
+    if (product.variants?.length && !variant) return;
+    if (isInCart(product._id, variant?._id)) return;
     setCart([...cart, {
       productId: product._id,
+      variantId: variant?._id || null,
+      variantLabel: variant ? variantName(product, variant) : '',
       title: product.title,
-      image: product.images?.[0]?.url || '',
-      unitPrice: product.corporatePrice || product.price,
+      image: variant?.images?.[0]?.url || product.images?.[0]?.url || '',
+      unitPrice: product.corporatePrice || (variant ? variant.price : product.price),
       quantity: product.minOrderQty || 10,
       minOrderQty: product.minOrderQty || 10,
       maxOrderQty: product.maxOrderQty || 10000
     }]);
   };
 
-  const isInCart = (id) => cart.some(c => c.productId === id);
+  const isInCart = (id, variantId = null) => cart.some(c => c.productId === id && (c.variantId || null) === variantId);
   const cartCount = cart.length;
 
   return (
@@ -156,10 +164,24 @@ export default function CorporateCatalog() {
                     ))}
                   </div>
                 )}
-                <button onClick={() => addToCart(product)} disabled={isInCart(product._id)}
-                  className={`w-full py-2 rounded-lg text-sm font-medium transition-colors ${isInCart(product._id) ? 'bg-green-500/10 text-green-400 cursor-default' : 'bg-amber-500/10 text-amber-400 hover:bg-amber-500/20'}`}>
-                  {isInCart(product._id) ? 'In Cart' : 'Add to Cart'}
-                </button>
+                {product.variants?.length > 0 && (
+                  <select value={chosenVariants[product._id] || ''} onChange={e => setChosenVariants(prev => ({ ...prev, [product._id]: e.target.value }))}
+                    className="w-full mb-2 px-3 py-2 bg-inset border border-edge rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-amber-400/50">
+                    <option value="">Choose {(product.variantOptions || []).map(o => o.name).join(' / ')}</option>
+                    {orderableVariants(product).map(v => <option key={v._id} value={v._id}>{variantName(product, v)}</option>)}
+                  </select>
+                )}
+                {(() => {
+                  const variantId = chosenVariants[product._id] || null;
+                  const inCart = isInCart(product._id, variantId);
+                  const needsChoice = product.variants?.length > 0 && !variantId;
+                  return (
+                    <button onClick={() => addToCart(product)} disabled={inCart || needsChoice}
+                      className={`w-full py-2 rounded-lg text-sm font-medium transition-colors disabled:cursor-default ${inCart ? 'bg-green-500/10 text-green-400' : 'bg-amber-500/10 text-amber-400 hover:bg-amber-500/20 disabled:opacity-50'}`}>
+                      {inCart ? 'In Cart' : 'Add to Cart'}
+                    </button>
+                  );
+                })()}
               </div>
             </div>
           ))}
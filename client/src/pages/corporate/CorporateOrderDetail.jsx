@@ -91,7 +91,7 @@ export default function CorporateOrderDetail() {
             </div>
             <div className="flex-1 min-w-0">
               <p className="text-sm font-medium truncate">{item.title}</p>
-              <p className="text-xs text-theme-dim">Qty: {item.quantity}</p>
+              <p className="text-xs text-theme-dim">{item.variantLabel ? `${item.variantLabel} · ` : ''}Qty: {item.quantity}</p>
             </div>
             <p className="text-sm font-semibold">Rs. {(item.price * item.quantity)?.toLocaleString()}</p>
           </div>
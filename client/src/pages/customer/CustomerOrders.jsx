@@ -10,7 +10,10 @@ import API from '../../api';
 const statusConfig = {
   pending: { color: 'text-yellow-400 bg-yellow-400/10', icon: Clock },
   confirmed: { color: 'text-blue-400 bg-blue-400/10', icon: Package },
+  processing: { color: 'text-indigo-400 bg-indigo-400/10', icon: Package },
+  partially_shipped: { color: 'text-purple-400 bg-purple-400/10', icon: Truck },
   shipped: { color: 'text-purple-400 bg-purple-400/10', icon: Truck },
+  partially_delivered: { color: 'text-green-400 bg-green-400/10', icon: Truck },
   delivered: { color: 'text-green-400 bg-green-400/10', icon: CheckCircle },
   cancelled: { color: 'text-red-400 bg-red-400/10', icon: XCircle },
   refunded: { color: 'text-theme-muted bg-inset', icon: XCircle },
@@ -102,7 +105,7 @@ export default function CustomerOrders() {
                     <p className="text-xs text-theme-muted mt-0.5">{new Date(order.createdAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })}</p>
                   </div>
                   <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${st.color}`}>
-                    <StatusIcon className="w-3 h-3" /> {order.status}
+                    <StatusIcon className="w-3 h-3" /> {order.status.replace(/_/g, ' ')}
                   </span>
                 </div>
                 <div className="flex items-center gap-3">
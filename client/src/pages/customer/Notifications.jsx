@@ -52,7 +52,7 @@ export default function Notifications() {
   const typeIcons = {
     order_confirmed: '📦', order_shipped: '🚚', order_delivered: '✅', order_cancelled: '❌',
     new_message: '💬', return_requested: '↩️', return_approved: '✅', return_rejected: '❌', return_refunded: '💰',
-    payout_processed: '💰', payout_failed: '⚠️', review_received: '⭐', seller_approved: '🎉', seller_suspended: '🚫',
+    payout_processed: '💰', payout_failed: '⚠️', payout_adjustment: '🧾', payout_requested: '⏩', review_received: '⭐', seller_approved: '🎉', seller_suspended: '🚫',
     general: '🔔'
   };
 
@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { Package, Truck, CheckCircle, Clock, XCircle, MapPin, Star, ArrowLeft, Loader, Camera, X, Navigation, Download, RotateCcw } from 'lucide-react';
+import { Package, Truck, CheckCircle, Clock, XCircle, MapPin, Star, ArrowLeft, Loader, Camera, X, Download, RotateCcw, Gift } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import PackageTracking, { trackingPackages } from '../../components/PackageTracking';
 import API, { returnAPI } from '../../api';
 
 function StarRating({ rating, onRate, interactive = false }) {
@@ -19,6 +20,8 @@ function StarRating({ rating, onRate, interactive = false }) {
 }
 
 const statusSteps = ['pending', 'confirmed', 'shipped', 'delivered'];
+// Statuses between the steps above are shown at the last step they completed
+const statusStep = { processing: 'confirmed', partially_shipped: 'confirmed', partially_delivered: 'shipped' };
 
 export default function OrderDetail() {
   const { id } = useParams();
@@ -65,7 +68,7 @@ export default function OrderDetail() {
       }
       setItemReviews(reviewState);
       // Load tracking data
-      if (['processing', 'shipped', 'delivered'].includes(ord.status)) {
+      if (['processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'].includes(ord.status)) {
         loadTracking(ord._id);
       }
     } catch (e) { console.error(e); }
@@ -130,7 +133,8 @@ export default function OrderDetail() {
   if (loading) return <LoadingSpinner />;
   if (!order) return <div className="max-w-4xl mx-auto px-4 py-20 text-center text-theme-muted">Order not found.</div>;
 
-  const currentStep = statusSteps.indexOf(order.status);
+  const currentStep = statusSteps.indexOf(statusStep[order.status] || order.status);
+  const packages = trackingPackages(tracking, order.trackingInfo);
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 py-8">
@@ -140,6 +144,9 @@ export default function OrderDetail() {
         <div>
           <h1 className="text-xl font-bold text-theme-primary">{order.orderNumber}</h1>
           <p className="text-sm text-theme-muted">{new Date(order.createdAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })}</p>
+          {order.preferredDeliveryDate && (
+            <p className="text-xs text-sky-400 mt-0.5">Scheduled for delivery on {new Date(order.preferredDeliveryDate).toLocaleDateString('en-IN', { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })}</p>
+          )}
         </div>
         <div className="flex items-center gap-2">
           {order.paymentStatus === 'paid' && (
@@ -157,6 +164,21 @@ export default function OrderDetail() {
               <Download className="w-3 h-3" /> Invoice
             </button>
           )}
+          {order.paymentStatus === 'paid' && order.gift?.isGift && (
+            <button onClick={async () => {
+              try {
+                const response = await API.get(`/orders/${order._id}/gift-receipt`, { responseType: 'blob' });
+                const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `gift-receipt-${order.orderNumber}.pdf`;
+                a.click();
+                window.URL.revokeObjectURL(url);
+              } catch (err) { toast.error('Failed to download gift receipt'); }
+            }} className="px-3 py-1 rounded-full text-xs font-medium bg-pink-400/10 text-pink-400 hover:bg-pink-400/20 transition-colors flex items-center gap-1">
+              <Gift className="w-3 h-3" /> Gift Receipt
+            </button>
+          )}
           {['pending', 'confirmed'].includes(order.status) && (
             <button onClick={() => setShowCancel(true)} className="px-3 py-1 rounded-full text-xs font-medium bg-red-400/10 text-red-400 hover:bg-red-400/20 transition-colors">Cancel Order</button>
           )}
@@ -168,7 +190,7 @@ export default function OrderDetail() {
           {order.returnStatus && order.returnStatus !== 'none' && (
             <span className="px-3 py-1 rounded-full text-xs font-medium bg-purple-400/10 text-purple-400">Return: {order.returnStatus}</span>
           )}
-          <span className={`px-3 py-1 rounded-full text-xs font-medium ${order.status === 'delivered' ? 'bg-green-400/10 text-green-400' : order.status === 'cancelled' ? 'bg-red-400/10 text-red-400' : 'bg-amber-400/10 text-amber-400'}`}>{order.status}</span>
+          <span className={`px-3 py-1 rounded-full text-xs font-medium ${order.status === 'delivered' ? 'bg-green-400/10 text-green-400' : order.status === 'cancelled' ? 'bg-red-400/10 text-red-400' : 'bg-amber-400/10 text-amber-400'}`}>{order.status.replace(/_/g, ' ')}</span>
         </div>
       </div>
 
@@ -278,7 +300,7 @@ export default function OrderDetail() {
                 </div>
                 <div className="flex-1 min-w-0">
                   <p className="font-medium text-sm text-theme-primary">{item.title}</p>
-                  <p className="text-xs text-theme-muted mt-1">Qty: {item.quantity || 1}</p>
+                  <p className="text-xs text-theme-muted mt-1">Qty: {item.quantity || 1}{item.giftWrapped && <span className="text-pink-400"> &middot; Gift wrapped</span>}</p>
                   <p className="text-sm font-bold text-theme-primary mt-0.5">Rs. {((item.price || 0) * (item.quantity || 1)).toLocaleString('en-IN')}</p>
                   {item.customizations?.length > 0 && (
                     <div className="mt-1.5 space-y-1">
@@ -301,83 +323,52 @@ export default function OrderDetail() {
               </div>
             ))}
           </div>
+          {order.cancelledItems?.length > 0 && (
+            <div className="mt-4 pt-3 border-t border-edge/50">
+              <p className="text-xs font-medium text-red-400 mb-1.5">Cancelled by seller</p>
+              <div className="space-y-1">
+                {order.cancelledItems.map((c, ci) => (
+                  <div key={ci} className="flex justify-between gap-3 text-xs text-theme-muted">
+                    <span className="min-w-0 truncate">{c.title}{c.variantLabel ? ` (${c.variantLabel})` : ''} &times; {c.quantity}{c.reason ? ` — ${c.reason}` : ''}</span>
+                    {c.refundAmount > 0 && <span className="shrink-0">Refund Rs. {c.refundAmount.toLocaleString('en-IN')}</span>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Address */}
         <div className="bg-card border border-edge/50 rounded-xl p-5">
           <h3 className="font-semibold text-theme-primary mb-3 flex items-center gap-2"><MapPin className="w-4 h-4 text-amber-400" /> Shipping Address</h3>
           <div className="text-sm text-theme-secondary space-y-1">
-            <p>{order.shippingAddress?.name}</p>
+            <p>{order.gift?.recipientName || order.shippingAddress?.name}</p>
             <p>{order.shippingAddress?.street}</p>
             <p>{order.shippingAddress?.city}, {order.shippingAddress?.state} - {order.shippingAddress?.pincode}</p>
             <p>{order.shippingAddress?.phone}</p>
           </div>
+          {order.gift?.isGift && (
+            <div className="mt-4 pt-3 border-t border-edge/50 text-xs text-theme-muted space-y-1">
+              <p className="font-medium text-pink-400 flex items-center gap-1"><Gift className="w-3 h-3" /> Sent as a gift</p>
+              {order.gift.message && <p className="italic whitespace-pre-line">&ldquo;{order.gift.message}&rdquo;</p>}
+              {order.gift.hidePrices && <p>Prices are hidden from the recipient.</p>}
+            </div>
+          )}
         </div>
 
         {/* Detailed Tracking */}
         {(tracking || order.trackingInfo?.trackingNumber) && (
           <div className="bg-card border border-edge/50 rounded-xl p-5 md:col-span-2">
-            <h3 className="font-semibold text-theme-primary mb-4 flex items-center gap-2"><Truck className="w-4 h-4 text-amber-400" /> Shipment Tracking</h3>
-
-            {/* Summary row */}
-            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
-              {(tracking?.courierName || order.trackingInfo?.courierName) && (
-                <div className="bg-inset rounded-lg p-3">
-                  <p className="text-[10px] text-theme-dim uppercase tracking-wider">Courier</p>
-                  <p className="text-sm font-medium text-theme-primary mt-0.5">{tracking?.courierName || order.trackingInfo?.courierName}</p>
-                </div>
-              )}
-              {(tracking?.awb || order.trackingInfo?.trackingNumber) && (
-                <div className="bg-inset rounded-lg p-3">
-                  <p className="text-[10px] text-theme-dim uppercase tracking-wider">AWB / Tracking #</p>
-                  <p className="text-sm font-medium text-theme-primary mt-0.5 font-mono">{tracking?.awb || order.trackingInfo?.trackingNumber}</p>
-                </div>
-              )}
-              {tracking?.shipmentStatus && (
-                <div className="bg-inset rounded-lg p-3">
-                  <p className="text-[10px] text-theme-dim uppercase tracking-wider">Shipment Status</p>
-                  <p className="text-sm font-medium text-amber-400 mt-0.5 capitalize">{tracking.shipmentStatus.replace(/_/g, ' ')}</p>
-                </div>
-              )}
-              {(tracking?.estimatedDelivery || order.trackingInfo?.estimatedDelivery) && (
-                <div className="bg-inset rounded-lg p-3">
-                  <p className="text-[10px] text-theme-dim uppercase tracking-wider">Est. Delivery</p>
-                  <p className="text-sm font-medium text-theme-primary mt-0.5">{new Date(tracking?.estimatedDelivery || order.trackingInfo?.estimatedDelivery).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</p>
-                </div>
-              )}
-            </div>
+            <h3 className="font-semibold text-theme-primary mb-4 flex items-center gap-2"><Truck className="w-4 h-4 text-amber-400" /> {packages.length > 1 ? `Shipment Tracking (${packages.length} packages)` : 'Shipment Tracking'}</h3>
 
-            {/* Scan timeline */}
             {trackingLoading ? (
               <div className="flex items-center gap-2 text-sm text-theme-dim py-4"><Loader className="w-4 h-4 animate-spin" /> Loading tracking details...</div>
-            ) : tracking?.scans?.length > 0 ? (
-              <div className="space-y-0 max-h-72 overflow-y-auto pr-1">
-                {tracking.scans.map((scan, i) => {
-                  const isFirst = i === 0;
-                  const isLast = i === tracking.scans.length - 1;
-                  return (
-                    <div key={i} className="flex gap-3">
-                      <div className="flex flex-col items-center">
-                        <div className={`w-3 h-3 rounded-full shrink-0 mt-1 ${isFirst ? 'bg-amber-500' : 'bg-edge'}`} />
-                        {!isLast && <div className="w-px flex-1 bg-edge/40 min-h-[24px]" />}
-                      </div>
-                      <div className="pb-3 min-w-0">
-                        <p className={`text-sm ${isFirst ? 'font-semibold text-theme-primary' : 'text-theme-secondary'}`}>{scan.activity}</p>
-                        <div className="flex flex-wrap items-center gap-x-3 gap-y-0.5 mt-0.5">
-                          {scan.location && (
-                            <span className="text-xs text-theme-dim flex items-center gap-1"><Navigation className="w-3 h-3" />{scan.location}</span>
-                          )}
-                          {scan.timestamp && (
-                            <span className="text-xs text-theme-dim">{new Date(scan.timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}</span>
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
             ) : (
-              <p className="text-sm text-theme-dim">No scan events available yet. Tracking details will appear once your order is picked up.</p>
+              <div className="space-y-6">
+                {packages.map((pkg, i) => (
+                  <PackageTracking key={pkg.shipmentId || i} pkg={pkg} total={packages.length} emptyText="No scan events available yet. Tracking details will appear once your order is picked up." />
+                ))}
+              </div>
             )}
           </div>
         )}
@@ -387,6 +378,7 @@ export default function OrderDetail() {
           <h3 className="font-semibold text-theme-primary mb-3">Payment</h3>
           <div className="text-sm text-theme-secondary space-y-1">
             <div className="flex justify-between"><span>Item Total</span><span>Rs. {order.itemTotal?.toLocaleString('en-IN')}</span></div>
+            {order.giftWrapCharge > 0 && <div className="flex justify-between"><span>Gift Wrap</span><span>Rs. {order.giftWrapCharge.toLocaleString('en-IN')}</span></div>}
             <div className="flex justify-between"><span>Shipping</span><span>{order.shippingCost > 0 ? `Rs. ${order.shippingCost}` : 'Free'}</span></div>
             <div className="border-t border-edge/50 pt-2 mt-2 flex justify-between font-bold text-theme-primary"><span>Total</span><span>Rs. {order.totalAmount?.toLocaleString('en-IN')}</span></div>
             <p className="text-xs text-theme-dim mt-1 capitalize">Status: {order.paymentStatus}</p>
@@ -3,7 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { Heart, ShoppingBag, Trash2 } from 'lucide-react';
 import { useWishlist } from '../../context/WishlistContext';
-import { useCart, needsCustomization } from '../../context/CartContext';
+import { useCart, needsCustomization, hasVariants } from '../../context/CartContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import SEO from '../../components/SEO';
 import API from '../../api';
@@ -37,6 +37,11 @@ export default function Wishlist() {
   };
 
   const handleAddToCart = (product) => {
+    if (hasVariants(product)) {
+      toast('Choose an option — redirecting to product page', { icon: '👉' });
+      navigate(`/product/${product.slug}`);
+      return;
+    }
     if (needsCustomization(product)) {
       toast('Customization required — redirecting to product page', { icon: '✏️' });
       navigate(`/product/${product.slug}`);
@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { useCart } from '../../context/CartContext';
-import { ShoppingBag, Trash2, Minus, Plus, ArrowRight, ArrowLeft, CreditCard, MapPin, Loader, CheckCircle, Truck } from 'lucide-react';
+import { ShoppingBag, Trash2, Minus, Plus, ArrowRight, ArrowLeft, CreditCard, MapPin, Loader, CheckCircle, Truck, Gift, CalendarDays } from 'lucide-react';
 import toast from 'react-hot-toast';
 import API from '../../api';
 import ProfileCompleteModal from '../../components/ProfileCompleteModal';
@@ -20,8 +20,10 @@ export default function Cart() {
   const [couponDiscount, setCouponDiscount] = useState(0);
   const [couponApplied, setCouponApplied] = useState('');
   const [applyingCoupon, setApplyingCoupon] = useState(false);
-  const [shippingEstimates, setShippingEstimates] = useState([]); // [{ sellerId, shippingCost, shippingPaidBy, courierName, estimatedDays }]
+  const [shippingEstimates, setShippingEstimates] = useState([]); // [{ sellerId, shippingCost, shippingPaidBy, courierName, estimatedDays, deliveryDays, sellerAway }]
   const [estimatingShipping, setEstimatingShipping] = useState(false);
+  const [gift, setGift] = useState({ isGift: false, wrap: false, message: '', recipientName: '', hidePrices: false });
+  const [deliveryDate, setDeliveryDate] = useState(''); // YYYY-MM-DD, '' = as soon as possible
   const [showProfileModal, setShowProfileModal] = useState(false);
 
   useEffect(() => {
@@ -51,13 +53,20 @@ export default function Cart() {
   const customerShipping = shippingEstimates
     .filter(e => e.shippingPaidBy === 'customer' && e.shippingCost > 0)
     .reduce((s, e) => s + e.shippingCost, 0);
-  const total = Math.max(0, subtotal + customerShipping - couponDiscount);
+  // Gift wrap is priced per seller (only products that offer it get wrapped)
+  const giftWrapAvailable = shippingEstimates.some(e => e.giftWrapAvailable);
+  const giftWrapQuote = shippingEstimates.reduce((s, e) => s + (e.giftWrapCharge || 0), 0);
+  const giftWrapTotal = gift.isGift && gift.wrap ? giftWrapQuote : 0;
+  const total = Math.max(0, subtotal + customerShipping + giftWrapTotal - couponDiscount);
+  // Scheduled delivery: the slowest seller decides the earliest date; up to 60 days ahead
+  const earliestDeliveryDate = shippingEstimates.reduce((max, e) => (e.earliestDeliveryDate > max ? e.earliestDeliveryDate : max), '');
+  const latestDeliveryDate = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
   const fetchShippingEstimate = async (pincode) => {
     if (!pincode || pincode.length < 6 || !items.length) return;
     setEstimatingShipping(true);
     try {
-      const cartItems = items.map(i => ({ productId: i.productId, quantity: i.quantity }));
+      const cartItems = items.map(i => ({ productId: i.productId, variantId: i.variantId || undefined, quantity: i.quantity }));
       const { data } = await API.post('/orders/shipping-estimate', { items: cartItems, deliveryPincode: pincode });
       setShippingEstimates(data.estimates || []);
     } catch (err) {
@@ -102,13 +111,14 @@ export default function Cart() {
       // Cancel any prior abandoned pending orders (releases reserved stock)
       try { await API.post('/orders/cancel-pending'); } catch (e) { /* non-critical */ }
 
-      const orderItems = items.map(i => ({ productId: i.productId, quantity: i.quantity, customizations: i.customizations || [] }));
+      const orderItems = items.map(i => ({ productId: i.productId, variantId: i.variantId || undefined, quantity: i.quantity, customizations: i.customizations || [] }));
       // Build shipping estimates map: sellerId -> { shippingCost, shippingPaidBy }
       const shippingData = {};
       shippingEstimates.forEach(e => {
-        shippingData[e.sellerId] = { shippingCost: e.shippingCost || 0, actualShippingCost: e.actualShippingCost || e.shippingCost || 0, shippingPaidBy: e.shippingPaidBy || 'seller' };
+        shippingData[e.sellerId] = { shippingCost: e.shippingCost || 0, actualShippingCost: e.actualShippingCost || e.shippingCost || 0, shippingPaidBy: e.shippingPaidBy || 'seller', estimatedDays: e.estimatedDays };
       });
-      const { data } = await API.post('/orders', { items: orderItems, shippingAddress: address, shippingEstimates: shippingData, couponCode: couponApplied || undefined });
+      const giftOptions = gift.isGift ? { wrap: gift.wrap && giftWrapAvailable, message: gift.message, recipientName: gift.recipientName, hidePrices: gift.hidePrices } : undefined;
+      const { data } = await API.post('/orders', { items: orderItems, shippingAddress: address, shippingEstimates: shippingData, couponCode: couponApplied || undefined, gift: giftOptions, preferredDeliveryDate: deliveryDate || undefined });
 
       // Cart is NOT cleared here — it will be cleared after payment is verified
       // in CustomerOrders.jsx. If payment is abandoned, the cart stays intact.
@@ -174,6 +184,7 @@ export default function Cart() {
                     <div className="flex items-start justify-between gap-2">
                       <div className="min-w-0 flex-1">
                         <Link to={`/product/${item.slug}`} className="font-medium text-sm text-theme-primary hover:text-amber-400 line-clamp-2 block">{item.title}</Link>
+                        {item.variantLabel && <p className="text-xs text-theme-secondary mt-0.5">{item.variantLabel}</p>}
                         <p className="text-xs text-theme-muted mt-0.5">{item.sellerName}</p>
                       </div>
                       <button onClick={() => removeItem(item.cartKey || item.productId)} aria-label="Remove item" className="text-theme-dim hover:text-red-400 shrink-0 p-1"><Trash2 className="w-4 h-4" /></button>
@@ -312,7 +323,14 @@ export default function Cart() {
                       <span className="text-theme-secondary">
                         {e.shippingPaidBy === 'seller'
                           ? 'Free Shipping'
-                          : `Standard Shipping${e.estimatedDays ? ` · ${e.estimatedDays} days` : ''}`}
+                          : `Standard Shipping${e.deliveryDays || e.estimatedDays ? ` · ${e.deliveryDays || e.estimatedDays} days` : ''}`}
+                        {e.sellerAway && (
+                          <span className="block text-amber-400">
+                            {e.sellerAway.acceptingOrders
+                              ? `Seller on vacation · ships after ${new Date(e.sellerAway.shipsAfter).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`
+                              : `Seller on vacation until ${new Date(e.sellerAway.backOn).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}, not taking orders`}
+                          </span>
+                        )}
                       </span>
                       {e.shippingPaidBy !== 'seller' && (
                         <span className={!e.shippingCost ? 'text-green-400' : 'text-theme-primary font-medium'}>
@@ -353,11 +371,57 @@ export default function Cart() {
         <div className="max-w-lg mx-auto">
           <button onClick={() => setStep('address')} className="flex items-center gap-1 text-sm text-theme-muted hover:text-theme-primary mb-4"><ArrowLeft className="w-4 h-4" /> Back to Address</button>
           <h2 className="text-xl font-bold text-theme-primary mb-6 flex items-center gap-2"><CreditCard className="w-5 h-5 text-amber-400" /> Payment</h2>
+          {/* Scheduled delivery */}
+          {earliestDeliveryDate && (
+            <div className="bg-card border border-edge/50 rounded-xl p-5 mb-6">
+              <label className="text-sm font-medium text-theme-primary mb-2 flex items-center gap-2"><CalendarDays className="w-4 h-4 text-sky-400" /> Deliver on a date (optional)</label>
+              <div className="flex items-center gap-2">
+                <input type="date" value={deliveryDate} min={earliestDeliveryDate} max={latestDeliveryDate} onChange={e => setDeliveryDate(e.target.value)} className="flex-1 px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                {deliveryDate && <button onClick={() => setDeliveryDate('')} className="text-xs text-theme-muted hover:text-theme-primary">Clear</button>}
+              </div>
+              <p className="text-xs text-theme-dim mt-1">For birthdays and anniversaries. We'll ship it to arrive on the day you pick.</p>
+            </div>
+          )}
+
+          {/* Gift options */}
+          <div className="bg-card border border-edge/50 rounded-xl p-5 mb-6 space-y-3">
+            <label className="flex items-center gap-2 text-sm font-medium text-theme-primary cursor-pointer">
+              <input type="checkbox" checked={gift.isGift} onChange={e => setGift(g => ({ ...g, isGift: e.target.checked }))} className="accent-amber-500" />
+              <Gift className="w-4 h-4 text-pink-400" /> This order is a gift
+            </label>
+            {gift.isGift && (
+              <>
+                {giftWrapAvailable ? (
+                  <label className="flex items-center justify-between gap-2 text-sm text-theme-secondary cursor-pointer">
+                    <span className="flex items-center gap-2">
+                      <input type="checkbox" checked={gift.wrap} onChange={e => setGift(g => ({ ...g, wrap: e.target.checked }))} className="accent-amber-500" />
+                      Gift wrap{shippingEstimates.some(e => !e.giftWrapAvailable) ? ' (where available)' : ''}
+                    </span>
+                    <span className="text-xs text-theme-muted shrink-0">
+                      {giftWrapQuote > 0 ? `Rs. ${giftWrapQuote.toLocaleString('en-IN')}` : 'Free'}
+                    </span>
+                  </label>
+                ) : (
+                  <p className="text-xs text-theme-dim">Gift wrap isn't offered for these items.</p>
+                )}
+                <input type="text" value={gift.recipientName} onChange={e => setGift(g => ({ ...g, recipientName: e.target.value }))} maxLength={100} placeholder={`Recipient name (if not ${address.name || 'you'})`} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary placeholder:text-theme-dim focus:outline-none focus:border-amber-500/50" />
+                <div>
+                  <textarea value={gift.message} onChange={e => setGift(g => ({ ...g, message: e.target.value }))} maxLength={300} rows={3} placeholder="Gift message (optional)" className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary placeholder:text-theme-dim focus:outline-none focus:border-amber-500/50 resize-none" />
+                  <p className="text-[10px] text-theme-dim text-right">{gift.message.length}/300</p>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-theme-secondary cursor-pointer">
+                  <input type="checkbox" checked={gift.hidePrices} onChange={e => setGift(g => ({ ...g, hidePrices: e.target.checked }))} className="accent-amber-500" />
+                  Hide prices from the recipient
+                </label>
+                {gift.hidePrices && <p className="text-xs text-theme-dim">No invoice or prices go in the box; a gift receipt is included instead.</p>}
+              </>
+            )}
+          </div>
           <div className="bg-card border border-edge/50 rounded-xl p-5 mb-6">
             <h3 className="font-semibold text-theme-primary mb-3">Order Summary</h3>
             {items.map(i => (
               <div key={i.cartKey || i.productId} className="flex justify-between text-sm text-theme-secondary py-1">
-                <span className="min-w-0 truncate">{i.title} x {i.quantity}</span>
+                <span className="min-w-0 truncate">{i.title}{i.variantLabel ? ` (${i.variantLabel})` : ''} x {i.quantity}</span>
                 <span className="shrink-0 ml-2">Rs. {(i.price * i.quantity).toLocaleString('en-IN')}</span>
               </div>
             ))}
@@ -370,7 +434,7 @@ export default function Cart() {
                       <Truck className="w-3 h-3" />
                       {e.shippingPaidBy === 'seller'
                         ? 'Shipping'
-                        : `Standard Shipping${e.estimatedDays ? ` · ${e.estimatedDays} days` : ''}`}
+                        : `Standard Shipping${e.deliveryDays || e.estimatedDays ? ` · ${e.deliveryDays || e.estimatedDays} days` : ''}`}
                     </span>
                     <span className={`shrink-0 ml-2 ${e.shippingPaidBy === 'seller' || !e.shippingCost ? 'text-green-400' : 'text-theme-secondary'}`}>
                       {e.shippingPaidBy === 'seller' || !e.shippingCost ? 'Free' : `Rs. ${e.shippingCost.toLocaleString('en-IN')}`}
@@ -379,6 +443,12 @@ export default function Cart() {
                 ))}
               </div>
             )}
+            {giftWrapTotal > 0 && (
+              <div className="flex justify-between text-sm text-theme-secondary pt-1">
+                <span className="flex items-center gap-1"><Gift className="w-3 h-3" /> Gift wrap</span>
+                <span className="shrink-0 ml-2">Rs. {giftWrapTotal.toLocaleString('en-IN')}</span>
+              </div>
+            )}
             {couponDiscount > 0 && (
               <div className="flex justify-between text-sm text-green-400 pt-1">
                 <span className="min-w-0 truncate">Discount ({couponApplied})</span>
@@ -389,7 +459,8 @@ export default function Cart() {
               <span>Total</span><span>Rs. {total.toLocaleString('en-IN')}</span>
             </div>
             <div className="mt-3 text-xs text-theme-dim">
-              <p>Delivering to: {address.name}, {address.city}, {address.state} - {address.pincode}</p>
+              <p>Delivering to: {(gift.isGift && gift.recipientName.trim()) || address.name}, {address.city}, {address.state} - {address.pincode}</p>
+              {deliveryDate && <p>Deliver on: {new Date(`${deliveryDate}T00:00:00Z`).toLocaleDateString('en-IN', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })}</p>}
             </div>
           </div>
           <button onClick={handlePlaceOrder} disabled={loading} className="w-full py-3 bg-amber-500 hover:bg-amber-400 disabled:opacity-50 text-zinc-950 rounded-xl font-semibold flex items-center justify-center gap-2 transition-colors">
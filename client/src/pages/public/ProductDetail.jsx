@@ -1,12 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { ShoppingBag, Star, Minus, Plus, Store, Truck, Shield, ArrowLeft, ChevronLeft, ChevronRight, MessageSquare, Upload, X, Palette, Play } from 'lucide-react';
+import { ShoppingBag, Star, Minus, Plus, Store, Truck, Shield, ArrowLeft, ChevronLeft, ChevronRight, MessageSquare, Upload, X, Palette, Play, Plane } from 'lucide-react';
 import { useCart } from '../../context/CartContext';
 import { useAuth } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import SEO from '../../components/SEO';
+import ResponsiveImage, { variantSrcSet, thumbnailUrl } from '../../components/ResponsiveImage';
 import API, { chatAPI } from '../../api';
 import ProfileCompleteModal from '../../components/ProfileCompleteModal';
 
@@ -24,6 +25,7 @@ export default function ProductDetail() {
   const [qty, setQty] = useState(1);
   const [imgIdx, setImgIdx] = useState(0);
   const [customizations, setCustomizations] = useState({}); // { [optionIdx]: value or imageUrls }
+  const [selectedOptions, setSelectedOptions] = useState({}); // { [variant option name]: value }
 
   useEffect(() => {
     loadProduct();
@@ -35,6 +37,7 @@ export default function ProductDetail() {
       const { data } = await API.get(`/products/${slug}`);
       const prod = data.product || data;
       setProduct(prod);
+      setSelectedOptions({});
       // Load reviews
       if (prod._id) {
         try {
@@ -62,30 +65,67 @@ export default function ProductDetail() {
     setLoadingMore(false);
   };
 
+  const hasCustomizationValue = (val) => (Array.isArray(val) ? val.length > 0 : !!(val && String(val).trim()));
+
   const getCustomizationExtraPrice = () => {
     if (!product?.isCustomizable || !product.customizationOptions) return 0;
-    return product.customizationOptions.reduce((sum, opt, idx) => {
-      const val = customizations[idx];
-      if (val && opt.extraPrice && (typeof val === 'string' ? val.length > 0 : (val.length > 0))) {
-        return sum + opt.extraPrice;
-      }
-      return sum;
-    }, 0);
+    return product.customizationOptions.reduce((sum, opt, idx) => (
+      opt.extraPrice && hasCustomizationValue(customizations[idx]) ? sum + opt.extraPrice : sum
+    ), 0);
+  };
+
+  const toggleCustomizationChoice = (idx, choice, max) => {
+    setCustomizations(prev => {
+      const current = prev[idx] || [];
+      if (current.includes(choice)) return { ...prev, [idx]: current.filter(c => c !== choice) };
+      if (max && current.length >= max) { toast.error(`Choose at most ${max}`); return prev; }
+      return { ...prev, [idx]: [...current, choice] };
+    });
+  };
+
+  // The active variant matching every chosen option (null until all are chosen)
+  const selectedVariant = () => {
+    if (!product?.variants?.length) return null;
+    return product.variants.find(v => v.isActive !== false && product.variantOptions.every(o => v.options?.[o.name] === selectedOptions[o.name])) || null;
+  };
+
+  // Whether some in-stock variant has this value alongside the other options chosen so far
+  const isOptionAvailable = (name, value) => product.variants.some(v => v.isActive !== false && v.stock > 0 && product.variantOptions.every(o => (
+    o.name === name ? v.options?.[o.name] === value : !selectedOptions[o.name] || v.options?.[o.name] === selectedOptions[o.name]
+  )));
+
+  const chooseOption = (name, value) => {
+    setSelectedOptions(prev => ({ ...prev, [name]: prev[name] === value ? undefined : value }));
+    setQty(1);
   };
 
   const handleAdd = () => {
     if (!product) return;
-    // Validate required customizations
+    const variant = selectedVariant();
+    if (product.variants?.length && !variant) {
+      return toast.error(`Choose ${product.variantOptions.map(o => o.name).join(' and ')}`);
+    }
+    // Validate customizations (the server checks them again at checkout)
     if (product.isCustomizable && product.customizationOptions) {
       for (let i = 0; i < product.customizationOptions.length; i++) {
         const opt = product.customizationOptions[i];
         const val = customizations[i];
-        if (opt.required) {
-          if (opt.type === 'image') {
-            if (!val || !val.length) return toast.error(`"${opt.label}" is required`);
-          } else {
-            if (!val || !val.trim()) return toast.error(`"${opt.label}" is required`);
-          }
+        if (!hasCustomizationValue(val)) {
+          if (opt.required) return toast.error(`"${opt.label}" is required`);
+          continue;
+        }
+        if (opt.type === 'multi_select' && opt.minSelections && val.length < opt.minSelections) {
+          return toast.error(`Choose at least ${opt.minSelections} for "${opt.label}"`);
+        }
+        if (opt.type === 'number') {
+          const n = Number(val);
+          if (!Number.isFinite(n)) return toast.error(`"${opt.label}" must be a number`);
+          if (opt.minValue != null && n < opt.minValue) return toast.error(`"${opt.label}" must be at least ${opt.minValue}`);
+          if (opt.maxValue != null && n > opt.maxValue) return toast.error(`"${opt.label}" must be at most ${opt.maxValue}`);
+        }
+        if (opt.type === 'date') {
+          if (opt.minDate && val < opt.minDate) return toast.error(`"${opt.label}" must be on or after ${opt.minDate}`);
+          if (opt.maxDate && val > opt.maxDate) return toast.error(`"${opt.label}" must be on or before ${opt.maxDate}`);
         }
       }
     }
@@ -95,20 +135,23 @@ export default function ProductDetail() {
     if (product.isCustomizable && product.customizationOptions) {
       product.customizationOptions.forEach((opt, idx) => {
         const val = customizations[idx];
-        if (val && ((typeof val === 'string' && val.trim()) || (Array.isArray(val) && val.length))) {
-          custData.push({ label: opt.label, value: typeof val === 'string' ? val : '', imageUrls: Array.isArray(val) ? val : [] });
-        }
+        if (!hasCustomizationValue(val)) return;
+        if (opt.type === 'image') custData.push({ label: opt.label, value: '', imageUrls: val });
+        else if (opt.type === 'multi_select') custData.push({ label: opt.label, value: val.join(', '), values: val });
+        else custData.push({ label: opt.label, value: String(val).trim(), imageUrls: [] });
       });
     }
 
     addItem({
       productId: product._id,
+      variantId: variant?._id,
+      variantLabel: variant ? product.variantOptions.map(o => variant.options?.[o.name]).filter(Boolean).join(' / ') : '',
       title: product.title,
-      price: product.price + getCustomizationExtraPrice(),
-      image: product.images?.[0]?.url,
+      price: (variant ? variant.price : product.price) + getCustomizationExtraPrice(),
+      image: variant?.images?.[0]?.url || product.images?.[0]?.url,
       sellerId: product.sellerId?._id || product.sellerId,
       sellerName: product.sellerId?.sellerProfile?.businessName || 'Creator',
-      stock: product.stock,
+      stock: variant ? variant.stock : product.stock,
       slug: product.slug,
       quantity: qty,
       customizations: custData.length > 0 ? custData : undefined
@@ -119,8 +162,8 @@ export default function ProductDetail() {
   if (!product) return <div className="max-w-7xl mx-auto px-4 py-20 text-center text-theme-muted">Product not found.</div>;
 
   // Build unified media array from images + media (which contains videos)
-  const imageItems = (product.images || []).map(img => ({ type: 'image', url: img.url, thumbnailUrl: img.url, publicId: img.publicId }));
-  const mediaItems = (product.media || []).map(m => ({ type: m.type || 'image', url: m.url, thumbnailUrl: m.thumbnailUrl || m.url, publicId: m.publicId }));
+  const imageItems = (product.images || []).map(img => ({ type: 'image', url: img.url, thumbnailUrl: thumbnailUrl(img), publicId: img.publicId, alt: img.alt, variants: img.variants }));
+  const mediaItems = (product.media || []).map(m => ({ type: m.type || 'image', url: m.url, thumbnailUrl: m.type === 'video' ? m.thumbnailUrl || m.url : thumbnailUrl(m), publicId: m.publicId, alt: m.alt, variants: m.variants }));
   // Deduplicate by URL (images may appear in both arrays)
   const seenUrls = new Set();
   const allMedia = [];
@@ -133,6 +176,11 @@ export default function ProductDetail() {
   // Fallback: if no media at all, use images array
   const media = allMedia.length > 0 ? allMedia : imageItems;
   const seller = product.sellerId;
+  const hasVariants = product.variants?.length > 0;
+  const variant = selectedVariant();
+  const price = variant ? variant.price : product.price;
+  const comparePrice = variant ? variant.comparePrice : product.comparePrice;
+  const stock = variant ? variant.stock : product.stock;
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 py-8">
@@ -140,6 +188,9 @@ export default function ProductDetail() {
         title={product.title}
         description={product.description?.slice(0, 160)}
         image={media[0]?.type === 'image' ? media[0]?.url : media[0]?.thumbnailUrl}
+        imageAlt={media[0]?.alt || product.title}
+        imageSrcSet={media[0]?.type === 'image' ? variantSrcSet(media[0], 'webp') : ''}
+        imageSizes="(min-width: 1024px) 50vw, 100vw"
         type="product"
         keywords={`${product.title}, ${product.category || 'gifts'}, buy online, Giftsity`}
       />
@@ -191,7 +242,13 @@ export default function ProductDetail() {
                   className="w-full h-full object-contain"
                 />
               ) : (
-                <img src={media[imgIdx]?.url} alt={product.title} loading="lazy" className="w-full h-full object-contain" />
+                <ResponsiveImage
+                  key={media[imgIdx].url}
+                  image={media[imgIdx]}
+                  alt={media[imgIdx].alt || product.title}
+                  sizes="(min-width: 1024px) 50vw, 100vw"
+                  className="w-full h-full object-contain"
+                />
               )
             ) : (
               <div className="w-full h-full flex items-center justify-center text-theme-dim"><ShoppingBag className="w-16 h-16" /></div>
@@ -208,7 +265,7 @@ export default function ProductDetail() {
             <div className="flex gap-2 overflow-x-auto pb-1">
               {media.map((item, i) => (
                 <button key={i} onClick={() => setImgIdx(i)} className={`relative w-16 h-16 rounded-lg overflow-hidden border-2 shrink-0 transition-colors ${i === imgIdx ? 'border-amber-500' : 'border-edge/50 hover:border-edge-strong'}`}>
-                  <img src={item.thumbnailUrl || item.url} alt="" className="w-full h-full object-cover" />
+                  <img src={item.thumbnailUrl || item.url} alt={item.alt || ''} className="w-full h-full object-cover" />
                   {item.type === 'video' && (
                     <div className="absolute inset-0 flex items-center justify-center bg-black/30">
                       <Play className="w-4 h-4 text-white fill-white" />
@@ -236,12 +293,46 @@ export default function ProductDetail() {
             </div>
           )}
 
-          <p className="text-3xl font-bold text-theme-primary mb-6">Rs. {product.price?.toLocaleString('en-IN')}</p>
+          <div className="mb-6">
+            <div className="flex items-baseline gap-3">
+              <p className="text-3xl font-bold text-theme-primary">{hasVariants && !variant && <span className="text-base font-medium text-theme-muted mr-1">From</span>}Rs. {price?.toLocaleString('en-IN')}</p>
+              {comparePrice > price && (
+                <p className="text-lg text-theme-dim line-through">Rs. {comparePrice.toLocaleString('en-IN')}</p>
+              )}
+            </div>
+            {product.onSale && product.saleEndsAt && (
+              <p className="text-xs text-green-400 mt-1">Sale ends {new Date(product.saleEndsAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}</p>
+            )}
+          </div>
 
           <div className="prose prose-sm text-theme-secondary mb-6 max-w-none" style={{ whiteSpace: 'pre-line' }}>
             {product.description}
           </div>
 
+          {/* Variant picker */}
+          {hasVariants && (
+            <div className="mb-6 space-y-4">
+              {product.variantOptions.map(opt => (
+                <div key={opt.name}>
+                  <p className="text-xs font-medium text-theme-muted mb-2">
+                    {opt.name}{selectedOptions[opt.name] && <span className="text-theme-primary">: {selectedOptions[opt.name]}</span>}
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {opt.values.map(value => {
+                      const selected = selectedOptions[opt.name] === value;
+                      return (
+                        <button key={value} type="button" onClick={() => chooseOption(opt.name, value)} disabled={!selected && !isOptionAvailable(opt.name, value)}
+                          className={`px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors disabled:opacity-40 disabled:line-through ${selected ? 'border-amber-500 bg-amber-500/10 text-amber-400' : 'border-edge bg-inset text-theme-secondary hover:text-theme-primary'}`}>
+                          {value}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Customization Options */}
           {product.isCustomizable && product.customizationOptions?.length > 0 && (
             <div className="mb-6 bg-card border border-edge/50 rounded-xl p-4 space-y-4">
@@ -274,6 +365,74 @@ export default function ProductDetail() {
                       {(opt.selectOptions || []).map((o, oi) => <option key={oi} value={o}>{o}</option>)}
                     </select>
                   )}
+                  {opt.type === 'font' && (
+                    <>
+                      <select
+                        value={customizations[idx] || ''}
+                        onChange={e => setCustomizations(prev => ({ ...prev, [idx]: e.target.value }))}
+                        className="w-full px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary focus:outline-none focus:border-amber-500/50"
+                      >
+                        <option value="">Select {opt.label}</option>
+                        {(opt.selectOptions || []).map((o, oi) => <option key={oi} value={o} style={{ fontFamily: o }}>{o}</option>)}
+                      </select>
+                      {customizations[idx] && (
+                        <p className="mt-1 text-lg text-theme-primary" style={{ fontFamily: customizations[idx] }}>{opt.placeholder || 'The quick brown fox'}</p>
+                      )}
+                    </>
+                  )}
+                  {opt.type === 'multi_select' && (
+                    <div>
+                      <div className="flex flex-wrap gap-2">
+                        {(opt.selectOptions || []).map((o, oi) => {
+                          const selected = (customizations[idx] || []).includes(o);
+                          return (
+                            <button key={oi} type="button" onClick={() => toggleCustomizationChoice(idx, o, opt.maxSelections)} aria-pressed={selected}
+                              className={`px-3 py-1 rounded-full border text-xs transition-colors ${selected ? 'border-amber-500 bg-amber-500/10 text-amber-400' : 'border-edge text-theme-muted hover:border-amber-500/50'}`}>
+                              {o}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      {(opt.minSelections > 0 || opt.maxSelections > 0) && (
+                        <p className="text-[10px] text-theme-dim mt-1">
+                          {opt.minSelections > 0 && opt.maxSelections > 0 ? `Choose ${opt.minSelections}-${opt.maxSelections}` : opt.maxSelections > 0 ? `Choose up to ${opt.maxSelections}` : `Choose at least ${opt.minSelections}`}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  {opt.type === 'color' && (
+                    <div className="flex flex-wrap gap-2">
+                      {(opt.swatches || []).map((sw, si) => (
+                        <button key={si} type="button" title={sw.name} aria-label={sw.name} aria-pressed={customizations[idx] === sw.name}
+                          onClick={() => setCustomizations(prev => ({ ...prev, [idx]: prev[idx] === sw.name ? '' : sw.name }))}
+                          className={`w-8 h-8 rounded-full border-2 transition-transform ${customizations[idx] === sw.name ? 'border-amber-500 scale-110' : 'border-edge'}`}
+                          style={{ backgroundColor: sw.hex }} />
+                      ))}
+                      {customizations[idx] && <span className="text-xs text-theme-muted self-center">{customizations[idx]}</span>}
+                    </div>
+                  )}
+                  {opt.type === 'number' && (
+                    <input
+                      type="number"
+                      placeholder={opt.placeholder || `Enter ${opt.label}`}
+                      min={opt.minValue ?? undefined}
+                      max={opt.maxValue ?? undefined}
+                      step={opt.step || 'any'}
+                      value={customizations[idx] || ''}
+                      onChange={e => setCustomizations(prev => ({ ...prev, [idx]: e.target.value }))}
+                      className="w-full px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary focus:outline-none focus:border-amber-500/50"
+                    />
+                  )}
+                  {opt.type === 'date' && (
+                    <input
+                      type="date"
+                      min={opt.minDate || undefined}
+                      max={opt.maxDate || undefined}
+                      value={customizations[idx] || ''}
+                      onChange={e => setCustomizations(prev => ({ ...prev, [idx]: e.target.value }))}
+                      className="w-full px-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary focus:outline-none focus:border-amber-500/50"
+                    />
+                  )}
                   {opt.type === 'image' && (
                     <div>
                       <div className="flex flex-wrap gap-2 mb-2">
@@ -312,16 +471,30 @@ export default function ProductDetail() {
             </div>
           )}
 
-          {product.stock > 0 ? (
+          {product.sellerAway && (
+            <div className="flex items-start gap-2 p-3 mb-4 bg-amber-500/10 border border-amber-500/20 rounded-xl text-sm text-amber-400">
+              <Plane className="w-4 h-4 shrink-0 mt-0.5" />
+              <div>
+                <p className="font-medium">
+                  {product.sellerAway.acceptingOrders
+                    ? `The creator is on vacation. Orders ship after ${new Date(product.sellerAway.shipsAfter).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}.`
+                    : `The creator is on vacation until ${new Date(product.sellerAway.backOn).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })} and isn't taking orders.`}
+                </p>
+                {product.sellerAway.message && <p className="text-xs text-theme-muted mt-0.5">{product.sellerAway.message}</p>}
+              </div>
+            </div>
+          )}
+
+          {product.sellerAway && !product.sellerAway.acceptingOrders ? null : stock > 0 ? (
             <div className="space-y-4">
               <div className="flex items-center gap-4">
                 <span className="text-sm text-theme-muted">Quantity:</span>
                 <div className="flex items-center gap-2">
                   <button onClick={() => setQty(q => Math.max(1, q - 1))} aria-label="Decrease quantity" className="w-8 h-8 flex items-center justify-center bg-inset rounded-lg text-theme-secondary hover:text-theme-primary"><Minus className="w-3 h-3" /></button>
                   <span className="w-10 text-center text-sm font-medium text-theme-primary">{qty}</span>
-                  <button onClick={() => setQty(q => Math.min(product.stock, q + 1))} disabled={qty >= product.stock} aria-label="Increase quantity" className="w-8 h-8 flex items-center justify-center bg-inset rounded-lg text-theme-secondary hover:text-theme-primary disabled:opacity-40"><Plus className="w-3 h-3" /></button>
+                  <button onClick={() => setQty(q => Math.min(stock, q + 1))} disabled={qty >= stock} aria-label="Increase quantity" className="w-8 h-8 flex items-center justify-center bg-inset rounded-lg text-theme-secondary hover:text-theme-primary disabled:opacity-40"><Plus className="w-3 h-3" /></button>
                 </div>
-                <span className="text-xs text-theme-dim">{product.stock} in stock</span>
+                {(variant || !hasVariants) && <span className="text-xs text-theme-dim">{stock} in stock</span>}
               </div>
               <button onClick={handleAdd} className="w-full py-3 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-xl font-semibold flex items-center justify-center gap-2 transition-colors">
                 <ShoppingBag className="w-4 h-4" /> Add to Cart
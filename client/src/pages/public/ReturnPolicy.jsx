@@ -85,7 +85,7 @@ export default function ReturnPolicy() {
 
         <section>
           <h2 className="text-lg font-semibold text-theme-primary mb-2">9. Auto-Cancellation</h2>
-          <p>If a creator fails to ship your order within 72 hours of order confirmation, the order will be <strong>automatically cancelled</strong> and a full refund will be initiated to your original payment method.</p>
+          <p>If a creator fails to ship your order by its ship-by date (the creator's handling time, shown at checkout), the order will be <strong>automatically cancelled</strong> and a full refund will be initiated to your original payment method.</p>
         </section>
 
         <section>
@@ -1,8 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { MapPin, Star, CheckCircle, Package, Truck, XCircle, Calendar, ShoppingCart, Play, Store, Grid3X3, Instagram, SlidersHorizontal, ArrowUpDown } from 'lucide-react';
+import { MapPin, Star, CheckCircle, Package, Truck, XCircle, Calendar, ShoppingCart, Play, Store, Grid3X3, Instagram, SlidersHorizontal, ArrowUpDown, Plane } from 'lucide-react';
 import { storeAPI } from '../../api';
-import { useCart, needsCustomization } from '../../context/CartContext';
+import { useCart, needsCustomization, hasVariants } from '../../context/CartContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import SEO from '../../components/SEO';
 import toast from 'react-hot-toast';
@@ -135,6 +135,21 @@ export default function SellerStore() {
           </div>
         </div>
 
+        {/* Vacation notice */}
+        {store.away && (
+          <div className="flex items-start gap-2 p-3 mb-6 bg-amber-500/10 border border-amber-500/20 rounded-xl text-sm text-amber-400">
+            <Plane className="w-4 h-4 shrink-0 mt-0.5" />
+            <div>
+              <p className="font-medium">
+                {store.away.acceptingOrders
+                  ? `On vacation. Orders placed now ship after ${new Date(store.away.shipsAfter).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}.`
+                  : `On vacation until ${new Date(store.away.backOn).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}. The store will reopen then.`}
+              </p>
+              {store.away.message && <p className="text-xs text-theme-muted mt-0.5">{store.away.message}</p>}
+            </div>
+          </div>
+        )}
+
         {/* Stats Bar */}
         <div className="grid grid-cols-4 gap-2 mb-6">
           {stats.map(s => (
@@ -260,6 +275,11 @@ export default function SellerStore() {
                           onClick={(e) => {
                             e.preventDefault();
                             e.stopPropagation();
+                            if (hasVariants(p)) {
+                              toast('Choose an option — redirecting to product page', { icon: '👉' });
+                              navigate(`/product/${p.slug || p._id}`);
+                              return;
+                            }
                             if (needsCustomization(p)) {
                               toast('Customization required — redirecting to product page', { icon: '✏️' });
                               navigate(`/product/${p.slug || p._id}`);
@@ -29,7 +29,7 @@ export default function ShippingPolicy() {
             <li><strong>Tier 2 cities</strong>: 5-7 business days</li>
             <li><strong>Remote / rural areas</strong>: 7-10 business days</li>
           </ul>
-          <p className="mt-2">These are estimates and may vary depending on the creator's location, courier availability, and unforeseen circumstances (weather, holidays, etc.). Creators are required to ship orders within 48-72 hours of order confirmation.</p>
+          <p className="mt-2">These are estimates and may vary depending on the creator's location, courier availability, and unforeseen circumstances (weather, holidays, etc.). Each creator sets a handling time (usually 1-3 days) that is included in the delivery estimate at checkout, and must ship within it. Creators on vacation may ship after they return; their products show the date.</p>
         </section>
 
         <section>
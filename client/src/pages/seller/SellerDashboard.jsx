@@ -1,15 +1,46 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { DollarSign, ShoppingCart, Package, TrendingUp, ArrowRight, Clock, AlertTriangle, Wallet, CalendarDays, Truck, CreditCard } from 'lucide-react';
+import { DollarSign, ShoppingCart, Package, TrendingUp, ArrowRight, Clock, AlertTriangle, Wallet, CalendarDays, Truck, CreditCard, Activity, ShieldCheck } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { SellerAPI } from '../../api';
+import { SellerAPI, sellerAPI } from '../../api';
+
+// higherIsBetter decides whether a rise is shown green or red
+const HEALTH_METRICS = [
+  { key: 'healthScore', label: 'Health Score', unit: '/100', higherIsBetter: true },
+  { key: 'fulfillmentRate', label: 'Fulfillment', unit: '%', higherIsBetter: true },
+  { key: 'cancelRate', label: 'Cancel Rate', unit: '%', higherIsBetter: false },
+  { key: 'lateShipmentRate', label: 'Late Shipments', unit: '%', higherIsBetter: false },
+  { key: 'avgShipTimeHours', label: 'Avg Ship Time', unit: 'h', higherIsBetter: false },
+];
+
+const BREAKDOWN_SECTIONS = [
+  { key: 'fulfillment', title: 'Not shipped', detail: o => `${o.reason} · ${o.hoursOverdue}h past ship-by` },
+  { key: 'cancellations', title: 'Cancelled by you', detail: o => o.cancelReason },
+  { key: 'late', title: 'Shipped late', detail: o => `${o.hoursLate}h after ship-by` },
+  { key: 'slow', title: 'Slow to ship', detail: o => `Shipped in ${o.shipTimeHours}h` },
+];
+
+function Sparkline({ points }) {
+  if (points.length < 2) return <div className="h-8" />;
+  const values = points.map(p => p.value);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const coords = values.map((v, i) => `${(i / (values.length - 1)) * 100},${30 - ((v - min) / range) * 28 - 1}`).join(' ');
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8 text-amber-400">
+      <polyline points={coords} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
 
 export default function SellerDashboard() {
   const { user } = useAuth();
   const [stats, setStats] = useState(null);
   const [dashData, setDashData] = useState({});
   const [recentOrders, setRecentOrders] = useState([]);
+  const [lowStock, setLowStock] = useState([]);
+  const [health, setHealth] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => { loadDashboard(); }, []);
@@ -20,6 +51,11 @@ export default function SellerDashboard() {
       setStats(data.stats || data);
       setDashData(data);
       setRecentOrders(data.recentOrders || []);
+      sellerAPI.getHealthHistory().then(({ data: h }) => setHealth(h)).catch(() => {});
+      if (data.stats?.lowStockCount > 0) {
+        const { data: low } = await sellerAPI.getLowStockProducts();
+        setLowStock(low.products || []);
+      }
     } catch (e) { console.error(e); }
     setLoading(false);
   };
@@ -162,6 +198,103 @@ export default function SellerDashboard() {
         </div>
       )}
 
+      {/* Rolling reserve */}
+      {dashData.reserve && (dashData.reserve.balance > 0 || dashData.reserve.rule) && (
+        <div className="bg-card border border-edge/50 rounded-xl p-5 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold text-theme-primary flex items-center gap-2"><ShieldCheck className="w-4 h-4 text-amber-400" /> Rolling Reserve</h3>
+            <p className="text-lg font-bold text-amber-400">Rs. {(dashData.reserve.balance || 0).toLocaleString('en-IN')}</p>
+          </div>
+          {dashData.reserve.rule && (
+            <p className="text-xs text-theme-muted mb-3">
+              {dashData.reserve.rule.percent}% of each payout is held for {dashData.reserve.rule.holdDays} days: {dashData.reserve.rule.reason}.
+            </p>
+          )}
+          {dashData.reserve.releases.length > 0 ? (
+            <div className="space-y-1.5">
+              {dashData.reserve.releases.map((r, i) => (
+                <div key={i} className="flex items-center justify-between text-sm bg-inset rounded-lg px-3 py-2">
+                  <span className="text-theme-muted">Released on {new Date(r.releaseAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</span>
+                  <span className="font-medium text-theme-primary">Rs. {r.amount.toLocaleString('en-IN')}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-theme-dim">Nothing held yet. Released reserves are added to your next payout.</p>
+          )}
+        </div>
+      )}
+
+      {/* Account health trend */}
+      {health && health.current.lastCalculatedAt && (
+        <div className="bg-card border border-edge/50 rounded-xl p-5 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold text-theme-primary flex items-center gap-2"><Activity className="w-4 h-4 text-amber-400" /> Account Health</h3>
+            <p className="text-xs text-theme-dim">Last {health.days} days &middot; metrics cover orders from the last {health.policy.metricsLookbackDays} days</p>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-5">
+            {HEALTH_METRICS.map(m => {
+              const points = health.series[m.key] || [];
+              const current = health.current[m.key];
+              const change = points.length > 1 ? Math.round((points[points.length - 1].value - points[0].value) * 10) / 10 : 0;
+              const improving = m.higherIsBetter ? change > 0 : change < 0;
+              return (
+                <div key={m.key} className="bg-inset rounded-lg p-3">
+                  <p className="text-xs text-theme-muted">{m.label}</p>
+                  <p className="text-lg font-bold text-theme-primary">{current ?? '--'}{current != null && <span className="text-xs font-normal text-theme-dim">{m.unit}</span>}</p>
+                  <Sparkline points={points} />
+                  {change !== 0 && (
+                    <p className={`text-[11px] ${improving ? 'text-green-400' : 'text-red-400'}`}>{change > 0 ? '+' : ''}{change}{m.unit === '/100' ? '' : m.unit} since {new Date(points[0].date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {BREAKDOWN_SECTIONS.some(b => health.breakdown[b.key].length > 0) ? (
+            <div className="grid md:grid-cols-2 gap-4">
+              {BREAKDOWN_SECTIONS.filter(b => health.breakdown[b.key].length > 0).map(b => (
+                <div key={b.key}>
+                  <p className="text-sm font-medium text-theme-secondary mb-2">{b.title} <span className="text-theme-dim">({health.breakdown[b.key].length})</span></p>
+                  <div className="space-y-1 max-h-40 overflow-y-auto">
+                    {health.breakdown[b.key].map(o => (
+                      <div key={o._id} className="flex items-center justify-between gap-3 text-xs py-1 border-b border-edge/30 last:border-0">
+                        <span className="font-medium text-theme-primary shrink-0">{o.orderNumber}</span>
+                        <span className="text-theme-muted truncate">{b.detail(o)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-theme-muted">No orders are pulling your metrics down. Keep it up!</p>
+          )}
+        </div>
+      )}
+
+      {/* Low stock */}
+      {lowStock.length > 0 && (
+        <div className="bg-card border border-edge/50 rounded-xl p-5 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold text-theme-primary flex items-center gap-2"><AlertTriangle className="w-4 h-4 text-amber-400" /> Low Stock</h3>
+            <Link to="/seller/products" className="text-sm text-amber-400 hover:text-amber-300 flex items-center gap-1">Manage Products <ArrowRight className="w-3 h-3" /></Link>
+          </div>
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {lowStock.flatMap(p => p.items.map(item => (
+              <div key={`${p._id}-${item.variantId || ''}`} className="flex items-center justify-between py-2 border-b border-edge/30 last:border-0">
+                <div className="flex items-center gap-3 min-w-0">
+                  {p.image && <img src={p.image} alt="" className="w-8 h-8 rounded object-cover shrink-0" />}
+                  <p className="text-sm text-theme-primary truncate">{p.title}{item.variantLabel ? ` (${item.variantLabel})` : ''}{!p.isActive && <span className="text-xs text-theme-dim"> &middot; inactive</span>}</p>
+                </div>
+                <span className={`text-xs font-medium shrink-0 ${item.stock === 0 ? 'text-red-400' : 'text-amber-400'}`}>
+                  {item.stock === 0 ? 'Out of stock' : `${item.stock} left`} <span className="text-theme-dim">/ alert at {item.threshold}</span>
+                </span>
+              </div>
+            )))}
+          </div>
+        </div>
+      )}
+
       {/* Recent orders */}
       <div className="bg-card border border-edge/50 rounded-xl p-5">
         <div className="flex items-center justify-between mb-4">
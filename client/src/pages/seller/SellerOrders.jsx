@@ -1,40 +1,84 @@
 import { useState, useEffect } from 'react';
-import { Package, Truck, CheckCircle, Clock, XCircle, Loader, ChevronDown, ChevronUp, MapPin, ExternalLink } from 'lucide-react';
+import { Package, Truck, CheckCircle, Clock, XCircle, Loader, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, MapPin, ExternalLink, Search, Download, Gift, CalendarDays } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { SellerAPI } from '../../api';
+import { SellerAPI, sellerAPI, shippingAPI } from '../../api';
 
 const statusConfig = {
   pending: { color: 'text-yellow-400 bg-yellow-400/10', icon: Clock },
   confirmed: { color: 'text-blue-400 bg-blue-400/10', icon: Package },
   processing: { color: 'text-indigo-400 bg-indigo-400/10', icon: Package },
+  partially_shipped: { color: 'text-purple-400 bg-purple-400/10', icon: Truck },
   shipped: { color: 'text-purple-400 bg-purple-400/10', icon: Truck },
+  partially_delivered: { color: 'text-green-400 bg-green-400/10', icon: Truck },
   delivered: { color: 'text-green-400 bg-green-400/10', icon: CheckCircle },
   cancelled: { color: 'text-red-400 bg-red-400/10', icon: XCircle },
 };
 
+const PAGE_SIZE = 20;
+const EMPTY_FILTERS = { q: '', paymentStatus: '', returnStatus: '', from: '', to: '', sort: 'newest' };
+
+// Packages that no longer carry their items (they can be shipped again)
+const isActivePackage = (pkg) => !['cancelled', 'rto'].includes(pkg.status);
+
+// Units of each order item in active packages; packages without items carry the whole order
+const packedUnits = (order, packages) => {
+  const packed = {};
+  for (const pkg of packages.filter(isActivePackage)) {
+    const items = pkg.items?.length ? pkg.items : (order.items || []).map(i => ({ itemId: i._id, quantity: i.quantity || 1 }));
+    for (const i of items) packed[i.itemId] = (packed[i.itemId] || 0) + i.quantity;
+  }
+  return packed;
+};
+
+const remainingUnits = (order, packages) => {
+  const packed = packedUnits(order, packages);
+  return Object.fromEntries((order.items || []).map(i => [i._id, Math.max(0, (i.quantity || 1) - (packed[i._id] || 0))]));
+};
+
 export default function SellerOrders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // applied search/filter params
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [exporting, setExporting] = useState(null);
+  // Bulk shipping
+  const [selected, setSelected] = useState({}); // orderId -> true
+  const [bulkPolicy, setBulkPolicy] = useState('cheapest');
+  const [bulkShipping, setBulkShipping] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
   const [updating, setUpdating] = useState(null);
   const [expandedOrder, setExpandedOrder] = useState(null);
   // Shipping state
   const [couriers, setCouriers] = useState([]);
   const [courierLoading, setCourierLoading] = useState(false);
-  const [shipmentInfo, setShipmentInfo] = useState({});
-  const [trackingData, setTrackingData] = useState({});
+  const [shipmentInfo, setShipmentInfo] = useState({}); // orderId -> packages, oldest first
+  const [shipQty, setShipQty] = useState({}); // itemId -> units to put in the next package
+  const [cancelling, setCancelling] = useState(null); // { orderId, qty: { itemId -> units }, reason }
+
+  useEffect(() => { loadOrders(); }, [filter, filters, page]);
 
-  useEffect(() => { loadOrders(); }, []);
+  // Only non-empty params are sent; the status tab is one more filter
+  const queryParams = () => Object.fromEntries(
+    Object.entries({ ...filters, status: filter === 'all' ? '' : filter }).filter(([, v]) => v !== '')
+  );
 
   const loadOrders = async () => {
     try {
-      const { data } = await SellerAPI.get('/orders');
+      const { data } = await sellerAPI.getOrders({ ...queryParams(), page, limit: PAGE_SIZE });
       const orderList = Array.isArray(data) ? data : data.orders || [];
       setOrders(orderList);
+      setTotal(data.total ?? orderList.length);
+      setPages(data.pages || 1);
+      setStatusCounts(data.statusCounts || {});
       setCouriers([]);
 
-      const shippableStatuses = ['confirmed', 'processing', 'shipped', 'delivered'];
+      const shippableStatuses = ['confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
       const shippableOrders = orderList.filter(o => shippableStatuses.includes(o.status));
       if (shippableOrders.length > 0) {
         try {
@@ -44,10 +88,63 @@ export default function SellerOrders() {
           if (batchData.shipments) setShipmentInfo(batchData.shipments);
         } catch { /* no shipments yet */ }
       }
-    } catch (e) { console.error(e); }
+    } catch (e) { toast.error(e.response?.data?.message || 'Failed to load orders'); }
     setLoading(false);
   };
 
+  const selectedIds = Object.keys(selected).filter(id => selected[id]);
+
+  const shipSelected = async () => {
+    setBulkShipping(true);
+    try {
+      const { data } = await shippingAPI.bulkShip(selectedIds, bulkPolicy);
+      setBulkResult(data);
+      setSelected({});
+      if (data.summary.succeeded > 0) toast.success(`${data.summary.succeeded} of ${data.summary.total} orders shipped`);
+      else toast.error('No orders could be shipped');
+      (data.warnings || []).forEach(w => toast.error(w));
+      await loadOrders();
+    } catch (err) { toast.error(err.response?.data?.message || 'Bulk shipping failed'); }
+    setBulkShipping(false);
+  };
+
+  const applyFilters = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  // Download a blob response (exports, packing slips, pick lists) under `filename`
+  const download = async (request, filename, fallbackError) => {
+    try {
+      const response = await request();
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      // Error bodies arrive as a Blob because of responseType
+      let message = null;
+      try { message = JSON.parse(await err.response.data.text()).message; } catch { /* not a JSON error */ }
+      toast.error(message || fallbackError);
+    }
+  };
+
+  const exportOrders = async (format) => {
+    setExporting(format);
+    await download(() => sellerAPI.exportOrders({ ...queryParams(), format }), `orders-${new Date().toISOString().split('T')[0]}.${format}`, 'Failed to export orders');
+    setExporting(null);
+  };
+
+  const printSelected = async (kind) => {
+    setExporting(kind);
+    const date = new Date().toISOString().split('T')[0];
+    if (kind === 'pick-list') await download(() => sellerAPI.getPickList(selectedIds), `pick-list-${date}.pdf`, 'Failed to generate pick list');
+    else await download(() => sellerAPI.getPackingSlips(selectedIds), `packing-slips-${date}.pdf`, 'Failed to generate packing slips');
+    setExporting(null);
+  };
+
   const updateStatus = async (orderId, newStatus) => {
     setUpdating(orderId);
     try {
@@ -58,35 +155,45 @@ export default function SellerOrders() {
     setUpdating(null);
   };
 
-  // Shipping actions
-  const checkServiceability = async (orderId) => {
+  const cancelItems = async (order) => {
+    const items = (order.items || [])
+      .filter(i => (cancelling.qty[i._id] || 0) > 0)
+      .map(i => ({ itemId: i._id, quantity: cancelling.qty[i._id] }));
+    if (!items.length) return toast.error('Select at least one unit to cancel');
+    setUpdating(order._id);
+    try {
+      const { data } = await SellerAPI.post(`/orders/${order._id}/cancel-items`, { items, reason: cancelling.reason });
+      if (data.warning) toast.error(data.warning);
+      else toast.success(data.refundAmount > 0 ? `Items cancelled — Rs. ${data.refundAmount.toLocaleString('en-IN')} refunded` : 'Items cancelled');
+      setCancelling(null);
+      await loadOrders();
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to cancel items'); }
+    setUpdating(null);
+  };
+
+  // Shipping actions. `items` picks the units for a new package; `shipmentId` targets an existing one.
+  const selectedItems = (order) => (order.items || [])
+    .filter(i => (shipQty[i._id] || 0) > 0)
+    .map(i => ({ itemId: i._id, quantity: shipQty[i._id] }));
+
+  const checkServiceability = async (orderId, { items, shipmentId } = {}) => {
     setCourierLoading(true);
     setCouriers([]);
     try {
-      const { data } = await SellerAPI.post('/shipping/serviceability', { orderId });
+      const { data } = await SellerAPI.post('/shipping/serviceability', { orderId, items, shipmentId });
       setCouriers(data.couriers || []);
       if (!data.couriers?.length) toast.error('No couriers available for this route');
     } catch (err) { toast.error(err.response?.data?.message || 'Failed to check serviceability'); }
     setCourierLoading(false);
   };
 
-  const createShipment = async (orderId) => {
+  const createShipmentWithCourier = async (orderId, courierId, courierRate, items) => {
     setUpdating(orderId);
     try {
-      await SellerAPI.post(`/shipping/${orderId}/create`);
-      toast.success('Shipment created on Shiprocket!');
-      await loadOrders();
-    } catch (err) { toast.error(err.response?.data?.message || 'Failed to create shipment'); }
-    setUpdating(null);
-  };
-
-  const createShipmentWithCourier = async (orderId, courierId, courierRate) => {
-    setUpdating(orderId);
-    try {
-      await SellerAPI.post(`/shipping/${orderId}/create`);
+      const { data: created } = await SellerAPI.post(`/shipping/${orderId}/create`, { items });
 
       try {
-        const { data: assignData } = await SellerAPI.post(`/shipping/${orderId}/assign-courier`, { courierId, courierRate });
+        const { data: assignData } = await SellerAPI.post(`/shipping/${orderId}/assign-courier`, { courierId, courierRate, shipmentId: created.shipment?._id });
         if (assignData.pickupScheduled) {
           toast.success('Shipment created, courier assigned & pickup scheduled!');
         } else {
@@ -102,10 +209,10 @@ export default function SellerOrders() {
     setUpdating(null);
   };
 
-  const assignCourier = async (orderId, courierId, courierRate) => {
+  const assignCourier = async (orderId, courierId, courierRate, shipmentId) => {
     setUpdating(orderId);
     try {
-      const { data } = await SellerAPI.post(`/shipping/${orderId}/assign-courier`, { courierId, courierRate });
+      const { data } = await SellerAPI.post(`/shipping/${orderId}/assign-courier`, { courierId, courierRate, shipmentId });
       if (data.pickupScheduled) {
         toast.success('Courier assigned & pickup scheduled!');
       } else {
@@ -117,81 +224,200 @@ export default function SellerOrders() {
     setUpdating(null);
   };
 
-  const schedulePickup = async (orderId) => {
+  const schedulePickup = async (orderId, shipmentId) => {
     setUpdating(orderId);
     try {
-      await SellerAPI.post(`/shipping/${orderId}/pickup`);
-      toast.success('Pickup scheduled! Order marked as shipped.');
+      await SellerAPI.post(`/shipping/${orderId}/pickup`, { shipmentId });
+      toast.success('Pickup scheduled! Package marked as shipped.');
       await loadOrders();
     } catch (err) { toast.error(err.response?.data?.message || 'Failed to schedule pickup'); }
     setUpdating(null);
   };
 
-  const getTracking = async (orderId) => {
-    try {
-      const { data } = await SellerAPI.get(`/shipping/${orderId}/track`);
-      setTrackingData(prev => ({ ...prev, [orderId]: data }));
-    } catch (err) { console.error(err); }
-  };
-
-  const getLabel = async (orderId) => {
+  const getLabel = async (orderId, shipmentId) => {
     try {
-      const { data } = await SellerAPI.get(`/shipping/${orderId}/label`);
+      const { data } = await SellerAPI.get(`/shipping/${orderId}/label`, { params: { shipmentId } });
       if (data.labelUrl) window.open(data.labelUrl, '_blank');
       else toast.error('Label not available yet');
     } catch (err) { toast.error('Failed to get label'); }
   };
 
-  const toggleExpand = (orderId) => {
-    if (expandedOrder === orderId) { setExpandedOrder(null); return; }
+  const toggleExpand = (order) => {
+    if (expandedOrder === order._id) { setExpandedOrder(null); return; }
     setCouriers([]);
-    setExpandedOrder(orderId);
-    if (shipmentInfo[orderId]?.shiprocketOrderId) {
-      getTracking(orderId);
-    }
+    setExpandedOrder(order._id);
+    setShipQty(remainingUnits(order, shipmentInfo[order._id] || []));
   };
 
-  const filtered = filter === 'all' ? orders : orders.filter(o => o.status === filter);
+  const allCount = Object.values(statusCounts).reduce((sum, n) => sum + n, 0);
+  const hasFilters = Object.entries(filters).some(([k, v]) => v !== EMPTY_FILTERS[k]);
 
   if (loading) return <LoadingSpinner />;
 
   return (
     <div>
-      <h1 className="text-2xl font-bold text-theme-primary mb-6">Orders</h1>
+      <div className="flex items-center justify-between gap-3 mb-6 flex-wrap">
+        <h1 className="text-2xl font-bold text-theme-primary">Orders</h1>
+        <div className="flex gap-2">
+          {['csv', 'xlsx'].map(format => (
+            <button key={format} onClick={() => exportOrders(format)} disabled={!!exporting} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary flex items-center gap-1 disabled:opacity-50">
+              {exporting === format ? <Loader className="w-3 h-3 animate-spin" /> : <Download className="w-3 h-3" />} {format === 'csv' ? 'Export CSV' : 'Export Excel'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Search & filters */}
+      <div className="bg-card border border-edge/50 rounded-xl p-3 mb-4 space-y-2">
+        <form onSubmit={e => { e.preventDefault(); applyFilters({ q: search.trim() }); }} className="flex gap-2">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 text-theme-dim absolute left-3 top-1/2 -translate-y-1/2" />
+            <input type="text" value={search} onChange={e => setSearch(e.target.value)} maxLength={100}
+              placeholder="Order #, customer, AWB or product"
+              className="w-full pl-9 pr-3 py-2 bg-inset border border-edge rounded-lg text-sm text-theme-primary" />
+          </div>
+          <button type="submit" className="px-4 py-2 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-lg text-sm font-semibold">Search</button>
+        </form>
+        <div className="flex gap-2 flex-wrap items-center text-xs">
+          <select value={filters.paymentStatus} onChange={e => applyFilters({ paymentStatus: e.target.value })} className="px-2 py-1.5 bg-inset border border-edge rounded-lg text-theme-secondary">
+            <option value="">Any payment</option>
+            {['pending', 'paid', 'failed', 'refund_pending', 'refunded'].map(s => <option key={s} value={s}>{s.replace(/_/g, ' ')}</option>)}
+          </select>
+          <select value={filters.returnStatus} onChange={e => applyFilters({ returnStatus: e.target.value })} className="px-2 py-1.5 bg-inset border border-edge rounded-lg text-theme-secondary">
+            <option value="">Any return status</option>
+            {['none', 'requested', 'approved', 'completed', 'rejected'].map(s => <option key={s} value={s}>{s === 'none' ? 'no return' : `return ${s}`}</option>)}
+          </select>
+          <label className="flex items-center gap-1 text-theme-muted">From
+            <input type="date" value={filters.from} onChange={e => applyFilters({ from: e.target.value })} className="px-2 py-1 bg-inset border border-edge rounded-lg text-theme-secondary" />
+          </label>
+          <label className="flex items-center gap-1 text-theme-muted">To
+            <input type="date" value={filters.to} onChange={e => applyFilters({ to: e.target.value })} className="px-2 py-1 bg-inset border border-edge rounded-lg text-theme-secondary" />
+          </label>
+          <select value={filters.sort} onChange={e => applyFilters({ sort: e.target.value })} className="px-2 py-1.5 bg-inset border border-edge rounded-lg text-theme-secondary">
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="amount_desc">Amount: high to low</option>
+            <option value="amount_asc">Amount: low to high</option>
+            <option value="status">Status</option>
+            <option value="ship_due">Ship due date</option>
+          </select>
+          {hasFilters && (
+            <button onClick={() => { setSearch(''); applyFilters(EMPTY_FILTERS); }} className="text-amber-400 hover:underline">Clear filters</button>
+          )}
+        </div>
+      </div>
 
       {/* Filter tabs */}
       <div className="flex gap-2 mb-6 overflow-x-auto pb-1">
-        {['all', 'pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'].map(f => (
-          <button key={f} onClick={() => setFilter(f)} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap transition-colors ${filter === f ? 'bg-amber-500 text-zinc-950' : 'bg-inset text-theme-muted hover:text-theme-primary'}`}>
-            {f === 'all' ? `All (${orders.length})` : `${f} (${orders.filter(o => o.status === f).length})`}
+        {['all', 'pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'cancelled'].map(f => (
+          <button key={f} onClick={() => { setFilter(f); setPage(1); }} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap transition-colors ${filter === f ? 'bg-amber-500 text-zinc-950' : 'bg-inset text-theme-muted hover:text-theme-primary'}`}>
+            {f === 'all' ? `All (${allCount})` : `${f.replace(/_/g, ' ')} (${statusCounts[f] || 0})`}
           </button>
         ))}
       </div>
 
-      {filtered.length === 0 ? (
+      {/* Bulk shipping */}
+      {selectedIds.length > 0 && (
+        <div className="bg-card border border-amber-500/30 rounded-xl p-3 mb-4 flex items-center gap-3 flex-wrap text-sm">
+          <span className="text-theme-primary font-medium">{selectedIds.length} selected</span>
+          <select value={bulkPolicy} onChange={e => setBulkPolicy(e.target.value)} className="px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-secondary">
+            <option value="cheapest">Cheapest courier</option>
+            <option value="fastest">Fastest courier</option>
+            <option value="best_rated">Best-rated courier</option>
+          </select>
+          <button onClick={shipSelected} disabled={bulkShipping} className="px-4 py-1.5 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-lg text-xs font-semibold flex items-center gap-1 disabled:opacity-50">
+            {bulkShipping ? <><Loader className="w-3 h-3 animate-spin" /> Shipping...</> : <><Truck className="w-3 h-3" /> Ship Selected</>}
+          </button>
+          <button onClick={() => printSelected('packing-slips')} disabled={!!exporting} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary disabled:opacity-50">
+            {exporting === 'packing-slips' ? <Loader className="w-3 h-3 animate-spin" /> : 'Packing Slips'}
+          </button>
+          <button onClick={() => printSelected('pick-list')} disabled={!!exporting} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary disabled:opacity-50">
+            {exporting === 'pick-list' ? <Loader className="w-3 h-3 animate-spin" /> : 'Pick List'}
+          </button>
+          <button onClick={() => setSelected({})} className="text-xs text-theme-muted hover:text-theme-primary">Clear</button>
+        </div>
+      )}
+
+      {bulkResult && (
+        <div className="bg-card border border-edge/50 rounded-xl p-4 mb-4 text-sm">
+          <div className="flex items-center justify-between gap-3 mb-2 flex-wrap">
+            <p className="font-semibold text-theme-primary">Bulk shipping: {bulkResult.summary.succeeded} shipped, {bulkResult.summary.failed} failed{bulkResult.summary.succeeded > 0 && !bulkResult.pickupScheduled ? ' (pickup not scheduled)' : ''}</p>
+            <div className="flex gap-2">
+              {bulkResult.labelUrl && <a href={bulkResult.labelUrl} target="_blank" rel="noopener noreferrer" className="px-3 py-1.5 bg-amber-500/10 text-amber-400 rounded-lg text-xs font-medium flex items-center gap-1"><ExternalLink className="w-3 h-3" /> Labels</a>}
+              {bulkResult.manifestUrl && <a href={bulkResult.manifestUrl} target="_blank" rel="noopener noreferrer" className="px-3 py-1.5 bg-amber-500/10 text-amber-400 rounded-lg text-xs font-medium flex items-center gap-1"><ExternalLink className="w-3 h-3" /> Manifest</a>}
+              <button onClick={() => setBulkResult(null)} className="text-xs text-theme-muted hover:text-theme-primary">Dismiss</button>
+            </div>
+          </div>
+          <div className="space-y-1 text-xs max-h-48 overflow-y-auto">
+            {bulkResult.results.map(r => (
+              <div key={r.orderId} className="flex gap-2">
+                {r.success ? <CheckCircle className="w-3 h-3 text-green-400 mt-0.5 shrink-0" /> : <XCircle className="w-3 h-3 text-red-400 mt-0.5 shrink-0" />}
+                <span className="text-theme-secondary">{r.orderNumber || r.orderId}</span>
+                <span className="text-theme-muted">{r.success ? `${r.courierName} · AWB ${r.awbCode} · Rs. ${r.rate}` : r.error}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {orders.length === 0 ? (
         <div className="text-center py-16 bg-card border border-edge/50 rounded-xl">
           <Package className="w-12 h-12 text-theme-dim mx-auto mb-3" />
           <p className="text-theme-muted">No orders found</p>
         </div>
       ) : (
         <div className="space-y-3">
-          {filtered.map(order => {
+          {orders.map(order => {
             const st = statusConfig[order.status] || statusConfig.pending;
             const StatusIcon = st.icon;
             const isExpanded = expandedOrder === order._id;
-            const shipment = shipmentInfo[order._id];
-            const tracking = trackingData[order._id];
+            const packages = shipmentInfo[order._id] || [];
+            const activePackages = packages.filter(isActivePackage);
+            // Created on Shiprocket but no courier yet: finish this one before starting another
+            const pendingPackage = activePackages.find(p => !p.awbCode);
+            const packed = packedUnits(order, packages);
+            const remaining = remainingUnits(order, packages);
+            const canShipMore = ['confirmed', 'processing', 'partially_shipped', 'partially_delivered'].includes(order.status)
+              && Object.values(remaining).some(q => q > 0);
+            const collected = activePackages.some(p => ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'].includes(p.status));
+            // Unpacked units can be cancelled as long as at least one unit stays on the order
+            const totalUnits = (order.items || []).reduce((sum, i) => sum + (i.quantity || 1), 0);
+            const canCancelItems = ['confirmed', 'processing', 'partially_shipped', 'partially_delivered'].includes(order.status)
+              && totalUnits > 1 && Object.values(remaining).some(q => q > 0);
+            const isCancelling = cancelling?.orderId === order._id;
+            // Selected orders can be bulk shipped (the server skips any that can't) or printed
+            const selectable = !['pending', 'cancelled', 'refunded'].includes(order.status);
 
             return (
               <div key={order._id} className="bg-card border border-edge/50 rounded-xl overflow-hidden">
                 <div className="p-4">
                   <div className="flex items-start justify-between mb-3">
-                    <div>
-                      <p className="text-sm font-semibold text-theme-primary">{order.orderNumber}</p>
-                      <p className="text-xs text-theme-muted">{new Date(order.createdAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })}</p>
+                    <div className="flex items-start gap-2">
+                      {selectable && (
+                        <input type="checkbox" checked={!!selected[order._id]} onChange={e => setSelected(prev => ({ ...prev, [order._id]: e.target.checked }))}
+                          aria-label={`Select ${order.orderNumber}`} className="mt-1 accent-amber-500" />
+                      )}
+                      <div>
+                        <p className="text-sm font-semibold text-theme-primary">{order.orderNumber}</p>
+                        <p className="text-xs text-theme-muted">{new Date(order.createdAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })}</p>
+                        {order.preferredDeliveryDate && (
+                          <p className="text-xs text-sky-400 flex items-center gap-1 mt-0.5">
+                            <CalendarDays className="w-3 h-3" />
+                            Deliver on {new Date(order.preferredDeliveryDate).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })}
+                            {order.shipDueAt && ['confirmed', 'processing'].includes(order.status) && (
+                              <span className="text-theme-dim"> &middot; ship from {new Date(order.shipDueAt).toLocaleDateString('en-IN', { month: 'short', day: 'numeric' })}</span>
+                            )}
+                          </p>
+                        )}
+                        {order.shipBy && ['confirmed', 'processing'].includes(order.status) && (
+                          <p className={`text-xs mt-0.5 ${new Date(order.shipBy) < new Date() ? 'text-red-400' : 'text-theme-dim'}`}>
+                            Ship by {new Date(order.shipBy).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                          </p>
+                        )}
+                      </div>
                     </div>
                     <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${st.color}`}>
-                      <StatusIcon className="w-3 h-3" /> {order.status}
+                      <StatusIcon className="w-3 h-3" /> {order.status.replace(/_/g, ' ')}
                     </span>
                   </div>
 
@@ -203,13 +429,23 @@ export default function SellerOrders() {
                         </div>
                         <div className="flex-1 min-w-0">
                           <p className="text-sm font-medium text-theme-primary truncate">{item?.title || 'Product'}</p>
-                          <p className="text-xs text-theme-muted">Qty: {item.quantity || 1} &times; Rs. {item.price?.toLocaleString('en-IN')}</p>
+                          <p className="text-xs text-theme-muted">
+                            Qty: {item.quantity || 1} &times; Rs. {item.price?.toLocaleString('en-IN')}
+                            {item.customizationPrice > 0 && <span className="text-theme-dim"> (incl. Rs. {item.customizationPrice.toLocaleString('en-IN')} customization)</span>}
+                            {item.giftWrapped && <span className="text-pink-400"> &middot; Gift wrap{item.giftWrapPrice > 0 ? ` +Rs. ${item.giftWrapPrice.toLocaleString('en-IN')} each` : ''}</span>}
+                            {activePackages.length > 0 && (
+                              <span className={packed[item._id] >= (item.quantity || 1) ? 'text-green-400' : 'text-amber-400'}> &middot; Packed {Math.min(packed[item._id] || 0, item.quantity || 1)}/{item.quantity || 1}</span>
+                            )}
+                          </p>
                           {item.customizations?.length > 0 && (
                             <div className="mt-1 space-y-0.5">
                               {item.customizations.map((c, ci) => (
                                 <div key={ci} className="text-xs text-theme-muted">
                                   <span className="text-amber-400/80">{c.label}:</span>{' '}
-                                  {c.value || (c.imageUrls?.length ? `${c.imageUrls.length} image(s)` : '')}
+                                  {c.colorHex && <span className="inline-block w-3 h-3 rounded-full border border-edge align-middle mr-1" style={{ backgroundColor: c.colorHex }} />}
+                                  {c.type === 'font' && c.value ? <span style={{ fontFamily: c.value }}>{c.value}</span> : (c.value || (c.imageUrls?.length ? `${c.imageUrls.length} image(s)` : ''))}
+                                  {c.colorHex && <span className="text-theme-dim"> ({c.colorHex})</span>}
+                                  {c.extraPrice > 0 && <span className="text-theme-dim"> +Rs. {c.extraPrice}</span>}
                                   {c.imageUrls?.length > 0 && (
                                     <div className="flex gap-1 mt-0.5">
                                       {c.imageUrls.map((url, i) => (
@@ -229,13 +465,24 @@ export default function SellerOrders() {
                   {/* Customer & shipping */}
                   <div className="text-xs text-theme-muted mb-3 flex items-start gap-1">
                     <MapPin className="w-3 h-3 mt-0.5 shrink-0" />
-                    <span>Ship to: {order.shippingAddress?.name}, {order.shippingAddress?.city}, {order.shippingAddress?.state} - {order.shippingAddress?.pincode}</span>
+                    <span>Ship to: {order.gift?.recipientName || order.shippingAddress?.name}, {order.shippingAddress?.city}, {order.shippingAddress?.state} - {order.shippingAddress?.pincode}</span>
                   </div>
 
+                  {/* Gift details */}
+                  {order.gift?.isGift && (
+                    <div className="text-xs bg-pink-500/5 border border-pink-500/10 rounded-lg px-3 py-2 mb-3 space-y-0.5">
+                      <p className="text-pink-400 font-medium flex items-center gap-1"><Gift className="w-3 h-3" /> Gift order{order.gift.wrap ? ' · gift wrap marked items' : ''}</p>
+                      {order.gift.recipientName && <p className="text-theme-muted">Recipient: {order.gift.recipientName}</p>}
+                      {order.gift.message && <p className="text-theme-muted italic whitespace-pre-line">&ldquo;{order.gift.message}&rdquo;</p>}
+                      {order.gift.hidePrices && <p className="text-amber-400">Don't put the invoice or any prices in the box. Include the gift receipt instead.</p>}
+                    </div>
+                  )}
+
                   {/* Earnings */}
                   <div className="text-xs text-theme-muted bg-inset/50 rounded-lg px-3 py-2 mb-3">
                     <div className="flex items-center gap-4 flex-wrap">
                       <span>Sale: Rs. {(order.itemTotal || order.totalAmount || 0).toLocaleString('en-IN')}</span>
+                      {(order.giftWrapCharge || 0) > 0 && <span>Gift wrap: +Rs. {order.giftWrapCharge.toLocaleString('en-IN')}</span>}
                       {(order.commissionAmount || 0) > 0 && <span>Commission: -Rs. {order.commissionAmount.toLocaleString('en-IN')}</span>}
                       {(order.paymentGatewayFee || 0) > 0 && <span>Gateway Fee: -Rs. {order.paymentGatewayFee.toLocaleString('en-IN')}</span>}
                       {order.shippingPaidBy === 'seller' && ((order.actualShippingCost || order.shippingCost || 0) > 0) && (
@@ -252,6 +499,20 @@ export default function SellerOrders() {
                     </div>
                   </div>
 
+                  {/* Cancelled items */}
+                  {order.cancelledItems?.length > 0 && (
+                    <div className="text-xs bg-red-500/5 border border-red-500/10 rounded-lg px-3 py-2 mb-3 space-y-0.5">
+                      <p className="text-red-400 font-medium">Cancelled items</p>
+                      {order.cancelledItems.map((c, ci) => (
+                        <p key={ci} className="text-theme-muted">
+                          {c.title}{c.variantLabel ? ` (${c.variantLabel})` : ''} &times; {c.quantity}
+                          {c.refundAmount > 0 && <span> &middot; Refund Rs. {c.refundAmount.toLocaleString('en-IN')}{c.refundStatus === 'failed' && <span className="text-red-400"> (failed{(c.refundRetryCount || 0) < 5 ? ', retrying' : ''})</span>}</span>}
+                          {c.reason && <span className="text-theme-dim"> &middot; {c.reason}</span>}
+                        </p>
+                      ))}
+                    </div>
+                  )}
+
                   {/* Tracking info if shipped */}
                   {order.trackingInfo?.trackingNumber && (
                     <div className="text-xs text-theme-muted bg-purple-500/5 border border-purple-500/10 rounded-lg px-3 py-2 mb-3">
@@ -271,22 +532,61 @@ export default function SellerOrders() {
                     )}
                     {(order.status === 'confirmed' || order.status === 'processing') && (
                       <>
-                        <button onClick={() => toggleExpand(order._id)} className="px-3 py-1.5 bg-purple-500/10 text-purple-400 rounded-lg text-xs font-medium hover:bg-purple-500/20 flex items-center gap-1">
+                        <button onClick={() => toggleExpand(order)} className="px-3 py-1.5 bg-purple-500/10 text-purple-400 rounded-lg text-xs font-medium hover:bg-purple-500/20 flex items-center gap-1">
                           <Truck className="w-3 h-3" /> Ship Order {isExpanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
                         </button>
-                        {!(shipment && ['picked_up', 'in_transit', 'out_for_delivery'].includes(shipment.status)) && (
+                        {!collected && (
                           <button onClick={() => updateStatus(order._id, 'cancelled')} disabled={updating === order._id} className="px-3 py-1.5 bg-red-500/10 text-red-400 rounded-lg text-xs font-medium hover:bg-red-500/20">
                             Cancel Order
                           </button>
                         )}
                       </>
                     )}
-                    {order.status === 'shipped' && (
-                      <button onClick={() => toggleExpand(order._id)} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary flex items-center gap-1">
-                        Track {isExpanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                    {['partially_shipped', 'shipped', 'partially_delivered'].includes(order.status) && (
+                      <button onClick={() => toggleExpand(order)} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary flex items-center gap-1">
+                        {canShipMore ? <><Truck className="w-3 h-3" /> Ship Remaining / Track</> : 'Track'} {isExpanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                      </button>
+                    )}
+                    {selectable && (
+                      <button onClick={() => download(() => sellerAPI.getPackingSlip(order._id), `packing-slip-${order.orderNumber}.pdf`, 'Failed to generate packing slip')} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary">
+                        Packing Slip
+                      </button>
+                    )}
+                    {selectable && order.gift?.isGift && (
+                      <button onClick={() => download(() => sellerAPI.getGiftReceipt(order._id), `gift-receipt-${order.orderNumber}.pdf`, 'Failed to generate gift receipt')} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary">
+                        Gift Receipt
+                      </button>
+                    )}
+                    {canCancelItems && (
+                      <button onClick={() => setCancelling(isCancelling ? null : { orderId: order._id, qty: {}, reason: '' })} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-red-400">
+                        {isCancelling ? 'Close' : 'Cancel Items'}
                       </button>
                     )}
                   </div>
+
+                  {/* Item-level cancellation: only units not yet in a package */}
+                  {isCancelling && canCancelItems && (
+                    <div className="mt-3 p-3 bg-red-500/5 border border-red-500/10 rounded-lg animate-fade-in">
+                      <p className="text-xs text-theme-muted mb-2">Units to cancel (the customer is refunded for them)</p>
+                      <div className="space-y-1.5 mb-2">
+                        {(order.items || []).filter(i => remaining[i._id] > 0).map(item => (
+                          <div key={item._id} className="flex items-center gap-3 text-xs">
+                            <span className="flex-1 min-w-0 truncate text-theme-secondary">{item.title}{item.variantLabel ? ` (${item.variantLabel})` : ''}</span>
+                            <input type="number" min={0} max={remaining[item._id]} value={cancelling.qty[item._id] ?? 0}
+                              onChange={e => setCancelling(prev => ({ ...prev, qty: { ...prev.qty, [item._id]: Math.max(0, Math.min(remaining[item._id], Number(e.target.value) || 0)) } }))}
+                              className="w-16 px-2 py-1 bg-card border border-edge rounded text-theme-primary" />
+                            <span className="text-theme-dim w-14">of {remaining[item._id]}</span>
+                          </div>
+                        ))}
+                      </div>
+                      <input type="text" maxLength={300} placeholder="Reason (e.g. out of stock)" value={cancelling.reason}
+                        onChange={e => setCancelling(prev => ({ ...prev, reason: e.target.value }))}
+                        className="w-full px-2 py-1.5 mb-2 bg-card border border-edge rounded text-xs text-theme-primary" />
+                      <button onClick={() => cancelItems(order)} disabled={updating === order._id} className="px-3 py-1.5 bg-red-500/10 text-red-400 rounded-lg text-xs font-medium hover:bg-red-500/20 disabled:opacity-50">
+                        {updating === order._id ? <Loader className="w-3 h-3 animate-spin" /> : 'Cancel Selected Units'}
+                      </button>
+                    </div>
+                  )}
                 </div>
 
                 {/* Expanded shipping panel */}
@@ -294,17 +594,32 @@ export default function SellerOrders() {
                   <div className="border-t border-edge/50 p-4 bg-inset/30 animate-fade-in">
                     <h4 className="text-sm font-semibold text-theme-primary mb-3 flex items-center gap-2"><Truck className="w-4 h-4 text-amber-400" /> Shipping Management</h4>
 
-                    {/* Select courier: no Shiprocket order yet OR shipment created but no AWB */}
-                    {(order.status === 'confirmed' || order.status === 'processing') && !shipment?.awbCode && (
+                    {/* Select courier: finish a package without AWB, or pick the units for a new one */}
+                    {(pendingPackage || canShipMore) && (
                       <div className="mb-4">
-                        {shipment?.shiprocketOrderId && (
+                        {pendingPackage ? (
                           <div className="text-xs text-amber-400 bg-amber-500/5 border border-amber-500/10 rounded-lg px-3 py-2 mb-3">
-                            Shiprocket Order #{shipment.shiprocketOrderId} created — select a courier to continue
+                            Shiprocket Order #{pendingPackage.shiprocketOrderId} created — select a courier to continue
+                          </div>
+                        ) : (
+                          <div className="mb-3">
+                            <p className="text-xs text-theme-muted mb-2">Units in this package (ship the rest later as another package)</p>
+                            <div className="space-y-1.5">
+                              {(order.items || []).filter(i => remaining[i._id] > 0).map(item => (
+                                <div key={item._id} className="flex items-center gap-3 text-xs">
+                                  <span className="flex-1 min-w-0 truncate text-theme-secondary">{item.title}{item.variantLabel ? ` (${item.variantLabel})` : ''}</span>
+                                  <input type="number" min={0} max={remaining[item._id]} value={shipQty[item._id] ?? 0}
+                                    onChange={e => { setCouriers([]); setShipQty(prev => ({ ...prev, [item._id]: Math.max(0, Math.min(remaining[item._id], Number(e.target.value) || 0)) })); }}
+                                    className="w-16 px-2 py-1 bg-card border border-edge rounded text-theme-primary" />
+                                  <span className="text-theme-dim w-14">of {remaining[item._id]}</span>
+                                </div>
+                              ))}
+                            </div>
                           </div>
                         )}
                         <p className="text-xs text-theme-muted mb-2">Select a delivery partner (pickup will be auto-scheduled)</p>
                         {couriers.length === 0 && (
-                          <button onClick={() => checkServiceability(order._id)} disabled={courierLoading} className="px-4 py-2 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-lg text-sm font-semibold flex items-center gap-2">
+                          <button onClick={() => checkServiceability(order._id, pendingPackage ? { shipmentId: pendingPackage._id } : { items: selectedItems(order) })} disabled={courierLoading || (!pendingPackage && selectedItems(order).length === 0)} className="px-4 py-2 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-lg text-sm font-semibold flex items-center gap-2 disabled:opacity-50">
                             {courierLoading ? <Loader className="w-4 h-4 animate-spin" /> : <><Truck className="w-4 h-4" /> Check Available Couriers</>}
                           </button>
                         )}
@@ -319,7 +634,7 @@ export default function SellerOrders() {
                             )}
                             <div className="space-y-2 max-h-60 overflow-y-auto">
                               {couriers.map(c => (
-                                <button key={c.courierId} onClick={() => shipment?.shiprocketOrderId ? assignCourier(order._id, c.courierId, c.rate) : createShipmentWithCourier(order._id, c.courierId, c.rate)} disabled={updating === order._id} className="w-full flex items-center justify-between p-3 bg-card border border-edge rounded-lg text-sm hover:border-amber-500/30 transition-colors">
+                                <button key={c.courierId} onClick={() => pendingPackage ? assignCourier(order._id, c.courierId, c.rate, pendingPackage._id) : createShipmentWithCourier(order._id, c.courierId, c.rate, selectedItems(order))} disabled={updating === order._id} className="w-full flex items-center justify-between p-3 bg-card border border-edge rounded-lg text-sm hover:border-amber-500/30 transition-colors">
                                   {updating === order._id ? (
                                     <div className="flex items-center justify-center w-full py-1"><Loader className="w-4 h-4 animate-spin text-amber-400" /></div>
                                   ) : (
@@ -344,46 +659,49 @@ export default function SellerOrders() {
                       </div>
                     )}
 
-                    {/* Fallback: pickup not auto-scheduled (AWB exists but order not shipped) */}
-                    {shipment?.awbCode && order.status !== 'shipped' && order.status !== 'delivered' && (
-                      <div className="mb-4">
-                        <div className="text-xs text-green-400 bg-green-500/5 border border-green-500/10 rounded-lg px-3 py-2 mb-3">
-                          {shipment.courierName && <span>Courier: {shipment.courierName} &middot; </span>}AWB: {shipment.awbCode}
-                        </div>
-                        <p className="text-xs text-theme-muted mb-2">Pickup was not auto-scheduled — schedule manually:</p>
-                        <div className="flex gap-2">
-                          <button onClick={() => schedulePickup(order._id)} disabled={updating === order._id} className="px-4 py-2 bg-green-500 hover:bg-green-400 text-zinc-950 rounded-lg text-sm font-semibold flex items-center gap-2">
-                            {updating === order._id ? <Loader className="w-4 h-4 animate-spin" /> : 'Schedule Pickup'}
-                          </button>
-                          <button onClick={() => getLabel(order._id)} className="px-4 py-2 bg-card border border-edge rounded-lg text-sm text-theme-secondary hover:border-edge-strong flex items-center gap-1">
-                            <ExternalLink className="w-3 h-3" /> Print Label
-                          </button>
-                        </div>
-                      </div>
-                    )}
-
                     {/* Manual ship hidden — all shipments go through Shiprocket */}
 
-                    {/* Tracking display */}
-                    {tracking?.shipment && (
-                      <div className="mt-4 pt-4 border-t border-edge/50">
-                        <h5 className="text-xs font-semibold text-theme-primary mb-2">Shipment Details</h5>
-                        <div className="grid grid-cols-2 gap-2 text-xs text-theme-muted">
-                          <div>Status: <span className="text-theme-secondary">{tracking.shipment.status}</span></div>
-                          {tracking.shipment.awbCode && <div>AWB: <span className="text-theme-secondary">{tracking.shipment.awbCode}</span></div>}
-                          {tracking.shipment.courierName && <div>Courier: <span className="text-theme-secondary">{tracking.shipment.courierName}</span></div>}
-                        </div>
-                        {tracking.shipment.statusHistory?.length > 0 && (
-                          <div className="mt-2 space-y-1">
-                            {tracking.shipment.statusHistory.map((sh, i) => (
-                              <div key={i} className="text-xs text-theme-dim flex items-center gap-2">
-                                <span className="w-1 h-1 rounded-full bg-theme-dim shrink-0" />
-                                <span>{sh.description}</span>
-                                <span className="ml-auto">{new Date(sh.timestamp).toLocaleDateString()}</span>
+                    {/* Packages */}
+                    {packages.length > 0 && (
+                      <div className="mt-4 pt-4 border-t border-edge/50 space-y-4">
+                        {packages.map((pkg, pkgIdx) => (
+                          <div key={pkg._id}>
+                            <h5 className="text-xs font-semibold text-theme-primary mb-2">{packages.length > 1 ? `Package ${pkgIdx + 1}` : 'Shipment Details'}</h5>
+                            <div className="grid grid-cols-2 gap-2 text-xs text-theme-muted">
+                              <div>Status: <span className="text-theme-secondary">{pkg.status.replace(/_/g, ' ')}</span></div>
+                              {pkg.awbCode && <div>AWB: <span className="text-theme-secondary">{pkg.awbCode}</span></div>}
+                              {pkg.courierName && <div>Courier: <span className="text-theme-secondary">{pkg.courierName}</span></div>}
+                              {pkg.items?.length > 0 && <div className="col-span-2">Items: <span className="text-theme-secondary">{pkg.items.map(i => `${i.title} × ${i.quantity}`).join(', ')}</span></div>}
+                            </div>
+
+                            {/* Fallback: pickup not auto-scheduled (AWB exists but package not handed over) */}
+                            {pkg.awbCode && pkg.status === 'created' && (
+                              <div className="mt-2">
+                                <p className="text-xs text-theme-muted mb-2">Pickup was not auto-scheduled — schedule manually:</p>
+                                <div className="flex gap-2">
+                                  <button onClick={() => schedulePickup(order._id, pkg._id)} disabled={updating === order._id} className="px-4 py-2 bg-green-500 hover:bg-green-400 text-zinc-950 rounded-lg text-sm font-semibold flex items-center gap-2">
+                                    {updating === order._id ? <Loader className="w-4 h-4 animate-spin" /> : 'Schedule Pickup'}
+                                  </button>
+                                  <button onClick={() => getLabel(order._id, pkg._id)} className="px-4 py-2 bg-card border border-edge rounded-lg text-sm text-theme-secondary hover:border-edge-strong flex items-center gap-1">
+                                    <ExternalLink className="w-3 h-3" /> Print Label
+                                  </button>
+                                </div>
                               </div>
-                            ))}
+                            )}
+
+                            {pkg.statusHistory?.length > 0 && (
+                              <div className="mt-2 space-y-1">
+                                {pkg.statusHistory.map((sh, i) => (
+                                  <div key={i} className="text-xs text-theme-dim flex items-center gap-2">
+                                    <span className="w-1 h-1 rounded-full bg-theme-dim shrink-0" />
+                                    <span>{sh.description}</span>
+                                    <span className="ml-auto">{new Date(sh.timestamp).toLocaleDateString()}</span>
+                                  </div>
+                                ))}
+                              </div>
+                            )}
                           </div>
-                        )}
+                        ))}
                       </div>
                     )}
                   </div>
@@ -393,6 +711,21 @@ export default function SellerOrders() {
           })}
         </div>
       )}
+
+      {/* Pagination */}
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-2 mt-4">
+          <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1}
+            aria-label="Previous page" className="p-2 rounded-lg hover:bg-inset/50 disabled:opacity-30 text-theme-muted">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="text-sm text-theme-dim">Page {page} of {pages} &middot; {total} orders</span>
+          <button onClick={() => setPage(p => Math.min(pages, p + 1))} disabled={page === pages}
+            aria-label="Next page" className="p-2 rounded-lg hover:bg-inset/50 disabled:opacity-30 text-theme-muted">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,14 +1,86 @@
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { CreditCard, DollarSign, Clock, CheckCircle, AlertTriangle, XCircle, Truck } from 'lucide-react';
+import { Link, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { CreditCard, DollarSign, Clock, CheckCircle, AlertTriangle, XCircle, Truck, ChevronLeft, ChevronRight, Download, Zap, Loader } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { SellerAPI } from '../../api';
+import { SellerAPI, sellerAPI } from '../../api';
+
+const ENTRY_LABELS = {
+  sale: 'Sale', commission: 'Commission', gateway_fee: 'Gateway fee', shipping: 'Shipping',
+  refund: 'Refund', adjustment: 'Adjustment', reserve: 'Reserve', payout_fee: 'Early payout fee', payout: 'Payout'
+};
+
+const formatRs = (n) => `${n < 0 ? '-' : ''}Rs. ${Math.abs(n || 0).toLocaleString('en-IN')}`;
 
 export default function SellerPayouts() {
   const [payouts, setPayouts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [tab, setTab] = useState('payouts');
+  const [ledger, setLedger] = useState(null);
+  const [ledgerPage, setLedgerPage] = useState(null); // null = last page, where the latest entries are
+  const [ledgerLoading, setLedgerLoading] = useState(false);
+
+  const [earlyQuote, setEarlyQuote] = useState(null);
+  const [requestingEarly, setRequestingEarly] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  useEffect(() => { loadPayouts(); loadEarlyQuote(); }, []);
+
+  // Statement links in the payout email land here with ?statement=<payoutId>&format=pdf|csv
+  useEffect(() => {
+    const id = searchParams.get('statement');
+    if (!id) return;
+    downloadStatement({ _id: id }, searchParams.get('format') === 'csv' ? 'csv' : 'pdf');
+    setSearchParams({}, { replace: true });
+  }, []);
+
+  const downloadStatement = async (payout, format) => {
+    try {
+      const response = await sellerAPI.getPayoutStatement(payout._id, format);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `payout-statement-${payout.periodEnd ? new Date(payout.periodEnd).toISOString().split('T')[0] : payout._id}.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      // Error bodies arrive as a Blob because of responseType
+      let message = null;
+      try { message = JSON.parse(await err.response.data.text()).message; } catch { /* not a JSON error */ }
+      toast.error(message || 'Failed to download statement');
+    }
+  };
+  useEffect(() => { if (tab === 'statement') loadLedger(ledgerPage); }, [tab, ledgerPage]);
 
-  useEffect(() => { loadPayouts(); }, []);
+  const loadLedger = async (page) => {
+    setLedgerLoading(true);
+    try {
+      let { data } = await sellerAPI.getLedger({ page: page || 1 });
+      if (!page && data.pages > 1) ({ data } = await sellerAPI.getLedger({ page: data.pages }));
+      setLedger(data);
+    } catch (e) { console.error(e); }
+    setLedgerLoading(false);
+  };
+
+  const loadEarlyQuote = async () => {
+    try {
+      const { data } = await sellerAPI.getEarlyPayoutQuote();
+      setEarlyQuote(data);
+    } catch (e) { console.error(e); }
+  };
+
+  const requestEarlyPayout = async () => {
+    setRequestingEarly(true);
+    try {
+      const { data } = await sellerAPI.requestEarlyPayout();
+      toast.success(`Early payout of ${formatRs(data.payout.netPayout)} requested`);
+      loadPayouts();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to request early payout');
+    }
+    loadEarlyQuote();
+    setRequestingEarly(false);
+  };
 
   const loadPayouts = async () => {
     try {
@@ -43,7 +115,97 @@ export default function SellerPayouts() {
     <div>
       <h1 className="text-2xl font-bold text-theme-primary mb-6">Payouts</h1>
 
-      {payouts.length === 0 ? (
+      <div className="flex gap-2 mb-6">
+        {[['payouts', 'Payouts'], ['statement', 'Statement']].map(([key, label]) => (
+          <button key={key} onClick={() => setTab(key)} className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${tab === key ? 'bg-amber-500/10 text-amber-400' : 'bg-inset text-theme-muted hover:text-theme-primary'}`}>{label}</button>
+        ))}
+      </div>
+
+      {/* Early payout */}
+      {tab === 'payouts' && earlyQuote?.policy?.enabled && (
+        <div className="bg-card border border-edge/50 rounded-xl p-5 mb-6 flex flex-col md:flex-row md:items-center gap-4">
+          <div className="flex-1">
+            <p className="font-semibold text-theme-primary flex items-center gap-2"><Zap className="w-4 h-4 text-amber-400" /> Early Payout</p>
+            {earlyQuote.eligible ? (
+              <p className="text-sm text-theme-muted mt-1">
+                Get <span className="font-semibold text-green-400">{formatRs(earlyQuote.totals.netPayout)}</span> now instead of on {new Date(earlyQuote.nextPayoutDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+                {earlyQuote.totals.earlyPayoutFee > 0 && <> (after a {earlyQuote.policy.feePercent}% fee of {formatRs(earlyQuote.totals.earlyPayoutFee)})</>}.
+              </p>
+            ) : (
+              <p className="text-sm text-theme-muted mt-1">{earlyQuote.reason}</p>
+            )}
+            <p className="text-[11px] text-theme-dim mt-1">Covers orders delivered more than the return window ago, less refunds and charges. One early payout per payout period.</p>
+          </div>
+          <button onClick={requestEarlyPayout} disabled={!earlyQuote.eligible || requestingEarly} className="px-4 py-2 bg-amber-500 text-black rounded-lg text-sm font-semibold hover:bg-amber-400 disabled:opacity-50 flex items-center gap-2 self-start md:self-auto">
+            {requestingEarly && <Loader className="w-4 h-4 animate-spin" />} Request early payout
+          </button>
+        </div>
+      )}
+
+      {tab === 'statement' ? (
+        ledgerLoading && !ledger ? <LoadingSpinner /> : ledger && (
+          <div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+              <div className="bg-card border border-edge/50 rounded-xl p-4">
+                <p className="text-xs text-theme-muted">Balance for next payout</p>
+                <p className={`text-xl font-bold ${ledger.balance < 0 ? 'text-red-400' : 'text-green-400'}`}>{formatRs(ledger.balance)}</p>
+              </div>
+              <div className="bg-card border border-edge/50 rounded-xl p-4">
+                <p className="text-xs text-theme-muted">Pending sales</p>
+                <p className="text-xl font-bold text-theme-primary">{formatRs(ledger.unsettled.totalSales)}</p>
+                <p className="text-[11px] text-theme-dim">{ledger.unsettled.orderIds.length} orders</p>
+              </div>
+              <div className="bg-card border border-edge/50 rounded-xl p-4">
+                <p className="text-xs text-theme-muted">Refunds</p>
+                <p className="text-xl font-bold text-red-400">{formatRs(-ledger.unsettled.refundsDeducted)}</p>
+              </div>
+              <div className="bg-card border border-edge/50 rounded-xl p-4">
+                <p className="text-xs text-theme-muted">Adjustments</p>
+                <p className="text-xl font-bold text-theme-primary">{formatRs(ledger.unsettled.adjustments)}</p>
+              </div>
+            </div>
+
+            {ledger.entries.length === 0 ? (
+              <div className="text-center py-16 bg-card border border-edge/50 rounded-xl">
+                <p className="text-theme-muted">No transactions yet</p>
+                <p className="text-xs text-theme-dim mt-1">Delivered orders, refunds and charges will appear here.</p>
+              </div>
+            ) : (
+              <div className="bg-card border border-edge/50 rounded-xl overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-theme-muted border-b border-edge/50">
+                      <th className="px-4 py-3 font-medium">Date</th>
+                      <th className="px-4 py-3 font-medium">Type</th>
+                      <th className="px-4 py-3 font-medium">Description</th>
+                      <th className="px-4 py-3 font-medium text-right">Amount</th>
+                      <th className="px-4 py-3 font-medium text-right">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ledger.entries.map(e => (
+                      <tr key={e._id} className="border-b border-edge/30 last:border-0">
+                        <td className="px-4 py-2 text-theme-muted whitespace-nowrap">{new Date(e.createdAt).toLocaleDateString('en-IN')}</td>
+                        <td className="px-4 py-2 text-theme-secondary whitespace-nowrap">{ENTRY_LABELS[e.type] || e.type}</td>
+                        <td className="px-4 py-2 text-theme-primary">{e.description}</td>
+                        <td className={`px-4 py-2 text-right whitespace-nowrap ${e.amount < 0 ? 'text-red-400' : 'text-green-400'}`}>{formatRs(e.amount)}</td>
+                        <td className="px-4 py-2 text-right whitespace-nowrap text-theme-primary">{formatRs(e.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {ledger.pages > 1 && (
+                  <div className="flex items-center justify-end gap-2 px-4 py-3 border-t border-edge/50 text-xs text-theme-muted">
+                    <button onClick={() => setLedgerPage(ledger.page - 1)} disabled={ledger.page <= 1} className="p-1 rounded hover:bg-inset disabled:opacity-40"><ChevronLeft className="w-4 h-4" /></button>
+                    Page {ledger.page} of {ledger.pages}
+                    <button onClick={() => setLedgerPage(ledger.page + 1)} disabled={ledger.page >= ledger.pages} className="p-1 rounded hover:bg-inset disabled:opacity-40"><ChevronRight className="w-4 h-4" /></button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )
+      ) : payouts.length === 0 ? (
         <div className="text-center py-16 bg-card border border-edge/50 rounded-xl">
           <CreditCard className="w-12 h-12 text-theme-dim mx-auto mb-3" />
           <p className="text-theme-muted">No payouts yet</p>
@@ -57,7 +219,10 @@ export default function SellerPayouts() {
               <div key={p._id} className="bg-card border border-edge/50 rounded-xl p-5">
                 <div className="flex items-start justify-between mb-3">
                   <div>
-                    <p className="font-semibold text-theme-primary">{p.periodLabel || 'Payout Period'}</p>
+                    <p className="font-semibold text-theme-primary">
+                      {p.periodLabel || 'Payout Period'}
+                      {p.type === 'early' && <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-500/10 text-amber-400">Early</span>}
+                    </p>
                     <p className="text-xs text-theme-muted mt-0.5">{new Date(p.periodStart).toLocaleDateString('en-IN')} - {new Date(p.periodEnd).toLocaleDateString('en-IN')}</p>
                   </div>
                   <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${getStatusStyle(p.status)}`}>
@@ -102,13 +267,67 @@ export default function SellerPayouts() {
                     <p className="text-theme-dim text-xs">Shipping</p>
                     <p className="font-medium text-red-400">{(p.shippingDeducted || 0) > 0 ? `-Rs. ${p.shippingDeducted.toLocaleString('en-IN')}` : 'Rs. 0'}</p>
                   </div>
+                  {(p.refundsDeducted || 0) > 0 && (
+                    <div>
+                      <p className="text-theme-dim text-xs">Refunds</p>
+                      <p className="font-medium text-red-400">-Rs. {p.refundsDeducted.toLocaleString('en-IN')}</p>
+                    </div>
+                  )}
+                  {(p.commissionReversed || 0) > 0 && (
+                    <div>
+                      <p className="text-theme-dim text-xs">Commission Returned</p>
+                      <p className="font-medium text-green-400">Rs. {p.commissionReversed.toLocaleString('en-IN')}</p>
+                    </div>
+                  )}
+                  {(p.adjustments || 0) !== 0 && (
+                    <div>
+                      <p className="text-theme-dim text-xs">Adjustments</p>
+                      <p className={`font-medium ${p.adjustments < 0 ? 'text-red-400' : 'text-green-400'}`}>{formatRs(p.adjustments)}</p>
+                    </div>
+                  )}
+                  {(p.reserveHeld || 0) > 0 && (
+                    <div>
+                      <p className="text-theme-dim text-xs">Reserve Held</p>
+                      <p className="font-medium text-amber-400" title={p.reserveReason}>-Rs. {p.reserveHeld.toLocaleString('en-IN')}</p>
+                    </div>
+                  )}
+                  {(p.earlyPayoutFee || 0) > 0 && (
+                    <div>
+                      <p className="text-theme-dim text-xs">Early Payout Fee</p>
+                      <p className="font-medium text-red-400">-Rs. {p.earlyPayoutFee.toLocaleString('en-IN')}</p>
+                    </div>
+                  )}
+                  {(p.reserveReleased || 0) > 0 && (
+                    <div>
+                      <p className="text-theme-dim text-xs">Reserve Released</p>
+                      <p className="font-medium text-green-400">Rs. {p.reserveReleased.toLocaleString('en-IN')}</p>
+                    </div>
+                  )}
                   <div>
                     <p className="text-theme-dim text-xs">Net Payout</p>
                     <p className="font-bold text-green-400">Rs. {(p.netPayout || 0).toLocaleString('en-IN')}</p>
                   </div>
                 </div>
+                {p.refundAdjustments?.length > 0 && (
+                  <div className="mt-3 text-xs bg-inset/50 rounded-lg p-2 space-y-0.5">
+                    {p.refundAdjustments.map(r => (
+                      <p key={r.returnRequestId} className="text-theme-dim">
+                        Return on order {r.orderNumber || r.orderId}: refund -Rs. {r.refunded.toLocaleString('en-IN')}
+                        {r.commissionReversed > 0 && <>, commission returned Rs. {r.commissionReversed.toLocaleString('en-IN')}</>}
+                        <span className="text-red-400"> = {formatRs(r.net)}</span>
+                      </p>
+                    ))}
+                  </div>
+                )}
                 {p.transactionId && <p className="text-xs text-theme-dim mt-3">Txn: {p.transactionId}</p>}
                 {p.paidAt && <p className="text-xs text-theme-dim">Paid on: {new Date(p.paidAt).toLocaleDateString('en-IN')}</p>}
+                <div className="flex gap-2 mt-3">
+                  {['pdf', 'csv'].map(format => (
+                    <button key={format} onClick={() => downloadStatement(p, format)} className="px-3 py-1.5 bg-inset text-theme-muted rounded-lg text-xs font-medium hover:text-theme-primary flex items-center gap-1">
+                      <Download className="w-3 h-3" /> Statement {format.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
               </div>
             );
           })}
@@ -1,9 +1,39 @@
 import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { Package, Plus, Edit3, Trash2, Eye, EyeOff, Loader, X, Upload, Image, Film, FileSpreadsheet, CreditCard, ArrowRight, MapPin } from 'lucide-react';
+import { Package, Plus, Edit3, Copy, Trash2, Eye, EyeOff, Loader, X, Upload, Image, Images, Film, FileSpreadsheet, CreditCard, ArrowRight, MapPin, Download, ChevronUp, ChevronDown, Star } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import API, { SellerAPI, sellerAPI } from '../../api';
+import { useSocket } from '../../context/SocketContext';
+
+const MODERATION_LABELS = {
+  draft: { label: 'Draft', className: 'bg-inset text-theme-dim' },
+  pending_review: { label: 'In review', className: 'bg-blue-500/10 text-blue-400' },
+  changes_requested: { label: 'Changes requested', className: 'bg-amber-500/10 text-amber-400' },
+  rejected: { label: 'Rejected', className: 'bg-red-500/10 text-red-400' }
+};
+
+// Date -> value for a datetime-local input (local time, no seconds)
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const MAX_VARIANT_OPTIONS = 3;
+
+// Comma-separated values typed for a variant option -> unique, trimmed values
+const optionValues = (opt) => [...new Set(opt.values.split(',').map(v => v.trim()).filter(Boolean))];
+
+// One row per combination of option values; rows for combinations that already exist keep their price, stock and SKU
+const syncVariants = (variantOptions, variants, defaults) => {
+  const axes = variantOptions.map(o => ({ name: o.name.trim(), values: optionValues(o) })).filter(o => o.name && o.values.length);
+  if (!axes.length) return [];
+  const key = (options) => axes.map(o => options?.[o.name] ?? '').join('|');
+  const existing = new Map(variants.map(v => [key(v.options), v]));
+  const combos = axes.reduce((acc, o) => acc.flatMap(c => o.values.map(v => ({ ...c, [o.name]: v }))), [{}]);
+  return combos.map(options => existing.get(key(options)) || { sku: '', options, price: defaults.price, salePrice: '', stock: defaults.stock, images: [], isActive: true });
+};
 
 export default function SellerProducts() {
   const [products, setProducts] = useState([]);
@@ -11,23 +41,37 @@ export default function SellerProducts() {
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editing, setEditing] = useState(null);
+  const [mediaEditor, setMediaEditor] = useState(null); // { productId, items: [{ _id, url, type, thumbnailUrl, alt }] }
+  const [savingMedia, setSavingMedia] = useState(false);
   const [submitting, setSubmitting] = useState(false);
 
-  const emptyForm = { title: '', description: '', price: '', category: '', stock: '', weight: '', shippingPaidBy: 'seller', images: [], isCustomizable: false, customizationOptions: [] };
+  const emptyForm = { title: '', description: '', price: '', category: '', stock: '', lowStockThreshold: 5, publishAt: '', salePrice: '', saleStartsAt: '', saleEndsAt: '', weight: '', shippingPaidBy: 'seller', giftWrapPrice: '', images: [], isCustomizable: false, customizationOptions: [], variantOptions: [], variants: [] };
   const [form, setForm] = useState(emptyForm);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
   const [mediaFiles, setMediaFiles] = useState([]); // { file, type: 'image'|'video' }
   const [mediaPreviews, setMediaPreviews] = useState([]); // { url, type: 'image'|'video', isExisting: bool }
   const [csvUploading, setCsvUploading] = useState(false);
   const [csvResult, setCsvResult] = useState(null);
+  const [csvImport, setCsvImport] = useState(null); // background import progress
   const csvRef = useRef(null);
+  const { socket } = useSocket();
   const [minPrice, setMinPrice] = useState(200); // dynamic from platform settings
   const [bankDetailsComplete, setBankDetailsComplete] = useState(true);
   const [pickupAddressComplete, setPickupAddressComplete] = useState(true);
 
-  useEffect(() => { loadProducts(); loadCategories(); loadMinPrice(); }, []);
+  useEffect(() => { loadProducts(); loadCategories(); loadMinPrice(); loadTemplates(); }, []);
 
   const canCreateProduct = bankDetailsComplete && pickupAddressComplete;
 
+  const updateCustomOption = (idx, patch) => setForm(f => ({ ...f, customizationOptions: f.customizationOptions.map((o, i) => i === idx ? { ...o, ...patch } : o) }));
+
+  const setVariantOptions = (update) => setForm(f => {
+    const variantOptions = update(f.variantOptions);
+    return { ...f, variantOptions, variants: syncVariants(variantOptions, f.variants, { price: f.price, stock: f.stock }) };
+  });
+  const updateVariant = (idx, patch) => setForm(f => ({ ...f, variants: f.variants.map((v, i) => i === idx ? { ...v, ...patch } : v) }));
+
   const loadMinPrice = async () => {
     try {
       const { data } = await SellerAPI.get('/preflight');
@@ -37,6 +81,54 @@ export default function SellerProducts() {
     } catch (e) { /* fallback to default */ }
   };
 
+  const loadTemplates = async () => {
+    try {
+      const { data } = await sellerAPI.getProductTemplates();
+      setTemplates(data.templates || []);
+    } catch (e) { /* templates are optional */ }
+  };
+
+  // Prefill the form from a template; the server fills anything still empty (e.g. dimensions)
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const t = templates.find(tpl => tpl._id === id);
+    if (!t) return;
+    setForm(f => ({
+      ...f,
+      category: t.category || f.category,
+      weight: t.weight || f.weight,
+      shippingPaidBy: t.shippingPaidBy || f.shippingPaidBy,
+      isCustomizable: t.customizationOptions?.length > 0 || f.isCustomizable,
+      customizationOptions: t.customizationOptions?.length ? t.customizationOptions.map(({ _id, ...opt }) => opt) : f.customizationOptions
+    }));
+  };
+
+  const saveAsTemplate = async () => {
+    const name = prompt('Template name:');
+    if (!name?.trim()) return;
+    try {
+      await sellerAPI.createProductTemplate({
+        name: name.trim(),
+        category: form.category,
+        weight: form.weight || 0,
+        shippingPaidBy: form.shippingPaidBy,
+        customizationOptions: form.isCustomizable ? form.customizationOptions : []
+      });
+      toast.success('Template saved');
+      loadTemplates();
+    } catch (e) { toast.error(e.response?.data?.message || 'Failed to save template'); }
+  };
+
+  const deleteTemplate = async () => {
+    if (!templateId || !confirm('Delete this template?')) return;
+    try {
+      await sellerAPI.deleteProductTemplate(templateId);
+      setTemplateId('');
+      loadTemplates();
+      toast.success('Template deleted');
+    } catch (e) { toast.error('Failed'); }
+  };
+
   const loadProducts = async () => {
     try {
       const { data } = await SellerAPI.get('/products');
@@ -62,21 +154,64 @@ export default function SellerProducts() {
       const fd = new FormData();
       fd.append('csv', file);
       const { data } = await sellerAPI.bulkCsvUpload(fd);
-      setCsvResult(data);
+      setCsvImport({ importId: data.importId, status: data.status, processedRows: 0, totalRows: data.totalRows });
       toast.success(data.message);
-      loadProducts();
     } catch (err) {
       toast.error(err.response?.data?.message || 'CSV upload failed');
-    } finally {
       setCsvUploading(false);
+    } finally {
       if (csvRef.current) csvRef.current.value = '';
     }
   };
 
+  // Live progress over Socket.io, with polling as a fallback until the import finishes
+  const importId = csvImport?.importId;
+  useEffect(() => {
+    if (!importId) return;
+    const finish = (job) => {
+      setCsvImport(null);
+      setCsvUploading(false);
+      setCsvResult({
+        message: job.status === 'failed'
+          ? `Import failed: ${job.failureReason}`
+          : `Import complete: ${job.created} created, ${job.updated} updated, ${job.unchanged} unchanged, ${job.failed} failed`,
+        errors: job.rowErrors || []
+      });
+      loadProducts();
+    };
+    const poll = async () => {
+      try {
+        const { data } = await sellerAPI.getImport(importId);
+        if (['completed', 'failed'].includes(data.import.status)) finish(data.import);
+        else setCsvImport(prev => prev && { ...prev, ...data.import, importId });
+      } catch (e) { /* keep polling */ }
+    };
+    const onProgress = (data) => {
+      if (data.importId !== importId) return;
+      if (['completed', 'failed'].includes(data.status)) poll(); // fetch the row error report
+      else setCsvImport(prev => prev && { ...prev, ...data });
+    };
+    socket?.on('importProgress', onProgress);
+    const timer = setInterval(poll, 5000);
+    return () => { clearInterval(timer); socket?.off('importProgress', onProgress); };
+  }, [importId, socket]);
+
+  const handleCsvExport = async () => {
+    try {
+      const response = await sellerAPI.exportProducts();
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `products-${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) { toast.error('Failed to export products'); }
+  };
+
   const openForm = (product = null) => {
     if (product) {
       setEditing(product._id);
-      setForm({ title: product.title, description: product.description, price: product.price, category: product.category, stock: product.stock, weight: product.weight || '', shippingPaidBy: product.shippingPaidBy || 'seller', images: product.images || [], isCustomizable: product.isCustomizable || false, customizationOptions: product.customizationOptions || [] });
+      setForm({ title: product.title, description: product.description, price: product.price, category: product.category, stock: product.stock, lowStockThreshold: product.lowStockThreshold ?? 5, publishAt: toLocalInput(product.publishAt), salePrice: product.salePrice || '', saleStartsAt: toLocalInput(product.saleStartsAt), saleEndsAt: toLocalInput(product.saleEndsAt), weight: product.weight || '', shippingPaidBy: product.shippingPaidBy || 'seller', giftWrapPrice: product.giftWrapPrice ?? '', images: product.images || [], isCustomizable: product.isCustomizable || false, customizationOptions: product.customizationOptions || [], variantOptions: (product.variantOptions || []).map(o => ({ name: o.name, values: o.values.join(', ') })), variants: (product.variants || []).map(v => ({ ...v, comparePrice: v.comparePrice ?? '', salePrice: v.salePrice ?? '' })) });
       // Build previews from existing images + media
       const existingPreviews = (product.images || []).map(i => ({ url: i.url, type: 'image', isExisting: true }));
       const existingMedia = (product.media || []).filter(m => m.type === 'video').map(m => ({ url: m.thumbnailUrl || m.url, type: 'video', isExisting: true }));
@@ -84,6 +219,7 @@ export default function SellerProducts() {
     } else {
       setEditing(null);
       setForm(emptyForm);
+      setTemplateId('');
       setMediaPreviews([]);
     }
     setMediaFiles([]);
@@ -124,8 +260,13 @@ export default function SellerProducts() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!form.title || !form.price || !form.category || !form.stock) return toast.error('Fill required fields');
-    if (Number(form.price) < minPrice) return toast.error(`Minimum product price is Rs. ${minPrice}`);
+    const hasVariants = form.variantOptions.length > 0;
+    if (!form.title || !form.category || (!hasVariants && (!form.price || !form.stock))) return toast.error('Fill required fields');
+    if (hasVariants) {
+      if (!form.variants.length) return toast.error('Give each variant option a name and at least one value');
+      if (form.variants.some(v => !v.price || v.stock === '')) return toast.error('Set a price and stock for every variant');
+      if (form.variants.some(v => Number(v.price) < minPrice)) return toast.error(`Minimum product price is Rs. ${minPrice}`);
+    } else if (Number(form.price) < minPrice) return toast.error(`Minimum product price is Rs. ${minPrice}`);
     if (!form.weight || Number(form.weight) <= 0) return toast.error('Weight is required for shipping calculation');
     if (form.isCustomizable && form.customizationOptions.length > 0) {
       const emptyLabel = form.customizationOptions.find(opt => !opt.label?.trim());
@@ -136,24 +277,38 @@ export default function SellerProducts() {
       const formData = new FormData();
       formData.append('title', form.title);
       formData.append('description', form.description);
-      formData.append('price', form.price);
+      // With variants, price and stock come from the variants
+      if (!hasVariants) {
+        formData.append('price', form.price);
+        formData.append('stock', form.stock);
+      }
       formData.append('category', form.category);
-      formData.append('stock', form.stock);
+      formData.append('lowStockThreshold', form.lowStockThreshold === '' ? 0 : form.lowStockThreshold);
+      // Empty values clear the schedule/sale; dates are sent as UTC
+      formData.append('publishAt', form.publishAt ? new Date(form.publishAt).toISOString() : '');
+      formData.append('salePrice', hasVariants ? '' : form.salePrice || '');
+      formData.append('saleStartsAt', form.saleStartsAt ? new Date(form.saleStartsAt).toISOString() : '');
+      formData.append('saleEndsAt', form.saleEndsAt ? new Date(form.saleEndsAt).toISOString() : '');
       if (form.weight) formData.append('weight', form.weight);
       formData.append('shippingPaidBy', form.shippingPaidBy || 'seller');
+      formData.append('giftWrapPrice', form.giftWrapPrice); // empty = store-wide gift wrap
       formData.append('isCustomizable', form.isCustomizable ? 'true' : 'false');
       if (form.isCustomizable && form.customizationOptions.length > 0) {
         formData.append('customizationOptions', JSON.stringify(form.customizationOptions));
       }
+      formData.append('variantOptions', JSON.stringify(hasVariants ? form.variantOptions.map(o => ({ name: o.name.trim(), values: optionValues(o) })) : []));
+      formData.append('variants', JSON.stringify(hasVariants ? form.variants : []));
       if (form.images) formData.append('existingImages', JSON.stringify(form.images));
       mediaFiles.forEach(({ file }) => formData.append('media', file));
+      if (!editing && e.nativeEvent?.submitter?.value === 'draft') formData.append('saveAsDraft', 'true');
+      if (!editing && templateId) formData.append('templateId', templateId);
 
       if (editing) {
-        await SellerAPI.put(`/products/${editing}`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
-        toast.success('Product updated');
+        const { data } = await SellerAPI.put(`/products/${editing}`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+        toast.success(data.message || 'Product updated');
       } else {
-        await SellerAPI.post('/products', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
-        toast.success('Product created');
+        const { data } = await SellerAPI.post('/products', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+        toast.success(data.message || 'Product created');
       }
       setShowForm(false);
       loadProducts();
@@ -169,6 +324,56 @@ export default function SellerProducts() {
     } catch (e) { toast.error('Failed'); }
   };
 
+  const submitForReview = async (id) => {
+    try {
+      const { data } = await sellerAPI.submitProduct(id);
+      loadProducts();
+      toast.success(data.message);
+    } catch (e) { toast.error(e.response?.data?.message || 'Failed'); }
+  };
+
+  const duplicateProduct = async (id) => {
+    try {
+      const { data } = await sellerAPI.duplicateProduct(id);
+      loadProducts();
+      toast.success(data.message);
+    } catch (e) { toast.error(e.response?.data?.message || 'Failed to duplicate'); }
+  };
+
+  // Gallery order, cover (first image) and alt text; older products may only have images
+  const openMediaEditor = (p) => {
+    const media = p.media || [];
+    const mediaUrls = new Set(media.map(m => m.url));
+    const legacyImages = (p.images || []).filter(img => !mediaUrls.has(img.url)).map(img => ({ url: img.url, type: 'image', alt: img.alt }));
+    setMediaEditor({
+      productId: p._id,
+      items: [...media, ...legacyImages].map(m => ({ _id: m._id, url: m.url, type: m.type || 'image', thumbnailUrl: m.thumbnailUrl, alt: m.alt || '' }))
+    });
+  };
+
+  const moveMediaItem = (idx, delta) => setMediaEditor(ed => {
+    const items = [...ed.items];
+    const target = idx + delta;
+    if (target < 0 || target >= items.length) return ed;
+    [items[idx], items[target]] = [items[target], items[idx]];
+    return { ...ed, items };
+  });
+
+  const saveMedia = async (coverIdx = null) => {
+    setSavingMedia(true);
+    try {
+      const cover = coverIdx !== null ? mediaEditor.items[coverIdx] : null;
+      const { data } = await sellerAPI.updateProductMedia(mediaEditor.productId, {
+        items: mediaEditor.items.map(({ _id, url, alt }) => ({ _id, url, alt })),
+        coverId: cover ? cover._id || cover.url : undefined
+      });
+      toast.success(data.message);
+      setMediaEditor(null);
+      loadProducts();
+    } catch (e) { toast.error(e.response?.data?.message || 'Failed to update media'); }
+    setSavingMedia(false);
+  };
+
   const deleteProduct = async (id) => {
     if (!confirm('Delete this product?')) return;
     try {
@@ -191,6 +396,11 @@ export default function SellerProducts() {
             {csvUploading ? <Loader className="w-4 h-4 animate-spin" /> : <FileSpreadsheet className="w-4 h-4" />}
             Import CSV
           </button>
+          <button onClick={handleCsvExport} disabled={products.length === 0}
+            className="flex items-center gap-2 px-4 py-2 border border-edge/30 text-theme-muted hover:text-theme-primary rounded-xl text-sm font-medium transition-colors disabled:opacity-50">
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
           <button onClick={() => { if (!canCreateProduct) { toast.error(!bankDetailsComplete ? 'Add bank details in Settings first' : 'Add pickup address in Settings first'); return; } openForm(); }} className={`flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold transition-colors ${canCreateProduct ? 'bg-amber-500 hover:bg-amber-400 text-zinc-950' : 'bg-zinc-700 text-zinc-400 cursor-not-allowed'}`}>
             <Plus className="w-4 h-4" /> Add Product
           </button>
@@ -223,6 +433,19 @@ export default function SellerProducts() {
         </div>
       )}
 
+      {/* CSV Import Progress */}
+      {csvImport && (
+        <div className="p-4 rounded-xl bg-inset/50 border border-edge/30 space-y-2 mb-4">
+          <p className="text-sm font-medium flex items-center gap-2">
+            <Loader className="w-4 h-4 animate-spin" />
+            {csvImport.status === 'queued' ? 'Import queued…' : `Importing… ${csvImport.processedRows} / ${csvImport.totalRows} rows`}
+          </p>
+          <div className="h-1.5 bg-inset rounded-full overflow-hidden">
+            <div className="h-full bg-amber-500 transition-all" style={{ width: `${csvImport.totalRows ? Math.round((csvImport.processedRows / csvImport.totalRows) * 100) : 0}%` }} />
+          </div>
+        </div>
+      )}
+
       {/* CSV Import Result */}
       {csvResult && (
         <div className="p-4 rounded-xl bg-inset/50 border border-edge/30 space-y-2">
@@ -237,7 +460,56 @@ export default function SellerProducts() {
               ))}
             </div>
           )}
-          <p className="text-xs text-theme-dim">CSV format: title, description, price, stock, category, sku, tags (semicolon-separated), compareatprice</p>
+          <p className="text-xs text-theme-dim">Same format as Export CSV. Rows with an existing SKU update that product; empty cells are left unchanged. Tags and image URLs are semicolon-separated.</p>
+        </div>
+      )}
+
+      {/* Media Editor Modal */}
+      {mediaEditor && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+          <div className="bg-card border border-edge rounded-2xl w-full max-w-[95vw] sm:max-w-lg max-h-[90vh] overflow-y-auto p-4 sm:p-6">
+            <div className="flex items-center justify-between mb-1">
+              <h2 className="text-lg font-bold text-theme-primary">Product Media</h2>
+              <button onClick={() => setMediaEditor(null)} aria-label="Close" className="text-theme-dim hover:text-theme-primary"><X className="w-5 h-5" /></button>
+            </div>
+            <p className="text-xs text-theme-muted mb-4">The first image is the cover shown on product cards. Alt text describes each image for screen readers and search engines.</p>
+            {mediaEditor.items.length === 0 ? (
+              <p className="text-sm text-theme-dim text-center py-6">This product has no media yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {mediaEditor.items.map((item, idx) => (
+                  <div key={item._id || item.url} className="flex items-center gap-3 bg-inset border border-edge/50 rounded-lg p-2">
+                    <div className="relative w-14 h-14 rounded-lg overflow-hidden bg-card shrink-0">
+                      {item.type === 'video'
+                        ? (item.thumbnailUrl ? <img src={item.thumbnailUrl} alt="" className="w-full h-full object-cover" /> : <Film className="w-5 h-5 text-theme-dim m-auto mt-4" />)
+                        : <img src={item.url} alt="" className="w-full h-full object-cover" />}
+                      {idx === 0 && item.type !== 'video' && <span className="absolute bottom-0 inset-x-0 bg-amber-500 text-zinc-950 text-[9px] font-bold text-center">COVER</span>}
+                    </div>
+                    {item.type === 'video' ? (
+                      <span className="flex-1 text-xs text-theme-dim">Video</span>
+                    ) : (
+                      <input type="text" maxLength={150} placeholder="Alt text (e.g. Blue ceramic mug with name engraving)" value={item.alt}
+                        onChange={e => setMediaEditor(ed => ({ ...ed, items: ed.items.map((m, i) => i === idx ? { ...m, alt: e.target.value } : m) }))}
+                        className="flex-1 min-w-0 px-3 py-1.5 bg-card border border-edge rounded-lg text-xs text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                    )}
+                    <div className="flex flex-col">
+                      <button type="button" onClick={() => moveMediaItem(idx, -1)} disabled={idx === 0} aria-label="Move up" className="text-theme-dim hover:text-theme-primary disabled:opacity-30"><ChevronUp className="w-4 h-4" /></button>
+                      <button type="button" onClick={() => moveMediaItem(idx, 1)} disabled={idx === mediaEditor.items.length - 1} aria-label="Move down" className="text-theme-dim hover:text-theme-primary disabled:opacity-30"><ChevronDown className="w-4 h-4" /></button>
+                    </div>
+                    {item.type !== 'video' && (
+                      <button type="button" onClick={() => saveMedia(idx)} disabled={savingMedia || idx === 0} title="Make cover and save" className="text-theme-dim hover:text-amber-400 disabled:opacity-30"><Star className="w-4 h-4" /></button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end gap-2 mt-4">
+              <button onClick={() => setMediaEditor(null)} className="px-4 py-2 text-sm text-theme-muted hover:text-theme-primary">Cancel</button>
+              <button onClick={() => saveMedia()} disabled={savingMedia || mediaEditor.items.length === 0} className="flex items-center gap-2 px-4 py-2 bg-amber-500 hover:bg-amber-400 text-zinc-950 rounded-xl text-sm font-semibold disabled:opacity-50">
+                {savingMedia && <Loader className="w-4 h-4 animate-spin" />} Save
+              </button>
+            </div>
+          </div>
         </div>
       )}
 
@@ -250,6 +522,21 @@ export default function SellerProducts() {
               <button onClick={() => setShowForm(false)} aria-label="Close" className="text-theme-dim hover:text-theme-primary"><X className="w-5 h-5" /></button>
             </div>
             <form onSubmit={handleSubmit} className="space-y-4">
+              {!editing && (
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <label className="text-xs text-theme-muted font-medium mb-1 block">Start from template</label>
+                    <select value={templateId} onChange={e => applyTemplate(e.target.value)} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50">
+                      <option value="">No template</option>
+                      {templates.map(t => <option key={t._id} value={t._id}>{t.name}</option>)}
+                    </select>
+                  </div>
+                  {templateId && (
+                    <button type="button" onClick={deleteTemplate} aria-label="Delete template" className="p-2.5 rounded-xl bg-inset text-theme-muted hover:text-red-400"><Trash2 className="w-4 h-4" /></button>
+                  )}
+                  <button type="button" onClick={saveAsTemplate} className="px-3 py-2.5 rounded-xl bg-inset border border-edge text-xs text-theme-muted hover:text-theme-primary whitespace-nowrap">Save as template</button>
+                </div>
+              )}
               <div>
                 <label className="text-xs text-theme-muted font-medium mb-1 block">Title *</label>
                 <input type="text" value={form.title} onChange={e => setForm(f => ({ ...f, title: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" required />
@@ -258,7 +545,7 @@ export default function SellerProducts() {
                 <label className="text-xs text-theme-muted font-medium mb-1 block">Description</label>
                 <textarea value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} rows={3} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50 resize-none" />
               </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {form.variantOptions.length === 0 && <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <div>
                   <label className="text-xs text-theme-muted font-medium mb-1 block">Price (Rs.) *</label>
                   <input type="number" value={form.price} onChange={e => setForm(f => ({ ...f, price: e.target.value }))} min={minPrice} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" required />
@@ -267,6 +554,35 @@ export default function SellerProducts() {
                   <label className="text-xs text-theme-muted font-medium mb-1 block">Stock *</label>
                   <input type="number" value={form.stock} onChange={e => setForm(f => ({ ...f, stock: e.target.value }))} min="0" className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" required />
                 </div>
+              </div>}
+              <div>
+                <label className="text-xs text-theme-muted font-medium mb-1 block">Low-stock alert at</label>
+                <input type="number" value={form.lowStockThreshold} onChange={e => setForm(f => ({ ...f, lowStockThreshold: e.target.value }))} min="0" step="1" className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                <p className="text-[10px] text-theme-dim mt-1">We notify you when stock falls to this level. 0 turns alerts off.</p>
+              </div>
+              <div>
+                <label className="text-xs text-theme-muted font-medium mb-1 block">Gift wrap price per item (Rs.)</label>
+                <input type="number" value={form.giftWrapPrice} onChange={e => setForm(f => ({ ...f, giftWrapPrice: e.target.value }))} min="0" step="1" placeholder="Store default" className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                <p className="text-[10px] text-theme-dim mt-1">Leave empty to use your store-wide gift wrap setting.</p>
+              </div>
+              <div>
+                <label className="text-xs text-theme-muted font-medium mb-1 block">Publish on</label>
+                <input type="datetime-local" value={form.publishAt} onChange={e => setForm(f => ({ ...f, publishAt: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                <p className="text-[10px] text-theme-dim mt-1">Leave empty to publish right away. Scheduled products stay hidden until then.</p>
+              </div>
+              <div className={`grid grid-cols-1 gap-4 ${form.variantOptions.length ? 'sm:grid-cols-2' : 'sm:grid-cols-3'}`}>
+                {form.variantOptions.length === 0 && <div>
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">Sale price (Rs.)</label>
+                  <input type="number" value={form.salePrice} onChange={e => setForm(f => ({ ...f, salePrice: e.target.value }))} min={minPrice} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                </div>}
+                <div>
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">Sale starts</label>
+                  <input type="datetime-local" value={form.saleStartsAt} onChange={e => setForm(f => ({ ...f, saleStartsAt: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                </div>
+                <div>
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">Sale ends</label>
+                  <input type="datetime-local" value={form.saleEndsAt} onChange={e => setForm(f => ({ ...f, saleEndsAt: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                </div>
               </div>
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <div>
@@ -319,14 +635,54 @@ export default function SellerProducts() {
                             <option value="text">Text Input</option>
                             <option value="image">Image Upload</option>
                             <option value="select">Dropdown</option>
+                            <option value="multi_select">Multi-select</option>
+                            <option value="color">Colour Swatch</option>
+                            <option value="font">Font Choice</option>
+                            <option value="number">Number</option>
+                            <option value="date">Date</option>
                           </select>
                         </div>
                         <div className="grid grid-cols-3 gap-2">
                           <input type="text" placeholder="Placeholder text" value={opt.placeholder || ''} onChange={e => setForm(f => ({ ...f, customizationOptions: f.customizationOptions.map((o, i) => i === idx ? { ...o, placeholder: e.target.value } : o) }))} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none col-span-2" />
                           <input type="number" placeholder="Extra Rs." value={opt.extraPrice || ''} onChange={e => setForm(f => ({ ...f, customizationOptions: f.customizationOptions.map((o, i) => i === idx ? { ...o, extraPrice: Number(e.target.value) || 0 } : o) }))} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
                         </div>
-                        {opt.type === 'select' && (
-                          <input type="text" placeholder="Options (comma separated, e.g. Red,Blue,Green)" value={(opt.selectOptions || []).join(',')} onChange={e => setForm(f => ({ ...f, customizationOptions: f.customizationOptions.map((o, i) => i === idx ? { ...o, selectOptions: e.target.value.split(',').map(s => s.trim()).filter(Boolean) } : o) }))} className="w-full px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                        {['select', 'multi_select', 'font'].includes(opt.type) && (
+                          <input type="text" placeholder={opt.type === 'font' ? 'Fonts (comma separated, e.g. Georgia,Courier New)' : 'Options (comma separated, e.g. Red,Blue,Green)'} value={(opt.selectOptions || []).join(',')} onChange={e => setForm(f => ({ ...f, customizationOptions: f.customizationOptions.map((o, i) => i === idx ? { ...o, selectOptions: e.target.value.split(',').map(s => s.trim()).filter(Boolean) } : o) }))} className="w-full px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                        )}
+                        {opt.type === 'multi_select' && (
+                          <div className="grid grid-cols-2 gap-2">
+                            <input type="number" min="0" placeholder="Min selections" value={opt.minSelections || ''} onChange={e => updateCustomOption(idx, { minSelections: Number(e.target.value) || 0 })} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="number" min="1" placeholder="Max selections (any)" value={opt.maxSelections || ''} onChange={e => updateCustomOption(idx, { maxSelections: Number(e.target.value) || null })} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                          </div>
+                        )}
+                        {opt.type === 'color' && (
+                          <div className="space-y-1.5">
+                            {(opt.swatches || []).map((sw, si) => (
+                              <div key={si} className="flex items-center gap-2">
+                                <input type="color" value={sw.hex || '#000000'} onChange={e => updateCustomOption(idx, { swatches: opt.swatches.map((x, xi) => xi === si ? { ...x, hex: e.target.value } : x) })} className="w-8 h-8 rounded border border-edge bg-transparent" />
+                                <input type="text" placeholder="Swatch name (e.g. Navy)" value={sw.name} onChange={e => updateCustomOption(idx, { swatches: opt.swatches.map((x, xi) => xi === si ? { ...x, name: e.target.value } : x) })} className="flex-1 px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                                <button type="button" onClick={() => updateCustomOption(idx, { swatches: opt.swatches.filter((_, xi) => xi !== si) })} aria-label="Remove swatch" className="text-red-400 hover:text-red-300"><X className="w-3.5 h-3.5" /></button>
+                              </div>
+                            ))}
+                            <button type="button" onClick={() => updateCustomOption(idx, { swatches: [...(opt.swatches || []), { name: '', hex: '#000000' }] })} className="text-[10px] text-amber-400 hover:text-amber-300">+ Add swatch</button>
+                          </div>
+                        )}
+                        {opt.type === 'number' && (
+                          <div className="grid grid-cols-3 gap-2">
+                            <input type="number" placeholder="Min" value={opt.minValue ?? ''} onChange={e => updateCustomOption(idx, { minValue: e.target.value === '' ? null : Number(e.target.value) })} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="number" placeholder="Max" value={opt.maxValue ?? ''} onChange={e => updateCustomOption(idx, { maxValue: e.target.value === '' ? null : Number(e.target.value) })} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="number" min="0" placeholder="Step (any)" value={opt.step ?? ''} onChange={e => updateCustomOption(idx, { step: e.target.value === '' ? null : Number(e.target.value) })} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                          </div>
+                        )}
+                        {opt.type === 'date' && (
+                          <div className="grid grid-cols-2 gap-2">
+                            <label className="text-[10px] text-theme-dim">Earliest
+                              <input type="date" value={opt.minDate || ''} onChange={e => updateCustomOption(idx, { minDate: e.target.value })} className="w-full mt-0.5 px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            </label>
+                            <label className="text-[10px] text-theme-dim">Latest
+                              <input type="date" value={opt.maxDate || ''} onChange={e => updateCustomOption(idx, { maxDate: e.target.value })} className="w-full mt-0.5 px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            </label>
+                          </div>
                         )}
                         {opt.type === 'image' && (
                           <input type="number" placeholder="Max files (default 5)" value={opt.maxFiles || ''} onChange={e => setForm(f => ({ ...f, customizationOptions: f.customizationOptions.map((o, i) => i === idx ? { ...o, maxFiles: Number(e.target.value) || 5 } : o) }))} className="w-full px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
@@ -343,6 +699,48 @@ export default function SellerProducts() {
                   </div>
                 )}
               </div>
+              {/* Variants */}
+              <div className="bg-inset/50 border border-edge/50 rounded-xl p-4 space-y-3">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input type="checkbox" checked={form.variantOptions.length > 0} onChange={e => setVariantOptions(() => (e.target.checked ? [{ name: '', values: '' }] : []))} className="rounded border-edge text-amber-500 focus:ring-amber-500" />
+                  <span className="text-xs font-medium text-theme-primary">Sold in variants</span>
+                  <span className="text-[10px] text-theme-dim">(size, colour, etc. with their own price and stock)</span>
+                </label>
+                {form.variantOptions.length > 0 && (
+                  <div className="space-y-3">
+                    {form.variantOptions.map((opt, idx) => (
+                      <div key={idx} className="grid grid-cols-[1fr_2fr_auto] gap-2 items-center">
+                        <input type="text" placeholder="Option (e.g. Size)" value={opt.name} onChange={e => setVariantOptions(opts => opts.map((o, i) => i === idx ? { ...o, name: e.target.value } : o))} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                        <input type="text" placeholder="Values (comma separated, e.g. S, M, L)" value={opt.values} onChange={e => setVariantOptions(opts => opts.map((o, i) => i === idx ? { ...o, values: e.target.value } : o))} className="px-3 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                        <button type="button" onClick={() => setVariantOptions(opts => opts.filter((_, i) => i !== idx))} className="text-red-400 hover:text-red-300"><X className="w-3.5 h-3.5" /></button>
+                      </div>
+                    ))}
+                    {form.variantOptions.length < MAX_VARIANT_OPTIONS && (
+                      <button type="button" onClick={() => setVariantOptions(opts => [...opts, { name: '', values: '' }])} className="w-full py-2 border-2 border-dashed border-edge hover:border-amber-500/50 rounded-lg text-xs text-theme-muted hover:text-amber-400 transition-colors">
+                        + Add Variant Option
+                      </button>
+                    )}
+                    {form.variants.length > 0 && (
+                      <div className="space-y-2">
+                        <div className="grid grid-cols-[2fr_1fr_1fr_1fr_1fr_auto] gap-2 text-[10px] font-medium text-theme-dim">
+                          <span>Variant</span><span>Price *</span><span>Sale price</span><span>Stock *</span><span>SKU</span><span>On</span>
+                        </div>
+                        {form.variants.map((v, idx) => (
+                          <div key={idx} className="grid grid-cols-[2fr_1fr_1fr_1fr_1fr_auto] gap-2 items-center">
+                            <span className="text-xs text-theme-primary truncate">{Object.values(v.options || {}).join(' / ')}</span>
+                            <input type="number" value={v.price} onChange={e => updateVariant(idx, { price: e.target.value })} min={minPrice} className="min-w-0 px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="number" value={v.salePrice} onChange={e => updateVariant(idx, { salePrice: e.target.value })} min={minPrice} className="min-w-0 px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="number" value={v.stock} onChange={e => updateVariant(idx, { stock: e.target.value })} min="0" step="1" className="min-w-0 px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="text" value={v.sku || ''} onChange={e => updateVariant(idx, { sku: e.target.value })} className="min-w-0 px-2 py-1.5 bg-inset border border-edge rounded-lg text-xs text-theme-primary focus:outline-none" />
+                            <input type="checkbox" checked={v.isActive !== false} onChange={e => updateVariant(idx, { isActive: e.target.checked })} aria-label="Variant available" className="rounded border-edge text-amber-500 focus:ring-amber-500" />
+                          </div>
+                        ))}
+                        <p className="text-[10px] text-theme-dim">Sale prices apply during the sale window above. Unchecked variants are hidden from buyers.</p>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
               {/* Images & Videos */}
               <div>
                 <label className="text-xs text-theme-muted font-medium mb-2 block">Images & Videos</label>
@@ -367,9 +765,16 @@ export default function SellerProducts() {
                   </label>
                 </div>
               </div>
-              <button type="submit" disabled={submitting} className="w-full py-2.5 bg-amber-500 hover:bg-amber-400 disabled:opacity-50 text-zinc-950 rounded-xl font-semibold text-sm flex items-center justify-center gap-2 transition-colors">
-                {submitting ? <Loader className="w-4 h-4 animate-spin" /> : editing ? 'Update Product' : 'Create Product'}
-              </button>
+              <div className="flex gap-2">
+                {!editing && (
+                  <button type="submit" value="draft" disabled={submitting} className="flex-1 py-2.5 bg-inset border border-edge hover:border-amber-500/50 disabled:opacity-50 text-theme-primary rounded-xl font-semibold text-sm transition-colors">
+                    Save as Draft
+                  </button>
+                )}
+                <button type="submit" disabled={submitting} className="flex-1 py-2.5 bg-amber-500 hover:bg-amber-400 disabled:opacity-50 text-zinc-950 rounded-xl font-semibold text-sm flex items-center justify-center gap-2 transition-colors">
+                  {submitting ? <Loader className="w-4 h-4 animate-spin" /> : editing ? 'Update Product' : 'Submit for Review'}
+                </button>
+              </div>
             </form>
           </div>
         </div>
@@ -392,14 +797,27 @@ export default function SellerProducts() {
                 <div className="flex items-center gap-2">
                   <h3 className="font-medium text-sm text-theme-primary truncate">{p.title}</h3>
                   {!p.isActive && <span className="px-1.5 py-0.5 bg-inset text-theme-dim text-[10px] rounded">Hidden</span>}
+                  {p.publishAt && new Date(p.publishAt) > new Date() && <span className="px-1.5 py-0.5 bg-blue-500/10 text-blue-400 text-[10px] rounded">Scheduled {new Date(p.publishAt).toLocaleDateString('en-IN')}</span>}
+                  {p.isOnSale && <span className="px-1.5 py-0.5 bg-green-500/10 text-green-400 text-[10px] rounded">On sale</span>}
+                  {MODERATION_LABELS[p.moderationStatus] && <span className={`px-1.5 py-0.5 text-[10px] rounded ${MODERATION_LABELS[p.moderationStatus].className}`}>{MODERATION_LABELS[p.moderationStatus].label}</span>}
                 </div>
-                <p className="text-xs text-theme-muted mt-0.5">Rs. {p.price?.toLocaleString('en-IN')} &middot; Stock: {p.stock} &middot; {p.category}</p>
+                {p.moderationReason && ['rejected', 'changes_requested'].includes(p.moderationStatus) && (
+                  <p className="text-xs text-red-400 mt-0.5">{p.moderationStatus === 'rejected' ? 'Rejected' : 'Changes requested'}: {p.moderationReason}</p>
+                )}
+                <p className="text-xs text-theme-muted mt-0.5">Rs. {p.price?.toLocaleString('en-IN')}{p.salePrice ? ` (sale Rs. ${p.salePrice.toLocaleString('en-IN')})` : ''} &middot; Stock: {p.stock} &middot; {p.category}</p>
               </div>
               <div className="flex items-center gap-1.5">
+                {['draft', 'changes_requested'].includes(p.moderationStatus) && (
+                  <button onClick={() => submitForReview(p._id)} className="px-2.5 py-1.5 rounded-lg bg-amber-500/10 text-amber-400 hover:bg-amber-500/20 text-xs font-medium" title="Submit for review">
+                    Submit
+                  </button>
+                )}
                 <button onClick={() => toggleActive(p._id, p.isActive)} className="p-2 rounded-lg bg-inset text-theme-muted hover:text-theme-primary" title={p.isActive ? 'Hide' : 'Show'}>
                   {p.isActive ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
                 </button>
                 <button onClick={() => openForm(p)} className="p-2 rounded-lg bg-inset text-theme-muted hover:text-theme-primary"><Edit3 className="w-4 h-4" /></button>
+                <button onClick={() => openMediaEditor(p)} className="p-2 rounded-lg bg-inset text-theme-muted hover:text-theme-primary" title="Media, cover & alt text"><Images className="w-4 h-4" /></button>
+                <button onClick={() => duplicateProduct(p._id)} className="p-2 rounded-lg bg-inset text-theme-muted hover:text-theme-primary" title="Duplicate"><Copy className="w-4 h-4" /></button>
                 <button onClick={() => deleteProduct(p._id)} className="p-2 rounded-lg bg-inset text-theme-muted hover:text-red-400"><Trash2 className="w-4 h-4" /></button>
               </div>
             </div>
@@ -1,11 +1,21 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { sellerAPI } from '../../api';
-import { Store, CreditCard, MapPin, Loader, AlertTriangle, Send, Camera, ImageIcon, CheckCircle, XCircle, Instagram, RefreshCw, ShieldCheck, ShieldAlert } from 'lucide-react';
+import { Store, CreditCard, MapPin, Loader, AlertTriangle, Send, Camera, ImageIcon, CheckCircle, XCircle, Instagram, RefreshCw, ShieldCheck, ShieldAlert, Plane } from 'lucide-react';
 import toast from 'react-hot-toast';
 import API, { SellerAPI } from '../../api';
 import ImageCropper from '../../components/ImageCropper';
 
+// Handling time and vacation mode as form fields (dates as YYYY-MM-DD)
+const toAvailabilityForm = (sp) => ({
+  handlingDays: sp.handlingDays || 2,
+  vacationOn: !!(sp.vacation?.startsAt && sp.vacation?.endsAt && new Date(sp.vacation.endsAt) >= new Date(new Date().toISOString().split('T')[0])),
+  startsAt: sp.vacation?.startsAt ? sp.vacation.startsAt.split('T')[0] : '',
+  endsAt: sp.vacation?.endsAt ? sp.vacation.endsAt.split('T')[0] : '',
+  mode: sp.vacation?.mode || 'delay',
+  message: sp.vacation?.message || ''
+});
+
 export default function SellerSettings() {
   const { user, login } = useAuth();
   const [tab, setTab] = useState('store');
@@ -22,9 +32,10 @@ export default function SellerSettings() {
   const [cropperImage, setCropperImage] = useState(null); // data URL for cropper
   const [cropperType, setCropperType] = useState(null); // 'avatar' or 'cover'
 
-  const [storeForm, setStoreForm] = useState({ businessName: '', businessType: 'individual', gstNumber: '', instagramUsername: '' });
+  const [storeForm, setStoreForm] = useState({ businessName: '', businessType: 'individual', gstNumber: '', instagramUsername: '', giftWrapEnabled: false, giftWrapPrice: '' });
   const [igVerifying, setIgVerifying] = useState(false);
   const [igVerified, setIgVerified] = useState(null); // null = not checked, true = valid, false = invalid
+  const [availabilityForm, setAvailabilityForm] = useState(toAvailabilityForm({}));
   const [bankForm, setBankForm] = useState({ accountHolderName: '', accountNumber: '', ifscCode: '', bankName: '' });
   const [addressForm, setAddressForm] = useState({ street: '', city: '', state: '', pincode: '' });
   const [pickupForm, setPickupForm] = useState({ street: '', city: '', state: '', pincode: '', phone: '' });
@@ -36,7 +47,8 @@ export default function SellerSettings() {
       try {
         const { data } = await SellerAPI.get('/settings');
         const sp = data.sellerProfile || data;
-        setStoreForm({ businessName: sp.businessName || '', businessType: sp.businessType || 'individual', gstNumber: sp.gstNumber || '', instagramUsername: sp.instagramUsername || '' });
+        setStoreForm({ businessName: sp.businessName || '', businessType: sp.businessType || 'individual', gstNumber: sp.gstNumber || '', instagramUsername: sp.instagramUsername || '', giftWrapEnabled: !!sp.giftWrap?.enabled, giftWrapPrice: sp.giftWrap?.price ?? '' });
+        setAvailabilityForm(toAvailabilityForm(sp));
         setBankForm({ accountHolderName: sp.bankDetails?.accountHolderName || '', accountNumber: sp.bankDetails?.accountNumber || '', ifscCode: sp.bankDetails?.ifscCode || '', bankName: sp.bankDetails?.bankName || '' });
         setAddressForm({ street: sp.businessAddress?.street || '', city: sp.businessAddress?.city || '', state: sp.businessAddress?.state || '', pincode: sp.businessAddress?.pincode || '' });
         setPickupForm({ street: sp.pickupAddress?.street || '', city: sp.pickupAddress?.city || '', state: sp.pickupAddress?.state || '', pincode: sp.pickupAddress?.pincode || '', phone: sp.pickupAddress?.phone || '' });
@@ -45,7 +57,8 @@ export default function SellerSettings() {
         if (sp.shiprocketPickupVerified !== undefined) setPickupVerified(sp.shiprocketPickupVerified);
       } catch {
         const sp = user?.sellerProfile || {};
-        setStoreForm({ businessName: sp.businessName || '', businessType: sp.businessType || 'individual', gstNumber: sp.gstNumber || '', instagramUsername: sp.instagramUsername || '' });
+        setStoreForm({ businessName: sp.businessName || '', businessType: sp.businessType || 'individual', gstNumber: sp.gstNumber || '', instagramUsername: sp.instagramUsername || '', giftWrapEnabled: !!sp.giftWrap?.enabled, giftWrapPrice: sp.giftWrap?.price ?? '' });
+        setAvailabilityForm(toAvailabilityForm(sp));
         setBankForm({ accountHolderName: sp.bankDetails?.accountHolderName || '', accountNumber: sp.bankDetails?.accountNumber || '', ifscCode: sp.bankDetails?.ifscCode || '', bankName: sp.bankDetails?.bankName || '' });
         setAddressForm({ street: sp.businessAddress?.street || '', city: sp.businessAddress?.city || '', state: sp.businessAddress?.state || '', pincode: sp.businessAddress?.pincode || '' });
         setPickupForm({ street: sp.pickupAddress?.street || '', city: sp.pickupAddress?.city || '', state: sp.pickupAddress?.state || '', pincode: sp.pickupAddress?.pincode || '', phone: sp.pickupAddress?.phone || '' });
@@ -114,13 +127,31 @@ export default function SellerSettings() {
   const saveStore = async () => {
     setLoading(true);
     try {
-      const { data } = await SellerAPI.put('/settings', { businessName: storeForm.businessName, businessType: storeForm.businessType, gstNumber: storeForm.gstNumber, instagramUsername: storeForm.instagramUsername });
+      const { data } = await SellerAPI.put('/settings', {
+        businessName: storeForm.businessName, businessType: storeForm.businessType, gstNumber: storeForm.gstNumber, instagramUsername: storeForm.instagramUsername,
+        giftWrap: { enabled: storeForm.giftWrapEnabled, price: Number(storeForm.giftWrapPrice) || 0 }
+      });
       login(data.token, data.user);
       toast.success('Store settings saved');
     } catch (err) { toast.error(err.response?.data?.message || 'Failed to save store settings'); }
     setLoading(false);
   };
 
+  const saveAvailability = async () => {
+    const f = availabilityForm;
+    if (f.vacationOn && (!f.startsAt || !f.endsAt)) return toast.error('Pick the first and last day of your vacation');
+    setLoading(true);
+    try {
+      const { data } = await SellerAPI.put('/settings', {
+        handlingDays: Number(f.handlingDays),
+        vacation: f.vacationOn ? { startsAt: f.startsAt, endsAt: f.endsAt, mode: f.mode, message: f.message } : null
+      });
+      login(data.token, data.user);
+      toast.success(f.vacationOn ? 'Vacation mode saved' : 'Shipping settings saved');
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to save shipping settings'); }
+    setLoading(false);
+  };
+
   const saveBank = async () => {
     setLoading(true);
     try {
@@ -193,6 +224,7 @@ export default function SellerSettings() {
     { key: 'store', label: 'Store', icon: Store },
     { key: 'bank', label: 'Bank Details', icon: CreditCard },
     { key: 'address', label: 'Addresses', icon: MapPin },
+    { key: 'availability', label: 'Shipping & Vacation', icon: Plane },
   ];
 
   return (
@@ -227,7 +259,7 @@ export default function SellerSettings() {
       )}
 
       {/* Tabs */}
-      <div className="flex gap-2 mb-6">
+      <div className="flex flex-wrap gap-2 mb-6">
         {tabs.map(t => (
           <button key={t.key} onClick={() => setTab(t.key)} className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${tab === t.key ? 'bg-amber-500/10 text-amber-400' : 'bg-inset text-theme-muted hover:text-theme-primary'}`}>
             <t.icon className="w-4 h-4" /> {t.label}
@@ -342,6 +374,19 @@ export default function SellerSettings() {
               <label className="text-xs text-theme-muted font-medium mb-1 block">GST Number</label>
               <input type="text" value={storeForm.gstNumber} onChange={e => setStoreForm(f => ({ ...f, gstNumber: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
             </div>
+            <div>
+              <label className="flex items-center gap-2 text-sm text-theme-primary cursor-pointer">
+                <input type="checkbox" checked={storeForm.giftWrapEnabled} onChange={e => setStoreForm(f => ({ ...f, giftWrapEnabled: e.target.checked }))} className="accent-amber-500" />
+                Offer gift wrap on all products
+              </label>
+              {storeForm.giftWrapEnabled && (
+                <div className="mt-2">
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">Gift wrap price per item (Rs.)</label>
+                  <input type="number" min="0" step="1" value={storeForm.giftWrapPrice} onChange={e => setStoreForm(f => ({ ...f, giftWrapPrice: e.target.value }))} placeholder="0 for free" className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                </div>
+              )}
+              <p className="text-xs text-theme-dim mt-1">Products can set their own gift wrap price, which takes priority.</p>
+            </div>
             <button onClick={saveStore} disabled={loading} className="px-6 py-2.5 bg-amber-500 hover:bg-amber-400 disabled:opacity-50 text-zinc-950 rounded-xl font-semibold text-sm transition-colors">
               {loading ? 'Saving...' : 'Save Changes'}
             </button>
@@ -446,6 +491,60 @@ export default function SellerSettings() {
         </div>
       )}
 
+      {/* Handling time and vacation mode */}
+      {tab === 'availability' && (
+        <div className="space-y-6">
+          <div className="bg-card border border-edge/50 rounded-xl p-6 space-y-4">
+            <h3 className="font-semibold text-theme-primary">Handling Time</h3>
+            <div>
+              <label className="text-xs text-theme-muted font-medium mb-1 block">Days to ship an order</label>
+              <select value={availabilityForm.handlingDays} onChange={e => setAvailabilityForm(f => ({ ...f, handlingDays: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50">
+                {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(d => <option key={d} value={d}>{d} {d === 1 ? 'day' : 'days'}</option>)}
+              </select>
+              <p className="text-xs text-theme-dim mt-1">Added to the delivery estimate customers see. Orders not shipped within this time count as late, and are auto-cancelled soon after.</p>
+            </div>
+          </div>
+          <div className="bg-card border border-edge/50 rounded-xl p-6 space-y-4">
+            <label className="flex items-center gap-2 text-sm font-semibold text-theme-primary cursor-pointer">
+              <input type="checkbox" checked={availabilityForm.vacationOn} onChange={e => setAvailabilityForm(f => ({ ...f, vacationOn: e.target.checked }))} className="accent-amber-500" />
+              Vacation mode
+            </label>
+            <p className="text-xs text-theme-dim">While you're away, orders aren't auto-cancelled and your health metrics are paused.</p>
+            {availabilityForm.vacationOn && (
+              <>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="text-xs text-theme-muted font-medium mb-1 block">First day away</label>
+                    <input type="date" value={availabilityForm.startsAt} onChange={e => setAvailabilityForm(f => ({ ...f, startsAt: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                  </div>
+                  <div>
+                    <label className="text-xs text-theme-muted font-medium mb-1 block">Last day away</label>
+                    <input type="date" value={availabilityForm.endsAt} min={availabilityForm.startsAt || undefined} onChange={e => setAvailabilityForm(f => ({ ...f, endsAt: e.target.value }))} className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary focus:outline-none focus:border-amber-500/50" />
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <label className="flex items-start gap-2 text-sm text-theme-primary cursor-pointer">
+                    <input type="radio" name="vacationMode" checked={availabilityForm.mode === 'delay'} onChange={() => setAvailabilityForm(f => ({ ...f, mode: 'delay' }))} className="accent-amber-500 mt-1" />
+                    <span>Keep selling<span className="block text-xs text-theme-dim">Products stay listed as "ships after" your last day away. Orders are due once you're back.</span></span>
+                  </label>
+                  <label className="flex items-start gap-2 text-sm text-theme-primary cursor-pointer">
+                    <input type="radio" name="vacationMode" checked={availabilityForm.mode === 'hide'} onChange={() => setAvailabilityForm(f => ({ ...f, mode: 'hide' }))} className="accent-amber-500 mt-1" />
+                    <span>Pause my store<span className="block text-xs text-theme-dim">Products are hidden and no new orders are taken until you're back.</span></span>
+                  </label>
+                </div>
+                <div>
+                  <label className="text-xs text-theme-muted font-medium mb-1 block">Message for customers (optional)</label>
+                  <input type="text" maxLength={200} value={availabilityForm.message} onChange={e => setAvailabilityForm(f => ({ ...f, message: e.target.value }))} placeholder="Away for a craft fair, back soon!" className="w-full px-4 py-2.5 bg-inset border border-edge rounded-xl text-sm text-theme-primary placeholder:text-theme-dim focus:outline-none focus:border-amber-500/50" />
+                </div>
+              </>
+            )}
+          </div>
+          <button onClick={saveAvailability} disabled={loading} className="px-6 py-2.5 bg-amber-500 hover:bg-amber-400 disabled:opacity-50 text-zinc-950 rounded-xl font-semibold text-sm transition-colors">
+            {loading ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      )}
+
       {/* Image Cropper Modal */}
       {cropperImage && (
         <ImageCropper
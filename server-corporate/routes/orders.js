@@ -8,6 +8,8 @@ const { logActivity } = require('../../server/utils/audit');
 const { sanitizeBody } = require('../../server/middleware/sanitize');
 const { generateOrderInvoice } = require('../../server/utils/pdf');
 const { validateCorporateOrder, validatePaymentVerification } = require('../../server/middleware/validators');
+const { variantLabel } = require('../../server/utils/variants');
+const { reserveStock, restoreStock } = require('../../server/utils/stock');
 const logger = require('../../server/utils/logger');
 const router = express.Router();
 
@@ -55,12 +57,21 @@ router.post('/', validateCorporateOrder, async (req, res) => {
         return res.status(400).json({ message: `Product "${item.productId}" is unavailable` });
       }
 
+      // Products with variants must be ordered as a specific, active variant
+      let variant = null;
+      if (product.variants?.length > 0) {
+        variant = item.variantId ? product.variants.id(item.variantId) : null;
+        if (!variant || !variant.isActive) {
+          return res.status(400).json({ message: `Please choose an available option for ${product.title}` });
+        }
+      }
+
       // Use corporate price if set, otherwise regular price
-      const unitPrice = catalogEntry.corporatePrice || product.price;
+      const unitPrice = catalogEntry.corporatePrice || (variant ? variant.price : product.price);
 
       const sid = product.sellerId.toString();
       if (!sellerGroups[sid]) sellerGroups[sid] = [];
-      sellerGroups[sid].push({ product, quantity: item.quantity, unitPrice, catalogEntry });
+      sellerGroups[sid].push({ product, variant, quantity: item.quantity, unitPrice, catalogEntry });
     }
 
     // Create orders grouped by seller
@@ -77,10 +88,12 @@ router.post('/', validateCorporateOrder, async (req, res) => {
         sellerId,
         items: sellerItems.map(i => ({
           productId: i.product._id,
+          variantId: i.variant?._id || null,
+          variantLabel: variantLabel(i.variant, i.product.variantOptions),
           title: i.product.title,
           price: i.unitPrice,
-          image: i.product.images[0]?.url || '',
-          sku: i.product.sku || '',
+          image: i.variant?.images[0]?.url || i.product.images[0]?.url || '',
+          sku: i.variant?.sku || i.product.sku || '',
           quantity: i.quantity,
           sellerId
         })),
@@ -167,13 +180,10 @@ router.post('/verify-payment', validatePaymentVerification, async (req, res) =>
       order.paidAt = new Date();
       await order.save();
 
-      // Atomic stock decrement
+      // Atomic stock decrement (the variant's stock and the product's aggregate together)
       for (const item of order.items) {
-        await Product.findOneAndUpdate(
-          { _id: item.productId, stock: { $gte: item.quantity } },
-          { $inc: { stock: -item.quantity, orderCount: item.quantity } },
-          { new: true }
-        );
+        const reserved = await reserveStock(item);
+        if (reserved) await Product.findByIdAndUpdate(item.productId, { $inc: { orderCount: item.quantity } });
       }
     }
 
@@ -290,7 +300,7 @@ router.post('/:id/cancel', sanitizeBody, async (req, res) => {
 
     if (order.paymentStatus === 'paid') {
       for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.productId, { $inc: { stock: item.quantity, orderCount: -item.quantity } });
+        await restoreStock(item, { revertOrderCount: true });
       }
       try {
         const refundId = `refund_${order.orderNumber}_${Date.now()}`;
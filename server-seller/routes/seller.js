@@ -1,13 +1,17 @@
 const express = require('express');
 const multer = require('multer');
+const mongoose = require('mongoose');
 const Product = require('../../server/models/Product');
 const Order = require('../../server/models/Order');
 const Seller = require('../../server/models/Seller');
+const User = require('../../server/models/User');
 const SellerPayout = require('../../server/models/SellerPayout');
 const PlatformSettings = require('../../server/models/PlatformSettings');
 const Shipment = require('../../server/models/Shipment');
+const ProductTemplate = require('../../server/models/ProductTemplate');
+const SellerMetricSnapshot = require('../../server/models/SellerMetricSnapshot');
 const { requireAuth, requireSeller } = require('../../server/middleware/auth');
-const { uploadImage, uploadVideo, deleteImage, deleteVideo, deleteMedia } = require('../../server/config/cloudinary');
+const { uploadImage, uploadImageWithVariants, uploadVideo, copyMedia, deleteImage, deleteVideo, deleteMedia } = require('../../server/config/cloudinary');
 const { slugify } = require('../../server/utils/slugify');
 const { getCommissionRate } = require('../../server/utils/commission');
 const shiprocket = require('../../server/config/shiprocket');
@@ -19,6 +23,29 @@ const logger = require('../../server/utils/logger');
 const { logRequestError } = require('../../server/utils/logError');
 const { invalidateCache } = require('../../server/middleware/cache');
 const { submitToIndexNow } = require('../../server/utils/indexnow');
+const { normalizeVariants, unitWeight, parseJsonField } = require('../../server/utils/variants');
+const { saleError, parseScheduleFields } = require('../../server/utils/pricing');
+const { MAX_GIFT_WRAP_PRICE, parseGiftWrapPrice } = require('../../server/utils/giftOptions');
+const { parseHandlingDays, sellerShippingOptions, deferredShipDates } = require('../../server/utils/deliveryDate');
+const { parseVacation } = require('../../server/utils/vacation');
+const { platformHealthPolicy, effectiveHealthPolicy } = require('../../server/utils/healthPolicy');
+const { metricsOrderFilter, metricsBreakdown } = require('../../server/utils/sellerMetrics');
+const { postDeliveredOrders, postReturnRefund, releaseDueReserves, reserveSummary, summarizeEntries, createLedgerPayout, unsettledEntries, parseStatementQuery, ledgerStatement } = require('../../server/utils/ledger');
+const { matchReserveRule } = require('../../server/utils/reservePolicy');
+const { payoutPeriod, earlyPayoutQuote } = require('../../server/utils/earlyPayout');
+const { MODERATION_STATUSES, SUBMITTABLE_FROM, approvedCondition, isApproved, submissionStatus, reviewedContent, needsReview, applyModeration } = require('../../server/utils/moderation');
+const { restoreStock } = require('../../server/utils/stock');
+const { thresholdOf, lowStockFilter, lowStockItems } = require('../../server/utils/lowStock');
+const { normalizeCustomizationOptions } = require('../../server/utils/customizations');
+const { isActiveShipment, shipmentItems, resolveShipmentItems, applyDerivedStatus, shippingChargeTotal } = require('../../server/utils/fulfillment');
+const { MAX_CANCEL_REASON_LENGTH, planItemCancellation, applyItemCancellation } = require('../../server/utils/itemCancellation');
+const { buildSellerOrderQuery } = require('../../server/utils/orderSearch');
+const { COURIER_POLICIES, parseCouriers, couriersWithinBudget, selectCourier } = require('../../server/utils/courierSelection');
+const { EXPORT_COLUMNS, MAX_XLSX_ORDERS, forEachExportBatch } = require('../../server/utils/orderExport');
+const { buildXlsx } = require('../../server/utils/xlsx');
+const { toSafeCsvRow } = require('../../server/utils/csv');
+const { generatePackingSlips, generatePickList, generateGiftReceipt, generatePayoutStatement } = require('../../server/utils/pdf');
+const { buildPayoutStatement, payoutStatementCsv } = require('../../server/utils/payoutStatement');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 30 * 1024 * 1024 } }); // 30MB max per file
@@ -34,7 +61,7 @@ const productCreationLimiter = rateLimit({
 });
 const csvUploadLimiter = rateLimit({
   windowMs: 5 * 60 * 1000,
-  max: 3,
+  max: 10,
   keyGenerator: (req) => req.user?._id?.toString() || 'unknown',
   message: { message: 'Too many CSV uploads. Please wait a few minutes.' },
   standardHeaders: true,
@@ -46,6 +73,95 @@ router.use(requireAuth, requireSeller);
 // Allowed MIME types for seller product uploads
 const ALLOWED_IMAGE_MIMES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
 const ALLOWED_VIDEO_MIMES = ['video/mp4', 'video/webm', 'video/quicktime'];
+const MAX_ALT_TEXT_LENGTH = 150;
+
+// Product fields owned by moderation or derived on save; never taken from seller input
+const SYSTEM_PRODUCT_FIELDS = ['moderationStatus', 'moderationReason', 'moderationHistory', 'submittedForReviewAt', 'reviewedAt', 'reviewedBy', 'isOnSale', 'currentPrice'];
+
+// Clean up all Cloudinary assets of a product (deduplicated to avoid double-deletion)
+async function deleteProductAssets(product) {
+  const deletedIds = new Set();
+  for (const img of product.images || []) {
+    if (img.publicId && !deletedIds.has(img.publicId)) {
+      deletedIds.add(img.publicId);
+      await deleteImage(img.publicId);
+    }
+  }
+  for (const m of product.media || []) {
+    if (m.publicId && !deletedIds.has(m.publicId)) {
+      deletedIds.add(m.publicId);
+      await deleteMedia(m.publicId, m.type || 'image');
+    }
+  }
+  for (const img of (product.variants || []).flatMap(v => v.images)) {
+    if (img.publicId && !deletedIds.has(img.publicId)) {
+      deletedIds.add(img.publicId);
+      await deleteImage(img.publicId);
+    }
+  }
+}
+
+// Upload base64 variant images; already-hosted images pass through unchanged
+async function uploadVariantImages(variants, folder, uploadedPublicIds) {
+  for (const variant of variants) {
+    variant.images = await Promise.all(variant.images.map(async (img) => {
+      if (typeof img !== 'string') return img;
+      if (!img.startsWith('data:')) return { url: img, publicId: '' };
+      const result = await uploadImage(img, { folder });
+      uploadedPublicIds.push({ publicId: result.publicId, type: 'image' });
+      return { url: result.url, publicId: result.publicId };
+    }));
+  }
+}
+
+// Fill fields the seller left empty from a product template
+function applyTemplateDefaults(data, template) {
+  for (const field of ['category', 'subcategory', 'weight', 'shippingPaidBy']) {
+    if ((data[field] === undefined || data[field] === '') && template[field]) data[field] = template[field];
+  }
+  if (data.dimensions === undefined && template.dimensions) data.dimensions = template.dimensions;
+  if (data.customizationOptions === undefined && template.customizationOptions?.length) {
+    data.customizationOptions = template.customizationOptions.map(({ _id, ...opt }) => opt);
+    if (data.isCustomizable === undefined) data.isCustomizable = true;
+  }
+}
+
+// Copy every Cloudinary asset of a product to new public IDs. Images shared
+// between images/media/variants are copied once.
+async function copyProductAssets(source, folder, uploadedPublicIds) {
+  const copies = new Map();
+  const copy = (asset, type = 'image') => {
+    const key = asset.publicId || asset.url;
+    if (!copies.has(key)) {
+      copies.set(key, copyMedia(asset.url, type, { folder: type === 'video' ? `${folder}/videos` : folder }).then(result => {
+        uploadedPublicIds.push({ publicId: result.publicId, type });
+        return result;
+      }));
+    }
+    return copies.get(key);
+  };
+
+  const images = [];
+  for (const img of source.images || []) {
+    const result = await copy(img);
+    images.push({ url: result.url, publicId: result.publicId, alt: img.alt || '', variants: result.variants || [] });
+  }
+  const media = [];
+  for (const { _id, ...m } of source.media || []) {
+    const result = await copy(m, m.type || 'image');
+    media.push({ ...m, url: result.url, publicId: result.publicId, variants: result.variants || [], thumbnailUrl: m.type === 'video' ? result.thumbnailUrl || m.thumbnailUrl : m.thumbnailUrl });
+  }
+  const variants = [];
+  for (const { _id, ...v } of source.variants || []) {
+    const variantImages = [];
+    for (const img of v.images || []) {
+      const result = await copy(img);
+      variantImages.push({ url: result.url, publicId: result.publicId });
+    }
+    variants.push({ ...v, sku: '', salePrice: null, images: variantImages });
+  }
+  return { images, media, variants };
+}
 
 // =================== PREFLIGHT (lightweight check) ===================
 router.get('/preflight', async (req, res) => {
@@ -72,8 +188,12 @@ router.get('/dashboard', async (req, res) => {
 
     const SellerPayout = require('../../server/models/SellerPayout');
 
+    // Delivered orders and due reserve releases go on the ledger first: pending earnings are its unsettled entries
+    await postDeliveredOrders({ sellerId });
+    await releaseDueReserves({ sellerId });
+
     // Run all independent queries in parallel
-    const [totalOrders, totalSalesAgg, pendingOrders, totalProducts, activeProducts, pendingPayoutAgg, lifetimeAgg, recentOrders] = await Promise.all([
+    const [totalOrders, totalSalesAgg, pendingOrders, totalProducts, activeProducts, unsettled, lifetimeAgg, recentOrders, lowStockCount, reserve] = await Promise.all([
       Order.countDocuments({ sellerId, paymentStatus: 'paid' }),
       Order.aggregate([
         { $match: { sellerId: req.user._id, paymentStatus: 'paid' } },
@@ -82,40 +202,24 @@ router.get('/dashboard', async (req, res) => {
       Order.countDocuments({ sellerId, status: { $in: ['pending', 'confirmed', 'processing'] } }),
       Product.countDocuments({ sellerId }),
       Product.countDocuments({ sellerId, isActive: true }),
-      Order.aggregate([
-        { $match: { sellerId: req.user._id, paymentStatus: 'paid', status: 'delivered', payoutStatus: 'pending' } },
-        { $group: { _id: null, total: { $sum: '$sellerAmount' }, count: { $sum: 1 },
-          totalSales: { $sum: { $ifNull: ['$itemTotal', '$totalAmount'] } },
-          commissionDeducted: { $sum: { $ifNull: ['$commissionAmount', 0] } },
-          gatewayFees: { $sum: { $ifNull: ['$paymentGatewayFee', 0] } },
-          shippingDeducted: { $sum: { $cond: [{ $eq: ['$shippingPaidBy', 'seller'] }, { $ifNull: ['$actualShippingCost', { $ifNull: ['$shippingCost', 0] }] }, 0] } }
-        }}
-      ]),
+      unsettledEntries(sellerId),
       SellerPayout.aggregate([
         { $match: { sellerId: req.user._id, status: 'paid' } },
         { $group: { _id: null, total: { $sum: '$netPayout' } } }
       ]),
-      Order.find({ sellerId }).sort({ createdAt: -1 }).limit(10).select('orderNumber status totalAmount sellerAmount createdAt items').lean()
+      Order.find({ sellerId }).sort({ createdAt: -1 }).limit(10).select('orderNumber status totalAmount sellerAmount createdAt items').lean(),
+      Product.countDocuments(lowStockFilter({ sellerId, isActive: true })),
+      reserveSummary(sellerId)
     ]);
 
     const stats = totalSalesAgg[0] || { total: 0, commission: 0, sellerEarnings: 0 };
-    const pendingPayout = pendingPayoutAgg[0] || { total: 0, count: 0, totalSales: 0, commissionDeducted: 0, gatewayFees: 0, shippingDeducted: 0 };
+    const pendingPayout = summarizeEntries(unsettled);
     const lifetimeEarnings = lifetimeAgg[0]?.total || 0;
 
     // Next payout date
     const schedule = settings.payoutSchedule || 'biweekly';
     const now = new Date();
-    let nextPayoutDate;
-    if (schedule === 'weekly') {
-      nextPayoutDate = new Date(now);
-      nextPayoutDate.setDate(now.getDate() + ((1 + 7 - now.getDay()) % 7 || 7));
-    } else if (schedule === 'biweekly') {
-      const day = now.getDate();
-      if (day < 15) { nextPayoutDate = new Date(now.getFullYear(), now.getMonth(), 15); }
-      else { nextPayoutDate = new Date(now.getFullYear(), now.getMonth() + 1, 1); }
-    } else {
-      nextPayoutDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-    }
+    const { next: nextPayoutDate } = payoutPeriod(schedule, now);
     const metrics = req.user.sellerProfile?.metrics || {};
     const bank = req.user.sellerProfile?.bankDetails;
     const bankDetailsComplete = !!(bank?.accountHolderName && bank?.accountNumber && bank?.ifscCode && bank?.bankName);
@@ -130,18 +234,25 @@ router.get('/dashboard', async (req, res) => {
         totalEarnings: stats.sellerEarnings,
         pendingOrders,
         totalProducts,
-        activeProducts
+        activeProducts,
+        lowStockCount
       },
       currentPeriodEarnings: {
         totalSales: pendingPayout.totalSales,
         commissionDeducted: pendingPayout.commissionDeducted,
-        gatewayFees: pendingPayout.gatewayFees,
+        commissionReversed: pendingPayout.commissionReversed,
+        gatewayFees: pendingPayout.gatewayFeesDeducted,
         shippingDeducted: pendingPayout.shippingDeducted,
-        netEarning: Math.max(0, pendingPayout.total - pendingPayout.shippingDeducted),
-        pendingAmount: Math.max(0, pendingPayout.total - pendingPayout.shippingDeducted),
-        pendingOrderCount: pendingPayout.count
+        refundsDeducted: pendingPayout.refundsDeducted,
+        adjustments: pendingPayout.adjustments,
+        reserveReleased: pendingPayout.reserveReleased,
+        netEarning: pendingPayout.netPayout, // negative when refunds and charges exceed sales
+        pendingAmount: Math.max(0, pendingPayout.netPayout),
+        pendingOrderCount: pendingPayout.orderIds.length
       },
       lifetimeEarnings,
+      // Rolling reserve still held, and the rule (if any) that holds part of the next payout
+      reserve: { ...reserve, rule: matchReserveRule(settings.reserveRules, req.user, now) },
       nextPayoutDate: nextPayoutDate.toISOString(),
       payoutSchedule: schedule,
       bankDetailsComplete,
@@ -164,11 +275,95 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+// =================== HEALTH HISTORY ===================
+const MAX_HEALTH_HISTORY_DAYS = 365;
+const HEALTH_SERIES = ['fulfillmentRate', 'cancelRate', 'lateShipmentRate', 'avgShipTimeHours', 'healthScore'];
+
+// Daily metric snapshots for trend charts, plus the orders currently pulling each metric down
+router.get('/health/history', async (req, res) => {
+  try {
+    const sellerId = req.user._id;
+    const days = Math.min(MAX_HEALTH_HISTORY_DAYS, Math.max(1, parseInt(req.query.days) || 90));
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - days + 1));
+    const policy = effectiveHealthPolicy(platformHealthPolicy(await PlatformSettings.getSettings()), req.user);
+
+    const [snapshots, orders] = await Promise.all([
+      SellerMetricSnapshot.find({ sellerId, date: { $gte: since } }).sort({ date: 1 }).lean(),
+      Order.find(metricsOrderFilter(sellerId, policy.metricsLookbackDays, now))
+        .select('orderNumber status createdAt cancelReason cancelledAt cancelledItems.reason cancelledItems.cancelledAt shipDueAt shipBy trackingInfo.shippedAt')
+        .lean()
+    ]);
+
+    const series = Object.fromEntries(HEALTH_SERIES.map(key => [
+      key,
+      snapshots.map(s => ({ date: s.date.toISOString().split('T')[0], value: s[key] }))
+    ]));
+    const metrics = req.user.sellerProfile?.metrics || {};
+
+    res.json({
+      days,
+      series,
+      orderCounts: snapshots.map(s => ({ date: s.date.toISOString().split('T')[0], value: s.orderCount })),
+      current: {
+        healthScore: metrics.healthScore ?? null,
+        fulfillmentRate: metrics.fulfillmentRate ?? null,
+        cancelRate: metrics.cancelRate ?? null,
+        lateShipmentRate: metrics.lateShipmentRate ?? null,
+        avgShipTimeHours: metrics.avgShipTimeHours ?? null,
+        lastCalculatedAt: metrics.lastCalculatedAt || null
+      },
+      policy: {
+        fulfillmentWarnThreshold: policy.fulfillmentWarnThreshold,
+        fulfillmentSuspendThreshold: policy.fulfillmentSuspendThreshold,
+        cancelRateWarnThreshold: policy.cancelRateWarnThreshold,
+        cancelRateSuspendThreshold: policy.cancelRateSuspendThreshold,
+        healthScoreSuspendThreshold: policy.healthScoreSuspendThreshold,
+        metricsLookbackDays: policy.metricsLookbackDays,
+        minOrdersForMetrics: policy.minOrdersForMetrics
+      },
+      orderCount: orders.length,
+      breakdown: metricsBreakdown(orders, now)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
 // =================== PRODUCTS CRUD ===================
 router.get('/products', async (req, res) => {
   try {
-    const products = await Product.find({ sellerId: req.user._id }).sort({ createdAt: -1 }).lean();
-    res.json({ products });
+    const filter = { sellerId: req.user._id };
+    if (MODERATION_STATUSES.includes(req.query.moderationStatus)) {
+      filter.moderationStatus = req.query.moderationStatus === 'approved' ? approvedCondition() : req.query.moderationStatus;
+    }
+    const products = await Product.find(filter).sort({ createdAt: -1 }).lean();
+    // Products from before moderation have no status and are live
+    res.json({ products: products.map(p => ({ ...p, moderationStatus: p.moderationStatus || 'approved', moderationReason: p.moderationReason || '' })) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/seller/products/low-stock - products (or variants) at or below their low-stock threshold
+router.get('/products/low-stock', async (req, res) => {
+  try {
+    const products = await Product.find(lowStockFilter({ sellerId: req.user._id }))
+      .select('title slug images stock lowStockThreshold isActive variants variantOptions')
+      .sort({ stock: 1 })
+      .lean();
+    res.json({
+      products: products.map(p => ({
+        _id: p._id,
+        title: p.title,
+        slug: p.slug,
+        image: p.images?.[0]?.url || '',
+        isActive: p.isActive,
+        stock: p.stock,
+        lowStockThreshold: thresholdOf(p),
+        items: lowStockItems(p)
+      }))
+    });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -206,6 +401,18 @@ router.post('/products', productCreationLimiter, upload.array('media', 15), sani
     delete data.averageRating;
     delete data.reviewCount;
     delete data.isActive; // admin-controlled on create
+    for (const field of SYSTEM_PRODUCT_FIELDS) delete data[field];
+    const saveAsDraft = data.saveAsDraft === true || data.saveAsDraft === 'true';
+    delete data.saveAsDraft;
+    if (data.templateId) {
+      const template = mongoose.Types.ObjectId.isValid(data.templateId)
+        ? await ProductTemplate.findOne({ _id: data.templateId, sellerId }).lean()
+        : null;
+      if (!template) return res.status(400).json({ message: 'Product template not found' });
+      if (typeof data.customizationOptions === 'string') data.customizationOptions = parseJsonField(data.customizationOptions, []);
+      applyTemplateDefaults(data, template);
+    }
+    delete data.templateId;
     data.sellerId = sellerId;
     data.slug = slugify(data.title);
 
@@ -232,7 +439,7 @@ router.post('/products', productCreationLimiter, upload.array('media', 15), sani
         const isVideo = file.mimetype.startsWith('video/');
         return isVideo
           ? uploadVideo(base64, { folder: `${sellerFolder}/videos` }).then(r => ({ ...r, _isVideo: true }))
-          : uploadImage(base64, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false }));
+          : uploadImageWithVariants(base64, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false }));
       });
       const results = await Promise.all(uploadPromises);
       for (const result of results) {
@@ -242,7 +449,7 @@ router.post('/products', productCreationLimiter, upload.array('media', 15), sani
         } else {
           allUploadedPublicIds.push({ publicId: result.publicId, type: 'image' });
           uploadedImages.push(result);
-          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId, width: result.width || 0, height: result.height || 0 });
+          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId, variants: result.variants, width: result.width || 0, height: result.height || 0 });
         }
       }
     }
@@ -272,7 +479,7 @@ router.post('/products', productCreationLimiter, upload.array('media', 15), sani
     if (data.newImages && Array.isArray(data.newImages)) {
       for (const img of data.newImages) {
         if (typeof img === 'string' && img.startsWith('data:')) {
-          base64Promises.push(uploadImage(img, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false })));
+          base64Promises.push(uploadImageWithVariants(img, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false })));
         }
       }
       delete data.newImages;
@@ -294,7 +501,7 @@ router.post('/products', productCreationLimiter, upload.array('media', 15), sani
         } else {
           allUploadedPublicIds.push({ publicId: result.publicId, type: 'image' });
           uploadedImages.push(result);
-          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId });
+          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId, variants: result.variants, width: result.width || 0, height: result.height || 0 });
         }
       }
     }
@@ -306,27 +513,60 @@ router.post('/products', productCreationLimiter, upload.array('media', 15), sani
     if (data.price) data.price = Number(data.price);
     if (data.stock) data.stock = Number(data.stock);
     if (data.weight) data.weight = Number(data.weight);
+    if (data.lowStockThreshold === '') delete data.lowStockThreshold;
+    if (data.lowStockThreshold !== undefined) {
+      data.lowStockThreshold = Number(data.lowStockThreshold);
+      if (!Number.isInteger(data.lowStockThreshold) || data.lowStockThreshold < 0) {
+        return res.status(400).json({ message: 'Low-stock threshold must be a whole number of 0 or more' });
+      }
+    }
+    const scheduleProblem = parseScheduleFields(data);
+    if (scheduleProblem) return res.status(400).json({ message: scheduleProblem });
+    const giftWrapProblem = parseGiftWrapPrice(data);
+    if (giftWrapProblem) return res.status(400).json({ message: giftWrapProblem });
 
     // Validate minimum product price from platform settings
     const platformSettings = await PlatformSettings.getSettings();
-    if (data.price < (platformSettings.minimumProductPrice || 0)) {
+    const minPrice = platformSettings.minimumProductPrice || 0;
+
+    // Variants: price/stock/comparePrice are derived from them on save
+    const variantInput = normalizeVariants(data.variantOptions, data.variants, { minPrice });
+    if (variantInput.error) return res.status(400).json({ message: variantInput.error });
+    data.variantOptions = variantInput.variantOptions;
+    data.variants = variantInput.variants;
+
+    if (data.variants.length === 0 && data.price < minPrice) {
       return res.status(400).json({ message: `Minimum product price is Rs. ${platformSettings.minimumProductPrice}` });
     }
+    const saleProblem = saleError(data, { minPrice });
+    if (saleProblem) return res.status(400).json({ message: saleProblem });
+    if (data.variants.length > 0) {
+      await uploadVariantImages(data.variants, sellerFolder, allUploadedPublicIds);
+    }
 
     // Parse customization fields from FormData
     data.isCustomizable = data.isCustomizable === 'true' || data.isCustomizable === true;
-    if (data.customizationOptions && typeof data.customizationOptions === 'string') {
-      try { data.customizationOptions = JSON.parse(data.customizationOptions); } catch (e) { data.customizationOptions = []; }
-    }
     if (!data.isCustomizable) data.customizationOptions = [];
+    const customization = normalizeCustomizationOptions(data.customizationOptions);
+    if (customization.error) return res.status(400).json({ message: customization.error });
+    data.customizationOptions = customization.options;
 
     const product = new Product(data);
+    const moderationStatus = saveAsDraft ? 'draft' : submissionStatus(req.user, platformSettings);
+    applyModeration(product, moderationStatus, { actorRole: moderationStatus === 'approved' ? 'system' : 'seller', actorId: moderationStatus === 'approved' ? null : sellerId });
     await product.save();
-    invalidateCache('/api/products');
-    invalidateCache('/api/store/');
-    logActivity({ domain: 'seller', action: 'product_created', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" created` });
-    submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
-    res.status(201).json({ product, message: 'Product created' });
+    logActivity({ domain: 'seller', action: 'product_created', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" created (${moderationStatus.replace('_', ' ')})` });
+    if (moderationStatus === 'approved') {
+      invalidateCache('/api/products');
+      invalidateCache('/api/store/');
+      submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
+    }
+    const createdMessage = {
+      draft: 'Draft saved',
+      pending_review: 'Product submitted for review',
+      approved: 'Product created'
+    }[moderationStatus];
+    res.status(201).json({ product, message: createdMessage });
   } catch (err) {
     // Cleanup orphaned uploads if product save failed
     for (const item of allUploadedPublicIds) {
@@ -358,6 +598,7 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
     delete data.viewCount;
     delete data.averageRating;
     delete data.reviewCount;
+    for (const field of SYSTEM_PRODUCT_FIELDS) delete data[field];
     const sellerFolder = `giftsity/products/${sellerId}`;
 
     // Parse existing images from JSON string (sent via FormData)
@@ -369,6 +610,7 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
 
     // Parse existing media from JSON string
     let existingMedia = [];
+    const hasExistingMedia = data.existingMedia !== undefined;
     if (data.existingMedia) {
       try { existingMedia = JSON.parse(data.existingMedia); } catch { existingMedia = []; }
       delete data.existingMedia;
@@ -395,7 +637,7 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
         const isVideo = file.mimetype.startsWith('video/');
         return isVideo
           ? uploadVideo(base64, { folder: `${sellerFolder}/videos` }).then(r => ({ ...r, _isVideo: true }))
-          : uploadImage(base64, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false }));
+          : uploadImageWithVariants(base64, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false }));
       });
       const results = await Promise.all(uploadPromises);
       for (const result of results) {
@@ -405,7 +647,7 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
         } else {
           newUploadedPublicIds.push({ publicId: result.publicId, type: 'image' });
           uploadedImages.push(result);
-          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId });
+          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId, variants: result.variants, width: result.width || 0, height: result.height || 0 });
         }
       }
     }
@@ -431,7 +673,7 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
     if (data.newImages && Array.isArray(data.newImages)) {
       for (const img of data.newImages) {
         if (typeof img === 'string' && img.startsWith('data:')) {
-          base64Promises.push(uploadImage(img, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false })));
+          base64Promises.push(uploadImageWithVariants(img, { folder: sellerFolder }).then(r => ({ ...r, _isVideo: false })));
         }
       }
       delete data.newImages;
@@ -453,7 +695,7 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
         } else {
           newUploadedPublicIds.push({ publicId: result.publicId, type: 'image' });
           uploadedImages.push(result);
-          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId });
+          uploadedMedia.push({ type: 'image', url: result.url, publicId: result.publicId, variants: result.variants, width: result.width || 0, height: result.height || 0 });
         }
       }
     }
@@ -462,6 +704,16 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
     if (uploadedImages.length > 0 || existingImages.length > 0) {
       data.images = [...existingImages, ...uploadedImages];
     }
+    if (!hasExistingMedia && data.images) {
+      // Only existingImages sent: keep videos and the media entries (alt text, order) of kept images
+      const keptUrls = new Set(existingImages.map(img => img.url));
+      const kept = product.media.filter(m => m.type === 'video' || keptUrls.has(m.url)).map(m => m.toObject());
+      const mediaUrls = new Set(kept.map(m => m.url));
+      const missing = existingImages
+        .filter(img => !mediaUrls.has(img.url))
+        .map(img => ({ type: 'image', url: img.url, publicId: img.publicId, alt: img.alt, variants: img.variants }));
+      existingMedia = [...kept, ...missing];
+    }
     if (uploadedMedia.length > 0 || existingMedia.length > 0) {
       data.media = [...existingMedia, ...uploadedMedia];
     }
@@ -498,31 +750,82 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
     if (data.price) data.price = Number(data.price);
     if (data.stock) data.stock = Number(data.stock);
     if (data.weight) data.weight = Number(data.weight);
+    if (data.lowStockThreshold === '') delete data.lowStockThreshold;
+    if (data.lowStockThreshold !== undefined) {
+      data.lowStockThreshold = Number(data.lowStockThreshold);
+      if (!Number.isInteger(data.lowStockThreshold) || data.lowStockThreshold < 0) {
+        return res.status(400).json({ message: 'Low-stock threshold must be a whole number of 0 or more' });
+      }
+    }
+    const scheduleProblem = parseScheduleFields(data);
+    if (scheduleProblem) return res.status(400).json({ message: scheduleProblem });
+    const giftWrapProblem = parseGiftWrapPrice(data);
+    if (giftWrapProblem) return res.status(400).json({ message: giftWrapProblem });
 
     // Validate minimum product price from platform settings
-    if (data.price) {
+    const hasVariantInput = data.variants !== undefined || data.variantOptions !== undefined;
+    if (data.price || hasVariantInput) {
       const platformSettings = await PlatformSettings.getSettings();
-      if (data.price < (platformSettings.minimumProductPrice || 0)) {
+      const minPrice = platformSettings.minimumProductPrice || 0;
+
+      if (hasVariantInput) {
+        const variantInput = normalizeVariants(data.variantOptions, data.variants, { minPrice });
+        if (variantInput.error) return res.status(400).json({ message: variantInput.error });
+        data.variantOptions = variantInput.variantOptions;
+        data.variants = variantInput.variants;
+      }
+
+      const willHaveVariants = hasVariantInput ? data.variants.length > 0 : product.variants.length > 0;
+      if (data.price && !willHaveVariants && data.price < minPrice) {
         return res.status(400).json({ message: `Minimum product price is Rs. ${platformSettings.minimumProductPrice}` });
       }
     }
+    // Check the sale against the product as it will be saved
+    const saleFields = ['price', 'salePrice', 'saleStartsAt', 'saleEndsAt', 'variants'];
+    if (saleFields.some(f => data[f] !== undefined)) {
+      const { minimumProductPrice } = await PlatformSettings.getSettings();
+      const saleProblem = saleError({ ...product.toObject(), ...data }, { minPrice: minimumProductPrice || 0 });
+      if (saleProblem) return res.status(400).json({ message: saleProblem });
+    }
+    if (hasVariantInput && data.variants.length > 0) {
+      await uploadVariantImages(data.variants, sellerFolder, newUploadedPublicIds);
+    }
 
     // Parse customization fields from FormData
     if (data.isCustomizable !== undefined) {
       data.isCustomizable = data.isCustomizable === 'true' || data.isCustomizable === true;
     }
-    if (data.customizationOptions && typeof data.customizationOptions === 'string') {
-      try { data.customizationOptions = JSON.parse(data.customizationOptions); } catch (e) { data.customizationOptions = []; }
-    }
     if (data.isCustomizable === false) data.customizationOptions = [];
+    if (data.customizationOptions !== undefined) {
+      const customization = normalizeCustomizationOptions(data.customizationOptions);
+      if (customization.error) return res.status(400).json({ message: customization.error });
+      data.customizationOptions = customization.options;
+    }
+
+    // Variant images dropped by this update are cleaned up after a successful save
+    const keptVariantImageIds = new Set((data.variants || []).flatMap(v => v.images.map(img => img.publicId)));
+    const removedVariantImageIds = hasVariantInput
+      ? product.variants.flatMap(v => v.images.map(img => img.publicId)).filter(id => id && !keptVariantImageIds.has(id))
+      : [];
 
+    const reviewedBefore = reviewedContent(product);
     Object.assign(product, data);
+    // Edits to what was approved go back through review before they are public
+    let resubmittedAs = null;
+    if (needsReview(product, reviewedBefore)) {
+      resubmittedAs = submissionStatus(req.user, await PlatformSettings.getSettings());
+      applyModeration(product, resubmittedAs, { actorRole: resubmittedAs === 'approved' ? 'system' : 'seller', actorId: resubmittedAs === 'approved' ? null : sellerId });
+    }
     await product.save();
+    for (const publicId of removedVariantImageIds) {
+      await deleteImage(publicId).catch(() => {});
+    }
     invalidateCache('/api/products');
     invalidateCache('/api/store/');
-    logActivity({ domain: 'seller', action: 'product_updated', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" updated` });
-    if (product.slug) submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
-    res.json({ product, message: 'Product updated' });
+    const sentForReview = resubmittedAs === 'pending_review';
+    logActivity({ domain: 'seller', action: 'product_updated', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" updated${sentForReview ? ' (sent for review)' : ''}` });
+    if (product.slug && isApproved(product)) submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
+    res.json({ product, message: sentForReview ? 'Product updated and sent for review' : 'Product updated' });
   } catch (err) {
     // Cleanup newly uploaded files if save failed
     for (const item of newUploadedPublicIds) {
@@ -540,26 +843,139 @@ router.put('/products/:id', upload.array('media', 15), sanitizeBody, async (req,
   }
 });
 
-router.delete('/products/:id', async (req, res) => {
+// PUT /api/seller/products/:id/media - reorder media, choose the cover image and set alt text
+// Body: { items: [{ _id, url, alt }], coverId } where items lists every media entry in the new order.
+// Entries are matched by _id, or by url for images not yet in media (older products).
+router.put('/products/:id/media', sanitizeBody, async (req, res) => {
   try {
     const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
     if (!product) return res.status(404).json({ message: 'Product not found' });
 
-    // Clean up all Cloudinary assets (deduplicated to avoid double-deletion)
-    const deletedIds = new Set();
-    for (const img of product.images || []) {
-      if (img.publicId && !deletedIds.has(img.publicId)) {
-        deletedIds.add(img.publicId);
-        await deleteImage(img.publicId);
-      }
+    // Products from before media existed only have images
+    const mediaUrls = new Set(product.media.map(m => m.url));
+    for (const img of product.images) {
+      if (!mediaUrls.has(img.url)) product.media.push({ type: 'image', url: img.url, publicId: img.publicId, alt: img.alt, variants: img.variants });
+    }
+
+    const { items, coverId } = req.body;
+    if (!Array.isArray(items)) return res.status(400).json({ message: 'items must be an array' });
+    const byId = new Map(product.media.map(m => [m._id.toString(), m]));
+    const byUrl = new Map(product.media.map(m => [m.url, m]));
+    const find = ref => byId.get(String(ref?._id)) || byUrl.get(ref?.url);
+    const ordered = items.map(find);
+    if (ordered.length !== product.media.length || ordered.some(m => !m) || new Set(ordered).size !== ordered.length) {
+      return res.status(400).json({ message: 'List every media item of the product exactly once' });
     }
-    for (const m of product.media || []) {
-      if (m.publicId && !deletedIds.has(m.publicId)) {
-        deletedIds.add(m.publicId);
-        await deleteMedia(m.publicId, m.type || 'image');
+    for (const item of items) {
+      if (item.alt !== undefined && (typeof item.alt !== 'string' || item.alt.length > MAX_ALT_TEXT_LENGTH)) {
+        return res.status(400).json({ message: `Alt text must be at most ${MAX_ALT_TEXT_LENGTH} characters` });
       }
     }
 
+    let gallery = ordered.map((m, idx) => ({ ...m.toObject(), alt: items[idx].alt !== undefined ? items[idx].alt.trim() : m.alt }));
+    if (coverId) {
+      const cover = find({ _id: coverId, url: coverId });
+      if (!cover || cover.type === 'video') return res.status(400).json({ message: 'The cover must be one of the product images' });
+      gallery = [gallery[ordered.indexOf(cover)], ...gallery.filter((_, idx) => ordered[idx] !== cover)];
+    }
+
+    product.media = gallery;
+    product.images = product.media
+      .filter(m => m.type !== 'video')
+      .map(m => ({ url: m.url, publicId: m.publicId, alt: m.alt, variants: m.variants }));
+    await product.save();
+
+    invalidateCache('/api/products');
+    invalidateCache('/api/store/');
+    res.json({ product, message: 'Media updated' });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Update product media error', err, req, { productId: req.params?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/seller/products/:id/submit - send a draft (or a product with requested changes) for review
+router.post('/products/:id/submit', async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!SUBMITTABLE_FROM.includes(product.moderationStatus)) {
+      return res.status(400).json({ message: product.moderationStatus === 'pending_review' ? 'Product is already awaiting review' : `A ${product.moderationStatus.replace('_', ' ')} product cannot be submitted` });
+    }
+
+    const platformSettings = await PlatformSettings.getSettings();
+    const moderationStatus = submissionStatus(req.user, platformSettings);
+    applyModeration(product, moderationStatus, { actorRole: moderationStatus === 'approved' ? 'system' : 'seller', actorId: moderationStatus === 'approved' ? null : req.user._id });
+    await product.save();
+
+    if (moderationStatus === 'approved') {
+      invalidateCache('/api/products');
+      invalidateCache('/api/store/');
+      if (product.slug) submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
+    }
+    logActivity({ domain: 'seller', action: 'product_submitted', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" submitted for review` });
+    res.json({ product, message: moderationStatus === 'approved' ? 'Product approved' : 'Product submitted for review' });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Submit product error', err, req, { productId: req.params?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/seller/products/:id/duplicate - copy a product as a new draft (media copied to new Cloudinary IDs)
+router.post('/products/:id/duplicate', productCreationLimiter, sanitizeBody, async (req, res) => {
+  const uploadedPublicIds = [];
+  try {
+    const sellerId = req.user._id;
+    const source = await Product.findOne({ _id: req.params.id, sellerId }).lean();
+    if (!source) return res.status(404).json({ message: 'Product not found' });
+
+    const title = typeof req.body?.title === 'string' && req.body.title.trim() ? req.body.title.trim() : `${source.title} (Copy)`;
+    const { images, media, variants } = await copyProductAssets(source, `giftsity/products/${sellerId}`, uploadedPublicIds);
+
+    const product = new Product({
+      sellerId,
+      title,
+      slug: slugify(title),
+      description: source.description,
+      price: source.price,
+      comparePrice: source.comparePrice,
+      category: source.category,
+      subcategory: source.subcategory,
+      images,
+      media,
+      stock: source.stock,
+      lowStockThreshold: source.lowStockThreshold,
+      variantOptions: (source.variantOptions || []).map(({ _id, ...o }) => o),
+      variants,
+      weight: source.weight,
+      dimensions: source.dimensions,
+      shippingPaidBy: source.shippingPaidBy,
+      giftWrapPrice: source.giftWrapPrice ?? null,
+      tags: source.tags,
+      isCustomizable: source.isCustomizable,
+      customizationOptions: (source.customizationOptions || []).map(({ _id, ...o }) => o)
+    });
+    // Copies start as drafts so the seller can edit them before review
+    applyModeration(product, 'draft', { actorRole: 'seller', actorId: sellerId });
+    await product.save();
+
+    logActivity({ domain: 'seller', action: 'product_duplicated', actorRole: 'seller', actorId: sellerId, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${source.title}" duplicated as "${product.title}"`, metadata: { sourceProductId: source._id } });
+    res.status(201).json({ product, message: 'Product duplicated as a draft' });
+  } catch (err) {
+    for (const item of uploadedPublicIds) {
+      await deleteMedia(item.publicId, item.type).catch(() => {});
+    }
+    logRequestError(logger, 'error', 'Duplicate product error', err, req, { productId: req.params?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/products/:id', async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    await deleteProductAssets(product);
     await Product.findByIdAndDelete(req.params.id);
     invalidateCache('/api/products');
     invalidateCache('/api/store/');
@@ -572,123 +988,457 @@ router.delete('/products/:id', async (req, res) => {
   }
 });
 
-// =================== BULK CSV UPLOAD ===================
-const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB max CSV
-const sanitizeHtml = require('sanitize-html');
-const csvClean = (str, maxLen = 500) => sanitizeHtml(str || '', { allowedTags: [], allowedAttributes: {} }).substring(0, maxLen);
+// =================== PRODUCT TEMPLATES ===================
+const MAX_TEMPLATES_PER_SELLER = 50;
+
+// Validate template fields from the request body. Returns { data } or { error }.
+function parseTemplateInput(body, { partial = false } = {}) {
+  const data = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Template name is required' };
+    if (name.length > 80) return { error: 'Template name must be 80 characters or fewer' };
+    data.name = name;
+  }
+  if (body.category !== undefined) data.category = String(body.category || '');
+  if (body.subcategory !== undefined) data.subcategory = String(body.subcategory || '');
+  if (body.weight !== undefined) {
+    data.weight = Number(body.weight || 0);
+    if (!Number.isFinite(data.weight) || data.weight < 0) return { error: 'Invalid weight' };
+  }
+  if (body.dimensions !== undefined) {
+    const dims = parseJsonField(body.dimensions, {}) || {};
+    data.dimensions = {};
+    for (const key of ['length', 'width', 'height']) {
+      const value = Number(dims[key] || 0);
+      if (!Number.isFinite(value) || value < 0) return { error: `Invalid ${key}` };
+      data.dimensions[key] = value;
+    }
+  }
+  if (body.shippingPaidBy !== undefined) {
+    if (!['seller', 'customer'].includes(body.shippingPaidBy)) return { error: 'shippingPaidBy must be seller or customer' };
+    data.shippingPaidBy = body.shippingPaidBy;
+  }
+  if (body.customizationOptions !== undefined) {
+    const customization = normalizeCustomizationOptions(body.customizationOptions);
+    if (customization.error) return { error: customization.error };
+    data.customizationOptions = customization.options;
+  }
+  return { data };
+}
 
-router.post('/products/bulk-csv', csvUploadLimiter, csvUpload.single('csv'), async (req, res) => {
+// GET /api/seller/product-templates
+router.get('/product-templates', async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ message: 'No CSV file provided' });
+    const templates = await ProductTemplate.find({ sellerId: req.user._id }).sort({ name: 1 }).lean();
+    res.json({ templates });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Validate MIME type to prevent non-CSV uploads
-    if (!['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(req.file.mimetype)) {
-      return res.status(400).json({ message: 'Invalid file type. Only CSV files are allowed.' });
-    }
+// POST /api/seller/product-templates
+router.post('/product-templates', sanitizeBody, async (req, res) => {
+  try {
+    const { data, error } = parseTemplateInput(req.body || {});
+    if (error) return res.status(400).json({ message: error });
 
-    const content = req.file.buffer.toString('utf-8');
-    const lines = content.split(/\r?\n/).filter(l => l.trim());
-    if (lines.length < 2) return res.status(400).json({ message: 'CSV must have a header row and at least one data row' });
+    const count = await ProductTemplate.countDocuments({ sellerId: req.user._id });
+    if (count >= MAX_TEMPLATES_PER_SELLER) return res.status(400).json({ message: `You can keep up to ${MAX_TEMPLATES_PER_SELLER} templates` });
+    const exists = await ProductTemplate.findOne({ sellerId: req.user._id, name: data.name }).select('_id').lean();
+    if (exists) return res.status(409).json({ message: 'A template with this name already exists' });
 
-    // Parse header
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-    const requiredCols = ['title', 'price', 'stock', 'category'];
-    for (const col of requiredCols) {
-      if (!headers.includes(col)) {
-        return res.status(400).json({ message: `Missing required column: ${col}. Required: ${requiredCols.join(', ')}` });
-      }
+    const template = await ProductTemplate.create({ ...data, sellerId: req.user._id });
+    res.status(201).json({ template, message: 'Template saved' });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Create product template error', err, req);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/seller/product-templates/:id
+router.put('/product-templates/:id', sanitizeBody, async (req, res) => {
+  try {
+    const template = await ProductTemplate.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+
+    const { data, error } = parseTemplateInput(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    if (data.name && data.name !== template.name) {
+      const exists = await ProductTemplate.findOne({ sellerId: req.user._id, name: data.name }).select('_id').lean();
+      if (exists) return res.status(409).json({ message: 'A template with this name already exists' });
     }
 
-    const results = { success: 0, failed: 0, errors: [] };
-    const csvSettings = await PlatformSettings.getSettings();
-    const csvMinPrice = csvSettings.minimumProductPrice || 0;
-    const Category = require('../../server/models/Category');
-    const categories = await Category.find().lean();
-    const catMap = {};
-    for (const c of categories) {
-      catMap[c.name.toLowerCase()] = c._id;
-      catMap[c.slug?.toLowerCase()] = c._id;
+    Object.assign(template, data);
+    await template.save();
+    res.json({ template, message: 'Template updated' });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Update product template error', err, req, { templateId: req.params?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/seller/product-templates/:id
+router.delete('/product-templates/:id', async (req, res) => {
+  try {
+    const template = await ProductTemplate.findOneAndDelete({ _id: req.params.id, sellerId: req.user._id });
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    res.json({ message: 'Template deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =================== BULK PRODUCT ACTIONS ===================
+const BULK_ACTIONS = ['activate', 'deactivate', 'price', 'stock', 'add_tags', 'remove_tags', 'category', 'delete'];
+const MAX_BULK_PRODUCTS = 200;
+
+// Apply a price adjustment: mode 'percent' (value = +/- %) or 'flat' (value = +/- Rs.)
+const adjustPrice = (price, mode, value) => {
+  const next = mode === 'percent' ? price * (1 + value / 100) : price + value;
+  return Math.round(next * 100) / 100;
+};
+
+// POST /api/seller/products/bulk - apply one action to many products
+// Body: { productIds, action, mode?, value?, stock?, tags?, category? }
+router.post('/products/bulk', sanitizeBody, async (req, res) => {
+  try {
+    const { action } = req.body;
+    const productIds = [...new Set((Array.isArray(req.body.productIds) ? req.body.productIds : []).map(String))];
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Invalid action. Allowed: ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (productIds.length === 0) return res.status(400).json({ message: 'Select at least one product' });
+    if (productIds.length > MAX_BULK_PRODUCTS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_PRODUCTS} products per bulk action` });
     }
 
-    for (let i = 1; i < lines.length; i++) {
+    // Validate action parameters once, up front
+    const platformSettings = await PlatformSettings.getSettings();
+    const minPrice = platformSettings.minimumProductPrice || 0;
+    let mode, value, stock, tags, category;
+    if (action === 'price') {
+      mode = req.body.mode;
+      value = Number(req.body.value);
+      if (!['percent', 'flat'].includes(mode)) return res.status(400).json({ message: 'mode must be "percent" or "flat"' });
+      if (!Number.isFinite(value) || value === 0) return res.status(400).json({ message: 'Enter a non-zero price change' });
+      if (mode === 'percent' && value <= -100) return res.status(400).json({ message: 'Percentage decrease must be less than 100%' });
+    }
+    if (action === 'stock') {
+      stock = Number(req.body.stock);
+      if (!Number.isInteger(stock) || stock < 0) return res.status(400).json({ message: 'Stock must be a whole number of 0 or more' });
+    }
+    if (action === 'add_tags' || action === 'remove_tags') {
+      tags = [...new Set((Array.isArray(req.body.tags) ? req.body.tags : []).map(t => String(t).trim().substring(0, 50)).filter(Boolean))];
+      if (tags.length === 0) return res.status(400).json({ message: 'Enter at least one tag' });
+    }
+    if (action === 'category') {
+      const Category = require('../../server/models/Category');
+      const cat = await Category.findOne({ slug: String(req.body.category || '') }).select('slug').lean();
+      if (!cat) return res.status(400).json({ message: 'Category not found' });
+      category = cat.slug;
+    }
+
+    const validIds = productIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const products = await Product.find({ _id: { $in: validIds }, sellerId: req.user._id });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const results = [];
+    for (const id of productIds) {
+      const product = productMap.get(id);
+      if (!product) { results.push({ productId: id, ok: false, error: 'Product not found' }); continue; }
       try {
-        // Simple CSV parse (handles quoted fields with commas)
-        const vals = [];
-        let current = '';
-        let inQuotes = false;
-        for (const ch of lines[i]) {
-          if (ch === '"') { inQuotes = !inQuotes; }
-          else if (ch === ',' && !inQuotes) { vals.push(current.trim()); current = ''; }
-          else { current += ch; }
+        if (action === 'delete') {
+          await deleteProductAssets(product);
+          await Product.findByIdAndDelete(product._id);
+          logActivity({ domain: 'seller', action: 'product_deleted', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" deleted (bulk)`, metadata: { bulkAction: action } });
+        } else {
+          const reviewedBefore = reviewedContent(product);
+          if (action === 'activate') product.isActive = true;
+          if (action === 'deactivate') product.isActive = false;
+          if (action === 'price') {
+            const targets = product.variants?.length ? product.variants : [product];
+            for (const t of targets) {
+              const newPrice = adjustPrice(t.price, mode, value);
+              if (newPrice < minPrice) throw new Error(`New price Rs. ${newPrice} is below the minimum of Rs. ${minPrice}`);
+              if (t.comparePrice && t.comparePrice <= newPrice) throw new Error(`New price Rs. ${newPrice} is not below the compare price Rs. ${t.comparePrice}`);
+              t.price = newPrice;
+            }
+            const saleProblem = saleError(product, { minPrice });
+            if (saleProblem) throw new Error(saleProblem);
+          }
+          if (action === 'stock') {
+            if (product.variants?.length) throw new Error('This product has variants; set stock per variant');
+            product.stock = stock;
+          }
+          if (action === 'add_tags') product.tags = [...new Set([...(product.tags || []), ...tags])];
+          if (action === 'remove_tags') product.tags = (product.tags || []).filter(t => !tags.includes(t));
+          if (action === 'category') product.category = category;
+          if (needsReview(product, reviewedBefore)) {
+            const status = submissionStatus(req.user, platformSettings);
+            applyModeration(product, status, { actorRole: status === 'approved' ? 'system' : 'seller', actorId: status === 'approved' ? null : req.user._id });
+          }
+          await product.save();
+          logActivity({ domain: 'seller', action: 'product_updated', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" updated (bulk ${action})`, metadata: { bulkAction: action } });
         }
-        vals.push(current.trim());
-
-        const row = {};
-        headers.forEach((h, idx) => { row[h] = vals[idx] || ''; });
-
-        // Validate
-        if (!row.title) { results.errors.push({ row: i + 1, error: 'Title is required' }); results.failed++; continue; }
-        const price = parseFloat(row.price);
-        if (isNaN(price) || price <= 0) { results.errors.push({ row: i + 1, error: 'Invalid price' }); results.failed++; continue; }
-        if (price < csvMinPrice) { results.errors.push({ row: i + 1, error: `Price must be at least Rs. ${csvMinPrice}` }); results.failed++; continue; }
-        const stock = parseInt(row.stock);
-        if (isNaN(stock) || stock < 0) { results.errors.push({ row: i + 1, error: 'Invalid stock' }); results.failed++; continue; }
-
-        const categoryId = catMap[row.category.toLowerCase()];
-        if (!categoryId) { results.errors.push({ row: i + 1, error: `Category "${row.category}" not found` }); results.failed++; continue; }
-
-        const cleanTitle = csvClean(row.title, 200);
-        const cleanDescription = csvClean(row.description, 5000);
-        const cleanSku = csvClean(row.sku, 100);
-        const slug = slugify(cleanTitle);
-        const product = new Product({
-          title: cleanTitle,
-          description: cleanDescription,
-          price,
-          compareAtPrice: row.compareatprice ? parseFloat(row.compareatprice) : undefined,
-          stock,
-          category: categoryId,
-          sellerId: req.user._id,
-          slug,
-          sku: cleanSku,
-          tags: row.tags ? row.tags.split(';').map(t => csvClean(t, 50)).filter(Boolean) : [],
-          images: [],
-          media: [],
-          isActive: true
-        });
-        await product.save();
-        results.success++;
-      } catch (rowErr) {
-        results.errors.push({ row: i + 1, error: rowErr.message });
-        results.failed++;
+        if (product.slug) submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
+        results.push({ productId: id, title: product.title, ok: true });
+      } catch (itemErr) {
+        results.push({ productId: id, title: product.title, ok: false, error: itemErr.message });
       }
     }
 
-    logActivity({ domain: 'seller', action: 'bulk_csv_upload', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, message: `Bulk CSV: ${results.success} created, ${results.failed} failed` });
-    res.json({ message: `Import complete: ${results.success} products created, ${results.failed} failed`, ...results });
+    const succeeded = results.filter(r => r.ok).length;
+    if (succeeded > 0) {
+      invalidateCache('/api/products');
+      invalidateCache('/api/store/');
+    }
+    res.json({ message: `${succeeded} of ${productIds.length} products ${action === 'delete' ? 'deleted' : 'updated'}`, succeeded, failed: productIds.length - succeeded, results });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Bulk product action error', err, req, { action: req.body?.action, count: req.body?.productIds?.length });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =================== BULK CSV IMPORT / EXPORT ===================
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }); // 10MB max CSV
+const { parseProductCsv, productsToCsv } = require('../../server/utils/productCsv');
+const ProductImport = require('../../server/models/ProductImport');
+const ProductImportFile = require('../../server/models/ProductImportFile');
+
+// POST /api/seller/products/bulk-csv - queue a background import that upserts products by SKU
+// (?dryRun=true only builds the per-row diff). Poll GET /imports/:id or listen for 'importProgress'.
+router.post('/products/bulk-csv', csvUploadLimiter, csvUpload.single('csv'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'No CSV file provided' });
+
+    // Validate MIME type to prevent non-CSV uploads
+    if (!['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(req.file.mimetype)) {
+      return res.status(400).json({ message: 'Invalid file type. Only CSV files are allowed.' });
+    }
+
+    // Parse up front so header/size problems are reported immediately
+    const parsed = parseProductCsv(req.file.buffer);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+    const active = await ProductImport.findOne({ sellerId: req.user._id, status: { $in: ['queued', 'processing'] } }).select('_id').lean();
+    if (active) {
+      return res.status(409).json({ message: 'An import is already in progress. Please wait for it to finish.', importId: active._id });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === 'true';
+    // Store the file before queueing the job so the worker never claims a job without its CSV
+    const importId = new mongoose.Types.ObjectId();
+    await ProductImportFile.create({ importId, data: req.file.buffer });
+    const job = await ProductImport.create({
+      _id: importId,
+      sellerId: req.user._id,
+      fileName: String(req.file.originalname || '').slice(0, 200),
+      dryRun,
+      totalRows: parsed.rows.length
+    });
+    res.status(202).json({
+      message: dryRun ? 'Import preview queued' : `Import queued: ${parsed.rows.length} rows`,
+      importId: job._id,
+      status: job.status,
+      totalRows: job.totalRows
+    });
   } catch (err) {
     logRequestError(logger, 'error', 'Bulk CSV error', err, req, {});
     res.status(500).json({ message: 'Failed to process CSV' });
   }
 });
 
+// GET /api/seller/imports - recent imports
+router.get('/imports', async (req, res) => {
+  try {
+    const imports = await ProductImport.find({ sellerId: req.user._id })
+      .select('-rowReport -rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.json({ imports });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/seller/imports/:id - status, progress and per-row report
+router.get('/imports/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid import ID' });
+  try {
+    const job = await ProductImport.findOne({ _id: req.params.id, sellerId: req.user._id }).lean();
+    if (!job) return res.status(404).json({ message: 'Import not found' });
+    res.json({ import: job });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/seller/products/export - all products in the bulk-csv import format
+router.get('/products/export', async (req, res) => {
+  try {
+    const products = await Product.find({ sellerId: req.user._id }).sort({ createdAt: 1 });
+    const csv = await productsToCsv(products);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${Date.now()}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    logRequestError(logger, 'error', 'Export products error', err, req, {});
+    res.status(500).json({ message: 'Export failed' });
+  }
+});
+
 // =================== ORDERS ===================
+// GET /api/seller/orders - search, filter and sort (see utils/orderSearch for the params)
 router.get('/orders', async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const filter = { sellerId: req.user._id };
-    if (status && typeof status === 'string') filter.status = status;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const orders = await Order.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).populate('customerId', 'name email phone').lean();
-    const total = await Order.countDocuments(filter);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = await buildSellerOrderQuery(req.user._id, req.query);
+    if (query.error) return res.status(400).json({ message: query.error });
+
+    const [orders, total, statusCounts] = await Promise.all([
+      Order.find(query.filter).sort(query.sort).skip((page - 1) * limit).limit(limit).populate('customerId', 'name email phone').lean(),
+      Order.countDocuments(query.filter),
+      // Counts for the status tabs: every other filter applies, the status filter doesn't
+      Order.aggregate([
+        { $match: (({ status, ...rest }) => rest)(query.filter) },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
 
-    res.json({ orders, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) });
+    res.json({
+      orders,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      statusCounts: Object.fromEntries(statusCounts.map(s => [s._id, s.count]))
+    });
   } catch (err) {
+    logRequestError(logger, 'error', 'Seller orders list error', err, req, {});
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// GET /api/seller/orders/export?format=csv|xlsx - the filtered orders, one row per line item
+router.get('/orders/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ message: 'format must be csv or xlsx' });
+  try {
+    const query = await buildSellerOrderQuery(req.user._id, req.query);
+    if (query.error) return res.status(400).json({ message: query.error });
+    const cursor = () => Order.find(query.filter).sort(query.sort).populate('customerId', 'name email phone').lean().cursor();
+    const filename = `orders-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    if (format === 'xlsx') {
+      const count = await Order.countDocuments(query.filter);
+      if (count > MAX_XLSX_ORDERS) {
+        return res.status(400).json({ message: `Too many orders for an Excel export (${count}, max ${MAX_XLSX_ORDERS}). Narrow the filters or export as CSV.` });
+      }
+      const rows = [EXPORT_COLUMNS];
+      await forEachExportBatch(cursor(), batch => { rows.push(...batch); });
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(buildXlsx(rows, 'Orders'));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM so Excel reads the file as UTF-8
+    res.write('\uFEFF' + toSafeCsvRow(EXPORT_COLUMNS));
+    await forEachExportBatch(cursor(), async batch => {
+      if (res.destroyed) return false;
+      // Customer-entered text (names, addresses, notes) must not run as formulas in Excel
+      if (!res.write(batch.map(toSafeCsvRow).join(''))) await new Promise(resolve => { res.once('drain', resolve); res.once('close', resolve); });
+      return !res.destroyed;
+    });
+    res.end();
+  } catch (err) {
+    logRequestError(logger, 'error', 'Seller orders export error', err, req, { format });
+    // Once streaming has started the status line is gone; cut the download short instead
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ message: 'Export failed' });
+  }
+});
+
+// =================== PACKING SLIPS & PICK LISTS ===================
+const MAX_PRINT_ORDERS = 100;
+const UNPRINTABLE_STATUSES = ['pending', 'cancelled', 'refunded'];
+
+// The seller's printable orders in the requested order, or { error, status }
+async function findPrintableOrders(sellerId, orderIds) {
+  if (!Array.isArray(orderIds) || orderIds.length === 0) return { error: 'orderIds must be a non-empty array' };
+  if (orderIds.length > MAX_PRINT_ORDERS) return { error: `At most ${MAX_PRINT_ORDERS} orders at a time` };
+  if (!orderIds.every(id => mongoose.isValidObjectId(id))) return { error: 'Invalid order ID' };
+  const ids = [...new Set(orderIds.map(String))];
+  const found = await Order.find({ _id: { $in: ids }, sellerId }).lean();
+  const orders = ids.map(id => found.find(o => o._id.toString() === id)).filter(Boolean);
+  if (orders.length !== ids.length) return { error: ids.length === 1 ? 'Order not found' : 'One or more orders were not found', status: 404 };
+  const unprintable = orders.find(o => UNPRINTABLE_STATUSES.includes(o.status));
+  if (unprintable) return { error: `Order ${unprintable.orderNumber} is ${unprintable.status} and can't be packed` };
+  return { orders };
+}
+
+function sendPdf(res, buffer, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(buffer);
+}
+
+// GET /api/seller/orders/:id/packing-slip
+router.get('/orders/:id/packing-slip', async (req, res) => {
+  try {
+    const result = await findPrintableOrders(req.user._id, [req.params.id]);
+    if (result.error) return res.status(result.status || 400).json({ message: result.error });
+    const pdf = await generatePackingSlips(result.orders, req.user);
+    sendPdf(res, pdf, `packing-slip-${result.orders[0].orderNumber}.pdf`);
+  } catch (err) {
+    logRequestError(logger, 'error', 'Packing slip error', err, req, { orderId: req.params.id });
+    res.status(500).json({ message: 'Failed to generate packing slip' });
+  }
+});
+
+// GET /api/seller/orders/:id/gift-receipt - price-free receipt to put in the box of a gift order
+router.get('/orders/:id/gift-receipt', async (req, res) => {
+  try {
+    const result = await findPrintableOrders(req.user._id, [req.params.id]);
+    if (result.error) return res.status(result.status || 400).json({ message: result.error });
+    if (!result.orders[0].gift?.isGift) return res.status(400).json({ message: 'This order is not a gift' });
+    const pdf = await generateGiftReceipt(result.orders[0]);
+    sendPdf(res, pdf, `gift-receipt-${result.orders[0].orderNumber}.pdf`);
+  } catch (err) {
+    logRequestError(logger, 'error', 'Gift receipt error', err, req, { orderId: req.params.id });
+    res.status(500).json({ message: 'Failed to generate gift receipt' });
+  }
+});
+
+// POST /api/seller/orders/packing-slips - one PDF with a slip per order
+router.post('/orders/packing-slips', async (req, res) => {
+  try {
+    const result = await findPrintableOrders(req.user._id, req.body.orderIds);
+    if (result.error) return res.status(result.status || 400).json({ message: result.error });
+    const pdf = await generatePackingSlips(result.orders, req.user);
+    sendPdf(res, pdf, `packing-slips-${Date.now()}.pdf`);
+  } catch (err) {
+    logRequestError(logger, 'error', 'Packing slips error', err, req, { orderCount: req.body?.orderIds?.length });
+    res.status(500).json({ message: 'Failed to generate packing slips' });
+  }
+});
+
+// POST /api/seller/orders/pick-list - units per SKU across the selected orders
+router.post('/orders/pick-list', async (req, res) => {
+  try {
+    const result = await findPrintableOrders(req.user._id, req.body.orderIds);
+    if (result.error) return res.status(result.status || 400).json({ message: result.error });
+    const pdf = await generatePickList(result.orders, req.user);
+    sendPdf(res, pdf, `pick-list-${Date.now()}.pdf`);
+  } catch (err) {
+    logRequestError(logger, 'error', 'Pick list error', err, req, { orderCount: req.body?.orderIds?.length });
+    res.status(500).json({ message: 'Failed to generate pick list' });
+  }
+});
+
 // GET single order detail (includes customer shipping address for manual shipment)
 router.get('/orders/:id', async (req, res) => {
   try {
@@ -708,21 +1458,23 @@ router.put('/orders/:id/status', async (req, res) => {
     const order = await Order.findOne({ _id: req.params.id, sellerId: req.user._id });
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    const transitions = { pending: ['confirmed', 'cancelled'], confirmed: ['processing', 'shipped', 'cancelled'], shipped: ['delivered'], processing: ['shipped', 'cancelled'] };
+    const transitions = { pending: ['confirmed', 'cancelled'], confirmed: ['processing', 'shipped', 'cancelled'], shipped: ['delivered'], partially_delivered: ['delivered'], processing: ['shipped', 'cancelled'] };
     const allowed = transitions[order.status] || [];
     if (!allowed.includes(status)) return res.status(400).json({ message: `Cannot change from ${order.status} to ${status}` });
 
     order.status = status;
     if (status === 'cancelled') {
       order.cancelledAt = new Date();
-      const shipment = await Shipment.findOne({ orderId: order._id, sellerId: req.user._id });
-      if (shipment && shipment.shiprocketOrderId) {
-        const pickedUp = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
-        if (pickedUp.includes(shipment.status)) {
-          return res.status(400).json({
-            message: `Cannot cancel — package already ${shipment.status.replace(/_/g, ' ')} by courier`
-          });
-        }
+      const shipments = (await Shipment.find({ orderId: order._id, sellerId: req.user._id })).filter(isActiveShipment);
+      const pickedUp = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+      const collected = shipments.find(sh => pickedUp.includes(sh.status));
+      if (collected) {
+        return res.status(400).json({
+          message: `Cannot cancel — package already ${collected.status.replace(/_/g, ' ')} by courier`
+        });
+      }
+      for (const shipment of shipments) {
+        if (!shipment.shiprocketOrderId) continue;
         try {
           await shiprocket.cancelShiprocketOrder({ shiprocketOrderId: shipment.shiprocketOrderId });
         } catch (e) {
@@ -735,9 +1487,7 @@ router.put('/orders/:id/status', async (req, res) => {
 
       // Restore reserved stock
       for (const item of order.items) {
-        const stockInc = { stock: item.quantity };
-        if (order.paymentStatus === 'paid') stockInc.orderCount = -item.quantity;
-        await Product.findByIdAndUpdate(item.productId, { $inc: stockInc });
+        await restoreStock(item, { revertOrderCount: order.paymentStatus === 'paid' });
       }
 
       // Initiate Cashfree refund if payment was completed
@@ -809,6 +1559,72 @@ router.put('/orders/:id/status', async (req, res) => {
   }
 });
 
+// Cancel some units (e.g. one line out of stock) and refund only those; see server/utils/itemCancellation
+router.post('/orders/:id/cancel-items', sanitizeBody, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const reason = String(req.body.reason || '').trim().substring(0, MAX_CANCEL_REASON_LENGTH);
+    const shipments = await Shipment.find({ orderId: order._id });
+    const plan = planItemCancellation(order, shipments, req.body.items);
+    if (plan.error) return res.status(400).json({ message: plan.error });
+
+    const settings = await PlatformSettings.getSettings();
+    const records = applyItemCancellation(order, plan, { reason, gatewayFeeRate: settings.paymentGatewayFeeRate, changedBy: req.user._id });
+    // The units left may all be in packages already (e.g. partially_shipped -> shipped)
+    applyDerivedStatus(order, shipments, { changedBy: req.user._id, changedByRole: 'seller', note: 'Remaining items after cancellation' });
+
+    // Claim the cancellation before touching stock or money: the save is guarded on __v,
+    // so a double submit that planned against the same order version fails here
+    order.increment();
+    try {
+      await order.save();
+    } catch (saveErr) {
+      if (saveErr instanceof mongoose.Error.VersionError) {
+        return res.status(409).json({ message: 'This order was just updated. Reload it and try again.' });
+      }
+      throw saveErr;
+    }
+
+    const paid = order.paymentStatus === 'paid';
+    for (const { item, quantity } of plan.lines) {
+      await restoreStock({ productId: item.productId, variantId: item.variantId, quantity }, { revertOrderCount: paid });
+    }
+
+    let warning;
+    if (paid && order.cashfreeOrderId && plan.refundAmount > 0) {
+      // Derived from the cancelled record, so a repeated request for it is dropped by Cashfree
+      const refundId = `refund_items_${order.orderNumber}_${records[0]._id}`;
+      try {
+        await createRefund({ orderId: order.cashfreeOrderId, refundAmount: plan.refundAmount, refundId, refundNote: `Items cancelled by seller${reason ? `: ${reason}` : ''}` });
+        for (const record of records) Object.assign(record, { refundId, refundStatus: 'initiated' });
+      } catch (refundErr) {
+        logger.error(`[Refund] Item cancellation refund failed for ${order.orderNumber}:`, refundErr?.response?.data || refundErr.message);
+        for (const record of records) record.refundStatus = 'failed';
+        warning = `Items cancelled, but the Rs.${plan.refundAmount} refund could not be initiated yet. It will be retried automatically.`;
+      }
+    }
+    await order.save();
+
+    const summary = plan.lines.map(l => `${l.item.title} × ${l.quantity}`).join(', ');
+    if (order.customerId) {
+      createNotification({
+        userId: order.customerId.toString(), userRole: 'customer',
+        type: 'order_cancelled', title: `Items cancelled from order #${order.orderNumber}`,
+        message: `The seller cancelled ${summary}${reason ? ` (${reason})` : ''}.${plan.refundAmount > 0 && paid ? ` A refund of Rs.${plan.refundAmount} has been initiated.` : ''} The rest of your order is unaffected.`,
+        link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
+      });
+    }
+
+    logActivity({ domain: 'seller', action: 'order_items_cancelled', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Order', targetId: order._id, message: `Cancelled ${summary} on order ${order.orderNumber}`, metadata: { reason, refundAmount: plan.refundAmount, refundStatus: records[0]?.refundStatus } });
+    res.json({ order, refundAmount: plan.refundAmount, message: 'Items cancelled', warning });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Cancel order items error', err, req, { orderId: req.params?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.put('/orders/:id/ship', async (req, res) => {
   try {
     const { courierName, trackingNumber, estimatedDelivery } = req.body;
@@ -870,6 +1686,99 @@ router.get('/payouts', async (req, res) => {
   }
 });
 
+// GET /api/seller/payouts/early-quote -- what an early payout would pay right now, or why one isn't possible
+router.get('/payouts/early-quote', async (req, res) => {
+  try {
+    const { payoutOptions, ...quote } = await earlyPayoutQuote(req.user, await PlatformSettings.getSettings());
+    res.json(quote);
+  } catch (err) {
+    logRequestError(logger, 'error', 'Early payout quote error', err, req, {});
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/seller/payouts/request-early -- pay out the eligible balance ahead of the schedule
+router.post('/payouts/request-early', async (req, res) => {
+  try {
+    const now = new Date();
+    const settings = await PlatformSettings.getSettings();
+    const quote = await earlyPayoutQuote(req.user, settings, now);
+    if (!quote.eligible) return res.status(quote.alreadyRequested ? 409 : 400).json({ message: quote.reason });
+
+    // The period runs from the end of the seller's last payout
+    const last = await SellerPayout.findOne({ sellerId: req.user._id }).sort({ periodEnd: -1 }).select('periodEnd').lean();
+    const periodStart = last?.periodEnd || payoutPeriod(settings.payoutSchedule, now).start;
+    const { payout, skipped } = await createLedgerPayout(req.user, {
+      periodStart,
+      periodEnd: now,
+      periodLabel: `${periodStart.toLocaleDateString('en-IN')} - ${now.toLocaleDateString('en-IN')} (early)`,
+      type: 'early',
+      ...quote.payoutOptions
+    });
+    // Another request for this period got there first (e.g. a double click)
+    if (skipped === 'duplicate') return res.status(409).json({ message: 'An early payout was already requested for this payout period.', skipped });
+    // The balance changed since the quote, e.g. a refund came in
+    if (!payout) return res.status(409).json({ message: 'Your balance changed. Please check the amount and try again.', skipped });
+
+    logActivity({ domain: 'seller', action: 'early_payout_requested', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'SellerPayout', targetId: payout._id, message: `Early payout of Rs.${payout.netPayout} requested`, metadata: { netPayout: payout.netPayout, earlyPayoutFee: payout.earlyPayoutFee } });
+
+    const admins = await User.find({ userType: 'admin', status: 'active' }).select('_id').lean();
+    for (const admin of admins) {
+      createNotification({
+        userId: admin._id.toString(),
+        userRole: 'admin',
+        type: 'payout_requested',
+        title: 'Early payout requested',
+        message: `${req.user.sellerProfile?.businessName || req.user.name} requested an early payout of Rs.${payout.netPayout.toLocaleString('en-IN')}`,
+        link: '/admin/payouts',
+        metadata: { payoutId: payout._id.toString(), sellerId: req.user._id.toString() }
+      });
+    }
+
+    res.status(201).json({ message: 'Early payout requested', payout });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Early payout request error', err, req, {});
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/seller/payouts/:id/statement?format=pdf|csv -- settlement statement for the seller's accountant
+router.get('/payouts/:id/statement', async (req, res) => {
+  const format = req.query.format || 'pdf';
+  if (!['pdf', 'csv'].includes(format)) return res.status(400).json({ message: 'format must be pdf or csv' });
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid payout ID' });
+  try {
+    const payout = await SellerPayout.findOne({ _id: req.params.id, sellerId: req.user._id }).lean();
+    if (!payout) return res.status(404).json({ message: 'Payout not found' });
+
+    const statement = await buildPayoutStatement(payout, req.user);
+    const filename = `payout-statement-${new Date(payout.periodEnd).toISOString().split('T')[0]}.${format}`;
+    if (format === 'pdf') return sendPdf(res, await generatePayoutStatement(statement), filename);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(payoutStatementCsv(statement));
+  } catch (err) {
+    logRequestError(logger, 'error', 'Payout statement error', err, req, { payoutId: req.params.id, format });
+    res.status(500).json({ message: 'Failed to generate statement' });
+  }
+});
+
+// GET /api/seller/ledger?from=&to=&page=&limit= -- statement of every credit and debit with a running balance
+router.get('/ledger', async (req, res) => {
+  try {
+    const { options, error } = parseStatementQuery(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    await postDeliveredOrders({ sellerId: req.user._id });
+    const statement = await ledgerStatement(req.user._id, options);
+    res.json({ ...statement, unsettled: summarizeEntries(await unsettledEntries(req.user._id)) });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Seller ledger error', err, req, {});
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // =================== SETTINGS ===================
 router.get('/settings', async (req, res) => {
   try {
@@ -885,9 +1794,25 @@ router.get('/settings', async (req, res) => {
   }
 });
 
+// Orders already open when a vacation is set are due once the seller is back, like
+// orders placed during it, so they aren't counted late or auto-cancelled on return
+async function deferOpenOrdersForVacation(seller) {
+  const options = sellerShippingOptions(seller);
+  if (!options.away) return;
+  const orders = await Order.find({
+    sellerId: seller._id,
+    status: { $in: ['pending', 'confirmed', 'processing', 'partially_shipped'] },
+    $or: [{ shipDueAt: { $lt: options.away.until } }, { shipDueAt: null }]
+  }).select('shipDueAt shipBy createdAt').lean();
+  for (const order of orders) {
+    const dates = deferredShipDates(order, options);
+    if (dates) await Order.updateOne({ _id: order._id }, dates);
+  }
+}
+
 router.put('/settings', sanitizeBody, async (req, res) => {
   try {
-    const { businessName, businessAddress, pickupAddress, bankDetails, phone, bio, businessType, gstNumber, instagramUsername } = req.body;
+    const { businessName, businessAddress, pickupAddress, bankDetails, phone, bio, businessType, gstNumber, instagramUsername, giftWrap, handlingDays, vacation } = req.body;
     const user = req.user;
 
     if (businessName && businessName.trim() !== user.sellerProfile.businessName) {
@@ -954,6 +1879,23 @@ router.put('/settings', sanitizeBody, async (req, res) => {
     if (phone) user.phone = phone;
     if (businessType !== undefined) user.sellerProfile.businessType = businessType;
     if (gstNumber !== undefined) user.sellerProfile.gstNumber = gstNumber;
+    if (giftWrap !== undefined) {
+      const price = Number(giftWrap?.price ?? 0);
+      if (!Number.isFinite(price) || price < 0 || price > MAX_GIFT_WRAP_PRICE) {
+        return res.status(400).json({ message: `Gift wrap price must be between 0 and ${MAX_GIFT_WRAP_PRICE}` });
+      }
+      user.sellerProfile.giftWrap = { enabled: giftWrap?.enabled === true, price };
+    }
+    if (handlingDays !== undefined) {
+      const handlingError = parseHandlingDays(req.body);
+      if (handlingError) return res.status(400).json({ message: handlingError });
+      user.sellerProfile.handlingDays = req.body.handlingDays;
+    }
+    if (vacation !== undefined) {
+      const { vacation: parsed, error: vacationError } = parseVacation(vacation);
+      if (vacationError) return res.status(400).json({ message: vacationError });
+      user.sellerProfile.vacation = parsed || { startsAt: null, endsAt: null, mode: 'delay', message: '' };
+    }
     if (instagramUsername !== undefined) {
       const cleanUsername = instagramUsername.replace('@', '').trim();
       if (cleanUsername && cleanUsername !== user.sellerProfile.instagramUsername) {
@@ -982,6 +1924,7 @@ router.put('/settings', sanitizeBody, async (req, res) => {
       if (!pickupPhone) {
         // Phone is required for Shiprocket pickup registration
         await user.save();
+        if (vacation) await deferOpenOrdersForVacation(user);
         return res.status(400).json({
           message: 'Phone number is required for pickup address. Please add a phone number.',
           shiprocketPickupStatus: 'phone_required'
@@ -1054,7 +1997,10 @@ router.put('/settings', sanitizeBody, async (req, res) => {
     }
 
     await user.save();
+    if (vacation) await deferOpenOrdersForVacation(user);
     invalidateCache('/api/store/');
+    // Vacation mode hides listings or marks them "ships after ..."
+    if (vacation !== undefined) invalidateCache('/api/products');
     const response = {
       message: 'Settings updated',
       shiprocketPickupStatus,
@@ -1142,9 +2088,286 @@ router.get('/marketing', async (req, res) => {
 });
 
 // =================== SHIPPING (Shiprocket) ===================
+// An order ships as one or more packages (Shipments), see server/utils/fulfillment.
+// Package-level routes take an optional shipmentId and default to the latest active package.
+
+async function findOrderShipment(orderId, sellerId, shipmentId) {
+  if (shipmentId) {
+    if (!mongoose.isValidObjectId(shipmentId)) return null;
+    return Shipment.findOne({ _id: shipmentId, orderId, sellerId });
+  }
+  return (await Shipment.findOne({ orderId, sellerId, status: { $nin: ['cancelled', 'rto'] } }).sort({ createdAt: -1 }))
+    || Shipment.findOne({ orderId, sellerId }).sort({ createdAt: -1 });
+}
+
+// Package items ([{ itemId, quantity }]) joined with their order lines
+function packageLines(order, items) {
+  return items
+    .map(i => ({ item: order.items.find(oi => oi._id.toString() === i.itemId.toString()), quantity: i.quantity }))
+    .filter(line => line.item);
+}
+
+// Actual package weight in grams from product / variant weights
+async function packageWeight(lines) {
+  const products = await Product.find({ _id: { $in: lines.map(l => l.item.productId) } }).select('weight variants').lean();
+  return lines.reduce((sum, { item, quantity }) => {
+    const prod = products.find(p => p._id.toString() === item.productId.toString());
+    return sum + unitWeight(prod, item.variantId) * quantity;
+  }, 0);
+}
+
+// Re-derive the order status after a package changed; tells the customer when (part of) it shipped
+async function syncOrderFulfillment(order, user, note) {
+  const shipments = await Shipment.find({ orderId: order._id });
+  const status = applyDerivedStatus(order, shipments, { changedBy: user._id, changedByRole: 'seller', note });
+  if (!status) return null;
+  await order.save();
+
+  if (['partially_shipped', 'shipped'].includes(status) && order.customerId) {
+    const partial = status === 'partially_shipped';
+    createNotification({
+      userId: order.customerId.toString(), userRole: 'customer',
+      type: 'order_shipped', title: `Order #${order.orderNumber} ${partial ? 'partly shipped' : 'shipped'}`,
+      message: `${partial ? 'A package from your order' : 'Your order'} has been shipped via ${order.trackingInfo?.courierName || 'courier'}`,
+      link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
+    });
+
+    try {
+      const { sendShippedEmail } = require('../../server/utils/email');
+      if (order.customerEmail) await sendShippedEmail(order.customerEmail, order);
+    } catch (emailErr) { logger.error('[Email] Shipped email error:', emailErr.message); }
+  }
+  return status;
+}
+
+// Couriers that can carry a package of `weight` grams to the order's pincode, within the shipping budget
+async function packageCouriers(order, weight, pickupPincode) {
+  const result = await shiprocket.checkServiceability({ pickupPincode, deliveryPincode: order.shippingAddress.pincode, weight, cod: 0 });
+  const { couriers, shippingBudget } = couriersWithinBudget(parseCouriers(result), order);
+  if (shippingBudget) logger.info(`[Shipping] Filtered to ${couriers.length} couriers within budget Rs. ${shippingBudget}`);
+  return { couriers, shippingBudget };
+}
+
+// Seller's Shiprocket pickup location name, or { error, code } when they can't ship yet
+async function shiprocketPickupLocation(seller) {
+  // Block shipment if pickup address is not phone-verified on Shiprocket
+  if (!seller.sellerProfile?.shiprocketPickupVerified) {
+    // Double-check with Shiprocket API in case it was verified recently
+    const locationName = seller.sellerProfile?.shiprocketPickupLocation;
+    let justVerified = false;
+    if (locationName) {
+      try {
+        const locations = await shiprocket.getPickupLocations();
+        const loc = locations.find(l => l.pickup_location === locationName);
+        if (loc && loc.phone_verified === 1) {
+          seller.sellerProfile.shiprocketPickupVerified = true;
+          await seller.save();
+          justVerified = true;
+        }
+      } catch (e) {
+        logger.warn('[Shiprocket] Could not re-check pickup verification:', e.message);
+      }
+    }
+    if (!justVerified) {
+      return {
+        error: 'Your pickup address phone is not verified on Shiprocket. Please verify it in Seller Settings before creating shipments.',
+        code: 'PICKUP_UNVERIFIED'
+      };
+    }
+  }
+
+  // Use seller's registered Shiprocket pickup location, fall back to fetching from API
+  let pickupLocationName = seller.sellerProfile?.shiprocketPickupLocation || '';
+  if (!pickupLocationName) {
+    try {
+      const pickupLocations = await shiprocket.getPickupLocations();
+      const active = pickupLocations.find(loc => loc.status === 2) || pickupLocations[0];
+      if (active?.pickup_location) {
+        pickupLocationName = active.pickup_location;
+      }
+    } catch (pickupErr) {
+      logger.warn('[Shiprocket] Could not fetch pickup locations:', pickupErr.message);
+    }
+  }
+  if (!pickupLocationName) {
+    return { error: 'No pickup location configured. Please save your pickup address in Seller Settings first.' };
+  }
+  logger.info(`[Shiprocket] Using pickup location: "${pickupLocationName}" for seller ${seller._id}`);
+  return { name: pickupLocationName };
+}
+
+// Create a new package of `order` on Shiprocket. `items` as for resolveShipmentItems.
+// Returns { shipment, warning } or { error } for invalid items; Shiprocket errors throw.
+async function createOrderPackage(order, user, { items, dimensions = {}, pickupLocationName }) {
+  const existingShipments = await Shipment.find({ orderId: order._id });
+  const resolved = resolveShipmentItems(order, existingShipments, items);
+  if (resolved.error) return { error: resolved.error };
+  const lines = packageLines(order, resolved.items);
+
+  // Calculate actual weight from the package's items instead of relying on request body
+  const weight = Math.max(50, Math.min(50000, await packageWeight(lines)));
+  const length = Math.max(1, Math.min(200, Number(dimensions.length) || 10));
+  const width = Math.max(1, Math.min(200, Number(dimensions.width) || 10));
+  const height = Math.max(1, Math.min(200, Number(dimensions.height) || 10));
+
+  // Shiprocket order IDs must be unique: later packages get a -2, -3... suffix
+  const packageNumber = existingShipments.length + 1;
+  const wholeOrder = packageNumber === 1 && lines.length === order.items.length
+    && lines.every(l => l.quantity === (l.item.quantity || 1));
+  const addr = order.shippingAddress;
+  const gift = order.gift || {};
+  const giftWrapCharges = lines.reduce((sum, l) => sum + (l.item.giftWrapPrice || 0) * l.quantity, 0);
+  const shiprocketData = {
+    order_id: packageNumber === 1 ? order.orderNumber : `${order.orderNumber}-${packageNumber}`,
+    order_date: new Date().toISOString().split('T')[0],
+    pickup_location: pickupLocationName,
+    billing_customer_name: order.shippingAddress.name || 'Customer',
+    billing_last_name: '',
+    billing_address: order.shippingAddress.street,
+    billing_city: order.shippingAddress.city,
+    billing_pincode: order.shippingAddress.pincode,
+    billing_state: order.shippingAddress.state,
+    billing_country: 'India',
+    billing_email: order.customerEmail,
+    billing_phone: order.shippingAddress.phone || order.customerPhone,
+    // Gifts are addressed to the recipient; the buyer stays the billing contact
+    ...(gift.recipientName && gift.recipientName !== addr.name ? {
+      shipping_is_billing: false,
+      shipping_customer_name: gift.recipientName,
+      shipping_last_name: '',
+      shipping_address: addr.street,
+      shipping_city: addr.city,
+      shipping_pincode: addr.pincode,
+      shipping_state: addr.state,
+      shipping_country: 'India',
+      shipping_email: order.customerEmail,
+      shipping_phone: addr.phone || order.customerPhone
+    } : { shipping_is_billing: true }),
+    ...(gift.hidePrices ? { comment: 'Gift order: do not put the invoice or any prices in the package' } : {}),
+    order_items: lines.map(({ item, quantity }) => ({
+      name: item.variantLabel ? `${item.title} (${item.variantLabel})` : item.title,
+      sku: item.sku || `SKU-${item.productId}`,
+      units: quantity,
+      selling_price: item.price,
+      discount: 0, tax: 0, hsn: ''
+    })),
+    payment_method: 'Prepaid',
+    giftwrap_charges: giftWrapCharges, // on top of sub_total
+    sub_total: wholeOrder ? order.totalAmount - giftWrapCharges : lines.reduce((sum, l) => sum + l.item.price * l.quantity, 0),
+    length, breadth: width, height,
+    weight: weight / 1000
+  };
+
+  const result = await shiprocket.createShiprocketOrder(shiprocketData);
+  logger.info('[Shiprocket] Create order response:', JSON.stringify(result, null, 2));
+
+  // Extract IDs from multiple possible response formats
+  const srOrderId = (result.order_id || result.payload?.order_id || '').toString();
+  let srShipmentId = (result.shipment_id || result.payload?.shipment_id || '').toString();
+
+  if (!srOrderId) {
+    logger.error('[Shiprocket] No order_id in response:', result);
+    const err = new Error('Shiprocket did not return an order ID');
+    err.shiprocketResponse = result;
+    throw err;
+  }
+
+  // Shiprocket sometimes omits shipment_id from create response — fetch it
+  if (!srShipmentId) {
+    logger.warn('[Shiprocket] No shipment_id in create response, fetching order details...');
+    await new Promise(r => setTimeout(r, 1500));
+    try {
+      const details = await shiprocket.getShiprocketOrderDetails(srOrderId);
+      const shipments = details?.data?.shipments || details?.shipments || [];
+      if (shipments.length > 0) {
+        srShipmentId = shipments[0].id?.toString() || '';
+        logger.info(`[Shiprocket] Fetched shipment_id=${srShipmentId} from order details`);
+      }
+    } catch (fetchErr) {
+      logger.warn('[Shiprocket] Could not fetch order details:', fetchErr.message);
+    }
+  }
+
+  const shipment = new Shipment({ orderId: order._id, sellerId: user._id, items: resolved.items });
+  shipment.shiprocketOrderId = srOrderId;
+  shipment.shiprocketShipmentId = srShipmentId;
+  shipment.weight = weight;
+  shipment.dimensions = { length, width, height };
+  shipment.status = 'created';
+  shipment.statusHistory.push({ status: 'created', description: packageNumber === 1 ? 'Shipment created on Shiprocket' : `Package ${packageNumber} created on Shiprocket` });
+  await shipment.save();
+
+  if (!srShipmentId) {
+    logger.warn('[Shiprocket] shipment_id still missing after retry — courier assignment will fail until resolved.');
+  }
+
+  await syncOrderFulfillment(order, user, `Package ${packageNumber} created`);
+  return { shipment, warning: !srShipmentId ? 'Shipment created but courier assignment may need a retry' : undefined };
+}
+
+// Get an AWB for a package from the chosen courier (no pickup). Returns { shipment } or { error };
+// Shiprocket errors throw. Keeps the order's actualShippingCost in step with its packages.
+async function assignPackageCourier(order, shipment, courierId, courierRate) {
+  if (!shipment.shiprocketShipmentId && shipment.shiprocketOrderId) {
+    logger.info(`[Shipping] shiprocketShipmentId missing, fetching from order ${shipment.shiprocketOrderId}...`);
+    try {
+      const details = await shiprocket.getShiprocketOrderDetails(shipment.shiprocketOrderId);
+      const shipments = details?.data?.shipments || details?.shipments || [];
+      if (shipments.length > 0 && shipments[0].id) {
+        shipment.shiprocketShipmentId = shipments[0].id.toString();
+        await shipment.save();
+        logger.info(`[Shipping] Self-healed shiprocketShipmentId=${shipment.shiprocketShipmentId}`);
+      }
+    } catch (e) {
+      logger.warn('[Shipping] Could not fetch order details for self-heal:', e.message);
+    }
+  }
+
+  if (!shipment.shiprocketShipmentId) {
+    return { error: 'Shipment ID missing — please recreate the shipment' };
+  }
+
+  const result = await shiprocket.assignCourier({ shipmentId: shipment.shiprocketShipmentId, courierId });
+
+  if (result.awb_assign_status === 0 || (!result.response?.data?.awb_code && !result.awb_code)) {
+    return { error: result.response?.data?.awb_assign_error || result.message || 'Courier assignment failed on Shiprocket' };
+  }
+
+  shipment.awbCode = result.response?.data?.awb_code || result.awb_code || '';
+  shipment.courierName = result.response?.data?.courier_name || result.courier_name || '';
+  shipment.courierId = courierId;
+  if (courierRate && courierRate > 0) {
+    shipment.shippingCharge = Math.round(courierRate);
+  }
+  shipment.statusHistory.push({ status: 'courier_assigned', description: `Courier: ${shipment.courierName}` });
+  await shipment.save();
+
+  // Update order's actualShippingCost with the real courier rates of all its packages (shown on the order; the ledger reads the packages themselves)
+  if (courierRate && courierRate > 0 && order && order.shippingPaidBy === 'seller') {
+    order.actualShippingCost = shippingChargeTotal(await Shipment.find({ orderId: order._id }));
+    await order.save();
+    logger.info(`[Shipping] Updated actualShippingCost to Rs.${order.actualShippingCost} for order ${order.orderNumber}`);
+  }
+  return { shipment };
+}
+
+// Shiprocket answers "already scheduled" when it auto-scheduled the pickup itself
+function pickupAlreadyScheduled(pickupErr) {
+  const errMsg = pickupErr?.response?.data?.message || pickupErr?.response?.data || pickupErr.message || '';
+  const errStr = typeof errMsg === 'string' ? errMsg : JSON.stringify(errMsg);
+  return { errStr, already: errStr.toLowerCase().includes('already') || errStr.toLowerCase().includes('scheduled') };
+}
+
+async function markPickupScheduled(shipment, description) {
+  shipment.status = 'pickup_scheduled';
+  shipment.pickupScheduledAt = shipment.pickupScheduledAt || new Date();
+  shipment.statusHistory.push({ status: 'pickup_scheduled', description });
+  await shipment.save();
+}
+
 router.post('/shipping/serviceability', async (req, res) => {
   try {
-    const { orderId } = req.body;
+    const { orderId, items, shipmentId } = req.body;
     const order = await Order.findById(orderId);
     if (!order) return res.status(404).json({ message: 'Order not found' });
     if (order.sellerId.toString() !== req.user._id.toString()) {
@@ -1158,32 +2381,19 @@ router.post('/shipping/serviceability', async (req, res) => {
     const deliveryPincode = order.shippingAddress?.pincode;
     if (!deliveryPincode) return res.status(400).json({ message: 'Order has no delivery pincode' });
 
-    const productIds = order.items.map(i => i.productId);
-    const products = await Product.find({ _id: { $in: productIds } }).select('weight').lean();
-    let totalWeight = 0;
-    for (const item of order.items) {
-      const prod = products.find(p => p._id.toString() === item.productId.toString());
-      totalWeight += ((prod?.weight || 500) * (item.quantity || 1));
-    }
-
-    const result = await shiprocket.checkServiceability({ pickupPincode, deliveryPincode, weight: totalWeight, cod: 0 });
-
-    const companies = result?.data?.available_courier_companies || result?.available_courier_companies || [];
-    let couriers = companies.map(c => ({
-      courierId: c.courier_company_id,
-      courierName: c.courier_name,
-      rate: c.rate,
-      estimatedDays: c.estimated_delivery_days,
-      etd: c.etd,
-      rating: c.rating
-    }));
-
-    // Cap courier selection: only show couriers within what the customer actually paid
-    const shippingBudget = order.shippingPaidBy === 'customer' ? (order.shippingCost || 0) : null;
-    if (shippingBudget && shippingBudget > 0) {
-      couriers = couriers.filter(c => c.rate <= shippingBudget);
-      logger.info(`[Shipping] Filtered to ${couriers.length} couriers within budget Rs. ${shippingBudget}`);
+    // Rate the package being shipped: an existing package, or the requested / remaining items
+    let packageItems;
+    if (shipmentId) {
+      const shipment = await findOrderShipment(order._id, req.user._id, shipmentId);
+      if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
+      packageItems = shipmentItems(shipment, order);
+    } else {
+      const resolved = resolveShipmentItems(order, await Shipment.find({ orderId: order._id }), items);
+      if (resolved.error) return res.status(400).json({ message: resolved.error });
+      packageItems = resolved.items;
     }
+    const totalWeight = await packageWeight(packageLines(order, packageItems));
+    const { couriers, shippingBudget } = await packageCouriers(order, totalWeight, pickupPincode);
 
     logger.info('[Shipping] Returning', couriers.length, 'couriers');
     res.json({ couriers, pickupPincode, deliveryPincode, shippingBudget });
@@ -1203,197 +2413,36 @@ router.post('/shipping/:orderId/create', async (req, res) => {
     if (order.sellerId.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not your order' });
     if (order.paymentStatus !== 'paid') return res.status(400).json({ message: 'Order not paid' });
 
-    const existing = await Shipment.findOne({ orderId: order._id });
-    if (existing && existing.shiprocketOrderId) return res.status(400).json({ message: 'Shipment already created', shipment: existing });
-
     const seller = await Seller.findById(req.user._id);
+    const pickupLocation = await shiprocketPickupLocation(seller);
+    if (pickupLocation.error) return res.status(400).json({ message: pickupLocation.error, code: pickupLocation.code });
 
-    // Block shipment if pickup address is not phone-verified on Shiprocket
-    if (!seller.sellerProfile?.shiprocketPickupVerified) {
-      // Double-check with Shiprocket API in case it was verified recently
-      const locationName = seller.sellerProfile?.shiprocketPickupLocation;
-      let justVerified = false;
-      if (locationName) {
-        try {
-          const locations = await shiprocket.getPickupLocations();
-          const loc = locations.find(l => l.pickup_location === locationName);
-          if (loc && loc.phone_verified === 1) {
-            seller.sellerProfile.shiprocketPickupVerified = true;
-            await seller.save();
-            justVerified = true;
-          }
-        } catch (e) {
-          logger.warn('[Shiprocket] Could not re-check pickup verification:', e.message);
-        }
-      }
-      if (!justVerified) {
-        return res.status(400).json({
-          message: 'Your pickup address phone is not verified on Shiprocket. Please verify it in Seller Settings before creating shipments.',
-          code: 'PICKUP_UNVERIFIED'
-        });
-      }
-    }
-
-    // Calculate actual weight from order items instead of relying on request body
-    const productIds = order.items.map(i => i.productId);
-    const orderProducts = await Product.find({ _id: { $in: productIds } }).select('weight').lean();
-    let calculatedWeight = 0;
-    for (const item of order.items) {
-      const prod = orderProducts.find(p => p._id.toString() === item.productId.toString());
-      calculatedWeight += ((prod?.weight || 500) * (item.quantity || 1));
-    }
-    const weight = Math.max(50, Math.min(50000, calculatedWeight));
-    const length = Math.max(1, Math.min(200, Number(req.body.length) || 10));
-    const width = Math.max(1, Math.min(200, Number(req.body.width) || 10));
-    const height = Math.max(1, Math.min(200, Number(req.body.height) || 10));
-
-    // Use seller's registered Shiprocket pickup location, fall back to fetching from API
-    let pickupLocationName = seller.sellerProfile?.shiprocketPickupLocation || '';
-    if (!pickupLocationName) {
-      try {
-        const pickupLocations = await shiprocket.getPickupLocations();
-        const active = pickupLocations.find(loc => loc.status === 2) || pickupLocations[0];
-        if (active?.pickup_location) {
-          pickupLocationName = active.pickup_location;
-        }
-      } catch (pickupErr) {
-        logger.warn('[Shiprocket] Could not fetch pickup locations:', pickupErr.message);
-      }
-    }
-    if (!pickupLocationName) {
-      return res.status(400).json({ message: 'No pickup location configured. Please save your pickup address in Seller Settings first.' });
-    }
-    logger.info(`[Shiprocket] Using pickup location: "${pickupLocationName}" for seller ${seller._id}`);
-
-    const shiprocketData = {
-      order_id: order.orderNumber,
-      order_date: new Date().toISOString().split('T')[0],
-      pickup_location: pickupLocationName,
-      billing_customer_name: order.shippingAddress.name || 'Customer',
-      billing_last_name: '',
-      billing_address: order.shippingAddress.street,
-      billing_city: order.shippingAddress.city,
-      billing_pincode: order.shippingAddress.pincode,
-      billing_state: order.shippingAddress.state,
-      billing_country: 'India',
-      billing_email: order.customerEmail,
-      billing_phone: order.shippingAddress.phone || order.customerPhone,
-      shipping_is_billing: true,
-      order_items: order.items.map(item => ({
-        name: item.title,
-        sku: item.sku || `SKU-${item.productId}`,
-        units: item.quantity,
-        selling_price: item.price,
-        discount: 0, tax: 0, hsn: ''
-      })),
-      payment_method: 'Prepaid',
-      sub_total: order.totalAmount,
-      length, breadth: width, height,
-      weight: weight / 1000
-    };
-
-    const result = await shiprocket.createShiprocketOrder(shiprocketData);
-    logger.info('[Shiprocket] Create order response:', JSON.stringify(result, null, 2));
-
-    // Extract IDs from multiple possible response formats
-    const srOrderId = (result.order_id || result.payload?.order_id || '').toString();
-    let srShipmentId = (result.shipment_id || result.payload?.shipment_id || '').toString();
-
-    if (!srOrderId) {
-      logger.error('[Shiprocket] No order_id in response:', result);
-      return res.status(500).json({ message: 'Shiprocket did not return an order ID', shiprocketResponse: result });
-    }
-
-    // Shiprocket sometimes omits shipment_id from create response — fetch it
-    if (!srShipmentId) {
-      logger.warn('[Shiprocket] No shipment_id in create response, fetching order details...');
-      await new Promise(r => setTimeout(r, 1500));
-      try {
-        const details = await shiprocket.getShiprocketOrderDetails(srOrderId);
-        const shipments = details?.data?.shipments || details?.shipments || [];
-        if (shipments.length > 0) {
-          srShipmentId = shipments[0].id?.toString() || '';
-          logger.info(`[Shiprocket] Fetched shipment_id=${srShipmentId} from order details`);
-        }
-      } catch (fetchErr) {
-        logger.warn('[Shiprocket] Could not fetch order details:', fetchErr.message);
-      }
-    }
-
-    const shipment = existing || new Shipment({ orderId: order._id, sellerId: req.user._id });
-    shipment.shiprocketOrderId = srOrderId;
-    shipment.shiprocketShipmentId = srShipmentId;
-    shipment.weight = weight;
-    shipment.dimensions = { length, width, height };
-    shipment.status = 'created';
-    shipment.statusHistory.push({ status: 'created', description: 'Shipment created on Shiprocket' });
-    await shipment.save();
-
-    if (!srShipmentId) {
-      logger.warn('[Shiprocket] shipment_id still missing after retry — courier assignment will fail until resolved.');
-    }
-
-    order.status = 'processing';
-    await order.save();
+    const created = await createOrderPackage(order, req.user, {
+      items: req.body.items,
+      dimensions: { length: req.body.length, width: req.body.width, height: req.body.height },
+      pickupLocationName: pickupLocation.name
+    });
+    if (created.error) return res.status(400).json({ message: created.error });
 
-    res.json({ message: 'Shipment created', shipment, warning: !srShipmentId ? 'Shipment created but courier assignment may need a retry' : undefined });
+    res.json({ message: 'Shipment created', shipment: created.shipment, warning: created.warning });
   } catch (err) {
     logRequestError(logger, 'error', 'Create shipment error', err, req, {
       orderId: req.params?.orderId,
       apiMessage: err?.response?.data?.message
     });
-    res.status(500).json({ message: 'Failed to create shipment', error: err?.response?.data?.message || err.message });
+    res.status(500).json({ message: 'Failed to create shipment', error: err?.response?.data?.message || err.message, shiprocketResponse: err.shiprocketResponse });
   }
 });
 
 router.post('/shipping/:orderId/assign-courier', async (req, res) => {
   try {
-    const { courierId, courierRate } = req.body;
-    const shipment = await Shipment.findOne({ orderId: req.params.orderId, sellerId: req.user._id });
+    const { courierId, courierRate, shipmentId } = req.body;
+    const shipment = await findOrderShipment(req.params.orderId, req.user._id, shipmentId);
     if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
 
-    if (!shipment.shiprocketShipmentId && shipment.shiprocketOrderId) {
-      logger.info(`[Shipping] shiprocketShipmentId missing, fetching from order ${shipment.shiprocketOrderId}...`);
-      try {
-        const details = await shiprocket.getShiprocketOrderDetails(shipment.shiprocketOrderId);
-        const shipments = details?.data?.shipments || details?.shipments || [];
-        if (shipments.length > 0 && shipments[0].id) {
-          shipment.shiprocketShipmentId = shipments[0].id.toString();
-          await shipment.save();
-          logger.info(`[Shipping] Self-healed shiprocketShipmentId=${shipment.shiprocketShipmentId}`);
-        }
-      } catch (e) {
-        logger.warn('[Shipping] Could not fetch order details for self-heal:', e.message);
-      }
-    }
-
-    if (!shipment.shiprocketShipmentId) {
-      return res.status(400).json({ message: 'Shipment ID missing — please recreate the shipment' });
-    }
-
-    const result = await shiprocket.assignCourier({ shipmentId: shipment.shiprocketShipmentId, courierId });
-
-    if (result.awb_assign_status === 0 || (!result.response?.data?.awb_code && !result.awb_code)) {
-      const errorMsg = result.response?.data?.awb_assign_error || result.message || 'Courier assignment failed on Shiprocket';
-      return res.status(400).json({ message: errorMsg });
-    }
-
-    shipment.awbCode = result.response?.data?.awb_code || result.awb_code || '';
-    shipment.courierName = result.response?.data?.courier_name || result.courier_name || '';
-    shipment.courierId = courierId;
-    if (courierRate && courierRate > 0) {
-      shipment.shippingCharge = Math.round(courierRate);
-    }
-    shipment.statusHistory.push({ status: 'courier_assigned', description: `Courier: ${shipment.courierName}` });
-    await shipment.save();
-
-    // Update order's actualShippingCost with real courier rate (used for payout deduction)
     const order = await Order.findById(req.params.orderId);
-    if (courierRate && courierRate > 0 && order && order.shippingPaidBy === 'seller') {
-      order.actualShippingCost = Math.round(courierRate);
-      await order.save();
-      logger.info(`[Shipping] Updated actualShippingCost to Rs.${Math.round(courierRate)} for order ${order.orderNumber}`);
-    }
+    const assigned = await assignPackageCourier(order, shipment, courierId, courierRate);
+    if (assigned.error) return res.status(400).json({ message: assigned.error });
 
     // Auto-schedule pickup so the seller doesn't need a separate step
     let pickupScheduled = false;
@@ -1402,9 +2451,8 @@ router.post('/shipping/:orderId/assign-courier', async (req, res) => {
       pickupScheduled = true;
       logger.info(`[Pickup] Auto-scheduled for shipment ${shipment.shiprocketShipmentId}`);
     } catch (pickupErr) {
-      const errMsg = pickupErr?.response?.data?.message || pickupErr?.response?.data || pickupErr.message || '';
-      const errStr = typeof errMsg === 'string' ? errMsg : JSON.stringify(errMsg);
-      if (errStr.toLowerCase().includes('already') || errStr.toLowerCase().includes('scheduled')) {
+      const { errStr, already } = pickupAlreadyScheduled(pickupErr);
+      if (already) {
         pickupScheduled = true;
         logger.info(`[Pickup] Already scheduled for shipment ${shipment.shiprocketShipmentId}`);
       } else {
@@ -1413,33 +2461,8 @@ router.post('/shipping/:orderId/assign-courier', async (req, res) => {
     }
 
     if (pickupScheduled) {
-      shipment.status = 'pickup_scheduled';
-      shipment.pickupScheduledAt = new Date();
-      shipment.statusHistory.push({ status: 'pickup_scheduled', description: 'Pickup auto-scheduled' });
-      await shipment.save();
-
-      if (order) {
-        const { isValidTransition } = require('../../server/utils/orderStatus');
-        if (isValidTransition(order.status, 'shipped')) {
-          order.status = 'shipped';
-          order.trackingInfo = { courierName: shipment.courierName, trackingNumber: shipment.awbCode, shippedAt: new Date() };
-          if (!order.statusHistory) order.statusHistory = [];
-          order.statusHistory.push({ status: 'shipped', timestamp: new Date(), changedBy: req.user._id, changedByRole: 'seller', note: `Shipped via ${shipment.courierName}` });
-          await order.save();
-
-          createNotification({
-            userId: order.customerId.toString(), userRole: 'customer',
-            type: 'order_shipped', title: `Order #${order.orderNumber} shipped`,
-            message: `Your order has been shipped via ${shipment.courierName}`,
-            link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
-          });
-
-          try {
-            const { sendShippedEmail } = require('../../server/utils/email');
-            if (order.customerEmail) await sendShippedEmail(order.customerEmail, order);
-          } catch (emailErr) { logger.error('[Email] Shipped email error:', emailErr.message); }
-        }
-      }
+      await markPickupScheduled(shipment, 'Pickup auto-scheduled');
+      if (order) await syncOrderFulfillment(order, req.user, `Shipped via ${shipment.courierName}`);
     }
 
     res.json({ message: pickupScheduled ? 'Courier assigned & pickup scheduled' : 'Courier assigned (schedule pickup manually)', shipment, pickupScheduled });
@@ -1454,7 +2477,7 @@ router.post('/shipping/:orderId/assign-courier', async (req, res) => {
 
 router.post('/shipping/:orderId/pickup', async (req, res) => {
   try {
-    const shipment = await Shipment.findOne({ orderId: req.params.orderId, sellerId: req.user._id });
+    const shipment = await findOrderShipment(req.params.orderId, req.user._id, req.body?.shipmentId);
     if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
 
     try {
@@ -1475,30 +2498,11 @@ router.post('/shipping/:orderId/pickup', async (req, res) => {
     }
 
     // Update local shipment status
-    shipment.status = 'pickup_scheduled';
-    shipment.pickupScheduledAt = shipment.pickupScheduledAt || new Date();
-    shipment.statusHistory.push({ status: 'pickup_scheduled', description: 'Pickup scheduled' });
-    await shipment.save();
+    await markPickupScheduled(shipment, 'Pickup scheduled');
 
-    // Update order to shipped
+    // Update order to (partially) shipped
     const order = await Order.findById(req.params.orderId);
-    if (order) {
-      const { isValidTransition } = require('../../server/utils/orderStatus');
-      if (isValidTransition(order.status, 'shipped')) {
-        order.status = 'shipped';
-        order.trackingInfo = { courierName: shipment.courierName, trackingNumber: shipment.awbCode, shippedAt: new Date() };
-        if (!order.statusHistory) order.statusHistory = [];
-        order.statusHistory.push({ status: 'shipped', timestamp: new Date(), changedBy: req.user._id, changedByRole: 'seller', note: `Shipped via ${shipment.courierName}` });
-        await order.save();
-
-        createNotification({
-          userId: order.customerId.toString(), userRole: 'customer',
-          type: 'order_shipped', title: `Order #${order.orderNumber} shipped`,
-          message: `Your order has been shipped via ${shipment.courierName}`,
-          link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
-        });
-      }
-    }
+    if (order) await syncOrderFulfillment(order, req.user, `Shipped via ${shipment.courierName}`);
 
     res.json({ message: 'Pickup scheduled', shipment });
   } catch (err) {
@@ -1511,18 +2515,145 @@ router.post('/shipping/batch-shipments', async (req, res) => {
   try {
     const { orderIds } = req.body;
     if (!Array.isArray(orderIds) || orderIds.length === 0) return res.json({ shipments: {} });
-    const shipments = await Shipment.find({ orderId: { $in: orderIds }, sellerId: req.user._id }).lean();
+    const shipments = await Shipment.find({ orderId: { $in: orderIds }, sellerId: req.user._id }).sort({ createdAt: 1 }).lean();
+    // orderId -> the order's packages, oldest first
     const map = {};
-    for (const s of shipments) map[s.orderId.toString()] = s;
+    for (const s of shipments) (map[s.orderId.toString()] ||= []).push(s);
     res.json({ shipments: map });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// POST /api/seller/shipping/bulk - ship many orders in one go
+// For each order: finish its package awaiting a courier, or pack everything left to ship; pick a courier
+// by `policy` within the customer's shipping budget and get the AWB. Then one pickup request, one merged
+// label PDF and one manifest cover every package that got an AWB. Orders fail independently.
+const MAX_BULK_SHIPPING_ORDERS = 50;
+const BULK_SHIPPABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped', 'partially_delivered'];
+
+router.post('/shipping/bulk', async (req, res) => {
+  try {
+    const { orderIds, policy = 'cheapest' } = req.body;
+    if (!Array.isArray(orderIds) || orderIds.length === 0) return res.status(400).json({ message: 'orderIds must be a non-empty array' });
+    if (orderIds.length > MAX_BULK_SHIPPING_ORDERS) return res.status(400).json({ message: `At most ${MAX_BULK_SHIPPING_ORDERS} orders per batch` });
+    if (!orderIds.every(id => mongoose.isValidObjectId(id))) return res.status(400).json({ message: 'Invalid order ID' });
+    if (!COURIER_POLICIES.includes(policy)) return res.status(400).json({ message: `policy must be one of: ${COURIER_POLICIES.join(', ')}` });
+
+    const seller = await Seller.findById(req.user._id);
+    const pickupPincode = seller.sellerProfile?.pickupAddress?.pincode || seller.sellerProfile?.businessAddress?.pincode;
+    if (!pickupPincode) return res.status(400).json({ message: 'Set your pickup address pincode in Seller Settings first' });
+    const pickupLocation = await shiprocketPickupLocation(seller);
+    if (pickupLocation.error) return res.status(400).json({ message: pickupLocation.error, code: pickupLocation.code });
+
+    const uniqueIds = [...new Set(orderIds.map(String))];
+    const orders = await Order.find({ _id: { $in: uniqueIds }, sellerId: req.user._id });
+    const results = [];
+    const ready = []; // { order, shipment } with an AWB
+
+    // One order at a time: Shiprocket rate-limits bursts
+    for (const orderId of uniqueIds) {
+      const order = orders.find(o => o._id.toString() === orderId);
+      const result = { orderId, orderNumber: order?.orderNumber || null, success: false };
+      results.push(result);
+      try {
+        if (!order) { result.error = 'Order not found'; continue; }
+        if (order.paymentStatus !== 'paid') { result.error = 'Order not paid'; continue; }
+        if (!BULK_SHIPPABLE_STATUSES.includes(order.status)) { result.error = `Cannot ship an order with status "${order.status}"`; continue; }
+        if (!order.shippingAddress?.pincode) { result.error = 'Order has no delivery pincode'; continue; }
+
+        // A package created earlier but still without a courier is finished first
+        let shipment = await Shipment.findOne({ orderId: order._id, sellerId: req.user._id, status: { $nin: ['cancelled', 'rto'] }, awbCode: '' }).sort({ createdAt: -1 });
+        if (!shipment) {
+          const created = await createOrderPackage(order, req.user, { pickupLocationName: pickupLocation.name });
+          if (created.error) { result.error = created.error; continue; }
+          shipment = created.shipment;
+        }
+        result.shipmentId = shipment._id;
+
+        const { couriers, shippingBudget } = await packageCouriers(order, shipment.weight || await packageWeight(packageLines(order, shipmentItems(shipment, order))), pickupPincode);
+        const courier = selectCourier(couriers, policy);
+        if (!courier) {
+          result.error = shippingBudget ? `No courier available within the shipping budget of Rs. ${shippingBudget}` : 'No couriers available for this route';
+          continue;
+        }
+
+        const assigned = await assignPackageCourier(order, shipment, courier.courierId, courier.rate);
+        if (assigned.error) { result.error = assigned.error; continue; }
+        Object.assign(result, { success: true, courierName: shipment.courierName, awbCode: shipment.awbCode, rate: courier.rate, estimatedDays: courier.estimatedDays });
+        ready.push({ order, shipment });
+      } catch (orderErr) {
+        result.error = orderErr?.response?.data?.message || orderErr.message || 'Failed to ship order';
+        logger.warn(`[BulkShipping] Order ${order?.orderNumber || orderId} failed: ${result.error}`);
+      }
+    }
+
+    const shipmentIds = ready.map(r => r.shipment.shiprocketShipmentId);
+    let pickupScheduled = false;
+    let labelUrl = '';
+    let manifestUrl = '';
+    const warnings = [];
+    if (shipmentIds.length) {
+      try {
+        await shiprocket.schedulePickup({ shipmentIds });
+        pickupScheduled = true;
+      } catch (pickupErr) {
+        const { errStr, already } = pickupAlreadyScheduled(pickupErr);
+        pickupScheduled = already;
+        if (!already) {
+          logger.warn(`[BulkShipping] Pickup failed: ${errStr}`);
+          warnings.push(`Couriers assigned but pickup could not be scheduled (${errStr}) — schedule it per order`);
+        }
+      }
+      if (pickupScheduled) {
+        for (const { order, shipment } of ready) {
+          await markPickupScheduled(shipment, 'Pickup scheduled (bulk)');
+          await syncOrderFulfillment(order, req.user, `Shipped via ${shipment.courierName}`);
+        }
+      }
+
+      try {
+        labelUrl = (await shiprocket.generateLabel({ shipmentIds }))?.label_url || '';
+      } catch (labelErr) {
+        warnings.push('Could not generate the labels — download them per order');
+        logger.warn(`[BulkShipping] Label failed: ${labelErr?.response?.data?.message || labelErr.message}`);
+      }
+      try {
+        manifestUrl = (await shiprocket.generateManifest({ shipmentIds }))?.manifest_url || '';
+      } catch (manifestErr) {
+        warnings.push('Could not generate the manifest');
+        logger.warn(`[BulkShipping] Manifest failed: ${manifestErr?.response?.data?.message || manifestErr.message}`);
+      }
+      if (labelUrl || manifestUrl) {
+        await Shipment.updateMany(
+          { _id: { $in: ready.map(r => r.shipment._id) } },
+          { $set: { ...(labelUrl && { labelUrl }), ...(manifestUrl && { manifestUrl }), updatedAt: new Date() } }
+        );
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    logActivity({ domain: 'seller', action: 'bulk_shipping', actorRole: 'seller', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Order', message: `Bulk shipped ${succeeded}/${results.length} orders (${policy})`, metadata: { policy, succeeded, failed: results.length - succeeded } });
+    res.json({
+      results,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      pickupScheduled,
+      labelUrl,
+      manifestUrl,
+      warnings
+    });
+  } catch (err) {
+    logRequestError(logger, 'error', 'Bulk shipping error', err, req, {
+      orderCount: Array.isArray(req.body?.orderIds) ? req.body.orderIds.length : 0,
+      apiMessage: err?.response?.data?.message
+    });
+    res.status(500).json({ message: 'Bulk shipping failed', error: err?.response?.data?.message || err.message });
+  }
+});
+
 router.get('/shipping/:orderId/track', async (req, res) => {
   try {
-    const shipment = await Shipment.findOne({ orderId: req.params.orderId, sellerId: req.user._id });
+    const shipment = await findOrderShipment(req.params.orderId, req.user._id, req.query.shipmentId);
     if (!shipment) return res.status(404).json({ message: 'No shipment' });
 
     if (shipment.awbCode) {
@@ -1539,7 +2670,7 @@ router.get('/shipping/:orderId/track', async (req, res) => {
 
 router.get('/shipping/:orderId/label', async (req, res) => {
   try {
-    const shipment = await Shipment.findOne({ orderId: req.params.orderId, sellerId: req.user._id });
+    const shipment = await findOrderShipment(req.params.orderId, req.user._id, req.query.shipmentId);
     if (!shipment) return res.status(404).json({ message: 'No shipment' });
 
     const result = await shiprocket.generateLabel({ shipmentId: shipment.shiprocketShipmentId });
@@ -1759,7 +2890,9 @@ router.put('/returns/:id/received', async (req, res) => {
         });
         if (order) {
           order.returnStatus = 'completed';
-          order.paymentStatus = 'refund_pending';
+          // The refund went through: 'refund_pending' would have the retry cron refund the whole order again.
+          // A partial return leaves the rest of the order paid.
+          if (returnReq.refundAmount >= order.totalAmount) order.paymentStatus = 'refunded';
           order.refundId = refundId;
           order.statusHistory = order.statusHistory || [];
           order.statusHistory.push({ status: 'return_refunded', timestamp: new Date(), changedBy: req.user._id, changedByRole: 'seller', note: `Refund: Rs.${returnReq.refundAmount}` });
@@ -1791,6 +2924,17 @@ router.put('/returns/:id/received', async (req, res) => {
     returnReq.resolvedAt = new Date();
     await returnReq.save();
 
+    // The refund comes out of the seller's next payout, whether or not the order was paid out already.
+    // The customer has been refunded by now; if posting fails, the hourly ledger sweep posts it later
+    if (returnReq.status === 'refunded' && order) {
+      try {
+        const { refundCommissionReversal } = await PlatformSettings.getSettings();
+        await postReturnRefund(order, returnReq, { commissionReversal: refundCommissionReversal });
+      } catch (ledgerErr) {
+        logger.error(`[Returns] Could not post return refund for ${order.orderNumber}: ${ledgerErr.message}`);
+      }
+    }
+
     createNotification({
       userId: returnReq.customerId.toString(),
       userRole: 'customer',
@@ -1,5 +1,7 @@
 const cloudinary = require('cloudinary').v2;
 const logger = require('../utils/logger');
+const localStorage = require('./localStorage');
+const { loadMediaBuffer, buildImageVariants, variantPublicIds } = require('../utils/imageVariants');
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -8,6 +10,10 @@ cloudinary.config({
   secure: true
 });
 
+// MEDIA_STORAGE=local keeps uploads on disk instead (development without Cloudinary)
+const useLocalStorage = process.env.MEDIA_STORAGE === 'local';
+const uploader = useLocalStorage ? localStorage : cloudinary.uploader;
+
 /**
  * Upload an image to Cloudinary with automatic optimization
  * @param {string} imageData - base64 data URI or URL
@@ -22,8 +28,38 @@ const uploadImage = async (imageData, options = {}) => {
       { width: 800, height: 800, crop: 'limit', quality: 'auto:good', fetch_format: 'auto' }
     ]
   };
-  const result = await cloudinary.uploader.upload(imageData, { ...defaults, ...options });
-  return { url: result.secure_url, publicId: result.public_id };
+  const result = await uploader.upload(imageData, { ...defaults, ...options });
+  return { url: result.secure_url, publicId: result.public_id, width: result.width || 0, height: result.height || 0 };
+};
+
+/**
+ * Upload a product image plus its responsive WebP/AVIF variants (see
+ * utils/imageVariants). Variant public IDs extend the original's, so
+ * deleteImage(publicId) removes them too. Images given by URL are fetched by
+ * Cloudinary, and the variants are made from the stored copy.
+ * @param {string} imageData - base64 data URI or URL
+ * @param {object} options - override defaults for the original (folder, etc.)
+ */
+const uploadImageWithVariants = async (imageData, options = {}) => {
+  if (!imageData || typeof imageData !== 'string') throw new Error('Invalid image data: expected a base64 string or URL');
+  const isDataUri = imageData.startsWith('data:');
+  const encodedUpload = isDataUri ? await buildImageVariants(await loadMediaBuffer(imageData)) : null;
+  const original = await uploadImage(imageData, options);
+  try {
+    const encoded = encodedUpload || await buildImageVariants(await loadMediaBuffer(original.url));
+    const variants = await Promise.all(encoded.map(async (v) => {
+      const result = await uploader.upload(`data:image/${v.format};base64,${v.buffer.toString('base64')}`, {
+        public_id: `${original.publicId}__${v.name}_${v.format}`,
+        resource_type: 'image',
+        format: v.format
+      });
+      return { name: v.name, format: v.format, width: v.width, height: v.height, url: result.secure_url, publicId: result.public_id };
+    }));
+    return { ...original, variants };
+  } catch (err) {
+    await deleteImage(original.publicId);
+    throw err;
+  }
 };
 
 /**
@@ -46,10 +82,10 @@ const uploadVideo = async (videoData, options = {}) => {
     ],
     eager_async: true
   };
-  const result = await cloudinary.uploader.upload(videoData, { ...defaults, ...options });
-  // Thumbnail URL: replace extension with .jpg and add transformation
+  const result = await uploader.upload(videoData, { ...defaults, ...options });
+  // Thumbnail URL: replace extension with .jpg and add transformation (no thumbnails on local storage)
   const thumbnailUrl = result.eager?.[0]?.secure_url ||
-    result.secure_url.replace(/\.[^.]+$/, '.jpg');
+    (useLocalStorage ? '' : result.secure_url.replace(/\.[^.]+$/, '.jpg'));
   return {
     url: result.secure_url,
     publicId: result.public_id,
@@ -61,13 +97,28 @@ const uploadVideo = async (videoData, options = {}) => {
 };
 
 /**
- * Delete an image from Cloudinary
+ * Copy an existing asset to a new public ID, so either copy can be deleted
+ * without breaking the other. The source is already optimized, so no
+ * incoming transformation is applied; images get fresh responsive variants.
+ * @param {string} url - delivery URL of the asset to copy
+ * @param {string} mediaType - 'image' or 'video'
+ * @param {object} options - override defaults (folder, etc.)
+ */
+const copyMedia = async (url, mediaType = 'image', options = {}) => {
+  if (mediaType === 'video') return uploadVideo(url, { transformation: [], ...options });
+  return uploadImageWithVariants(url, { transformation: [], ...options });
+};
+
+/**
+ * Delete an image and any responsive variants from Cloudinary. Variants go
+ * through the upload API like the original: the Admin API is rate-limited
+ * and bulk product deletes remove hundreds of images.
  * @param {string} publicId - Cloudinary public ID
  */
 const deleteImage = async (publicId) => {
   if (!publicId) return;
   try {
-    await cloudinary.uploader.destroy(publicId);
+    await Promise.all([publicId, ...variantPublicIds(publicId)].map(id => uploader.destroy(id)));
   } catch (err) {
     logger.error('Cloudinary delete error:', err.message);
   }
@@ -80,7 +131,7 @@ const deleteImage = async (publicId) => {
 const deleteVideo = async (publicId) => {
   if (!publicId) return;
   try {
-    await cloudinary.uploader.destroy(publicId, { resource_type: 'video' });
+    await uploader.destroy(publicId, { resource_type: 'video' });
   } catch (err) {
     logger.error('Cloudinary video delete error:', err.message);
   }
@@ -99,4 +150,4 @@ const deleteMedia = async (publicId, mediaType = 'image') => {
   return deleteImage(publicId);
 };
 
-module.exports = { cloudinary, uploadImage, uploadVideo, deleteImage, deleteVideo, deleteMedia };
+module.exports = { cloudinary, useLocalStorage, uploadImage, uploadImageWithVariants, uploadVideo, copyMedia, deleteImage, deleteVideo, deleteMedia };
@@ -0,0 +1,83 @@
+/**
+ * Local-disk media storage for development (MEDIA_STORAGE=local)
+ *
+ * Mirrors the parts of the Cloudinary uploader that config/cloudinary.js uses:
+ * files land in LOCAL_MEDIA_DIR under their public ID and are served by the main
+ * server at /uploads. Images are limited to 800px like the Cloudinary upload
+ * transformation; videos are stored as-is without a generated thumbnail.
+ * Uploads by URL only accept media already stored here (see loadMediaBuffer).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { loadMediaBuffer } = require('../utils/imageVariants');
+
+const LOCAL_MEDIA_DIR = path.resolve(process.env.LOCAL_MEDIA_DIR || path.join(__dirname, '../../uploads'));
+const LOCAL_MEDIA_URL = (process.env.LOCAL_MEDIA_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif', gif: 'gif', heif: 'avif' };
+
+// Public IDs become file paths: keep them inside the media directory
+function filePathFor(publicId, ext) {
+  if (!/^[\w\-/]+$/.test(publicId) || publicId.split('/').includes('..')) throw new Error(`Invalid public ID: ${publicId}`);
+  return path.join(LOCAL_MEDIA_DIR, `${publicId}.${ext}`);
+}
+
+function videoExtension(data) {
+  const mime = /^data:video\/([\w-]+);/.exec(data)?.[1];
+  if (mime) return mime === 'quicktime' ? 'mov' : mime;
+  return path.extname(new URL(data).pathname).slice(1) || 'mp4';
+}
+
+/**
+ * Store an image or video. Accepts the Cloudinary options this codebase passes
+ * (folder, public_id, resource_type, format). `format` marks bytes that are
+ * already encoded; transformations other than the default 800px limit are
+ * ignored. Returns a Cloudinary-shaped result.
+ */
+async function upload(data, options = {}) {
+  const publicId = options.public_id || `${options.folder || 'giftsity'}/${crypto.randomBytes(10).toString('hex')}`;
+  const input = await loadMediaBuffer(data);
+
+  if (options.resource_type === 'video') {
+    const ext = videoExtension(data);
+    const file = filePathFor(publicId, ext);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, input);
+    return { secure_url: `${LOCAL_MEDIA_URL}/${publicId}.${ext}`, public_id: publicId, duration: 0, width: 0, height: 0 };
+  }
+
+  let buffer = input;
+  let info;
+  if (options.format) {
+    // Already encoded (image variants): store the bytes untouched
+    info = await sharp(input).metadata();
+  } else {
+    let image = sharp(input).rotate();
+    if (options.transformation?.length) image = image.resize({ width: 800, height: 800, fit: 'inside', withoutEnlargement: true });
+    ({ data: buffer, info } = await image.toBuffer({ resolveWithObject: true }));
+  }
+  const ext = EXTENSIONS[info.format] || info.format;
+  const file = filePathFor(publicId, ext);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, buffer);
+  return { secure_url: `${LOCAL_MEDIA_URL}/${publicId}.${ext}`, public_id: publicId, width: info.width, height: info.height };
+}
+
+/**
+ * Delete every stored file for a public ID (any extension).
+ */
+async function destroy(publicId) {
+  const file = filePathFor(publicId, 'x');
+  const dir = path.dirname(file);
+  const base = `${path.basename(publicId)}.`;
+  let entries = [];
+  try { entries = await fs.readdir(dir); } catch { return { result: 'not found' }; }
+  const matches = entries.filter(name => name.startsWith(base) && !name.slice(base.length).includes('.'));
+  await Promise.all(matches.map(name => fs.unlink(path.join(dir, name)).catch(() => {})));
+  return { result: matches.length ? 'ok' : 'not found' };
+}
+
+module.exports = { LOCAL_MEDIA_DIR, LOCAL_MEDIA_URL, upload, destroy };
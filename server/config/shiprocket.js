@@ -62,11 +62,11 @@ async function assignCourier({ shipmentId, courierId }) {
   return res.data;
 }
 
-// Schedule pickup
-async function schedulePickup({ shipmentId }) {
+// Schedule pickup (`shipmentIds` schedules several shipments in one request)
+async function schedulePickup({ shipmentId, shipmentIds }) {
   const token = await getToken();
   const res = await axios.post(`${SHIPROCKET_BASE}/courier/generate/pickup`, {
-    shipment_id: [shipmentId]
+    shipment_id: shipmentIds || [shipmentId]
   }, { headers: shiprocketHeaders(token) });
   return res.data;
 }
@@ -148,20 +148,20 @@ async function updatePickupLocation({ pickupLocationId, pickupLocationName, name
   return res.data;
 }
 
-// Generate label
-async function generateLabel({ shipmentId }) {
+// Generate label (several `shipmentIds` come back as one merged PDF)
+async function generateLabel({ shipmentId, shipmentIds }) {
   const token = await getToken();
   const res = await axios.post(`${SHIPROCKET_BASE}/courier/generate/label`, {
-    shipment_id: [shipmentId]
+    shipment_id: shipmentIds || [shipmentId]
   }, { headers: shiprocketHeaders(token) });
   return res.data;
 }
 
-// Generate manifest
-async function generateManifest({ shipmentId }) {
+// Generate manifest (one manifest covering all `shipmentIds`)
+async function generateManifest({ shipmentId, shipmentIds }) {
   const token = await getToken();
   const res = await axios.post(`${SHIPROCKET_BASE}/manifests/generate`, {
-    shipment_id: [shipmentId]
+    shipment_id: shipmentIds || [shipmentId]
   }, { headers: shiprocketHeaders(token) });
   return res.data;
 }
@@ -0,0 +1,154 @@
+/**
+ * Background product CSV imports
+ *
+ * The seller server queues ProductImport jobs; this worker runs in the main
+ * server so progress can be pushed over Socket.io to the seller's user:<id> room.
+ * The CSV is read from ProductImportFile and deleted once the job finishes.
+ */
+
+const ProductImport = require('../models/ProductImport');
+const ProductImportFile = require('../models/ProductImportFile');
+const { parseProductCsv, importProductRows } = require('../utils/productCsv');
+const { emitToUser } = require('../socket');
+const { createNotification } = require('../utils/notify');
+const { invalidateCache } = require('../middleware/cache');
+const { logActivity } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const PROGRESS_EVERY_ROWS = 25;
+const PROGRESS_EVERY_MS = 2000;
+const STALE_JOB_MINUTES = 30;
+const MAX_STORED_ROW_ERRORS = 1000;
+const MAX_REPORTED_CHANGES = 500;
+
+let running = false;
+
+function progressPayload(job) {
+  return {
+    importId: job._id,
+    status: job.status,
+    dryRun: job.dryRun,
+    totalRows: job.totalRows,
+    processedRows: job.processedRows,
+    created: job.created,
+    updated: job.updated,
+    unchanged: job.unchanged,
+    failed: job.failed
+  };
+}
+
+async function runImport(job) {
+  const sellerId = job.sellerId.toString();
+  const file = await ProductImportFile.findOne({ importId: job._id });
+  if (!file) throw new Error('The uploaded file is no longer available. Please upload it again.');
+  const parsed = parseProductCsv(file.data);
+  if (parsed.error) throw new Error(parsed.error);
+  job.totalRows = parsed.rows.length;
+
+  let lastPushAt = 0;
+  const results = await importProductRows(parsed.rows, {
+    sellerId: job.sellerId,
+    dryRun: job.dryRun,
+    onProgress: async (summary, processedRows) => {
+      const now = Date.now();
+      if (processedRows !== job.totalRows && processedRows % PROGRESS_EVERY_ROWS !== 0 && now - lastPushAt < PROGRESS_EVERY_MS) return;
+      lastPushAt = now;
+      Object.assign(job, {
+        processedRows,
+        created: summary.created,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        failed: summary.failed
+      });
+      await job.save();
+      emitToUser(sellerId, 'importProgress', progressPayload(job));
+    }
+  });
+
+  const errorRows = results.rows.filter(r => r.action === 'error').slice(0, MAX_STORED_ROW_ERRORS);
+  job.rowErrors = errorRows.map(r => ({ row: r.row, sku: r.sku, error: r.error }));
+  if (job.dryRun) {
+    // Keeps the job document well under MongoDB's size limit for large files
+    const changedRows = results.rows.filter(r => r.action === 'create' || r.action === 'update');
+    job.rowReport = [...errorRows, ...changedRows.slice(0, MAX_REPORTED_CHANGES)].sort((a, b) => a.row - b.row);
+    job.rowReportTruncated = errorRows.length < results.failed || changedRows.length > MAX_REPORTED_CHANGES;
+  }
+  return results;
+}
+
+/**
+ * Claim and process queued imports one at a time until the queue is empty.
+ */
+async function processQueuedImports() {
+  if (running) return;
+  running = true;
+  try {
+    // Jobs left in 'processing' by a restart will never finish; fail them so sellers can retry
+    const staleCutoff = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+    const stale = await ProductImport.find({ status: 'processing', updatedAt: { $lt: staleCutoff } }).select('_id').lean();
+    if (stale.length) {
+      const staleIds = stale.map(j => j._id);
+      await ProductImport.updateMany(
+        { _id: { $in: staleIds }, status: 'processing' },
+        { $set: { status: 'failed', failureReason: 'Import was interrupted. Please upload the file again.', completedAt: new Date() } }
+      );
+      await ProductImportFile.deleteMany({ importId: { $in: staleIds } });
+    }
+
+    for (;;) {
+      const job = await ProductImport.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'processing', startedAt: new Date(), updatedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      const sellerId = job.sellerId.toString();
+      try {
+        const results = await runImport(job);
+        job.status = 'completed';
+        Object.assign(job, {
+          processedRows: job.totalRows,
+          created: results.created,
+          updated: results.updated,
+          unchanged: results.unchanged,
+          failed: results.failed
+        });
+      } catch (err) {
+        job.status = 'failed';
+        job.failureReason = err.message;
+        logger.error(`[ProductImport] Job ${job._id} failed:`, err.message);
+      }
+      job.completedAt = new Date();
+      await job.save();
+      await ProductImportFile.deleteOne({ importId: job._id });
+      emitToUser(sellerId, 'importProgress', progressPayload(job));
+
+      const summary = `${job.created} created, ${job.updated} updated, ${job.unchanged} unchanged, ${job.failed} failed`;
+      if (!job.dryRun && job.status === 'completed') {
+        if (job.created || job.updated) {
+          invalidateCache('/api/products');
+          invalidateCache('/api/store/');
+        }
+        logActivity({ domain: 'seller', action: 'bulk_csv_upload', actorRole: 'seller', actorId: job.sellerId, targetType: 'ProductImport', targetId: job._id, message: `Bulk CSV: ${summary}`, metadata: { created: job.created, updated: job.updated, failed: job.failed } });
+      }
+      await createNotification({
+        userId: job.sellerId,
+        userRole: 'seller',
+        type: 'product_import',
+        title: job.status === 'failed'
+          ? 'Product import failed'
+          : job.dryRun ? 'Import preview ready' : 'Product import complete',
+        message: job.status === 'failed' ? job.failureReason : summary,
+        link: '/seller/products',
+        metadata: { importId: job._id }
+      });
+    }
+  } catch (err) {
+    logger.error('[ProductImport] Worker error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = { processQueuedImports };
@@ -0,0 +1,64 @@
+/**
+ * Scheduled publishing and sale windows
+ *
+ * Public queries already hide products whose publishAt is in the future, but
+ * listing responses are cached, so this worker drops the caches whenever a
+ * product goes live or a sale window opens or closes. It also flips the stored
+ * isOnSale/currentPrice used by listing filters and sorting.
+ */
+
+const Product = require('../models/Product');
+const { saleState } = require('../utils/pricing');
+const { approvedCondition } = require('../utils/moderation');
+const { invalidateCache } = require('../middleware/cache');
+const { submitToIndexNow } = require('../utils/indexnow');
+const logger = require('../utils/logger');
+
+let running = false;
+let lastRunAt = null;
+
+async function syncScheduledProducts() {
+  if (running) return;
+  running = true;
+  const now = new Date();
+  const since = lastRunAt || new Date(now.getTime() - 5 * 60 * 1000);
+  try {
+    // Products saved before scheduling existed have no currentPrice yet
+    await Product.updateMany({ currentPrice: { $exists: false } }, [{ $set: { currentPrice: '$price' } }]);
+
+    // Sale windows that opened or closed since the flags were last written
+    const flips = await Product.find({
+      $or: [
+        { isOnSale: { $ne: true }, saleStartsAt: { $lte: now }, saleEndsAt: { $gt: now } },
+        { isOnSale: true, $or: [{ saleStartsAt: { $gt: now } }, { saleEndsAt: { $lte: now } }, { saleEndsAt: null }] }
+      ]
+    }).select('price salePrice saleStartsAt saleEndsAt variants.price variants.salePrice variants.isActive isOnSale slug').lean();
+
+    let opened = 0;
+    let closed = 0;
+    for (const product of flips) {
+      const state = saleState(product, now);
+      if (state.isOnSale === !!product.isOnSale) continue;
+      await Product.updateOne({ _id: product._id }, { $set: state });
+      if (state.isOnSale) opened++; else closed++;
+    }
+
+    // Products whose publishAt passed since the last run
+    const published = await Product.find({ isActive: true, moderationStatus: approvedCondition(), publishAt: { $gt: since, $lte: now } }).select('slug').lean();
+    const urls = published.filter(p => p.slug).map(p => `https://giftsity.com/product/${p.slug}`);
+    if (urls.length) submitToIndexNow(urls);
+
+    if (opened || closed || published.length) {
+      invalidateCache('/api/products');
+      invalidateCache('/api/store/');
+      logger.info(`[ScheduledProducts] ${published.length} published, ${opened} sale(s) started, ${closed} sale(s) ended`);
+    }
+    lastRunAt = now;
+  } catch (err) {
+    logger.error('[ScheduledProducts] Cron error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = { syncScheduledProducts };
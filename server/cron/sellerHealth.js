@@ -4,38 +4,59 @@ const Order = require('../models/Order');
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const ReturnRequest = require('../models/ReturnRequest');
+const Shipment = require('../models/Shipment');
+const SellerLedgerEntry = require('../models/SellerLedgerEntry');
 const { sendOTP } = require('../utils/email'); // reuse transporter
 const { logActivity } = require('../utils/audit');
 const { createRefund, getCashfreeOrder } = require('../config/cashfree');
 const { createNotification } = require('../utils/notify');
+const { restoreStock } = require('../utils/stock');
+const { SHIP_DEADLINE_HOURS, shipDeadline } = require('../utils/deliveryDate');
+const { applyDerivedStatus } = require('../utils/fulfillment');
+const { AUTO_CANCEL_REASON, planItemCancellation, applyItemCancellation, unshippedUnits, unshippedUnitsDeadline } = require('../utils/itemCancellation');
+const { computeSellerMetrics, metricsOrderFilter } = require('../utils/sellerMetrics');
+const { postDeliveredOrders, postReturnRefund, releaseDueReserves, sellersWithUnsettledEntries, createLedgerPayout } = require('../utils/ledger');
+const { matchReserveRule } = require('../utils/reservePolicy');
+const { isOnVacation, onVacationCondition } = require('../utils/vacation');
+const { platformHealthPolicy, effectiveHealthPolicy, evaluateSellerHealth } = require('../utils/healthPolicy');
+const PlatformSettings = require('../models/PlatformSettings');
+const SellerMetricSnapshot = require('../models/SellerMetricSnapshot');
 const logger = require('../utils/logger');
 
 // ==================== CONFIG ====================
-const SHIP_DEADLINE_HOURS = 48;        // Orders must be shipped within 48h
-const AUTO_CANCEL_HOURS = 72;          // Auto-cancel unshipped orders after 72h
-const FULFILLMENT_WARN_THRESHOLD = 75; // Warn at 75%
-const FULFILLMENT_SUSPEND_THRESHOLD = 50; // Auto-suspend at 50%
-const CANCEL_RATE_WARN_THRESHOLD = 3;  // Warn at 3%
-const CANCEL_RATE_SUSPEND_THRESHOLD = 5; // Auto-suspend at 5%
-const HEALTH_SCORE_SUSPEND_THRESHOLD = 40; // Auto-suspend below 40
-const METRICS_LOOKBACK_DAYS = 30;      // Calculate over last 30 days
-const MIN_ORDERS_FOR_METRICS = 3;      // Need at least 3 orders to judge
+// Ship-by deadlines (order.shipBy) come from each seller's handling time, see utils/deliveryDate.
+// Warn/suspend thresholds, the metrics window and auto-cancel grace are the admin-editable
+// health policy in PlatformSettings, see utils/healthPolicy.
+const getHealthPolicy = async () => platformHealthPolicy(await PlatformSettings.getSettings());
 
 // ==================== AUTO-CANCEL UNSHIPPED ORDERS ====================
 async function autoCancelUnshippedOrders() {
-  const cutoff = new Date(Date.now() - AUTO_CANCEL_HOURS * 60 * 60 * 1000);
+  const now = new Date();
+  const { autoCancelGraceHours } = await getHealthPolicy();
+  const cutoff = new Date(now.getTime() - autoCancelGraceHours * 60 * 60 * 1000);
+  // Orders from before handling times have no shipBy (nor shipDueAt, before scheduling)
+  const legacyCutoff = new Date(cutoff.getTime() - SHIP_DEADLINE_HOURS * 60 * 60 * 1000);
+
+  // Sellers on vacation get their orders cancelled only once they're back
+  const awaySellers = await Seller.find(onVacationCondition(now)).select('_id').lean();
 
   const staleOrders = await Order.find({
     status: { $in: ['confirmed', 'processing'] },
     paymentStatus: 'paid',
-    createdAt: { $lt: cutoff }
+    sellerId: { $nin: awaySellers.map(s => s._id) },
+    $or: [
+      { shipBy: { $lt: cutoff } },
+      { shipBy: null, shipDueAt: { $lt: legacyCutoff } },
+      { shipBy: null, shipDueAt: null, createdAt: { $lt: legacyCutoff } }
+    ]
   });
 
   let cancelled = 0;
   for (const order of staleOrders) {
     order.status = 'cancelled';
     order.cancelledAt = new Date();
-    order.cancelReason = `Auto-cancelled: not shipped within ${AUTO_CANCEL_HOURS} hours`;
+    order.cancelReason = 'Auto-cancelled: not shipped by the ship-by date';
 
     // Initiate Cashfree refund for paid orders
     if (order.cashfreeOrderId && order.totalAmount > 0) {
@@ -54,7 +75,7 @@ async function autoCancelUnshippedOrders() {
           orderId: order.cashfreeOrderId,
           refundAmount,
           refundId,
-          refundNote: `Auto-cancelled: not shipped within ${AUTO_CANCEL_HOURS} hours`
+          refundNote: 'Auto-cancelled: not shipped by the ship-by date'
         });
         order.paymentStatus = 'refunded';
         order.refundId = refundId;
@@ -70,9 +91,7 @@ async function autoCancelUnshippedOrders() {
 
     // Restore stock
     for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: item.quantity, orderCount: -item.quantity }
-      });
+      await restoreStock(item, { revertOrderCount: true });
     }
 
     // Track failed order for seller
@@ -83,14 +102,14 @@ async function autoCancelUnshippedOrders() {
     // Notify customer about the refund
     if (order.customerId) {
       try {
-        await createNotification({ userId: order.customerId, userRole: 'customer', type: 'order', title: 'Order Auto-Cancelled & Refunded', message: `Order ${order.orderNumber} was auto-cancelled because the seller did not ship it within ${AUTO_CANCEL_HOURS} hours. A refund has been initiated.`, link: `/orders/${order._id}` });
+        await createNotification({ userId: order.customerId, userRole: 'customer', type: 'order', title: 'Order Auto-Cancelled & Refunded', message: `Order ${order.orderNumber} was auto-cancelled because the seller did not ship it in time. A refund has been initiated.`, link: `/orders/${order._id}` });
       } catch (notifyErr) {
         logger.warn(`[AutoCancel] Failed to notify customer for ${order.orderNumber}`);
       }
     }
 
     cancelled++;
-    logActivity({ domain: 'cron', action: 'order_auto_cancelled', actorRole: 'system', targetType: 'Order', targetId: order._id, message: `Order ${order.orderNumber} auto-cancelled (not shipped within ${AUTO_CANCEL_HOURS}h)`, metadata: { sellerId: order.sellerId.toString(), orderNumber: order.orderNumber } });
+    logActivity({ domain: 'cron', action: 'order_auto_cancelled', actorRole: 'system', targetType: 'Order', targetId: order._id, message: `Order ${order.orderNumber} auto-cancelled (not shipped by ${shipDeadline(order).toISOString()})`, metadata: { sellerId: order.sellerId.toString(), orderNumber: order.orderNumber } });
     logger.info(`[AutoCancel] Order ${order.orderNumber} cancelled (seller: ${order.sellerId})`);
   }
 
@@ -100,6 +119,93 @@ async function autoCancelUnshippedOrders() {
   return cancelled;
 }
 
+// ==================== AUTO-CANCEL UNSHIPPED UNITS ====================
+// Part-shipped orders: units never packed by the ship-by date, or returned to origin
+// and not shipped again, are cancelled and refunded like a seller's item cancellation
+async function autoCancelUnshippedUnits() {
+  const now = new Date();
+  const { autoCancelGraceHours } = await getHealthPolicy();
+  const awaySellers = await Seller.find(onVacationCondition(now)).select('_id').lean();
+
+  const orders = await Order.find({
+    status: { $in: ['partially_shipped', 'partially_delivered'] },
+    paymentStatus: 'paid',
+    sellerId: { $nin: awaySellers.map(s => s._id) }
+  });
+  if (orders.length === 0) return 0;
+  const settings = await PlatformSettings.getSettings();
+
+  let cancelled = 0;
+  for (const order of orders) {
+    try {
+      const shipments = await Shipment.find({ orderId: order._id });
+      const requested = unshippedUnits(order, shipments);
+      if (requested.length === 0 || unshippedUnitsDeadline(order, shipments, autoCancelGraceHours) > now) continue;
+
+      const plan = planItemCancellation(order, shipments, requested);
+      if (plan.error) {
+        logger.warn(`[AutoCancel] Can't cancel unshipped units of ${order.orderNumber}: ${plan.error}`);
+        continue;
+      }
+      const records = applyItemCancellation(order, plan, { reason: AUTO_CANCEL_REASON, gatewayFeeRate: settings.paymentGatewayFeeRate, changedByRole: 'system' });
+      // Every unit left is in a package now, so the order can move on (e.g. to delivered, and onto the ledger)
+      applyDerivedStatus(order, shipments, { note: 'Remaining items after auto-cancellation' });
+
+      // Claimed with a versioned save, as in the seller's cancel-items route; a concurrent change wins
+      order.increment();
+      try {
+        await order.save();
+      } catch (saveErr) {
+        if (saveErr instanceof mongoose.Error.VersionError) continue;
+        throw saveErr;
+      }
+
+      for (const { item, quantity } of plan.lines) {
+        await restoreStock({ productId: item.productId, variantId: item.variantId, quantity }, { revertOrderCount: true });
+      }
+
+      if (order.cashfreeOrderId && plan.refundAmount > 0) {
+        const refundId = `refund_items_${order.orderNumber}_${records[0]._id}`;
+        try {
+          await createRefund({ orderId: order.cashfreeOrderId, refundAmount: plan.refundAmount, refundId, refundNote: AUTO_CANCEL_REASON });
+          for (const record of records) Object.assign(record, { refundId, refundStatus: 'initiated' });
+        } catch (refundErr) {
+          // retryFailedItemRefunds picks it up
+          logger.error(`[AutoCancel] Item refund failed for ${order.orderNumber}: ${refundErr.message}`);
+          for (const record of records) record.refundStatus = 'failed';
+        }
+        await order.save();
+      }
+
+      const summary = plan.lines.map(l => `${l.item.title} × ${l.quantity}`).join(', ');
+      if (order.customerId) {
+        createNotification({
+          userId: order.customerId.toString(), userRole: 'customer',
+          type: 'order_cancelled', title: `Items cancelled from order #${order.orderNumber}`,
+          message: `The seller didn't ship ${summary} in time, so ${plan.lines.length === 1 ? 'it was' : 'they were'} cancelled.${plan.refundAmount > 0 ? ` A refund of Rs.${plan.refundAmount} has been initiated.` : ''} The rest of your order is unaffected.`,
+          link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
+        });
+      }
+      createNotification({
+        userId: order.sellerId.toString(), userRole: 'seller',
+        type: 'order_cancelled', title: `Items auto-cancelled from order #${order.orderNumber}`,
+        message: `Not shipped in time, so cancelled and refunded to the customer: ${summary}.`,
+        link: '/seller/orders', metadata: { orderId: order._id.toString() }
+      });
+
+      cancelled++;
+      logActivity({ domain: 'cron', action: 'order_items_auto_cancelled', actorRole: 'system', targetType: 'Order', targetId: order._id, message: `Auto-cancelled unshipped ${summary} on order ${order.orderNumber}`, metadata: { sellerId: order.sellerId.toString(), refundAmount: plan.refundAmount, refundStatus: records[0]?.refundStatus } });
+    } catch (err) {
+      logger.error(`[AutoCancel] Unshipped units of ${order.orderNumber}: ${err.message}`);
+    }
+  }
+
+  if (cancelled > 0) {
+    logger.info(`[AutoCancel] Cancelled unshipped units on ${cancelled} part-shipped orders`);
+  }
+  return cancelled;
+}
+
 // ==================== AUTO-CANCEL UNPAID ORDERS ====================
 const UNPAID_CANCEL_MINUTES = 10; // Cancel unpaid orders after 10 minutes
 
@@ -121,9 +227,7 @@ async function autoCancelUnpaidOrders() {
 
     // Restore stock for each item
     for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: item.quantity }
-      });
+      await restoreStock(item);
     }
 
     cancelled++;
@@ -137,21 +241,35 @@ async function autoCancelUnpaidOrders() {
 }
 
 // ==================== CALCULATE SELLER METRICS ====================
+// A seller's paid (or since refunded) orders placed within the policy's lookback window
+function metricsOrders(sellerId, policy, now = new Date()) {
+  return Order.find(metricsOrderFilter(sellerId, policy.metricsLookbackDays, now));
+}
+
+// Today's point on the seller's health trend
+function saveMetricSnapshot(sellerId, metrics, orderCount, now) {
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return SellerMetricSnapshot.findOneAndUpdate(
+    { sellerId, date },
+    { $set: { ...metrics, orderCount, createdAt: now } },
+    { upsert: true }
+  );
+}
+
 async function calculateSellerMetrics() {
-  const lookbackDate = new Date(Date.now() - METRICS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
-  const lateThreshold = SHIP_DEADLINE_HOURS * 60 * 60 * 1000; // ms
+  const now = new Date();
+  const policy = await getHealthPolicy();
 
   const sellers = await Seller.find({ status: { $in: ['active', 'suspended'] } });
 
   let updated = 0;
   for (const seller of sellers) {
-    const orders = await Order.find({
-      sellerId: seller._id,
-      paymentStatus: { $in: ['paid', 'refunded'] },
-      createdAt: { $gte: lookbackDate }
-    });
+    // Metrics stay as they were while the seller is on vacation
+    if (isOnVacation(seller, now)) continue;
 
-    if (orders.length < MIN_ORDERS_FOR_METRICS) {
+    const orders = await metricsOrders(seller._id, policy, now);
+
+    if (orders.length < policy.minOrdersForMetrics) {
       // Not enough orders to calculate meaningful metrics
       seller.sellerProfile.metrics = {
         ...seller.sellerProfile.metrics,
@@ -161,72 +279,15 @@ async function calculateSellerMetrics() {
       continue;
     }
 
-    const totalOrders = orders.length;
-
-    // Seller-cancelled orders (cancelled by seller or auto-cancelled for not shipping)
-    const cancelledOrders = orders.filter(o =>
-      o.status === 'cancelled' && o.cancelReason && !o.cancelReason.includes('customer')
-    );
-    const cancelRate = (cancelledOrders.length / totalOrders) * 100;
-
-    // Shipped orders
-    const shippedOrders = orders.filter(o =>
-      ['shipped', 'delivered'].includes(o.status) || o.trackingInfo?.shippedAt
-    );
-
-    // Late shipments (shipped after deadline)
-    const lateShipments = shippedOrders.filter(o => {
-      if (!o.trackingInfo?.shippedAt) return false;
-      const shipTime = new Date(o.trackingInfo.shippedAt) - new Date(o.createdAt);
-      return shipTime > lateThreshold;
-    });
-    const lateShipmentRate = shippedOrders.length > 0
-      ? (lateShipments.length / shippedOrders.length) * 100
-      : 0;
-
-    // Fulfillment rate = (shipped + delivered) / (total - customer-cancelled)
-    const customerCancelled = orders.filter(o =>
-      o.status === 'cancelled' && o.cancelReason?.includes('customer')
-    ).length;
-    const actionableOrders = totalOrders - customerCancelled;
-    const fulfilledOrders = shippedOrders.length;
-    const fulfillmentRate = actionableOrders > 0
-      ? (fulfilledOrders / actionableOrders) * 100
-      : 100;
-
-    // Average ship time (hours)
-    const shipTimes = shippedOrders
-      .filter(o => o.trackingInfo?.shippedAt)
-      .map(o => (new Date(o.trackingInfo.shippedAt) - new Date(o.createdAt)) / (1000 * 60 * 60));
-    const avgShipTimeHours = shipTimes.length > 0
-      ? shipTimes.reduce((a, b) => a + b, 0) / shipTimes.length
-      : 0;
-
-    // Composite health score (0-100)
-    // Weighted: fulfillment 40%, cancel rate 30%, late shipment 20%, avg ship time 10%
-    const fulfillmentScore = Math.min(fulfillmentRate, 100);
-    const cancelScore = Math.max(0, 100 - cancelRate * 10); // 10% cancel = 0 score
-    const lateScore = Math.max(0, 100 - lateShipmentRate * 4); // 25% late = 0
-    const speedScore = avgShipTimeHours <= 24 ? 100 : Math.max(0, 100 - (avgShipTimeHours - 24) * 2);
-
-    const healthScore = Math.round(
-      fulfillmentScore * 0.4 +
-      cancelScore * 0.3 +
-      lateScore * 0.2 +
-      speedScore * 0.1
-    );
-
+    const metrics = computeSellerMetrics(orders, now);
     seller.sellerProfile.metrics = {
-      fulfillmentRate: Math.round(fulfillmentRate * 10) / 10,
-      cancelRate: Math.round(cancelRate * 10) / 10,
-      lateShipmentRate: Math.round(lateShipmentRate * 10) / 10,
-      avgShipTimeHours: Math.round(avgShipTimeHours * 10) / 10,
-      healthScore,
+      ...metrics,
       warningCount: seller.sellerProfile.metrics?.warningCount || 0,
       lastCalculatedAt: new Date()
     };
 
     await seller.save();
+    await saveMetricSnapshot(seller._id, metrics, orders.length, now);
     updated++;
   }
 
@@ -236,6 +297,7 @@ async function calculateSellerMetrics() {
 
 // ==================== AUTO-SUSPEND LOW HEALTH SELLERS ====================
 async function autoSuspendBadSellers() {
+  const policy = await getHealthPolicy();
   const sellers = await Seller.find({
     status: 'active',
     'sellerProfile.metrics.lastCalculatedAt': { $ne: null }
@@ -247,23 +309,12 @@ async function autoSuspendBadSellers() {
   for (const seller of sellers) {
     const m = seller.sellerProfile.metrics;
     if (!m || !m.lastCalculatedAt) continue;
+    if (isOnVacation(seller)) continue;
 
-    let shouldSuspend = false;
-    let reason = '';
-
-    // Check thresholds
-    if (m.fulfillmentRate < FULFILLMENT_SUSPEND_THRESHOLD) {
-      shouldSuspend = true;
-      reason = `Fulfillment rate dropped to ${m.fulfillmentRate}% (minimum: ${FULFILLMENT_SUSPEND_THRESHOLD}%)`;
-    } else if (m.cancelRate > CANCEL_RATE_SUSPEND_THRESHOLD) {
-      shouldSuspend = true;
-      reason = `Cancellation rate reached ${m.cancelRate}% (maximum: ${CANCEL_RATE_SUSPEND_THRESHOLD}%)`;
-    } else if (m.healthScore < HEALTH_SCORE_SUSPEND_THRESHOLD) {
-      shouldSuspend = true;
-      reason = `Health score dropped to ${m.healthScore}/100 (minimum: ${HEALTH_SCORE_SUSPEND_THRESHOLD})`;
-    }
+    // Platform thresholds, or the seller's own where an admin has overridden them
+    const { action, reason } = evaluateSellerHealth(m, effectiveHealthPolicy(policy, seller));
 
-    if (shouldSuspend) {
+    if (action === 'suspend') {
       seller.status = 'suspended';
       seller.sellerProfile.suspensionType = 'auto';
       seller.sellerProfile.suspensionReason = reason;
@@ -280,22 +331,11 @@ async function autoSuspendBadSellers() {
       continue;
     }
 
-    // Check warning thresholds
-    let shouldWarn = false;
-    let warnReason = '';
-    if (m.fulfillmentRate < FULFILLMENT_WARN_THRESHOLD) {
-      shouldWarn = true;
-      warnReason = `Fulfillment rate is ${m.fulfillmentRate}%. Below ${FULFILLMENT_SUSPEND_THRESHOLD}% will result in suspension.`;
-    } else if (m.cancelRate > CANCEL_RATE_WARN_THRESHOLD) {
-      shouldWarn = true;
-      warnReason = `Cancellation rate is ${m.cancelRate}%. Above ${CANCEL_RATE_SUSPEND_THRESHOLD}% will result in suspension.`;
-    }
-
-    if (shouldWarn) {
+    if (action === 'warn') {
       seller.sellerProfile.metrics.warningCount = (m.warningCount || 0) + 1;
       await seller.save();
       warned++;
-      logger.info(`[Warning] Warned seller ${seller.sellerProfile.businessName}: ${warnReason}`);
+      logger.info(`[Warning] Warned seller ${seller.sellerProfile.businessName}: ${reason}`);
     }
   }
 
@@ -303,6 +343,60 @@ async function autoSuspendBadSellers() {
   return { suspended, warned };
 }
 
+// ==================== SIMULATE A HEALTH POLICY ====================
+/**
+ * Which active sellers would be warned or suspended under `proposed` (a full policy
+ * from utils/healthPolicy), next to what the current policy does. Recalculates
+ * metrics with the proposed window but changes nothing.
+ */
+async function simulateHealthPolicy(proposed) {
+  const now = new Date();
+  const current = await getHealthPolicy();
+  const sellers = await Seller.find({ status: 'active' })
+    .select('name email sellerProfile.businessName sellerProfile.metrics sellerProfile.healthPolicy sellerProfile.vacation');
+
+  const results = [];
+  const summary = { evaluated: 0, suspend: 0, warn: 0, skipped: 0 };
+  for (const seller of sellers) {
+    if (isOnVacation(seller, now)) {
+      summary.skipped++;
+      continue;
+    }
+    const orders = await metricsOrders(seller._id, proposed, now);
+    if (orders.length < proposed.minOrdersForMetrics) {
+      summary.skipped++;
+      continue;
+    }
+    summary.evaluated++;
+
+    const metrics = computeSellerMetrics(orders, now);
+    const outcome = evaluateSellerHealth(metrics, effectiveHealthPolicy(proposed, seller));
+    const m = seller.sellerProfile.metrics;
+    const currentOutcome = m?.lastCalculatedAt
+      ? evaluateSellerHealth(m, effectiveHealthPolicy(current, seller))
+      : { action: null, reason: '' };
+    if (outcome.action) summary[outcome.action]++;
+
+    if (outcome.action || currentOutcome.action) {
+      results.push({
+        sellerId: seller._id,
+        businessName: seller.sellerProfile.businessName || seller.name,
+        email: seller.email,
+        metrics,
+        orderCount: orders.length,
+        hasOverrides: Object.values(seller.sellerProfile.healthPolicy?.toObject?.() || {}).some(v => v !== null && v !== undefined),
+        current: currentOutcome,
+        proposed: outcome
+      });
+    }
+  }
+
+  // Suspensions first, then warnings, then sellers the proposal would clear
+  const rank = { suspend: 0, warn: 1 };
+  results.sort((a, b) => (rank[a.proposed.action] ?? 2) - (rank[b.proposed.action] ?? 2));
+  return { summary, sellers: results };
+}
+
 // ==================== UPDATE SELLER LAST ACTIVE ====================
 async function updateSellerLastActive(sellerId) {
   await Seller.findByIdAndUpdate(sellerId, {
@@ -313,9 +407,6 @@ async function updateSellerLastActive(sellerId) {
 // ==================== AUTO CALCULATE PAYOUTS ====================
 async function autoCalculatePayouts() {
   try {
-    const PlatformSettings = require('../models/PlatformSettings');
-    const SellerPayout = require('../models/SellerPayout');
-
     const settings = await PlatformSettings.getSettings();
     const schedule = settings.payoutSchedule || 'biweekly';
 
@@ -338,125 +429,46 @@ async function autoCalculatePayouts() {
       return { calculated: 0, skipped: true };
     }
 
-    // Find all delivered, paid orders that haven't been included in a payout
-    const orders = await Order.find({
-      paymentStatus: 'paid',
-      status: 'delivered',
-      payoutStatus: 'pending'
-    });
-
-    if (!orders.length) {
-      logger.info('[Payout Cron] No pending orders to process');
-      return { calculated: 0 };
-    }
-
-    // Group by seller
-    const sellerMap = {};
-    for (const order of orders) {
-      const sid = order.sellerId.toString();
-      if (!sellerMap[sid]) sellerMap[sid] = [];
-      sellerMap[sid].push(order);
-    }
-
     const periodEnd = new Date();
     const periodStart = new Date();
     if (schedule === 'weekly') periodStart.setDate(periodStart.getDate() - 7);
     else if (schedule === 'biweekly') periodStart.setDate(periodStart.getDate() - 15);
     else periodStart.setMonth(periodStart.getMonth() - 1);
 
+    // Delivered orders and due reserve releases go on the ledger; payouts settle each seller's unsettled entries
+    await postDeliveredOrders();
+    await releaseDueReserves({}, periodEnd);
+    const sellerIds = await sellersWithUnsettledEntries(periodEnd);
+
+    if (!sellerIds.length) {
+      logger.info('[Payout Cron] No pending ledger entries to process');
+      return { calculated: 0 };
+    }
+
     let calculated = 0;
     let onHold = 0;
     let duplicatesSkipped = 0;
 
-    for (const [sellerId, sellerOrders] of Object.entries(sellerMap)) {
+    for (const sellerId of sellerIds) {
       const seller = await Seller.findById(sellerId);
       if (!seller) continue;
 
-      // Duplicate protection: skip if a payout already exists for overlapping period
-      const existingPayout = await SellerPayout.findOne({
-        sellerId,
-        periodStart: { $lte: periodEnd },
-        periodEnd: { $gte: periodStart }
+      const { payout, skipped, existingPayout } = await createLedgerPayout(seller, {
+        periodStart,
+        periodEnd,
+        periodLabel: `${periodStart.toLocaleDateString('en-IN')} - ${periodEnd.toLocaleDateString('en-IN')}`,
+        minimumTransfer: 100,
+        reserve: matchReserveRule(settings.reserveRules, seller, periodEnd)
       });
-      if (existingPayout) {
+      if (skipped === 'duplicate') {
         logger.warn(`[Payout Cron] Duplicate skipped for seller ${sellerId}, existing payout ${existingPayout._id}`);
         duplicatesSkipped++;
         continue;
       }
+      if (!payout) continue;
 
-      const totalSales = sellerOrders.reduce((s, o) => s + (o.itemTotal || o.totalAmount), 0);
-      const commissionDeducted = sellerOrders.reduce((s, o) => s + (o.commissionAmount || 0), 0);
-      const gatewayFeesDeducted = sellerOrders.reduce((s, o) => s + (o.paymentGatewayFee || 0), 0);
-      const shippingDeducted = sellerOrders.reduce((s, o) => {
-        return s + (o.shippingPaidBy === 'seller' ? (o.actualShippingCost || o.shippingCost || 0) : 0);
-      }, 0);
-      const sellerAmountBeforeShipping = sellerOrders.reduce((s, o) => s + (o.sellerAmount || 0), 0);
-      const netPayout = Math.max(0, sellerAmountBeforeShipping - shippingDeducted);
-
-      // Check bank details
-      const bank = seller.sellerProfile?.bankDetails;
-      const hasBankDetails = bank?.accountHolderName && bank?.accountNumber && bank?.ifscCode && bank?.bankName;
-
-      // Determine payout status
-      let payoutStatus = 'pending';
-      let holdReason = '';
-      if (!hasBankDetails) {
-        payoutStatus = 'on_hold';
-        holdReason = 'missing_bank_details';
-      } else if (netPayout < 100) {
-        payoutStatus = 'on_hold';
-        holdReason = 'below_minimum_transfer';
-      }
-
-      const payoutData = {
-        sellerId,
-        periodStart,
-        periodEnd,
-        periodLabel: `${periodStart.toLocaleDateString('en-IN')} - ${periodEnd.toLocaleDateString('en-IN')}`,
-        orderIds: sellerOrders.map(o => o._id),
-        orderCount: sellerOrders.length,
-        totalSales,
-        commissionDeducted,
-        gatewayFeesDeducted,
-        shippingDeducted,
-        netPayout,
-        status: payoutStatus,
-        holdReason,
-        bankDetailsSnapshot: bank || {}
-      };
-
-      // Attempt transactional write; fall back to non-transactional if replica set unavailable
-      let session = null;
-      try {
-        session = await mongoose.startSession();
-        await session.withTransaction(async () => {
-          const payout = new SellerPayout(payoutData);
-          await payout.save({ session });
-          await Order.updateMany(
-            { _id: { $in: sellerOrders.map(o => o._id) } },
-            { payoutStatus: 'included_in_payout', payoutId: payout._id },
-            { session }
-          );
-        });
-      } catch (txErr) {
-        // If transactions are not supported (e.g. standalone MongoDB), fall back
-        if (txErr.codeName === 'IllegalOperation' || txErr.message?.includes('transaction')) {
-          logger.warn('[Payout Cron] Transactions not supported, falling back to non-transactional write');
-          const payout = new SellerPayout(payoutData);
-          await payout.save();
-          await Order.updateMany(
-            { _id: { $in: sellerOrders.map(o => o._id) } },
-            { payoutStatus: 'included_in_payout', payoutId: payout._id }
-          );
-        } else {
-          throw txErr; // re-throw unexpected errors
-        }
-      } finally {
-        if (session) session.endSession();
-      }
-
-      if (hasBankDetails) calculated++;
-      else onHold++;
+      if (payout.status === 'on_hold') onHold++;
+      else calculated++;
     }
 
     logger.info(`[Payout Cron] Calculated ${calculated} payouts, ${onHold} on hold, ${duplicatesSkipped} duplicates skipped`);
@@ -472,6 +484,7 @@ async function runAllCrons() {
   logger.info(`\n[Cron] Running seller health checks at ${new Date().toISOString()}`);
   try {
     await autoCancelUnshippedOrders();
+    await autoCancelUnshippedUnits();
     await calculateSellerMetrics();
     await autoSuspendBadSellers();
     logger.info('[Cron] All checks complete\n');
@@ -512,6 +525,40 @@ async function sendReviewRequestEmails() {
   }
 }
 
+// ==================== LOW STOCK DIGEST ====================
+async function sendLowStockDigests() {
+  try {
+    const { lowStockFilter, lowStockItems } = require('../utils/lowStock');
+    const { sendLowStockDigest } = require('../utils/email');
+
+    const products = await Product.find(lowStockFilter({ isActive: true }))
+      .select('sellerId title stock lowStockThreshold variants variantOptions')
+      .lean();
+    if (!products.length) return;
+
+    const bySeller = new Map();
+    for (const product of products) {
+      const sid = product.sellerId.toString();
+      if (!bySeller.has(sid)) bySeller.set(sid, []);
+      bySeller.get(sid).push(...lowStockItems(product));
+    }
+
+    const sellers = await Seller.find({ _id: { $in: [...bySeller.keys()] }, status: 'active' }).select('email').lean();
+    let sent = 0;
+    for (const seller of sellers) {
+      const items = bySeller.get(seller._id.toString()).sort((a, b) => a.stock - b.stock);
+      if (!items.length || !seller.email) continue;
+      try {
+        await sendLowStockDigest(seller.email, items);
+        sent++;
+      } catch (e) { /* skip failed emails */ }
+    }
+    if (sent > 0) logger.info(`[Cron] Sent ${sent} low-stock digest emails`);
+  } catch (err) {
+    logger.error('[Cron] Low stock digest error:', err.message);
+  }
+}
+
 // ==================== POLL CASHFREE PAYOUT STATUSES ====================
 async function pollPayoutStatuses() {
   try {
@@ -678,6 +725,26 @@ async function autoDisbursePayouts() {
 // ==================== RETRY FAILED REFUNDS ====================
 const MAX_REFUND_RETRIES = 5;
 
+// Tell every admin a refund ran out of retries
+async function notifyRefundNeedsManualAction(order, amount) {
+  try {
+    const admins = await User.find({ userType: 'admin', status: 'active' }).select('_id');
+    for (const admin of admins) {
+      await createNotification({
+        userId: admin._id,
+        userRole: 'admin',
+        type: 'alert',
+        title: 'Refund Failed - Manual Action Needed',
+        message: `Refund for order #${order.orderNumber} (₹${amount}) failed after ${MAX_REFUND_RETRIES} attempts. Please process manually via Cashfree dashboard.`,
+        link: '/admin/orders',
+        metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+      });
+    }
+  } catch (notifyErr) {
+    logger.warn(`[RefundRetry] Failed to notify admin for ${order.orderNumber}: ${notifyErr.message}`);
+  }
+}
+
 async function retryFailedRefunds() {
   try {
     const pendingOrders = await Order.find({
@@ -727,23 +794,7 @@ async function retryFailedRefunds() {
           maxedOut++;
           logger.error(`[RefundRetry] Order ${order.orderNumber} exceeded max retries (${MAX_REFUND_RETRIES}). Requires manual intervention.`);
 
-          // Notify all admin users
-          try {
-            const admins = await User.find({ userType: 'admin', status: 'active' }).select('_id');
-            for (const admin of admins) {
-              await createNotification({
-                userId: admin._id,
-                userRole: 'admin',
-                type: 'alert',
-                title: 'Refund Failed - Manual Action Needed',
-                message: `Refund for order #${order.orderNumber} (₹${order.totalAmount}) failed after ${MAX_REFUND_RETRIES} attempts. Please process manually via Cashfree dashboard.`,
-                link: '/admin/orders',
-                metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
-              });
-            }
-          } catch (notifyErr) {
-            logger.warn(`[RefundRetry] Failed to notify admin for ${order.orderNumber}: ${notifyErr.message}`);
-          }
+          await notifyRefundNeedsManualAction(order, order.totalAmount);
         }
       }
     }
@@ -754,13 +805,92 @@ async function retryFailedRefunds() {
   }
 }
 
+// Refunds for item-level cancellations (see utils/itemCancellation) that failed when the seller cancelled
+async function retryFailedItemRefunds() {
+  try {
+    const orders = await Order.find({
+      cancelledItems: { $elemMatch: { refundStatus: 'failed', refundRetryCount: { $lt: MAX_REFUND_RETRIES } } },
+      cashfreeOrderId: { $ne: '' }
+    });
+    if (orders.length === 0) return;
+
+    let succeeded = 0, failed = 0;
+    for (const order of orders) {
+      for (const record of order.cancelledItems) {
+        if (record.refundStatus !== 'failed' || record.refundRetryCount >= MAX_REFUND_RETRIES) continue;
+        const attempt = record.refundRetryCount + 1;
+        const refundId = `refund_item_${order.orderNumber}_${record._id}_retry${attempt}`;
+        try {
+          await createRefund({
+            orderId: order.cashfreeOrderId,
+            refundAmount: record.refundAmount,
+            refundId,
+            refundNote: `Auto-retry item cancellation refund (attempt ${attempt})`
+          });
+          Object.assign(record, { refundId, refundStatus: 'initiated' });
+          succeeded++;
+        } catch (retryErr) {
+          record.refundRetryCount = attempt;
+          failed++;
+          logger.error(`[RefundRetry] Item refund attempt ${attempt} failed for ${order.orderNumber} (${record.title}): ${retryErr.message}`);
+          if (attempt >= MAX_REFUND_RETRIES) await notifyRefundNeedsManualAction(order, record.refundAmount);
+        }
+      }
+      await order.save();
+    }
+
+    logger.info(`[RefundRetry] Item refunds: ${succeeded} succeeded, ${failed} failed`);
+  } catch (err) {
+    logger.error('[RefundRetry] Item refund cron error:', err.message);
+  }
+}
+
+// ==================== RETURN REFUND LEDGER SWEEP ====================
+const RETURN_LEDGER_SWEEP_DAYS = 30;
+
+// Return refunds paid to the customer whose ledger debit didn't post when the seller marked the item received
+async function postMissingReturnRefunds() {
+  try {
+    const since = new Date(Date.now() - RETURN_LEDGER_SWEEP_DAYS * 24 * 60 * 60 * 1000);
+    const returns = await ReturnRequest.find({ status: 'refunded', refundAmount: { $gt: 0 }, resolvedAt: { $gte: since } })
+      .select('_id orderId refundAmount')
+      .lean();
+    if (returns.length === 0) return;
+
+    const refundKey = (r) => `return:${r._id}:refund`;
+    const posted = new Set(await SellerLedgerEntry.distinct('key', { key: { $in: returns.map(refundKey) } }));
+    const missing = returns.filter(r => !posted.has(refundKey(r)));
+    if (missing.length === 0) return;
+
+    const { refundCommissionReversal } = await PlatformSettings.getSettings();
+    let postedCount = 0;
+    for (const returnReq of missing) {
+      try {
+        const order = await Order.findById(returnReq.orderId);
+        if (!order) continue;
+        const entries = await postReturnRefund(order, returnReq, { commissionReversal: refundCommissionReversal });
+        if (entries.length) postedCount++;
+      } catch (err) {
+        logger.error(`[ReturnLedger] Could not post refund for return ${returnReq._id}: ${err.message}`);
+      }
+    }
+
+    if (postedCount) logger.info(`[ReturnLedger] Posted ${postedCount} missing return refunds`);
+  } catch (err) {
+    logger.error('[ReturnLedger] Cron error:', err.message);
+  }
+}
+
 // ==================== SCHEDULE ====================
 function startCronJobs() {
   // Auto-cancel unpaid orders every 5 minutes
   cron.schedule('*/5 * * * *', autoCancelUnpaidOrders);
 
-  // Auto-cancel unshipped orders at the top of every hour
-  cron.schedule('0 * * * *', autoCancelUnshippedOrders);
+  // Auto-cancel unshipped orders, and unshipped units of part-shipped ones, at the top of every hour
+  cron.schedule('0 * * * *', async () => {
+    await autoCancelUnshippedOrders();
+    await autoCancelUnshippedUnits();
+  });
 
   // Metrics + auto-suspend every 6 hours
   cron.schedule('0 */6 * * *', async () => {
@@ -780,8 +910,25 @@ function startCronJobs() {
   // Poll Cashfree payout statuses every 5 minutes
   // cron.schedule('*/5 * * * *', pollPayoutStatuses);  // DISABLED: Cashfree Payouts unavailable for current entity type
 
+  // Low-stock digest for sellers daily at 9 AM
+  cron.schedule('0 9 * * *', sendLowStockDigests);
+
   // Retry failed refunds every 30 minutes
-  cron.schedule('*/30 * * * *', retryFailedRefunds);
+  cron.schedule('*/30 * * * *', async () => {
+    await retryFailedRefunds();
+    await retryFailedItemRefunds();
+  });
+
+  // Post return refunds missing from the seller ledger every hour
+  cron.schedule('15 * * * *', postMissingReturnRefunds);
+
+  // Pick up queued product CSV imports every 15 seconds
+  const { processQueuedImports } = require('./productImports');
+  cron.schedule('*/15 * * * * *', processQueuedImports);
+
+  // Publish scheduled products and open/close sale windows every minute
+  const { syncScheduledProducts } = require('./scheduledProducts');
+  cron.schedule('* * * * *', syncScheduledProducts);
 
   // Run initial checks after 30 seconds (let server start)
   setTimeout(runAllCrons, 30 * 1000);
@@ -795,11 +942,16 @@ module.exports = {
   startCronJobs,
   runAllCrons,
   autoCancelUnshippedOrders,
+  autoCancelUnshippedUnits,
   autoCancelUnpaidOrders,
   calculateSellerMetrics,
   autoSuspendBadSellers,
+  simulateHealthPolicy,
   autoCalculatePayouts,
   autoDisbursePayouts,
   updateSellerLastActive,
-  retryFailedRefunds
+  retryFailedRefunds,
+  retryFailedItemRefunds,
+  postMissingReturnRefunds,
+  sendLowStockDigests
 };
@@ -74,6 +74,11 @@ app.use('/api/pincode', require('./routes/pincodeCheck'));
 
 app.use('/api', require('./routes/sitemap'));
 
+// Local media storage (MEDIA_STORAGE=local, development only)
+if (require('./config/cloudinary').useLocalStorage) {
+  app.use('/uploads', express.static(require('./config/localStorage').LOCAL_MEDIA_DIR, { maxAge: '7d', fallthrough: false }));
+}
+
 // Health check
 app.get('/api/health', (req, res) => res.json({ status: 'ok', platform: 'Giftsity' }));
 
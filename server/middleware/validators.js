@@ -22,6 +22,9 @@ const validateOrderCreation = [
     .notEmpty().withMessage('Product ID is required for each item'),
   body('items.*.quantity')
     .isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('items.*.variantId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid variant ID'),
   body('shippingAddress')
     .isObject().withMessage('Shipping address is required'),
   body('shippingAddress.name')
@@ -10,9 +10,10 @@ const notificationSchema = new mongoose.Schema({
       'order_confirmed', 'order_shipped', 'order_delivered', 'order_cancelled',
       'new_message',
       'return_requested', 'return_approved', 'return_rejected', 'return_refunded',
-      'payout_processed', 'payout_failed',
+      'payout_processed', 'payout_failed', 'payout_adjustment', 'payout_requested',
       'review_received',
       'seller_approved', 'seller_suspended',
+      'product_import', 'low_stock', 'product_moderation',
       'general'
     ],
     required: true
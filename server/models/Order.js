@@ -19,19 +19,47 @@ const orderSchema = new mongoose.Schema({
   // Items (must have at least 1)
   items: { type: [{
     productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variantLabel: { type: String, default: '' }, // e.g. "Red / Large"
     title: String,
-    price: Number,
+    price: Number, // unit price charged, including customizationPrice
+    customizationPrice: { type: Number, default: 0 }, // per-unit extras from customization options
+    giftWrapped: { type: Boolean, default: false },
+    giftWrapPrice: { type: Number, default: 0 }, // per-unit gift wrap charge (wrap can be free)
     image: String,
     sku: String,
     quantity: { type: Number, default: 1 },
     sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
     customizations: [{
       label: { type: String, default: '' },
-      value: { type: String, default: '' },
-      imageUrls: [{ type: String }]
+      type: { type: String, default: 'text' },
+      value: { type: String, default: '' }, // multi_select choices joined with ", "
+      values: [{ type: String }], // multi_select
+      colorHex: { type: String, default: '' }, // color
+      imageUrls: [{ type: String }],
+      extraPrice: { type: Number, default: 0 }
     }]
   }], validate: [arr => arr.length > 0, 'Order must have at least one item'] },
 
+  // Units cancelled by the seller while the rest of the order goes ahead (see utils/itemCancellation)
+  cancelledItems: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId }, // the items[]._id it came from
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variantLabel: { type: String, default: '' },
+    title: String,
+    price: Number,
+    giftWrapPrice: { type: Number, default: 0 },
+    quantity: Number,
+    refundAmount: { type: Number, default: 0 }, // after its share of the coupon discount
+    refundId: { type: String, default: '' },
+    refundStatus: { type: String, enum: ['not_required', 'initiated', 'failed'], default: 'not_required' },
+    refundRetryCount: { type: Number, default: 0 }, // failed refunds are retried by the refund cron
+    reason: { type: String, default: '' },
+    cancelledAt: { type: Date, default: Date.now },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, default: null }
+  }],
+
   // Shipping
   shippingAddress: {
     name: { type: String, default: '' },
@@ -44,6 +72,7 @@ const orderSchema = new mongoose.Schema({
 
   // Pricing
   itemTotal: { type: Number, default: 0 },
+  giftWrapCharge: { type: Number, default: 0 }, // sum of items' giftWrapPrice × quantity, earned by the seller
   shippingCost: { type: Number, default: 0 }, // what customer sees (includes markup if customer pays)
   actualShippingCost: { type: Number, default: 0 }, // actual Shiprocket rate (for courier cap)
   shippingPaidBy: { type: String, enum: ['seller', 'customer'], default: 'seller' },
@@ -68,10 +97,10 @@ const orderSchema = new mongoose.Schema({
   paymentSessionId: { type: String, default: '' },
   paidAt: { type: Date, default: null },
 
-  // Order status
+  // Order status (partially_* are derived from the order's shipments, see utils/fulfillment)
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'cancelled', 'refunded'],
     default: 'pending'
   },
 
@@ -83,6 +112,11 @@ const orderSchema = new mongoose.Schema({
     estimatedDelivery: { type: Date, default: null }
   },
 
+  // Scheduled delivery (see utils/deliveryDate): the shipping deadline counts from shipDueAt
+  preferredDeliveryDate: { type: Date, default: null },
+  shipDueAt: { type: Date, default: null }, // null on orders from before scheduling = createdAt
+  shipBy: { type: Date, default: null }, // shipDueAt + the seller's handling days; null on older orders
+
   deliveredAt: { type: Date, default: null },
   cancelledAt: { type: Date, default: null },
   cancelReason: { type: String, default: '' },
@@ -112,6 +146,15 @@ const orderSchema = new mongoose.Schema({
     note: { type: String, default: '' }
   }],
 
+  // Gift details (see utils/giftOptions), printed on the packing slip and gift receipt instead of prices
+  gift: {
+    isGift: { type: Boolean, default: false },
+    wrap: { type: Boolean, default: false },
+    message: { type: String, default: '' },
+    recipientName: { type: String, default: '' },
+    hidePrices: { type: Boolean, default: false } // no invoice or prices in the box
+  },
+
   // Coupon/discount
   couponCode: { type: String, default: '' },
   discountAmount: { type: Number, default: 0 },
@@ -126,6 +169,8 @@ orderSchema.index({ customerId: 1, createdAt: -1 });
 orderSchema.index({ sellerId: 1, status: 1 });
 orderSchema.index({ payoutStatus: 1, deliveredAt: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, shipDueAt: 1 });
+orderSchema.index({ status: 1, shipBy: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ cashfreeOrderId: 1 });
 orderSchema.index({ sellerId: 1, paymentStatus: 1, status: 1, payoutStatus: 1 });
@@ -17,12 +17,43 @@ const platformSettingsSchema = new mongoose.Schema({
     default: 'biweekly'
   },
   minimumPayoutAmount: { type: Number, default: 0 },
+  // Commission handed back to the seller when a delivered order is refunded (see utils/ledger)
+  refundCommissionReversal: { type: String, enum: ['proportional', 'full', 'none'], default: 'proportional' },
+  // Seller-requested payouts ahead of the schedule (see utils/earlyPayout)
+  earlyPayout: {
+    enabled: { type: Boolean, default: false },
+    feePercent: { type: Number, default: 0 }, // of the amount paid early; 0 = free
+    minimumAmount: { type: Number, default: 500 },
+    minHealthScore: { type: Number, default: 70 }
+  },
+  // Part of each payout held back from new or unhealthy sellers (see utils/reservePolicy); empty = no reserve
+  reserveRules: [{
+    condition: { type: String, enum: ['new_seller', 'low_health'], required: true },
+    threshold: { type: Number, required: true }, // days since approval, or health score
+    percent: { type: Number, required: true },
+    holdDays: { type: Number, required: true },
+    _id: false
+  }],
 
   // Business rules
   minimumProductPrice: { type: Number, default: 200 },
   maxFeaturedProducts: { type: Number, default: 10 },
   maxImagesPerProduct: { type: Number, default: 5 },
   returnWindowDays: { type: Number, default: 7 },
+  autoApproveVerifiedSellers: { type: Boolean, default: false }, // verified sellers' products skip the review queue
+
+  // Seller health policy (see utils/healthPolicy)
+  healthPolicy: {
+    fulfillmentWarnThreshold: { type: Number, default: 75 },
+    fulfillmentSuspendThreshold: { type: Number, default: 50 },
+    cancelRateWarnThreshold: { type: Number, default: 3 },
+    cancelRateSuspendThreshold: { type: Number, default: 5 },
+    healthScoreSuspendThreshold: { type: Number, default: 40 },
+    metricsLookbackDays: { type: Number, default: 30 },
+    minOrdersForMetrics: { type: Number, default: 3 },
+    autoCancelGraceHours: { type: Number, default: 24 },
+    autoSuspend: { type: Boolean, default: true }
+  },
 
   // Contact
   supportEmail: { type: String, default: '' },
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { saleState } = require('../utils/pricing');
+
+// Responsive copies of an uploaded image (see utils/imageVariants)
+const imageVariantSchema = new mongoose.Schema({
+  name: { type: String, enum: ['thumb', 'card', 'zoom'] },
+  format: { type: String, enum: ['webp', 'avif'] },
+  width: Number,
+  height: Number,
+  url: String,
+  publicId: String
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
@@ -16,17 +27,22 @@ const productSchema = new mongoose.Schema({
   category: { type: String, required: true },
   subcategory: { type: String, default: '' },
 
+  // Image entries of `media`, in display order; images[0] is the cover
   images: [{
     url: { type: String, required: true },
-    publicId: { type: String, default: '' }
+    publicId: { type: String, default: '' },
+    alt: { type: String, default: '' },
+    variants: [imageVariantSchema]
   }],
 
-  // Media (images + videos for Instagram-style display)
+  // Media (images + videos for Instagram-style display), in gallery order
   media: [{
     type: { type: String, enum: ['image', 'video'], default: 'image' },
     url: { type: String, required: true },
     thumbnailUrl: { type: String, default: '' },
     publicId: { type: String, default: '' },
+    alt: { type: String, default: '' },
+    variants: [imageVariantSchema], // images only
     duration: { type: Number, default: 0 }, // seconds, for video
     width: { type: Number, default: 0 },
     height: { type: Number, default: 0 }
@@ -34,6 +50,28 @@ const productSchema = new mongoose.Schema({
 
   stock: { type: Number, required: true, default: 0, min: 0 },
   sku: { type: String, default: '' },
+  lowStockThreshold: { type: Number, default: 5, min: 0 }, // alert seller at or below this (0 = off); applies per variant
+
+  // Variant groups: option axes (e.g. Size, Colour) + one entry per combination.
+  // When variants exist, price/stock above are derived from them (see pre-validate).
+  variantOptions: [{
+    name: { type: String, required: true },
+    values: [{ type: String }]
+  }],
+  variants: [{
+    sku: { type: String, default: '' },
+    options: { type: Map, of: String, default: {} }, // axis name -> value
+    price: { type: Number, required: true, min: 1 },
+    comparePrice: { type: Number, default: null },
+    salePrice: { type: Number, default: null }, // used during the product's sale window
+    stock: { type: Number, default: 0, min: 0 },
+    weight: { type: Number, default: 0 }, // grams, 0 = use product weight
+    images: [{
+      url: { type: String, required: true },
+      publicId: { type: String, default: '' }
+    }],
+    isActive: { type: Boolean, default: true }
+  }],
 
   // Shipping info
   weight: { type: Number, default: 0 }, // grams
@@ -43,10 +81,43 @@ const productSchema = new mongoose.Schema({
     height: { type: Number, default: 0 }
   },
   shippingPaidBy: { type: String, enum: ['seller', 'customer'], default: 'seller' },
+  giftWrapPrice: { type: Number, default: null, min: 0 }, // per-unit gift wrap price; null = the seller's store-wide gift wrap
 
   isActive: { type: Boolean, default: true },
   isFeatured: { type: Boolean, default: false },
 
+  // Moderation (see utils/moderation.js): only approved products are public
+  moderationStatus: {
+    type: String,
+    enum: ['draft', 'pending_review', 'approved', 'rejected', 'changes_requested'],
+    // New products start as drafts until applyModeration moves them on; products from
+    // before moderation have no status and count as approved (see approvedCondition)
+    default: function () { return this.isNew ? 'draft' : undefined; }
+  },
+  moderationReason: { type: String, default: '' }, // shown to the seller on reject / changes requested
+  submittedForReviewAt: { type: Date, default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  moderationHistory: [{
+    status: { type: String },
+    reason: { type: String, default: '' },
+    actorRole: { type: String, enum: ['seller', 'admin', 'system'] },
+    actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+
+  // Scheduling: hidden from public listings until publishAt (null = immediately)
+  publishAt: { type: Date, default: null },
+  // Time-boxed sale: salePrice (or each variant's salePrice) replaces price
+  // between saleStartsAt and saleEndsAt; comparePrice stays the reference price
+  salePrice: { type: Number, default: null },
+  saleStartsAt: { type: Date, default: null },
+  saleEndsAt: { type: Date, default: null },
+  // Derived (pre-validate + scheduled-products cron): listings filter/sort on currentPrice
+  isOnSale: { type: Boolean, default: false },
+  currentPrice: { type: Number },
+
   // Analytics
   viewCount: { type: Number, default: 0 },
   orderCount: { type: Number, default: 0 },
@@ -61,13 +132,21 @@ const productSchema = new mongoose.Schema({
   isCustomizable: { type: Boolean, default: false },
   customizationOptions: [{
     label: { type: String, required: true },
-    type: { type: String, enum: ['text', 'image', 'select'], default: 'text' },
+    type: { type: String, enum: ['text', 'image', 'select', 'multi_select', 'font', 'color', 'number', 'date'], default: 'text' },
     required: { type: Boolean, default: false },
     placeholder: { type: String, default: '' },
     maxLength: { type: Number, default: 100 },
     maxFiles: { type: Number, default: 5 },
-    selectOptions: [{ type: String }],
-    extraPrice: { type: Number, default: 0 }
+    selectOptions: [{ type: String }], // choices for select, multi_select and font
+    minSelections: { type: Number, default: 0 },
+    maxSelections: { type: Number, default: null },
+    swatches: [{ name: String, hex: String, _id: false }], // color
+    minValue: { type: Number, default: null }, // number
+    maxValue: { type: Number, default: null },
+    step: { type: Number, default: null },
+    minDate: { type: String, default: '' }, // date, YYYY-MM-DD
+    maxDate: { type: String, default: '' },
+    extraPrice: { type: Number, default: 0 } // per unit, when the option is filled in
   }],
 
   createdAt: { type: Date, default: Date.now },
@@ -80,12 +159,42 @@ productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ title: 'text', description: 'text', tags: 'text' });
 productSchema.index({ isFeatured: 1, isActive: 1 });
 productSchema.index({ price: 1 });
+productSchema.index({ currentPrice: 1 });
+productSchema.index({ publishAt: 1 });
+productSchema.index({ moderationStatus: 1, submittedForReviewAt: 1 });
+productSchema.index({ isOnSale: 1, saleEndsAt: 1 });
+productSchema.index({ saleStartsAt: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ isActive: 1, stock: 1 });
+productSchema.index({ sellerId: 1, 'variants.sku': 1 });
 
 productSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Keep listing fields in sync with variants: stock is the sum of all variant
+// stock (reservations $inc both together), price is the cheapest active variant.
+// Sale state is recomputed on every save as well.
+productSchema.pre('validate', function (next) {
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    const priced = this.variants.filter(v => v.isActive !== false);
+    const cheapest = (priced.length ? priced : this.variants).reduce((min, v) => (v.price < min.price ? v : min));
+    this.price = cheapest.price;
+    this.comparePrice = cheapest.comparePrice && cheapest.comparePrice > cheapest.price ? cheapest.comparePrice : null;
+    this.salePrice = null;
+  }
+  // A window without any sale price is meaningless; clear it so the cron ignores it
+  const hasSalePrice = this.variants?.length ? this.variants.some(v => v.salePrice) : !!this.salePrice;
+  if (!hasSalePrice) {
+    this.saleStartsAt = null;
+    this.saleEndsAt = null;
+  }
+  const { isOnSale, currentPrice } = saleState(this);
+  this.isOnSale = isOnSale;
+  this.currentPrice = currentPrice;
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Background product CSV import. Queued by the seller server, processed by the
+// main server's cron worker (which owns Socket.io for progress events).
+// The uploaded CSV itself lives in ProductImportFile.
+const productImportSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+  fileName: { type: String, default: '' },
+  dryRun: { type: Boolean, default: false },
+
+  status: { type: String, enum: ['queued', 'processing', 'completed', 'failed'], default: 'queued' },
+  failureReason: { type: String, default: '' },
+
+  // Progress counts
+  totalRows: { type: Number, default: 0 },
+  processedRows: { type: Number, default: 0 },
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+
+  // Per-row error report
+  rowErrors: [{
+    row: Number,
+    sku: { type: String, default: '' },
+    error: String,
+    _id: false
+  }],
+  // Per-row diff (dry runs only): { row, sku, title, action, changes }.
+  // Error rows plus the first created/updated rows; unchanged rows are only counted
+  rowReport: { type: [Object], default: [] },
+  rowReportTruncated: { type: Boolean, default: false },
+
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+productImportSchema.index({ sellerId: 1, createdAt: -1 });
+productImportSchema.index({ status: 1, createdAt: 1 });
+
+productImportSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ProductImport', productImportSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// The uploaded CSV for a ProductImport, kept out of the job document so the
+// job stays small while it is polled and saved for progress. Deleted once the
+// job finishes; the TTL is a backstop for files whose job never ran.
+const productImportFileSchema = new mongoose.Schema({
+  importId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductImport', required: true, unique: true },
+  data: { type: Buffer, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+productImportFileSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 7 });
+
+module.exports = mongoose.model('ProductImportFile', productImportFileSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+// Seller-defined defaults a new product can start from
+const productTemplateSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+
+  category: { type: String, default: '' },
+  subcategory: { type: String, default: '' },
+  weight: { type: Number, default: 0, min: 0 }, // grams
+  dimensions: {
+    length: { type: Number, default: 0, min: 0 },
+    width: { type: Number, default: 0, min: 0 },
+    height: { type: Number, default: 0, min: 0 }
+  },
+  shippingPaidBy: { type: String, enum: ['seller', 'customer'], default: 'seller' },
+  // Same shape as Product.customizationOptions
+  customizationOptions: [Product.schema.path('customizationOptions').schema],
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+productTemplateSchema.index({ sellerId: 1, name: 1 }, { unique: true });
+
+productTemplateSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ProductTemplate', productTemplateSchema);
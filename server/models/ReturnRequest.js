@@ -60,6 +60,7 @@ const returnRequestSchema = new mongoose.Schema({
 returnRequestSchema.index({ orderId: 1 });
 returnRequestSchema.index({ customerId: 1, createdAt: -1 });
 returnRequestSchema.index({ sellerId: 1, status: 1 });
+returnRequestSchema.index({ status: 1, resolvedAt: 1 });
 
 returnRequestSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
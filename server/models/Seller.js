@@ -69,6 +69,29 @@ const sellerSchema = new mongoose.Schema({
     instagramVerified: { type: Boolean, default: false },
     shiprocketPickupLocation: { type: String, default: '' },
     shiprocketPickupVerified: { type: Boolean, default: false },
+    // Store-wide gift wrap, per unit; products can set their own giftWrapPrice
+    giftWrap: {
+      enabled: { type: Boolean, default: false },
+      price: { type: Number, default: 0, min: 0 }
+    },
+    // Days to ship once an order is due (see utils/deliveryDate)
+    handlingDays: { type: Number, default: 2, min: 1, max: 10 },
+    // Vacation mode (see utils/vacation): first and last day away, inclusive
+    vacation: {
+      startsAt: { type: Date, default: null },
+      endsAt: { type: Date, default: null },
+      mode: { type: String, enum: ['hide', 'delay'], default: 'delay' },
+      message: { type: String, default: '' }
+    },
+    // Per-seller health policy overrides set by admins; null = platform policy (see utils/healthPolicy)
+    healthPolicy: {
+      fulfillmentWarnThreshold: { type: Number, default: null },
+      fulfillmentSuspendThreshold: { type: Number, default: null },
+      cancelRateWarnThreshold: { type: Number, default: null },
+      cancelRateSuspendThreshold: { type: Number, default: null },
+      healthScoreSuspendThreshold: { type: Number, default: null },
+      autoSuspend: { type: Boolean, default: null }
+    },
     suspensionRemovalRequested: { type: Boolean, default: false },
     suspensionRemovalReason: { type: String, default: '' },
     metrics: {
@@ -94,6 +117,7 @@ sellerSchema.index({ status: 1, createdAt: -1 });
 sellerSchema.index({ 'sellerProfile.businessName': 'text' });
 sellerSchema.index({ 'sellerProfile.businessSlug': 1 }, { unique: true, sparse: true, partialFilterExpression: { 'sellerProfile.businessSlug': { $gt: '' } } });
 sellerSchema.index({ 'sellerProfile.referralCode': 1 });
+sellerSchema.index({ 'sellerProfile.vacation.startsAt': 1, 'sellerProfile.vacation.endsAt': 1 });
 
 sellerSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One leg of a transaction between a seller's balance and a platform account (see utils/ledger).
+// Entries are never edited or deleted: mistakes are corrected with an opposite entry.
+// Only payoutId changes, once, when the entry is settled by a payout (and releasedAt,
+// once, when a reserve hold is released).
+const sellerLedgerEntrySchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, immutable: true },
+  type: {
+    type: String,
+    enum: ['sale', 'commission', 'gateway_fee', 'shipping', 'refund', 'adjustment', 'reserve', 'payout_fee', 'payout'],
+    required: true,
+    immutable: true
+  },
+  // The other side of the transaction, e.g. 'platform_commission' for commission
+  contraAccount: { type: String, required: true, immutable: true },
+  amount: { type: Number, required: true, immutable: true }, // + credits the seller, - debits them
+  description: { type: String, default: '', immutable: true },
+  reason: { type: String, default: '', immutable: true }, // adjustments: one of ADJUSTMENT_REASONS; reserve holds: why
+
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, immutable: true },
+  shipmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null, immutable: true },
+  returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest', default: null, immutable: true },
+
+  // Posting the same event twice is a no-op, e.g. 'order:<id>:sale'
+  key: { type: String, required: true, unique: true, immutable: true },
+
+  createdByRole: { type: String, enum: ['admin', 'seller', 'system'], default: 'system', immutable: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null, immutable: true },
+
+  // Reserve holds: when the held amount goes back into the seller's balance
+  releaseAt: { type: Date, default: null, immutable: true },
+  releasedAt: { type: Date, default: null },
+
+  // The payout that settled this entry (null = still in the seller's balance)
+  payoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerPayout', default: null },
+
+  occurredAt: { type: Date, required: true, immutable: true }, // when the event happened, e.g. delivery
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+sellerLedgerEntrySchema.index({ sellerId: 1, createdAt: 1, _id: 1 });
+sellerLedgerEntrySchema.index({ sellerId: 1, payoutId: 1, occurredAt: 1 });
+sellerLedgerEntrySchema.index({ orderId: 1, type: 1 });
+sellerLedgerEntrySchema.index({ type: 1, releasedAt: 1, releaseAt: 1 });
+
+sellerLedgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+  next(new Error('Ledger entries cannot be deleted'));
+});
+
+module.exports = mongoose.model('SellerLedgerEntry', sellerLedgerEntrySchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One per seller per day (UTC), written by the seller-health cron; the latest run of the day wins
+const sellerMetricSnapshotSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+  date: { type: Date, required: true }, // UTC midnight
+  fulfillmentRate: { type: Number, default: 100 },
+  cancelRate: { type: Number, default: 0 },
+  lateShipmentRate: { type: Number, default: 0 },
+  avgShipTimeHours: { type: Number, default: 0 },
+  healthScore: { type: Number, default: 100 },
+  orderCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+sellerMetricSnapshotSchema.index({ sellerId: 1, date: 1 }, { unique: true });
+sellerMetricSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 400 });
+
+module.exports = mongoose.model('SellerMetricSnapshot', sellerMetricSnapshotSchema);
@@ -6,17 +6,41 @@ const sellerPayoutSchema = new mongoose.Schema({
   periodStart: { type: Date, required: true },
   periodEnd: { type: Date, required: true },
   periodLabel: { type: String, default: '' },
+  // 'early' = requested by the seller ahead of the payout schedule (see utils/earlyPayout)
+  type: { type: String, enum: ['scheduled', 'early'], default: 'scheduled' },
+  requestedAt: { type: Date, default: null },
+  // Early payouts: start of the payout period they were requested in (one per seller and period)
+  earlyPeriodStart: { type: Date, default: null },
 
   orderIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
   orderCount: { type: Number, default: 0 },
 
-  // Financials
+  // Financials: totals of the ledger entries this payout settled (see utils/ledger)
   totalSales: { type: Number, default: 0 },
   commissionDeducted: { type: Number, default: 0 },
+  commissionReversed: { type: Number, default: 0 }, // handed back on refunds
   gatewayFeesDeducted: { type: Number, default: 0 },
   shippingDeducted: { type: Number, default: 0 },
+  refundsDeducted: { type: Number, default: 0 },
+  adjustments: { type: Number, default: 0 }, // net of admin credits and debits
+  reserveHeld: { type: Number, default: 0 }, // rolling reserve held back from this payout
+  reserveReleased: { type: Number, default: 0 }, // earlier reserves released into it
+  reserveReason: { type: String, default: '' }, // the rule that held the reserve
+  earlyPayoutFee: { type: Number, default: 0 },
   netPayout: { type: Number, default: 0 },
 
+  // Each return refund settled by this payout, including ones from earlier periods carried forward
+  refundAdjustments: [{
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderNumber: { type: String, default: '' },
+    returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+    refunded: { type: Number, default: 0 },
+    commissionReversed: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }, // commissionReversed - refunded
+    postedAt: { type: Date, default: null },
+    _id: false
+  }],
+
   status: {
     type: String,
     enum: ['pending', 'on_hold', 'processing', 'paid', 'failed'],
@@ -53,6 +77,7 @@ const sellerPayoutSchema = new mongoose.Schema({
 sellerPayoutSchema.index({ sellerId: 1, periodStart: 1, periodEnd: 1 }, { unique: true });
 sellerPayoutSchema.index({ status: 1 });
 sellerPayoutSchema.index({ sellerId: 1, status: 1 });
+sellerPayoutSchema.index({ sellerId: 1, earlyPeriodStart: 1 }, { unique: true, partialFilterExpression: { earlyPeriodStart: { $type: 'date' } } });
 
 sellerPayoutSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
@@ -4,6 +4,17 @@ const shipmentSchema = new mongoose.Schema({
   orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
   sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
 
+  // Order items in this package (an order may ship as several packages, see
+  // utils/fulfillment). Empty on shipments created before split shipping: the whole order.
+  items: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.items[]._id
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    title: { type: String, default: '' },
+    quantity: { type: Number, required: true, min: 1 },
+    _id: false
+  }],
+
   // Shiprocket IDs
   shiprocketOrderId: { type: String, default: '' },
   shiprocketShipmentId: { type: String, default: '' },
@@ -16,6 +27,7 @@ const shipmentSchema = new mongoose.Schema({
   // Dates
   pickupScheduledAt: { type: Date, default: null },
   pickedUpAt: { type: Date, default: null },
+  returnedAt: { type: Date, default: null }, // when it went RTO; its units can be shipped again for a while
   estimatedDelivery: { type: Date, default: null },
 
   // Status
@@ -52,7 +64,7 @@ const shipmentSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
-shipmentSchema.index({ orderId: 1 });
+shipmentSchema.index({ orderId: 1, createdAt: 1 });
 shipmentSchema.index({ sellerId: 1 });
 shipmentSchema.index({ awbCode: 1 });
 shipmentSchema.index({ status: 1 });
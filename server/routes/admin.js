@@ -18,6 +18,12 @@ const { sendCommissionChangeNotification, sendPayoutNotification, sendCorporateW
 const { logActivity } = require('../utils/audit');
 const logger = require('../utils/logger');
 const { invalidateCache } = require('../middleware/cache');
+const { submitToIndexNow } = require('../utils/indexnow');
+const { MODERATION_STATUSES, REVIEW_ACTIONS, REVIEWABLE_FROM, approvedCondition, isApproved, applyModeration } = require('../utils/moderation');
+const { platformHealthPolicy, parseHealthPolicy, effectiveHealthPolicy, parseHealthPolicyOverrides } = require('../utils/healthPolicy');
+const { postDeliveredOrders, releaseDueReserves, sellersWithUnsettledEntries, createLedgerPayout, parseAdjustment, postAdjustment, parseStatementQuery, ledgerStatement } = require('../utils/ledger');
+const { parseReserveRules, matchReserveRule } = require('../utils/reservePolicy');
+const { earlyPayoutSettings, parseEarlyPayoutSettings } = require('../utils/earlyPayout');
 const router = express.Router();
 
 router.use(requireAuth, requireAdmin);
@@ -33,6 +39,7 @@ router.get('/dashboard', async (req, res) => {
     const activeSellers = await Seller.countDocuments({ status: 'active' });
     const pendingSellers = await Seller.countDocuments({ status: 'pending' });
     const totalProducts = await Product.countDocuments();
+    const productsPendingReview = await Product.countDocuments({ moderationStatus: 'pending_review' });
     const totalCustomers = await Customer.countDocuments();
 
     const b2cAgg = await Order.aggregate([
@@ -56,7 +63,7 @@ router.get('/dashboard', async (req, res) => {
 
     res.json({
       stats: {
-        totalSellers, activeSellers, pendingSellers, totalProducts, totalCustomers,
+        totalSellers, activeSellers, pendingSellers, totalProducts, productsPendingReview, totalCustomers,
         b2c: { gmv: b2c.gmv, commissionEarned: b2c.commission, totalOrders: b2c.orders, avgOrderValue: b2c.orders ? Math.round(b2c.gmv / b2c.orders) : 0 },
         b2b: { totalInquiries, newInquiries, totalRevenue: b2b.revenue, totalOrders: b2b.orders }
       },
@@ -84,7 +91,29 @@ router.put('/settings', async (req, res) => {
     const settings = await PlatformSettings.getSettings();
     const oldRate = settings.globalCommissionRate;
 
-    Object.assign(settings, req.body, { updatedAt: Date.now(), updatedBy: req.user._id });
+    // The seller health policy is validated as a whole; partial updates keep the other fields
+    const { healthPolicy, reserveRules, earlyPayout, ...updates } = req.body;
+    if (healthPolicy !== undefined) {
+      const { policy, error } = parseHealthPolicy(healthPolicy, platformHealthPolicy(settings));
+      if (error) return res.status(400).json({ message: error });
+      settings.healthPolicy = policy;
+      logActivity({ domain: 'admin', action: 'health_policy_changed', actorRole: 'admin', actorId: req.user._id, actorEmail: req.user.email, targetType: 'PlatformSettings', targetId: settings._id, message: 'Seller health policy updated', metadata: { policy } });
+    }
+
+    if (reserveRules !== undefined) {
+      const { rules, error } = parseReserveRules(reserveRules);
+      if (error) return res.status(400).json({ message: error });
+      settings.reserveRules = rules;
+      logActivity({ domain: 'admin', action: 'reserve_rules_changed', actorRole: 'admin', actorId: req.user._id, actorEmail: req.user.email, targetType: 'PlatformSettings', targetId: settings._id, message: 'Payout reserve rules updated', metadata: { rules } });
+    }
+
+    if (earlyPayout !== undefined) {
+      const { earlyPayout: parsed, error } = parseEarlyPayoutSettings(earlyPayout, earlyPayoutSettings(settings));
+      if (error) return res.status(400).json({ message: error });
+      settings.earlyPayout = parsed;
+    }
+
+    Object.assign(settings, updates, { updatedAt: Date.now(), updatedBy: req.user._id });
     await settings.save();
     PlatformSettings.invalidateSettingsCache();
     invalidateCache('/api/store/');
@@ -246,13 +275,36 @@ router.put('/sellers/:id/commission', async (req, res) => {
   }
 });
 
+// Per-seller health policy overrides; { overrides: null } clears them
+router.put('/sellers/:id/health-policy', async (req, res) => {
+  try {
+    const seller = await Seller.findById(req.params.id);
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+    const platformPolicy = platformHealthPolicy(await PlatformSettings.getSettings());
+    const { overrides, error } = parseHealthPolicyOverrides(req.body.overrides ?? null, platformPolicy);
+    if (error) return res.status(400).json({ message: error });
+
+    seller.sellerProfile.healthPolicy = overrides;
+    await seller.save();
+
+    logActivity({ domain: 'admin', action: 'seller_health_policy_changed', actorRole: 'admin', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Seller', targetId: seller._id, message: `Health policy overrides updated for ${seller.sellerProfile.businessName || seller.name}`, metadata: { overrides } });
+    res.json({ message: 'Health policy overrides updated', overrides, policy: effectiveHealthPolicy(platformPolicy, seller) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // ---- PRODUCTS ----
 router.get('/products', async (req, res) => {
   try {
-    const { search, category, seller, page = 1, limit = 30 } = req.query;
+    const { search, category, seller, moderationStatus, page = 1, limit = 30 } = req.query;
     const filter = {};
     if (search) filter.title = { $regex: escapeRegex(search), $options: 'i' };
     if (category && typeof category === 'string') filter.category = category;
+    if (MODERATION_STATUSES.includes(moderationStatus)) {
+      filter.moderationStatus = moderationStatus === 'approved' ? approvedCondition() : moderationStatus;
+    }
     if (seller && typeof seller === 'string' && /^[a-f0-9]{24}$/i.test(seller)) filter.sellerId = seller;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -266,6 +318,78 @@ router.get('/products', async (req, res) => {
   }
 });
 
+// GET /api/admin/products/review-queue - products awaiting moderation, oldest submission first
+router.get('/products/review-queue', async (req, res) => {
+  try {
+    const { status = 'pending_review', page = 1, limit = 30 } = req.query;
+    if (!['pending_review', 'changes_requested', 'rejected', 'draft'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+    const filter = { moderationStatus: status };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const products = await Product.find(filter).sort({ submittedForReviewAt: 1, createdAt: 1 }).skip(skip).limit(parseInt(limit))
+      .populate('sellerId', 'name email sellerProfile.businessName sellerProfile.isVerified');
+    const total = await Product.countDocuments(filter);
+
+    const countsAgg = await Product.aggregate([
+      { $match: { moderationStatus: { $in: ['pending_review', 'changes_requested', 'rejected', 'draft'] } } },
+      { $group: { _id: '$moderationStatus', count: { $sum: 1 } } }
+    ]);
+    const counts = Object.fromEntries(countsAgg.map(c => [c._id, c.count]));
+
+    res.json({ products, counts, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/admin/products/:id/moderate - approve, reject or request changes ({ action, reason })
+router.put('/products/:id/moderate', async (req, res) => {
+  try {
+    const { action } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!REVIEW_ACTIONS[action]) return res.status(400).json({ message: 'Invalid action' });
+    if (action !== 'approve' && !reason) return res.status(400).json({ message: 'Please give the seller a reason' });
+    if (reason.length > 1000) return res.status(400).json({ message: 'Reason must be 1000 characters or fewer' });
+
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!REVIEWABLE_FROM[action].includes(product.moderationStatus)) {
+      return res.status(400).json({ message: `Cannot ${action.replace('_', ' ')} a product that is ${product.moderationStatus.replace('_', ' ')}` });
+    }
+
+    const wasLive = isApproved(product);
+    const status = REVIEW_ACTIONS[action];
+    applyModeration(product, status, { reason, actorRole: 'admin', actorId: req.user._id });
+    await product.save();
+
+    if (wasLive || status === 'approved') {
+      invalidateCache('/api/products');
+      invalidateCache('/api/store/');
+      if (product.slug) submitToIndexNow(`https://giftsity.com/product/${product.slug}`);
+    }
+
+    logActivity({ domain: 'admin', action: `product_${status}`, actorRole: 'admin', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Product', targetId: product._id, message: `Product "${product.title}" ${status.replace('_', ' ')}${reason ? `: ${reason}` : ''}`, metadata: { action, reason } });
+
+    const { createNotification: notifyModeration } = require('../utils/notify');
+    notifyModeration({
+      userId: product.sellerId.toString(), userRole: 'seller',
+      type: 'product_moderation',
+      title: status === 'approved' ? 'Product approved' : status === 'rejected' ? 'Product rejected' : 'Changes requested',
+      message: status === 'approved'
+        ? `"${product.title}" is approved and visible to customers.`
+        : `"${product.title}": ${reason}`,
+      link: '/seller/products',
+      metadata: { productId: product._id, status, reason }
+    });
+
+    res.json({ product, message: `Product ${status.replace('_', ' ')}` });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.put('/products/:id/feature', async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
@@ -434,103 +558,35 @@ router.post('/payouts/calculate', async (req, res) => {
 
     const start = new Date(periodStart);
     const end = new Date(periodEnd);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      return res.status(400).json({ message: 'Invalid period dates' });
+    }
 
-    // Get all delivered, paid orders that haven't been included in a payout yet
-    const orders = await Order.find({
-      paymentStatus: 'paid',
-      status: 'delivered',
-      payoutStatus: 'pending',
-      deliveredAt: { $gte: start, $lte: end }
-    });
-
-    if (!orders.length) return res.json({ message: 'No orders to process', payouts: [] });
+    // Orders delivered by the period end go on the ledger; payouts settle each seller's
+    // unsettled entries up to then, so earlier refunds and charges are deducted too.
+    // Reserves are released no earlier than their release date, even for a future period end.
+    await postDeliveredOrders({ deliveredAt: { $lte: end } });
+    await releaseDueReserves({}, new Date(Math.min(end.getTime(), Date.now())));
+    const sellerIds = await sellersWithUnsettledEntries(end);
+    if (!sellerIds.length) return res.json({ message: 'No orders to process', payouts: [] });
 
-    // Group by seller
-    const sellerMap = {};
-    for (const order of orders) {
-      const sid = order.sellerId.toString();
-      if (!sellerMap[sid]) sellerMap[sid] = [];
-      sellerMap[sid].push(order);
-    }
+    const { reserveRules } = await PlatformSettings.getSettings();
 
     const payouts = [];
     let duplicatesSkipped = 0;
 
-    for (const [sellerId, sellerOrders] of Object.entries(sellerMap)) {
+    for (const sellerId of sellerIds) {
       const seller = await Seller.findById(sellerId);
+      if (!seller) continue;
 
-      // Duplicate protection: skip if a payout already exists for overlapping period
-      const existingPayout = await SellerPayout.findOne({
-        sellerId,
-        periodStart: { $lte: end },
-        periodEnd: { $gte: start }
-      });
-      if (existingPayout) {
-        duplicatesSkipped++;
-        continue;
-      }
-
-      const totalSales = sellerOrders.reduce((s, o) => s + (o.itemTotal || o.totalAmount), 0);
-      const commissionDeducted = sellerOrders.reduce((s, o) => s + (o.commissionAmount || 0), 0);
-      const gatewayFeesDeducted = sellerOrders.reduce((s, o) => s + (o.paymentGatewayFee || 0), 0);
-      // Shipping deducted: only for orders where seller pays shipping
-      const shippingDeducted = sellerOrders.reduce((s, o) => {
-        return s + (o.shippingPaidBy === 'seller' ? (o.actualShippingCost || o.shippingCost || 0) : 0);
-      }, 0);
-      const sellerAmountBeforeShipping = sellerOrders.reduce((s, o) => s + (o.sellerAmount || 0), 0);
-      const netPayout = Math.max(0, sellerAmountBeforeShipping - shippingDeducted);
-
-      // Check bank details
-      const bank = seller?.sellerProfile?.bankDetails;
-      const hasBankDetails = bank?.accountHolderName && bank?.accountNumber && bank?.ifscCode && bank?.bankName;
-
-      const payoutData = {
-        sellerId,
+      const { payout, skipped } = await createLedgerPayout(seller, {
         periodStart: start,
         periodEnd: end,
         periodLabel: periodLabel || `${start.toLocaleDateString()} - ${end.toLocaleDateString()}`,
-        orderIds: sellerOrders.map(o => o._id),
-        orderCount: sellerOrders.length,
-        totalSales,
-        commissionDeducted,
-        gatewayFeesDeducted,
-        shippingDeducted,
-        netPayout,
-        status: hasBankDetails ? 'pending' : 'on_hold',
-        holdReason: hasBankDetails ? '' : 'missing_bank_details',
-        bankDetailsSnapshot: bank || {}
-      };
-
-      // Attempt transactional write; fall back if replica set unavailable
-      let savedPayout;
-      let session = null;
-      try {
-        session = await mongoose.startSession();
-        await session.withTransaction(async () => {
-          savedPayout = new SellerPayout(payoutData);
-          await savedPayout.save({ session });
-          await Order.updateMany(
-            { _id: { $in: sellerOrders.map(o => o._id) } },
-            { payoutStatus: 'included_in_payout', payoutId: savedPayout._id },
-            { session }
-          );
-        });
-      } catch (txErr) {
-        if (txErr.codeName === 'IllegalOperation' || txErr.message?.includes('transaction')) {
-          savedPayout = new SellerPayout(payoutData);
-          await savedPayout.save();
-          await Order.updateMany(
-            { _id: { $in: sellerOrders.map(o => o._id) } },
-            { payoutStatus: 'included_in_payout', payoutId: savedPayout._id }
-          );
-        } else {
-          throw txErr;
-        }
-      } finally {
-        if (session) session.endSession();
-      }
-
-      payouts.push(savedPayout);
+        reserve: matchReserveRule(reserveRules, seller)
+      });
+      if (skipped === 'duplicate') duplicatesSkipped++;
+      if (payout) payouts.push(payout);
     }
 
     const msg = `${payouts.length} payouts calculated` + (duplicatesSkipped ? `, ${duplicatesSkipped} duplicates skipped` : '');
@@ -651,6 +707,52 @@ router.put('/payouts/:id/retry', async (req, res) => {
   }
 });
 
+// ---- SELLER LEDGER ----
+// GET /api/admin/sellers/:id/ledger?from=&to=&page=&limit= -- statement with running balance
+router.get('/sellers/:id/ledger', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid seller ID' });
+    const { options, error } = parseStatementQuery(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    await postDeliveredOrders({ sellerId: req.params.id });
+    res.json(await ledgerStatement(req.params.id, options));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/admin/sellers/:id/ledger/adjustments -- credit (+) or debit (-) a seller, e.g. a weight-dispute charge
+router.post('/sellers/:id/ledger/adjustments', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid seller ID' });
+    const seller = await Seller.findById(req.params.id).select('name sellerProfile.businessName');
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+    const { adjustment, error } = parseAdjustment(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (adjustment.orderId && !(await Order.exists({ _id: adjustment.orderId, sellerId: seller._id }))) {
+      return res.status(400).json({ message: 'Order not found for this seller' });
+    }
+
+    const entry = await postAdjustment(seller._id, adjustment, req.user);
+
+    logActivity({ domain: 'admin', action: 'seller_ledger_adjustment', actorRole: 'admin', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Seller', targetId: seller._id, message: `Ledger adjustment of Rs.${adjustment.amount} (${adjustment.reason}) for ${seller.sellerProfile?.businessName || seller.name}`, metadata: { entryId: entry._id.toString(), ...adjustment } });
+
+    const { createNotification: notifyAdjustment } = require('../utils/notify');
+    notifyAdjustment({
+      userId: seller._id.toString(), userRole: 'seller',
+      type: 'payout_adjustment', title: adjustment.amount > 0 ? 'Balance credited' : 'Balance debited',
+      message: `Rs.${Math.abs(adjustment.amount)} ${adjustment.amount > 0 ? 'added to' : 'deducted from'} your next payout: ${adjustment.description}`,
+      link: '/seller/payouts', metadata: { entryId: entry._id.toString() }
+    });
+
+    res.status(201).json({ message: 'Adjustment posted', entry });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // ---- CASHFREE PAYOUT DISBURSEMENT ----
 router.put('/payouts/:id/disburse', async (req, res) => {
   try {
@@ -1130,17 +1232,18 @@ router.get('/customers', async (req, res) => {
 // ---- SELLER HEALTH METRICS ----
 router.get('/sellers/:id/health', async (req, res) => {
   try {
-    const seller = await Seller.findById(req.params.id).select('sellerProfile.metrics sellerProfile.businessName sellerProfile.suspensionType sellerProfile.suspensionReason status');
+    const seller = await Seller.findById(req.params.id).select('sellerProfile.metrics sellerProfile.businessName sellerProfile.suspensionType sellerProfile.suspensionReason sellerProfile.healthPolicy status');
     if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    const platformPolicy = platformHealthPolicy(await PlatformSettings.getSettings());
 
-    // Get order breakdown for last 30 days
-    const lookback = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    // Get order breakdown for the metrics window
+    const lookback = new Date(Date.now() - platformPolicy.metricsLookbackDays * 24 * 60 * 60 * 1000);
     const orders = await Order.find({ sellerId: seller._id, createdAt: { $gte: lookback } });
 
     const breakdown = {
       total: orders.length,
       delivered: orders.filter(o => o.status === 'delivered').length,
-      shipped: orders.filter(o => o.status === 'shipped').length,
+      shipped: orders.filter(o => ['partially_shipped', 'shipped', 'partially_delivered'].includes(o.status)).length,
       cancelled: orders.filter(o => o.status === 'cancelled').length,
       pending: orders.filter(o => ['pending', 'confirmed', 'processing'].includes(o.status)).length,
     };
@@ -1154,13 +1257,32 @@ router.get('/sellers/:id/health', async (req, res) => {
         suspensionReason: seller.sellerProfile?.suspensionReason
       },
       metrics: seller.sellerProfile?.metrics || {},
-      orderBreakdown: breakdown
+      orderBreakdown: breakdown,
+      policy: effectiveHealthPolicy(platformPolicy, seller),
+      policyOverrides: seller.sellerProfile?.healthPolicy || {}
     });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Which sellers a proposed health policy would warn or suspend; changes nothing.
+// Body: { healthPolicy } with the fields to change (the rest stay as they are now)
+router.post('/health-policy/simulate', async (req, res) => {
+  try {
+    const current = platformHealthPolicy(await PlatformSettings.getSettings());
+    const { policy, error } = parseHealthPolicy(req.body.healthPolicy || {}, current);
+    if (error) return res.status(400).json({ message: error });
+
+    const { simulateHealthPolicy } = require('../cron/sellerHealth');
+    const result = await simulateHealthPolicy(policy);
+    res.json({ policy, currentPolicy: current, ...result });
+  } catch (err) {
+    logger.error('Health policy simulation error:', err.message);
+    res.status(500).json({ message: 'Simulation failed' });
+  }
+});
+
 // ---- MANUAL CRON TRIGGER ----
 router.post('/cron/run', async (req, res) => {
   try {
@@ -12,6 +12,16 @@ const { sendOrderConfirmation } = require('../utils/email');
 const { logActivity } = require('../utils/audit');
 const { createNotification } = require('../utils/notify');
 const { sanitizeBody } = require('../middleware/sanitize');
+const { reserveStock, restoreStock } = require('../utils/stock');
+const { variantLabel, unitWeight } = require('../utils/variants');
+const { lowStockCrossing, notifyLowStock } = require('../utils/lowStock');
+const { isPublished, unitPrice } = require('../utils/pricing');
+const { isApproved } = require('../utils/moderation');
+const { resolveCustomizations } = require('../utils/customizations');
+const { parseGiftOptions, giftWrapForLines } = require('../utils/giftOptions');
+const { parsePreferredDeliveryDate, deliveryDateError, shipDueDate, shipByDate, earliestDeliveryDate, transitDays, sellerShippingOptions } = require('../utils/deliveryDate');
+const { isHiddenForVacation, vacationNotice } = require('../utils/vacation');
+const { shipmentItems } = require('../utils/fulfillment');
 const { validateOrderCreation, validatePaymentVerification } = require('../middleware/validators');
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
@@ -44,6 +54,8 @@ const generateOrderNumber = () => {
 
 // POST /api/orders - create order + Cashfree payment session
 router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async (req, res) => {
+  // Track reserved items so we can rollback on failure
+  let reservedItems = []; // { productId, variantId, quantity }
   try {
     if ((req.user.userType || req.user.role) !== 'customer') {
       return res.status(403).json({ message: 'Customer access required' });
@@ -51,6 +63,10 @@ router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async
     const { items, shippingAddress, shippingEstimates, couponCode } = req.body;
     if (!items || !items.length) return res.status(400).json({ message: 'No items' });
     if (!shippingAddress) return res.status(400).json({ message: 'Shipping address required' });
+    const { gift, error: giftError } = parseGiftOptions(req.body.gift);
+    if (giftError) return res.status(400).json({ message: giftError });
+    const { date: preferredDeliveryDate, error: dateError } = parsePreferredDeliveryDate(req.body.preferredDeliveryDate);
+    if (dateError) return res.status(400).json({ message: dateError });
 
     const settings = await PlatformSettings.getSettings();
 
@@ -78,93 +94,103 @@ router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async
     for (const item of items) {
       const product = productMap.get(item.productId.toString());
       if (!product) return res.status(400).json({ message: `Product not found: ${item.productId}` });
-      if (!product.isActive) {
+      if (!product.isActive || !isPublished(product) || !isApproved(product)) {
         return res.status(400).json({ message: `${product.title} is unavailable` });
       }
 
-      // Check stock availability (actual reservation happens below)
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ message: `${product.title} is out of stock (only ${product.stock} left)` });
+      // Products with variants must be ordered as a specific, active variant
+      let variant = null;
+      if (product.variants?.length > 0) {
+        variant = item.variantId ? product.variants.id(item.variantId) : null;
+        if (!variant || !variant.isActive) {
+          return res.status(400).json({ message: `Please choose an available option for ${product.title}` });
+        }
       }
 
-      // Validate customizations against product's customizationOptions
-      if (product.isCustomizable && product.customizationOptions?.length > 0) {
-        const custData = item.customizations || [];
-        for (const opt of product.customizationOptions) {
-          const match = custData.find(c => c.label === opt.label);
-          if (opt.required) {
-            if (!match) {
-              return res.status(400).json({ message: `Customization "${opt.label}" is required for ${product.title}` });
-            }
-            if (opt.type === 'image' && (!match.imageUrls || match.imageUrls.length === 0)) {
-              return res.status(400).json({ message: `Please upload images for "${opt.label}" on ${product.title}` });
-            }
-            if (opt.type !== 'image' && (!match.value || !match.value.trim())) {
-              return res.status(400).json({ message: `Please fill in "${opt.label}" for ${product.title}` });
-            }
-          }
-          if (match) {
-            if (opt.type === 'image' && opt.maxFiles && match.imageUrls?.length > opt.maxFiles) {
-              return res.status(400).json({ message: `Maximum ${opt.maxFiles} images allowed for "${opt.label}"` });
-            }
-            if (opt.maxLength && match.value && match.value.length > opt.maxLength) {
-              return res.status(400).json({ message: `"${opt.label}" exceeds maximum length of ${opt.maxLength} characters` });
-            }
-          }
-        }
+      // Check stock availability (actual reservation happens below)
+      const available = variant ? variant.stock : product.stock;
+      if (available < item.quantity) {
+        return res.status(400).json({ message: `${product.title} is out of stock (only ${available} left)` });
       }
 
+      // Validate customizations against product's customizationOptions; filled options add their extraPrice
+      const custom = resolveCustomizations(product, item.customizations);
+      if (custom.error) return res.status(400).json({ message: custom.error });
+
       const sid = product.sellerId.toString();
       if (!sellerGroups[sid]) sellerGroups[sid] = [];
-      sellerGroups[sid].push({ product, quantity: item.quantity, customizations: item.customizations || [] });
+      sellerGroups[sid].push({
+        product,
+        variant,
+        price: unitPrice(product, variant) + custom.extraPrice, // sale price while the product's sale window is open
+        customizationPrice: custom.extraPrice,
+        quantity: item.quantity,
+        customizations: custom.customizations
+      });
+    }
+
+    // Sellers on vacation in 'hide' mode aren't taking orders, and every seller must
+    // be able to ship in time for a scheduled delivery
+    const sellers = await Seller.find({ _id: { $in: Object.keys(sellerGroups) } });
+    const sellerMap = new Map(sellers.map(s => [s._id.toString(), s]));
+    const placedAt = new Date();
+    for (const sid of Object.keys(sellerGroups)) {
+      const seller = sellerMap.get(sid);
+      if (isHiddenForVacation(seller, placedAt)) {
+        const name = seller.sellerProfile.businessName || 'This seller';
+        return res.status(400).json({ message: `${name} is on vacation and not taking orders until ${vacationNotice(seller, placedAt).backOn}` });
+      }
+      const problem = deliveryDateError(preferredDeliveryDate, shippingEstimates?.[sid]?.estimatedDays, placedAt, sellerShippingOptions(seller, placedAt));
+      if (problem) return res.status(400).json({ message: problem });
     }
 
     // Reserve stock atomically for all items BEFORE creating orders
-    // Track reserved items so we can rollback on failure
-    const reservedItems = []; // { productId, quantity }
+    const lowStockHits = []; // threshold crossings, alerted once the orders exist
     try {
-      for (const item of items) {
-        const updated = await Product.findOneAndUpdate(
-          { _id: item.productId, stock: { $gte: item.quantity } },
-          { $inc: { stock: -item.quantity } },
-          { new: true }
-        );
-        if (!updated) {
-          // Rollback all previously reserved items
-          for (const ri of reservedItems) {
-            await Product.findByIdAndUpdate(ri.productId, { $inc: { stock: ri.quantity } });
+      for (const group of Object.values(sellerGroups)) {
+        for (const i of group) {
+          const toReserve = { productId: i.product._id, variantId: i.variant?._id || null, quantity: i.quantity };
+          const updated = await reserveStock(toReserve);
+          if (!updated) {
+            // Rollback all previously reserved items
+            for (const ri of reservedItems) await restoreStock(ri);
+            reservedItems = [];
+            return res.status(400).json({ message: `${i.product.title} is out of stock` });
           }
-          const prod = await Product.findById(item.productId);
-          return res.status(400).json({ message: `${prod?.title || 'Product'} is out of stock` });
+          reservedItems.push(toReserve);
+          const hit = lowStockCrossing(updated, toReserve.variantId, i.quantity);
+          if (hit) lowStockHits.push(hit);
         }
-        reservedItems.push({ productId: item.productId, quantity: item.quantity });
       }
     } catch (stockErr) {
       // Rollback on any error
-      for (const ri of reservedItems) {
-        await Product.findByIdAndUpdate(ri.productId, { $inc: { stock: ri.quantity } });
-      }
+      for (const ri of reservedItems) await restoreStock(ri);
+      reservedItems = [];
       throw stockErr;
     }
 
     const orders = [];
     try {
       for (const [sellerId, sellerItems] of Object.entries(sellerGroups)) {
-        const seller = await Seller.findById(sellerId);
+        const seller = sellerMap.get(sellerId);
         const commissionRate = getCommissionRate(seller, settings);
-        const itemTotal = sellerItems.reduce((sum, i) => sum + i.product.price * i.quantity, 0);
+        const itemTotal = sellerItems.reduce((sum, i) => sum + i.price * i.quantity, 0);
+        // Only products this seller offers gift wrap for get wrapped
+        const wrap = giftWrapForLines(sellerItems, seller, gift.wrap);
 
         // Get shipping info from estimates (passed from frontend)
         const sellerShipping = shippingEstimates?.[sellerId] || {};
         const shippingCost = sellerShipping.shippingCost || 0;
         const actualShippingCost = sellerShipping.actualShippingCost || shippingCost; // actual Shiprocket rate
         const shippingPaidBy = sellerShipping.shippingPaidBy || 'seller';
+        const shippingOptions = sellerShippingOptions(seller, placedAt);
+        const shipDueAt = shipDueDate(placedAt, preferredDeliveryDate, sellerShipping.estimatedDays, shippingOptions);
 
         // Customer-facing total: includes shipping only if customer pays
-        const totalAmount = shippingPaidBy === 'customer' ? itemTotal + shippingCost : itemTotal;
+        const totalAmount = itemTotal + wrap.charge + (shippingPaidBy === 'customer' ? shippingCost : 0);
 
-        // Gateway fee on full payment amount (what Cashfree charges), commission on item total only
-        const financials = calculateOrderFinancials(itemTotal, totalAmount, commissionRate, settings.paymentGatewayFeeRate);
+        // Commission on item total only; gift wrap goes to the seller
+        const financials = calculateOrderFinancials(itemTotal, totalAmount, commissionRate, settings.paymentGatewayFeeRate, wrap.charge);
 
         const order = new Order({
           orderNumber: generateOrderNumber(),
@@ -173,18 +199,29 @@ router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async
           customerEmail: req.user.email,
           customerPhone: req.user.phone || shippingAddress.phone,
           sellerId,
-          items: sellerItems.map(i => ({
+          items: sellerItems.map((i, idx) => ({
             productId: i.product._id,
+            variantId: i.variant?._id || null,
+            variantLabel: variantLabel(i.variant, i.product.variantOptions),
             title: i.product.title,
-            price: i.product.price,
-            image: i.product.images[0]?.url || '',
-            sku: i.product.sku || '',
+            price: i.price,
+            customizationPrice: i.customizationPrice,
+            giftWrapped: wrap.wrapped[idx],
+            giftWrapPrice: wrap.unitPrices[idx],
+            image: i.variant?.images[0]?.url || i.product.images[0]?.url || '',
+            sku: i.variant?.sku || i.product.sku || '',
             quantity: i.quantity,
             sellerId,
             customizations: i.customizations || []
           })),
           shippingAddress,
+          gift: { ...gift, wrap: wrap.wrapped.some(Boolean) },
           itemTotal,
+          giftWrapCharge: wrap.charge,
+          preferredDeliveryDate,
+          shipDueAt,
+          shipBy: shipByDate(shipDueAt, shippingOptions.handling),
+          createdAt: placedAt,
           shippingCost,
           actualShippingCost,
           shippingPaidBy,
@@ -196,9 +233,8 @@ router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async
       }
     } catch (orderErr) {
       // If order creation fails, rollback reserved stock
-      for (const ri of reservedItems) {
-        await Product.findByIdAndUpdate(ri.productId, { $inc: { stock: ri.quantity } });
-      }
+      for (const ri of reservedItems) await restoreStock(ri);
+      reservedItems = [];
       throw orderErr;
     }
 
@@ -261,6 +297,8 @@ router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async
       await order.save();
     }
 
+    if (lowStockHits.length) notifyLowStock(lowStockHits);
+
     for (const order of orders) {
       logActivity({ domain: 'order', action: 'order_created', actorRole: 'customer', actorId: req.user._id, actorEmail: req.user.email, targetType: 'Order', targetId: order._id, message: `Order ${order.orderNumber} created`, metadata: { orderNumber: order.orderNumber, totalAmount: order.totalAmount } });
     }
@@ -277,9 +315,9 @@ router.post('/', requireAuth, orderCreationLimiter, validateOrderCreation, async
     });
   } catch (err) {
     // Rollback reserved stock on any failure (Cashfree error, DB error, etc.)
-    if (reservedItems && reservedItems.length) {
+    if (reservedItems.length) {
       for (const ri of reservedItems) {
-        try { await Product.findByIdAndUpdate(ri.productId, { $inc: { stock: ri.quantity } }); } catch (rollbackErr) {
+        try { await restoreStock(ri); } catch (rollbackErr) {
           logger.error(`[Order] Stock rollback failed for product ${ri.productId}:`, rollbackErr.message);
         }
       }
@@ -308,9 +346,7 @@ router.post('/cancel-pending', requireAuth, async (req, res) => {
     for (const order of pendingOrders) {
       // Restore reserved stock for each item
       for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.productId, {
-          $inc: { stock: item.quantity }
-        });
+        await restoreStock(item);
       }
 
       order.status = 'cancelled';
@@ -520,12 +556,17 @@ router.get('/track/:orderNumber', trackingLimiter, async (req, res) => {
     // Build a timeline from order data
     const timeline = [{ status: 'placed', date: order.createdAt, label: 'Order Placed' }];
     if (order.paidAt) timeline.push({ status: 'paid', date: order.paidAt, label: 'Payment Confirmed' });
-    if (['confirmed', 'shipped', 'delivered'].includes(order.status)) {
+    if (['confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'].includes(order.status)) {
       timeline.push({ status: 'confirmed', date: order.paidAt || order.createdAt, label: 'Order Confirmed' });
     }
-    if (order.trackingInfo?.shippedAt || order.status === 'shipped' || order.status === 'delivered') {
+    if (order.status === 'partially_shipped') {
+      timeline.push({ status: 'partially_shipped', date: order.trackingInfo?.shippedAt || null, label: 'Partially Shipped' });
+    } else if (order.trackingInfo?.shippedAt || ['shipped', 'partially_delivered', 'delivered'].includes(order.status)) {
       timeline.push({ status: 'shipped', date: order.trackingInfo?.shippedAt || null, label: 'Shipped' });
     }
+    if (order.status === 'partially_delivered') {
+      timeline.push({ status: 'partially_delivered', date: null, label: 'Partially Delivered' });
+    }
     if (order.status === 'delivered') {
       timeline.push({ status: 'delivered', date: order.trackingInfo?.deliveredAt || null, label: 'Delivered' });
     }
@@ -550,28 +591,15 @@ router.get('/track/:orderNumber', trackingLimiter, async (req, res) => {
   }
 });
 
-// GET /api/orders/track/:orderNumber/details - public detailed tracking with scan events
-router.get('/track/:orderNumber/details', trackingLimiter, async (req, res) => {
-  try {
-    const order = await Order.findOne({ orderNumber: req.params.orderNumber })
-      .select('_id orderNumber status trackingInfo')
-      .lean();
-    if (!order) return res.status(404).json({ message: 'Order not found' });
+/**
+ * Tracking for every package of an order (an order may ship as several), with
+ * live Shiprocket scans when the package has an AWB and DB history otherwise.
+ * Top-level shipment fields describe the latest package, for older clients.
+ */
+async function buildTrackingResponse(order) {
+  const shipments = await Shipment.find({ orderId: order._id, status: { $ne: 'cancelled' } }).sort({ createdAt: 1 }).lean();
 
-    const shipment = await Shipment.findOne({ orderId: order._id }).lean();
-    if (!shipment) {
-      return res.json({
-        orderNumber: order.orderNumber,
-        status: order.status,
-        shipmentStatus: null,
-        courierName: order.trackingInfo?.courierName || null,
-        awb: order.trackingInfo?.trackingNumber || null,
-        estimatedDelivery: null,
-        scans: []
-      });
-    }
-
-    // Try to get real-time tracking from Shiprocket if AWB exists
+  const packages = await Promise.all(shipments.map(async (shipment, index) => {
     let liveScans = [];
     if (shipment.awbCode) {
       try {
@@ -589,7 +617,6 @@ router.get('/track/:orderNumber/details', trackingLimiter, async (req, res) => {
       }
     }
 
-    // Merge DB history with live scans (prefer live if available, otherwise use DB)
     const dbScans = (shipment.statusHistory || []).map(h => ({
       activity: h.description || h.status || '',
       location: h.location || '',
@@ -597,17 +624,45 @@ router.get('/track/:orderNumber/details', trackingLimiter, async (req, res) => {
       status: h.status || ''
     }));
 
-    const scans = liveScans.length > 0 ? liveScans : dbScans;
-
-    res.json({
-      orderNumber: order.orderNumber,
-      status: order.status,
-      shipmentStatus: shipment.status,
-      courierName: shipment.courierName || order.trackingInfo?.courierName || null,
-      awb: shipment.awbCode || order.trackingInfo?.trackingNumber || null,
-      estimatedDelivery: shipment.estimatedDelivery || order.trackingInfo?.estimatedDelivery || null,
-      scans
+    const items = shipmentItems(shipment, order).map(({ itemId, quantity }) => {
+      const item = order.items.find(i => i._id.toString() === itemId);
+      return { title: item ? (item.variantLabel ? `${item.title} (${item.variantLabel})` : item.title) : '', quantity };
     });
+
+    return {
+      packageNumber: index + 1,
+      shipmentId: shipment._id,
+      status: shipment.status,
+      courierName: shipment.courierName || null,
+      awb: shipment.awbCode || null,
+      estimatedDelivery: shipment.estimatedDelivery || null,
+      items,
+      scans: liveScans.length > 0 ? liveScans : dbScans
+    };
+  }));
+
+  const latest = packages[packages.length - 1];
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    shipmentStatus: latest?.status || null,
+    courierName: latest?.courierName || order.trackingInfo?.courierName || null,
+    awb: latest?.awb || order.trackingInfo?.trackingNumber || null,
+    estimatedDelivery: latest?.estimatedDelivery || order.trackingInfo?.estimatedDelivery || null,
+    scans: latest?.scans || [],
+    packages
+  };
+}
+
+// GET /api/orders/track/:orderNumber/details - public detailed tracking with scan events
+router.get('/track/:orderNumber/details', trackingLimiter, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber })
+      .select('_id orderNumber status trackingInfo items._id items.title items.variantLabel items.quantity')
+      .lean();
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json(await buildTrackingResponse(order));
   } catch (err) {
     logger.error('[Tracking] Public tracking error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -620,58 +675,10 @@ router.get('/:id/tracking', requireAuth, async (req, res) => {
     const order = await Order.findOne({
       _id: req.params.id,
       $or: [{ customerId: req.user._id }, { sellerId: req.user._id }]
-    }).select('_id orderNumber status trackingInfo').lean();
+    }).select('_id orderNumber status trackingInfo items._id items.title items.variantLabel items.quantity').lean();
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    const shipment = await Shipment.findOne({ orderId: order._id }).lean();
-    if (!shipment) {
-      return res.json({
-        orderNumber: order.orderNumber,
-        status: order.status,
-        shipmentStatus: null,
-        courierName: order.trackingInfo?.courierName || null,
-        awb: order.trackingInfo?.trackingNumber || null,
-        estimatedDelivery: null,
-        scans: []
-      });
-    }
-
-    // Try real-time Shiprocket tracking
-    let liveScans = [];
-    if (shipment.awbCode) {
-      try {
-        const trackData = await shiprocket.trackByAwb(shipment.awbCode);
-        const activities = trackData?.tracking_data?.shipment_track_activities
-          || trackData?.tracking_data?.track_activities || [];
-        liveScans = activities.map(a => ({
-          activity: a.activity || a['sr-status-label'] || '',
-          location: a.location || '',
-          timestamp: a.date || null,
-          status: a['sr-status-label'] || a.status || ''
-        }));
-      } catch (trackErr) {
-        logger.warn('[Tracking] Live tracking failed for AWB', shipment.awbCode, trackErr.message);
-      }
-    }
-
-    const dbScans = (shipment.statusHistory || []).map(h => ({
-      activity: h.description || h.status || '',
-      location: h.location || '',
-      timestamp: h.timestamp || null,
-      status: h.status || ''
-    }));
-
-    const scans = liveScans.length > 0 ? liveScans : dbScans;
-
-    res.json({
-      orderNumber: order.orderNumber,
-      status: order.status,
-      shipmentStatus: shipment.status,
-      courierName: shipment.courierName || order.trackingInfo?.courierName || null,
-      awb: shipment.awbCode || order.trackingInfo?.trackingNumber || null,
-      estimatedDelivery: shipment.estimatedDelivery || order.trackingInfo?.estimatedDelivery || null,
-      scans
-    });
+    res.json(await buildTrackingResponse(order));
   } catch (err) {
     logger.error('[Tracking] Authenticated tracking error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -715,6 +722,27 @@ router.get('/:id/invoice', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/orders/:id/gift-receipt - price-free receipt the buyer can pass on to the recipient
+router.get('/:id/gift-receipt', requireAuth, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, customerId: req.user._id }).lean();
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!order.gift?.isGift) return res.status(400).json({ message: 'This order is not a gift' });
+    if (order.paymentStatus !== 'paid') {
+      return res.status(400).json({ message: 'Gift receipt is only available for paid orders' });
+    }
+
+    const { generateGiftReceipt } = require('../utils/pdf');
+    const pdfBuffer = await generateGiftReceipt(order);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="gift-receipt-${order.orderNumber}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (err) {
+    logger.error('Gift receipt generation error:', err.message);
+    res.status(500).json({ message: 'Failed to generate gift receipt' });
+  }
+});
+
 // POST /api/orders/:id/cancel - customer cancels own order (pending/confirmed only)
 router.post('/:id/cancel', requireAuth, sanitizeBody, async (req, res) => {
   try {
@@ -734,9 +762,7 @@ router.post('/:id/cancel', requireAuth, sanitizeBody, async (req, res) => {
 
     // Restore reserved stock (stock is reserved at order creation)
     for (const item of order.items) {
-      const stockInc = { stock: item.quantity };
-      if (order.paymentStatus === 'paid') stockInc.orderCount = -item.quantity;
-      await Product.findByIdAndUpdate(item.productId, { $inc: stockInc });
+      await restoreStock(item, { revertOrderCount: order.paymentStatus === 'paid' });
     }
 
     // Initiate refund if payment was completed
@@ -810,9 +836,10 @@ router.post('/shipping-estimate', requireAuth, async (req, res) => {
       const product = products.find(p => p._id.toString() === item.productId);
       if (!product) continue;
       const sid = product.sellerId.toString();
-      if (!sellerGroups[sid]) sellerGroups[sid] = { products: [], totalWeight: 0 };
+      if (!sellerGroups[sid]) sellerGroups[sid] = { products: [], lines: [], totalWeight: 0 };
       sellerGroups[sid].products.push(product);
-      sellerGroups[sid].totalWeight += (product.weight || 500) * (item.quantity || 1);
+      sellerGroups[sid].lines.push({ product, quantity: item.quantity || 1 });
+      sellerGroups[sid].totalWeight += unitWeight(product, item.variantId) * (item.quantity || 1);
       if (!sellerGroups[sid].shippingPaidBy) {
         sellerGroups[sid].shippingPaidBy = product.shippingPaidBy || 'seller';
       } else if (product.shippingPaidBy === 'customer') {
@@ -824,12 +851,32 @@ router.post('/shipping-estimate', requireAuth, async (req, res) => {
     for (const [sellerId, group] of Object.entries(sellerGroups)) {
       const seller = await Seller.findById(sellerId).lean();
       const pickupPincode = seller?.sellerProfile?.pickupAddress?.pincode;
+      // What wrapping this seller's items would cost, for the checkout gift options
+      const { charge: giftWrapCharge, available: giftWrapAvailable } = giftWrapForLines(group.lines, seller);
+      const giftWrap = { giftWrapAvailable, giftWrapCharge };
+      const shippingOptions = sellerShippingOptions(seller);
+      const away = vacationNotice(seller);
+
+      if (away && !away.acceptingOrders) {
+        estimates.push({
+          sellerId,
+          shippingCost: 0,
+          shippingPaidBy: group.shippingPaidBy,
+          ...giftWrap,
+          courierName: '',
+          estimatedDays: '',
+          sellerAway: away,
+          error: `Seller is on vacation until ${away.backOn}`
+        });
+        continue;
+      }
 
       if (!pickupPincode) {
         estimates.push({
           sellerId,
           shippingCost: 0,
           shippingPaidBy: group.shippingPaidBy,
+          ...giftWrap,
           courierName: '',
           estimatedDays: '',
           error: 'Seller pickup address not configured'
@@ -854,19 +901,28 @@ router.post('/shipping-estimate', requireAuth, async (req, res) => {
           const medianRate = Math.round(median.rate);
           const SHIPPING_MARKUP = 10;
           const displayRate = group.shippingPaidBy === 'customer' ? medianRate + SHIPPING_MARKUP : medianRate;
+          // Shown to the customer as the delivery estimate: handling time (after any vacation) plus transit
+          const dueAt = shipDueDate(new Date(), null, median.estimated_delivery_days, shippingOptions);
+          const deliveryDays = Math.ceil((dueAt - Date.now()) / (24 * 60 * 60 * 1000)) + shippingOptions.handling + transitDays(median.estimated_delivery_days);
           estimates.push({
             sellerId,
             shippingCost: displayRate,
             actualShippingCost: medianRate,
             shippingPaidBy: group.shippingPaidBy,
+            ...giftWrap,
             courierName: median.courier_name,
             estimatedDays: median.estimated_delivery_days,
+            handlingDays: shippingOptions.handling,
+            deliveryDays,
+            sellerAway: away,
+            earliestDeliveryDate: earliestDeliveryDate(median.estimated_delivery_days, new Date(), shippingOptions),
           });
         } else {
           estimates.push({
             sellerId,
             shippingCost: 0,
             shippingPaidBy: group.shippingPaidBy,
+            ...giftWrap,
             courierName: '',
             estimatedDays: '',
             error: 'No couriers available for this route'
@@ -878,6 +934,7 @@ router.post('/shipping-estimate', requireAuth, async (req, res) => {
           sellerId,
           shippingCost: 0,
           shippingPaidBy: group.shippingPaidBy,
+          ...giftWrap,
           courierName: '',
           estimatedDays: '',
           error: 'Could not estimate shipping'
@@ -7,16 +7,34 @@ const { uploadImage } = require('../config/cloudinary');
 const { cacheMiddleware } = require('../middleware/cache');
 const logger = require('../utils/logger');
 const Seller = require('../models/Seller');
+const { publishedCondition, isPublished, withSalePricing } = require('../utils/pricing');
+const { approvedCondition, isApproved } = require('../utils/moderation');
+const { onVacationCondition, vacationNotice } = require('../utils/vacation');
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }); // 10MB per customization image
 
-// Cache suspended seller IDs (60s TTL) to avoid querying on every product listing
-let _suspendedCache = { ids: [], ts: 0 };
-async function getSuspendedSellerIds() {
-  if (Date.now() - _suspendedCache.ts < 60000) return _suspendedCache.ids;
-  const sellers = await Seller.find({ status: 'suspended' }).select('_id').lean();
-  _suspendedCache = { ids: sellers.map(s => s._id), ts: Date.now() };
-  return _suspendedCache.ids;
+// Cache IDs of suspended sellers and sellers away with their listings hidden (60s TTL)
+// to avoid querying on every product listing
+let _hiddenCache = { ids: [], ts: 0 };
+async function getHiddenSellerIds() {
+  if (Date.now() - _hiddenCache.ts < 60000) return _hiddenCache.ids;
+  const sellers = await Seller.find({
+    $or: [
+      { status: 'suspended' },
+      { ...onVacationCondition(), 'sellerProfile.vacation.mode': 'hide' }
+    ]
+  }).select('_id').lean();
+  _hiddenCache = { ids: sellers.map(s => s._id), ts: Date.now() };
+  return _hiddenCache.ids;
+}
+
+// Swap the populated seller's vacation settings for what shoppers see ("ships after ...")
+function withSellerAway(product) {
+  const seller = product.sellerId;
+  if (!seller?.sellerProfile) return product;
+  const sellerAway = vacationNotice(seller);
+  delete seller.sellerProfile.vacation;
+  return { ...product, sellerAway };
 }
 
 // Allowed image MIME types for customization uploads
@@ -48,28 +66,29 @@ router.get('/', cacheMiddleware(60), async (req, res) => {
   try {
     const { category, minPrice, maxPrice, seller, search, featured, sort, page = 1, limit = 24 } = req.query;
 
-    const suspendedIds = await getSuspendedSellerIds();
+    const hiddenIds = await getHiddenSellerIds();
 
-    const filter = { isActive: true, stock: { $gt: 0 } };
-    if (suspendedIds.length > 0) {
-      filter.sellerId = { $nin: suspendedIds };
+    const filter = { isActive: true, stock: { $gt: 0 }, publishAt: publishedCondition(), moderationStatus: approvedCondition() };
+    if (hiddenIds.length > 0) {
+      filter.sellerId = { $nin: hiddenIds };
     }
 
     if (category && typeof category === 'string') filter.category = category;
     if (seller && typeof seller === 'string' && /^[a-f0-9]{24}$/i.test(seller)) filter.sellerId = seller;
     if (featured === 'true') filter.isFeatured = true;
+    // currentPrice is the sale price while a sale is live
     if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
+      filter.currentPrice = {};
+      if (minPrice) filter.currentPrice.$gte = Number(minPrice);
+      if (maxPrice) filter.currentPrice.$lte = Number(maxPrice);
     }
     if (search) {
       filter.$text = { $search: search };
     }
 
     let sortObj = { createdAt: -1 };
-    if (sort === 'price_asc') sortObj = { price: 1 };
-    if (sort === 'price_desc') sortObj = { price: -1 };
+    if (sort === 'price_asc') sortObj = { currentPrice: 1 };
+    if (sort === 'price_desc') sortObj = { currentPrice: -1 };
     if (sort === 'popular') sortObj = { orderCount: -1 };
     if (sort === 'rating') sortObj = { averageRating: -1 };
     if (sort === 'newest') sortObj = { createdAt: -1 };
@@ -79,11 +98,11 @@ router.get('/', cacheMiddleware(60), async (req, res) => {
       .sort(sortObj)
       .skip(skip)
       .limit(parseInt(limit))
-      .populate('sellerId', 'name sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.rating sellerProfile.isVerified')
+      .populate('sellerId', 'name sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.rating sellerProfile.isVerified sellerProfile.vacation')
       .lean();
     const total = await Product.countDocuments(filter);
 
-    res.json({ products, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) });
+    res.json({ products: products.map(p => withSellerAway(withSalePricing(p))), total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -92,16 +111,16 @@ router.get('/', cacheMiddleware(60), async (req, res) => {
 // GET /api/products/featured
 router.get('/featured', cacheMiddleware(60), async (req, res) => {
   try {
-    const suspendedIds = await getSuspendedSellerIds();
+    const hiddenIds = await getHiddenSellerIds();
 
-    const featuredFilter = { isFeatured: true, isActive: true, stock: { $gt: 0 } };
-    if (suspendedIds.length > 0) featuredFilter.sellerId = { $nin: suspendedIds };
+    const featuredFilter = { isFeatured: true, isActive: true, stock: { $gt: 0 }, publishAt: publishedCondition(), moderationStatus: approvedCondition() };
+    if (hiddenIds.length > 0) featuredFilter.sellerId = { $nin: hiddenIds };
 
     const products = await Product.find(featuredFilter)
       .limit(12)
-      .populate('sellerId', 'name sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.isVerified')
+      .populate('sellerId', 'name sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.isVerified sellerProfile.vacation')
       .lean();
-    res.json({ products });
+    res.json({ products: products.map(p => withSellerAway(withSalePricing(p))) });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -120,19 +139,19 @@ router.get('/categories', cacheMiddleware(300), async (req, res) => {
 // GET /api/products/:slug
 router.get('/:slug', cacheMiddleware(120), async (req, res) => {
   try {
-    const product = await Product.findOne({ slug: req.params.slug, isActive: true })
-      .populate('sellerId', 'name status sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.rating sellerProfile.totalOrders sellerProfile.isVerified')
+    const product = await Product.findOne({ slug: req.params.slug, isActive: true, publishAt: publishedCondition(), moderationStatus: approvedCondition() })
+      .populate('sellerId', 'name status sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.rating sellerProfile.totalOrders sellerProfile.isVerified sellerProfile.vacation')
       .lean();
 
     if (!product) {
       // Try by ID as fallback
       const byId = await Product.findById(req.params.slug)
-        .populate('sellerId', 'name status sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.rating sellerProfile.totalOrders sellerProfile.isVerified')
+        .populate('sellerId', 'name status sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar sellerProfile.rating sellerProfile.totalOrders sellerProfile.isVerified sellerProfile.vacation')
         .lean();
-      if (!byId || byId.sellerId?.status === 'suspended') return res.status(404).json({ message: 'Product not found' });
+      if (!byId || byId.sellerId?.status === 'suspended' || !isPublished(byId) || !isApproved(byId)) return res.status(404).json({ message: 'Product not found' });
 
       Product.findByIdAndUpdate(byId._id, { $inc: { viewCount: 1 } }).catch(() => {});
-      return res.json({ product: byId });
+      return res.json({ product: withSellerAway(withSalePricing(byId)) });
     }
 
     // Hide product if seller is suspended
@@ -141,7 +160,8 @@ router.get('/:slug', cacheMiddleware(120), async (req, res) => {
     }
 
     Product.findByIdAndUpdate(product._id, { $inc: { viewCount: 1 } }).catch(() => {});
-    res.json({ product });
+    // Products of sellers away in 'hide' mode stay reachable by link but can't be ordered (sellerAway.acceptingOrders)
+    res.json({ product: withSellerAway(withSalePricing(product)) });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -6,6 +6,7 @@ const { logActivity } = require('../utils/audit');
 const { createNotification } = require('../utils/notify');
 const { handleRTO } = require('../utils/rtoHandler');
 const { handleNDR } = require('../utils/ndrHandler');
+const { applyDerivedStatus } = require('../utils/fulfillment');
 const router = express.Router();
 
 /**
@@ -32,25 +33,14 @@ const STATUS_MAP = {
 };
 
 /**
- * Map internal shipment status to order status
+ * Customer notifications for order statuses derived from shipment updates
  */
-function shipmentToOrderStatus(shipmentStatus) {
-  switch (shipmentStatus) {
-    case 'pickup_scheduled':
-    case 'picked_up':
-    case 'in_transit':
-    case 'out_for_delivery':
-      return 'shipped';
-    case 'delivered':
-      return 'delivered';
-    case 'rto':
-    case 'cancelled':
-    case 'ndr':
-      return null; // handled separately by rtoHandler / ndrHandler
-    default:
-      return null;
-  }
-}
+const ORDER_STATUS_NOTIFICATIONS = {
+  partially_shipped: { type: 'order_shipped', title: 'partly shipped', message: awb => `A package from your order is on the way (AWB: ${awb})` },
+  shipped: { type: 'order_shipped', title: 'shipped', message: awb => `Your order is on the way (AWB: ${awb})` },
+  partially_delivered: { type: 'order_delivered', title: 'partly delivered', message: () => 'A package from your order has been delivered.' },
+  delivered: { type: 'order_delivered', title: 'delivered', message: () => 'Your order has been delivered!' }
+};
 
 /**
  * POST /api/shiprocket/webhook
@@ -167,45 +157,27 @@ router.post('/webhook', async (req, res) => {
         // Set specific date fields
         if (newStatus === 'picked_up') shipment.pickedUpAt = new Date();
         if (newStatus === 'pickup_scheduled') shipment.pickupScheduledAt = new Date();
+        if (newStatus === 'rto' && !shipment.returnedAt) shipment.returnedAt = new Date();
       }
     }
 
     await shipment.save();
 
-    // Update order status if applicable
-    const orderStatus = shipmentToOrderStatus(shipment.status);
-    if (orderStatus) {
-      const order = await Order.findById(shipment.orderId);
-      if (order && order.status !== orderStatus && order.status !== 'delivered') {
-        order.status = orderStatus;
-        if (orderStatus === 'shipped') {
-          order.trackingInfo = {
-            courierName: shipment.courierName || courierName,
-            trackingNumber: shipment.awbCode || awb,
-            shippedAt: order.trackingInfo?.shippedAt || new Date(),
-            estimatedDelivery: shipment.estimatedDelivery || null
-          };
-        }
-        if (orderStatus === 'delivered') {
-          order.deliveredAt = new Date();
-        }
-        if (!order.statusHistory) order.statusHistory = [];
-        order.statusHistory.push({ status: orderStatus, timestamp: new Date(), changedByRole: 'system', note: `Shiprocket webhook (AWB: ${awb})` });
+    // Update order status from all of the order's packages (one order can ship as several)
+    const order = await Order.findById(shipment.orderId);
+    if (order) {
+      const shipments = await Shipment.find({ orderId: order._id });
+      const orderStatus = applyDerivedStatus(order, shipments, { note: `Shiprocket webhook (AWB: ${awb})` });
+      if (orderStatus) {
         await order.save();
 
         // Notify customer about delivery status
-        if (orderStatus === 'delivered') {
-          createNotification({
-            userId: order.customerId.toString(), userRole: 'customer',
-            type: 'order_delivered', title: `Order #${order.orderNumber} delivered`,
-            message: 'Your order has been delivered!',
-            link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
-          });
-        } else if (orderStatus === 'shipped') {
+        const notification = ORDER_STATUS_NOTIFICATIONS[orderStatus];
+        if (notification && order.customerId) {
           createNotification({
             userId: order.customerId.toString(), userRole: 'customer',
-            type: 'order_shipped', title: `Order #${order.orderNumber} shipped`,
-            message: `Your order is on the way (AWB: ${awb})`,
+            type: notification.type, title: `Order #${order.orderNumber} ${notification.title}`,
+            message: notification.message(awb),
             link: `/orders/${order._id}`, metadata: { orderId: order._id.toString() }
           });
         }
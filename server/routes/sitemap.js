@@ -1,6 +1,8 @@
 const express = require('express');
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
+const { publishedCondition } = require('../utils/pricing');
+const { approvedCondition } = require('../utils/moderation');
 const router = express.Router();
 
 /**
@@ -39,7 +41,7 @@ router.get('/sitemap.xml', async (req, res) => {
     ];
 
     // Dynamic product pages
-    const products = await Product.find({ isActive: true, stock: { $gt: 0 } })
+    const products = await Product.find({ isActive: true, stock: { $gt: 0 }, publishAt: publishedCondition(), moderationStatus: approvedCondition() })
       .select('slug updatedAt')
       .lean();
 
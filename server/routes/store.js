@@ -6,6 +6,10 @@ const Review = require('../models/Review');
 const Order = require('../models/Order');
 const PlatformSettings = require('../models/PlatformSettings');
 const { cacheMiddleware } = require('../middleware/cache');
+const { publishedCondition, withSalePricing } = require('../utils/pricing');
+const { approvedCondition } = require('../utils/moderation');
+const { handlingDays } = require('../utils/deliveryDate');
+const { vacationNotice, isHiddenForVacation } = require('../utils/vacation');
 const logger = require('../utils/logger');
 const router = express.Router();
 
@@ -52,7 +56,7 @@ router.get('/featured/top-sellers', cacheMiddleware(300), async (req, res) => {
     // Batch product counts in a single aggregation instead of N queries
     const sellerIds = sellers.map(s => s._id);
     const counts = await Product.aggregate([
-      { $match: { sellerId: { $in: sellerIds }, isActive: true } },
+      { $match: { sellerId: { $in: sellerIds }, isActive: true, publishAt: publishedCondition(), moderationStatus: approvedCondition() } },
       { $group: { _id: '$sellerId', count: { $sum: 1 } } }
     ]);
     const countMap = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
@@ -108,7 +112,7 @@ router.get('/sellers', cacheMiddleware(120), async (req, res) => {
     // Batch product counts in a single aggregation instead of N queries
     const sellerIds = sellers.map(s => s._id);
     const counts = await Product.aggregate([
-      { $match: { sellerId: { $in: sellerIds }, isActive: true } },
+      { $match: { sellerId: { $in: sellerIds }, isActive: true, publishAt: publishedCondition(), moderationStatus: approvedCondition() } },
       { $group: { _id: '$sellerId', count: { $sum: 1 } } }
     ]);
     const countMap = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
@@ -144,7 +148,7 @@ router.get('/:slug', cacheMiddleware(120), async (req, res) => {
     if (!seller) return res.status(404).json({ message: 'Store not found' });
 
     // Get product count
-    const productCount = await Product.countDocuments({ sellerId: seller._id, isActive: true });
+    const productCount = await Product.countDocuments({ sellerId: seller._id, isActive: true, publishAt: publishedCondition(), moderationStatus: approvedCondition() });
 
     // Get order stats
     const sp = seller.sellerProfile || {};
@@ -173,6 +177,8 @@ router.get('/:slug', cacheMiddleware(120), async (req, res) => {
         deliveredOrders,
         failedOrders,
         productCount,
+        handlingDays: handlingDays(seller),
+        away: vacationNotice(seller),
         joinedAt: seller.createdAt
       }
     });
@@ -188,17 +194,21 @@ router.get('/:slug/products', cacheMiddleware(60), async (req, res) => {
     const { page = 1, limit = 24 } = req.query;
     const seller = await Seller.findOne(sellerQuery(req.params.slug, false));
     if (!seller) return res.status(404).json({ message: 'Store not found' });
+    // Listings are hidden while the seller is away in 'hide' mode; the store page says when they're back
+    if (isHiddenForVacation(seller)) return res.json({ products: [], total: 0, page: parseInt(page), pages: 0 });
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const products = await Product.find({ sellerId: seller._id, isActive: true })
+    const filter = { sellerId: seller._id, isActive: true, publishAt: publishedCondition(), moderationStatus: approvedCondition() };
+    const products = await Product.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select('title slug images media price comparePrice averageRating reviewCount stock category createdAt');
+      .select('title slug images media price comparePrice salePrice saleStartsAt saleEndsAt variants.price variants.comparePrice variants.salePrice variants.isActive averageRating reviewCount stock category createdAt')
+      .lean();
 
-    const total = await Product.countDocuments({ sellerId: seller._id, isActive: true });
+    const total = await Product.countDocuments(filter);
 
-    res.json({ products, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) });
+    res.json({ products: products.map(p => withSalePricing(p)), total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) });
   } catch (err) {
     logger.error('[Store] Store products error:', err.message);
     res.status(500).json({ message: 'Server error' });
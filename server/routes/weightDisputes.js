@@ -7,6 +7,7 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { requireAuth, requireSeller } = require('../middleware/auth');
 const { getWeightDiscrepancy } = require('../utils/weightReconciliation');
 const logger = require('../utils/logger');
@@ -14,10 +15,12 @@ const router = express.Router();
 
 router.use(requireAuth, requireSeller);
 
-// GET /api/seller/weight-disputes/:orderId
+// GET /api/seller/weight-disputes/:orderId?shipmentId= (defaults to the order's latest package)
 router.get('/:orderId', async (req, res) => {
   try {
-    const result = await getWeightDiscrepancy(req.params.orderId, req.user._id);
+    const { shipmentId } = req.query;
+    if (shipmentId && !mongoose.isValidObjectId(shipmentId)) return res.status(400).json({ message: 'Invalid shipment ID' });
+    const result = await getWeightDiscrepancy(req.params.orderId, req.user._id, shipmentId);
     res.json(result);
   } catch (err) {
     logger.error('[WeightDispute] Error:', err.message);
@@ -21,7 +21,7 @@ router.get('/', async (req, res) => {
       .sort({ createdAt: -1 })
       .populate({
         path: 'productId',
-        select: 'title slug price images averageRating reviewCount stock sellerId isActive',
+        select: 'title slug price images averageRating reviewCount stock sellerId isActive variants._id',
         populate: { path: 'sellerId', select: 'sellerProfile.businessName sellerProfile.businessSlug sellerProfile.avatar' }
       });
     // Filter out deleted/inactive products
@@ -91,6 +91,7 @@ const state = {
   couponId: null,
   inquiryId: null,
   corpQuoteId: null, corpCatalogId: null,
+  earlyPayoutSettings: null,
 };
 
 // =====================================================================
@@ -840,11 +841,112 @@ async function testCorporateFlow() {
 }
 
 // =====================================================================
-// 18) ADMIN CRON
+// 18) PAYOUTS + LEDGER
+// =====================================================================
+async function testPayoutsLedger() {
+  if (!shouldRun('payouts')) return;
+  sec('18) Payouts + Ledger');
+
+  if (!state.adminToken || !state.sellerToken || !state.sellerId || !state.orderIds[0]) {
+    skp('Payouts/ledger', 'Missing state'); return;
+  }
+
+  const round2 = n => Math.round(n * 100) / 100;
+  // Each entry's balance is the one before it plus its amount
+  const runningBalanceHolds = (statement) => {
+    let running = statement.openingBalance || 0;
+    return statement.entries.every(e => (running = round2(running + e.amount)) === e.balance);
+  };
+
+  // Seller ledger -- reading it posts the delivered order 1
+  let r = await api(`${SELLER}/api/seller/ledger?limit=100`, { headers: auth(state.sellerToken) });
+  ok(r.ok, 'Seller GET /ledger', `${r.status} ${r.data.message || ''}`);
+  const sale = r.data.entries?.find(e => e.type === 'sale' && e.orderId === state.orderIds[0]);
+  ok(sale?.amount === 1000, 'Delivered order 1 posted as a Rs.1000 sale', `${sale?.amount}`);
+  ok(r.data.entries?.some(e => e.type === 'commission' && e.amount === -50), 'Commission debited');
+  ok(r.ok && runningBalanceHolds(r.data), 'Running balance adds up entry by entry');
+  ok(r.data.entries?.at(-1)?.balance === r.data.balance, 'Last running balance equals the balance', `${r.data.entries?.at(-1)?.balance} vs ${r.data.balance}`);
+  const balanceBefore = r.data.balance;
+
+  // Admin ledger adjustment
+  r = await api(`${MAIN}/api/admin/sellers/${state.sellerId}/ledger/adjustments`, {
+    method: 'POST', headers: auth(state.adminToken),
+    body: { amount: 200, reason: 'not-a-reason', description: 'Test credit' }
+  });
+  ok(r.status === 400, 'Adjustment with unknown reason rejected (400)', `${r.status}`);
+
+  r = await api(`${MAIN}/api/admin/sellers/${state.sellerId}/ledger/adjustments`, {
+    method: 'POST', headers: auth(state.adminToken),
+    body: { amount: 200, reason: 'goodwill', description: `Test goodwill credit ${TS}` }
+  });
+  ok(r.status === 201, 'Admin POST ledger adjustment', `${r.status} ${r.data.message}`);
+  ok(r.data.entry?.type === 'adjustment' && r.data.entry?.amount === 200, 'Adjustment entry is a Rs.200 credit');
+
+  r = await api(`${SELLER}/api/seller/ledger?limit=100`, { headers: auth(state.sellerToken) });
+  ok(r.data.balance === round2(balanceBefore + 200), 'Balance up by the adjustment', `${balanceBefore} -> ${r.data.balance}`);
+  ok(r.ok && runningBalanceHolds(r.data), 'Running balance still adds up');
+
+  // Early payout: the seller needs bank details and a calculated health score
+  await db();
+  const Seller = M('Seller');
+  const SellerLedgerEntry = M('SellerLedgerEntry');
+  await Seller.updateOne({ _id: state.sellerId }, {
+    status: 'active',
+    'sellerProfile.bankDetails': { accountHolderName: 'Test Seller', accountNumber: '000111222333', ifscCode: 'TEST0000001', bankName: 'Test Bank' },
+    'sellerProfile.metrics.healthScore': 100,
+    'sellerProfile.metrics.lastCalculatedAt': new Date()
+  });
+
+  r = await api(`${MAIN}/api/admin/settings`, { headers: auth(state.adminToken) });
+  state.earlyPayoutSettings = r.data.settings?.earlyPayout || null;
+  r = await api(`${MAIN}/api/admin/settings`, {
+    method: 'PUT', headers: auth(state.adminToken),
+    body: { earlyPayout: { enabled: true, feePercent: 0, minimumAmount: 0, minHealthScore: 0 } }
+  });
+  ok(r.ok, 'Enable early payouts');
+
+  // Order 1 is inside its return window, so only the adjustment is paid early
+  r = await api(`${SELLER}/api/seller/payouts/early-quote`, { headers: auth(state.sellerToken) });
+  if (!r.data.eligible) {
+    // The seller server keeps platform settings cached for a few minutes
+    skp('Early payout request', r.data.reason || `${r.status}`);
+  } else {
+    r = await api(`${SELLER}/api/seller/payouts/request-early`, { method: 'POST', headers: auth(state.sellerToken) });
+    ok(r.status === 201, 'Seller POST /payouts/request-early', `${r.status} ${r.data.message}`);
+    ok(r.data.payout?.type === 'early', 'Payout is an early payout');
+
+    r = await api(`${SELLER}/api/seller/payouts/request-early`, { method: 'POST', headers: auth(state.sellerToken) });
+    ok(r.status === 409, 'Second early payout in the period rejected (409)', `${r.status} ${r.data.message}`);
+  }
+
+  // Scheduled payouts (settles every seller with unsettled entries, like the admin's run)
+  const periodStart = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  r = await api(`${MAIN}/api/admin/payouts/calculate`, {
+    method: 'POST', headers: auth(state.adminToken),
+    body: { periodStart: periodStart.toISOString(), periodEnd: new Date().toISOString(), periodLabel: `Test ${TS}` }
+  });
+  ok(r.ok, 'Admin POST /payouts/calculate', `${r.status} ${r.data.message}`);
+  const payout = r.data.payouts?.find(p => p.sellerId === state.sellerId);
+  ok(!!payout, 'Payout calculated for test seller');
+  if (payout) {
+    ok(payout.orderIds?.includes(state.orderIds[0]), 'Payout includes delivered order 1');
+    const settled = await SellerLedgerEntry.find({ payoutId: payout._id, type: { $ne: 'payout' } }).lean();
+    const settledTotal = round2(settled.reduce((sum, e) => sum + e.amount, 0));
+    ok(payout.netPayout === settledTotal, 'netPayout equals the sum of its settled entries', `${payout.netPayout} vs ${settledTotal}`);
+  }
+
+  // Every payout entry cancels out what it settled
+  r = await api(`${SELLER}/api/seller/ledger?limit=100`, { headers: auth(state.sellerToken) });
+  ok(r.ok && runningBalanceHolds(r.data), 'Running balance adds up after payouts');
+  ok(r.data.unsettled?.netPayout === 0, 'Nothing left unsettled', `${r.data.unsettled?.netPayout}`);
+}
+
+// =====================================================================
+// 19) ADMIN CRON
 // =====================================================================
 async function testAdminCron() {
   if (!shouldRun('cron')) return;
-  sec('18) Admin Cron');
+  sec('19) Admin Cron');
 
   if (!state.adminToken) { skp('Cron', 'No admin token'); return; }
 
@@ -855,11 +957,11 @@ async function testAdminCron() {
 }
 
 // =====================================================================
-// 19) LOG VERIFICATION
+// 20) LOG VERIFICATION
 // =====================================================================
 async function testLogVerification() {
   if (!shouldRun('logs')) return;
-  sec('19) Log Verification');
+  sec('20) Log Verification');
 
   await db();
   const ActivityLog = M('ActivityLog');
@@ -887,10 +989,10 @@ async function testLogVerification() {
 }
 
 // =====================================================================
-// 20) CLEANUP
+// 21) CLEANUP
 // =====================================================================
 async function cleanup() {
-  sec('20) Cleanup');
+  sec('21) Cleanup');
   await db();
 
   const Order = M('Order');
@@ -948,6 +1050,18 @@ async function cleanup() {
   // Delete test customer
   if (state.customerId) { await Customer.deleteOne({ _id: state.customerId }); cleaned.push('customer'); }
 
+  // Delete test ledger entries and payouts
+  if (state.sellerId) {
+    await M('SellerLedgerEntry').deleteMany({ sellerId: state.sellerId });
+    await M('SellerPayout').deleteMany({ sellerId: state.sellerId });
+  }
+
+  // Restore early payout settings
+  if (state.earlyPayoutSettings && state.adminToken) {
+    await api(`${MAIN}/api/admin/settings`, { method: 'PUT', headers: auth(state.adminToken), body: { earlyPayout: state.earlyPayoutSettings } });
+    cleaned.push('early payout settings');
+  }
+
   // Delete test seller
   if (state.sellerId) { await Seller.deleteOne({ _id: state.sellerId }); cleaned.push('seller'); }
 
@@ -995,6 +1109,7 @@ async function main() {
     await testSellerCommissionSuspension();
     await testB2BInquiry();
     await testCorporateFlow();
+    await testPayoutsLedger();
     await testAdminCron();
     await testLogVerification();
   } catch (err) {
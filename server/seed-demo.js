@@ -319,7 +319,8 @@ async function seedDemo() {
         const product = new Product({
           ...prodData,
           sellerId: seller._id,
-          slug: slugify(prodData.title)
+          slug: slugify(prodData.title),
+          moderationStatus: 'approved'
         });
         await product.save();
         totalProducts++;
@@ -25,17 +25,18 @@ const getCommissionRate = (seller, settings) => {
 /**
  * Calculate financial breakdown for an order.
  * @param {number} itemTotal - product price total (what seller earns from)
- * @param {number} paymentTotal - full amount charged to customer (itemTotal + customer-paid shipping)
+ * @param {number} paymentTotal - full amount charged to customer (itemTotal + gift wrap + customer-paid shipping)
  * @param {number} commissionRate - platform commission percentage
  * @param {number} gatewayFeeRate - payment gateway fee percentage
+ * @param {number} giftWrapCharge - gift wrap charged to the customer, earned by the seller
  */
-const calculateOrderFinancials = (itemTotal, paymentTotal, commissionRate, gatewayFeeRate) => {
+const calculateOrderFinancials = (itemTotal, paymentTotal, commissionRate, gatewayFeeRate, giftWrapCharge = 0) => {
   // Commission is on item total only
   const commissionAmount = Math.round((itemTotal * commissionRate) / 100);
-  // Gateway fee is on the full payment amount (what Cashfree actually charges)
-  const paymentGatewayFee = Math.round((itemTotal * gatewayFeeRate) / 100);
-  // Seller receives item total minus commission and gateway fee
-  const sellerAmount = itemTotal - commissionAmount - paymentGatewayFee;
+  // Gateway fee is on what the seller is paid for (items and gift wrap)
+  const paymentGatewayFee = Math.round(((itemTotal + giftWrapCharge) * gatewayFeeRate) / 100);
+  // Seller receives item total and gift wrap minus commission and gateway fee
+  const sellerAmount = itemTotal + giftWrapCharge - commissionAmount - paymentGatewayFee;
 
   return {
     commissionRate,
@@ -0,0 +1,57 @@
+/**
+ * Courier selection
+ *
+ * Normalises Shiprocket serviceability responses and applies the shipping
+ * budget: when the customer paid for shipping, only couriers within what they
+ * paid are offered. Bulk shipping picks one courier per package with a policy:
+ *   cheapest    lowest rate (ties: fastest)
+ *   fastest     fewest estimated days (ties: cheapest)
+ *   best_rated  highest Shiprocket rating (ties: cheapest)
+ */
+
+const COURIER_POLICIES = ['cheapest', 'fastest', 'best_rated'];
+
+/**
+ * Couriers from a serviceability response as [{ courierId, courierName, rate, estimatedDays, etd, rating }].
+ */
+function parseCouriers(result) {
+  const companies = result?.data?.available_courier_companies || result?.available_courier_companies || [];
+  return companies.map(c => ({
+    courierId: c.courier_company_id,
+    courierName: c.courier_name,
+    rate: c.rate,
+    estimatedDays: c.estimated_delivery_days,
+    etd: c.etd,
+    rating: c.rating
+  }));
+}
+
+/**
+ * The order's shipping budget (what the customer paid, or null when the seller pays)
+ * and the couriers that fit in it.
+ */
+function couriersWithinBudget(couriers, order) {
+  const shippingBudget = order.shippingPaidBy === 'customer' ? (order.shippingCost || 0) : null;
+  if (!shippingBudget || shippingBudget <= 0) return { couriers, shippingBudget };
+  return { couriers: couriers.filter(c => c.rate <= shippingBudget), shippingBudget };
+}
+
+const numberOr = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+/**
+ * Pick a courier by policy, or null when there are none.
+ */
+function selectCourier(couriers, policy = 'cheapest') {
+  const rate = c => numberOr(c.rate, Infinity);
+  const days = c => numberOr(c.estimatedDays, Infinity);
+  const rating = c => numberOr(c.rating, 0);
+  const compare = {
+    cheapest: (a, b) => rate(a) - rate(b) || days(a) - days(b),
+    fastest: (a, b) => days(a) - days(b) || rate(a) - rate(b),
+    best_rated: (a, b) => rating(b) - rating(a) || rate(a) - rate(b)
+  }[policy];
+  if (!compare || !couriers.length) return null;
+  return [...couriers].sort(compare)[0];
+}
+
+module.exports = { COURIER_POLICIES, parseCouriers, couriersWithinBudget, selectCourier };
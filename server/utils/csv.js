@@ -0,0 +1,78 @@
+/**
+ * RFC 4180 CSV helpers
+ *
+ * parseCsv handles quoted fields containing commas, doubled quotes ("") and
+ * line breaks, CRLF or LF record separators, and a leading UTF-8 BOM.
+ * toSafeCsvRow is for files meant for spreadsheets, not for re-import.
+ */
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Blank lines are skipped. Throws on an unterminated quoted field.
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let fieldStarted = false;
+
+  const endField = () => { record.push(field); field = ''; fieldStarted = false; };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines (a single empty field)
+    if (!(record.length === 1 && record[0] === '')) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && !fieldStarted) { inQuotes = true; fieldStarted = true; }
+    else if (ch === ',') endField();
+    else if (ch === '\r' && input[i + 1] === '\n') { endRecord(); i++; }
+    else if (ch === '\n' || ch === '\r') endRecord();
+    else { field += ch; fieldStarted = true; }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+/**
+ * Quote a single value if it contains a delimiter, quote or line break.
+ */
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize one record, terminated with CRLF as RFC 4180 specifies.
+ */
+function toCsvRow(values) {
+  return values.map(csvEscape).join(',') + '\r\n';
+}
+
+// Text a spreadsheet would evaluate as a formula
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+/**
+ * Like toCsvRow, but text starting with =, +, -, @, tab or CR gets a leading
+ * single quote so spreadsheets show it instead of running it (CSV injection).
+ * Numbers are written as they are. parseCsv does not strip the quote again.
+ */
+function toSafeCsvRow(values) {
+  return toCsvRow(values.map(v => (typeof v === 'string' && FORMULA_TRIGGER.test(v) ? `'${v}` : v)));
+}
+
+module.exports = { parseCsv, csvEscape, toCsvRow, toSafeCsvRow };
@@ -0,0 +1,260 @@
+/**
+ * Product customization options
+ *
+ * Sellers attach customizationOptions to a product; customers fill them in at
+ * add-to-cart and POST /api/orders validates them again here. Option types:
+ *   text         free text up to maxLength
+ *   image        up to maxFiles uploaded image URLs
+ *   select       one of selectOptions
+ *   multi_select minSelections..maxSelections of selectOptions (sent as `values`)
+ *   font         one of selectOptions (font family names)
+ *   color        one of swatches [{ name, hex }], sent by swatch name
+ *   number       between minValue and maxValue, in multiples of step from minValue
+ *   date         YYYY-MM-DD between minDate and maxDate
+ *
+ * extraPrice is charged once per unit when the option is filled in.
+ */
+
+const { parseJsonField } = require('./variants');
+
+const CUSTOMIZATION_TYPES = ['text', 'image', 'select', 'multi_select', 'font', 'color', 'number', 'date'];
+const CHOICE_TYPES = ['select', 'multi_select', 'font'];
+const MAX_OPTIONS = 20;
+const MAX_CHOICES = 50;
+const MAX_EXTRA_PRICE = 100000;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+const clean = (v, maxLen = 100) => String(v ?? '').trim().substring(0, maxLen);
+
+// Real calendar dates only (rejects 2025-02-30)
+function isValidDate(value) {
+  if (!DATE_RE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// '' / null / undefined -> null, otherwise a number (NaN when invalid)
+const optionalNumber = v => (v === undefined || v === null || v === '' ? null : Number(v));
+
+/**
+ * Validate and normalize seller-supplied customization options.
+ * Returns { options } or { error } with a seller-facing message.
+ */
+function normalizeCustomizationOptions(raw) {
+  const input = parseJsonField(raw, []);
+  if (!Array.isArray(input)) return { error: 'Invalid customization options' };
+  if (input.length > MAX_OPTIONS) return { error: `At most ${MAX_OPTIONS} customization options are allowed` };
+
+  const options = [];
+  for (const opt of input) {
+    const label = clean(opt?.label, 60);
+    if (!label) return { error: 'All customization options must have a label' };
+    if (options.some(o => o.label.toLowerCase() === label.toLowerCase())) {
+      return { error: `Duplicate customization option "${label}"` };
+    }
+    const type = opt.type || 'text';
+    if (!CUSTOMIZATION_TYPES.includes(type)) return { error: `"${label}": unknown option type "${type}"` };
+
+    const extraPrice = Number(opt.extraPrice || 0);
+    if (!Number.isFinite(extraPrice) || extraPrice < 0 || extraPrice > MAX_EXTRA_PRICE) {
+      return { error: `"${label}": invalid extra price` };
+    }
+
+    const entry = {
+      label,
+      type,
+      required: opt.required === true || opt.required === 'true',
+      placeholder: clean(opt.placeholder),
+      extraPrice
+    };
+
+    if (type === 'text') {
+      const maxLength = Number(opt.maxLength || 100);
+      if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > 1000) return { error: `"${label}": max length must be 1-1000` };
+      entry.maxLength = maxLength;
+    }
+
+    if (type === 'image') {
+      const maxFiles = Number(opt.maxFiles || 5);
+      if (!Number.isInteger(maxFiles) || maxFiles < 1 || maxFiles > 10) return { error: `"${label}": max files must be 1-10` };
+      entry.maxFiles = maxFiles;
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+      const choices = [...new Set((Array.isArray(opt.selectOptions) ? opt.selectOptions : []).map(c => clean(c, 60)).filter(Boolean))];
+      if (choices.length === 0) return { error: `"${label}": add at least one choice` };
+      if (choices.length > MAX_CHOICES) return { error: `"${label}": at most ${MAX_CHOICES} choices are allowed` };
+      entry.selectOptions = choices;
+    }
+
+    if (type === 'multi_select') {
+      const minSelections = Number(opt.minSelections || 0);
+      const maxSelections = optionalNumber(opt.maxSelections);
+      if (!Number.isInteger(minSelections) || minSelections < 0) return { error: `"${label}": invalid minimum selections` };
+      if (maxSelections !== null && (!Number.isInteger(maxSelections) || maxSelections < 1)) {
+        return { error: `"${label}": invalid maximum selections` };
+      }
+      if (minSelections > (maxSelections ?? entry.selectOptions.length)) {
+        return { error: `"${label}": minimum selections exceed the choices allowed` };
+      }
+      entry.minSelections = minSelections;
+      entry.maxSelections = maxSelections;
+    }
+
+    if (type === 'color') {
+      const swatches = [];
+      for (const s of Array.isArray(opt.swatches) ? opt.swatches : []) {
+        const name = clean(s?.name, 40);
+        const hex = clean(s?.hex, 7);
+        if (!name || !HEX_RE.test(hex)) return { error: `"${label}": each swatch needs a name and a hex colour like #A1B2C3` };
+        if (swatches.some(sw => sw.name.toLowerCase() === name.toLowerCase())) return { error: `"${label}": duplicate swatch "${name}"` };
+        swatches.push({ name, hex: hex.toUpperCase() });
+      }
+      if (swatches.length === 0) return { error: `"${label}": add at least one swatch` };
+      if (swatches.length > MAX_CHOICES) return { error: `"${label}": at most ${MAX_CHOICES} swatches are allowed` };
+      entry.swatches = swatches;
+    }
+
+    if (type === 'number') {
+      const minValue = optionalNumber(opt.minValue);
+      const maxValue = optionalNumber(opt.maxValue);
+      const step = optionalNumber(opt.step);
+      if ([minValue, maxValue, step].some(n => n !== null && !Number.isFinite(n))) return { error: `"${label}": invalid number range` };
+      if (minValue !== null && maxValue !== null && minValue > maxValue) return { error: `"${label}": minimum is above maximum` };
+      if (step !== null && step <= 0) return { error: `"${label}": step must be positive` };
+      Object.assign(entry, { minValue, maxValue, step });
+    }
+
+    if (type === 'date') {
+      const minDate = clean(opt.minDate, 10);
+      const maxDate = clean(opt.maxDate, 10);
+      if ((minDate && !isValidDate(minDate)) || (maxDate && !isValidDate(maxDate))) {
+        return { error: `"${label}": dates must be YYYY-MM-DD` };
+      }
+      if (minDate && maxDate && minDate > maxDate) return { error: `"${label}": earliest date is after latest date` };
+      Object.assign(entry, { minDate, maxDate });
+    }
+
+    options.push(entry);
+  }
+  return { options };
+}
+
+// Is the customer's entry for an option filled in at all?
+function hasValue(opt, entry) {
+  if (!entry) return false;
+  if (opt.type === 'image') return Array.isArray(entry.imageUrls) && entry.imageUrls.length > 0;
+  if (opt.type === 'multi_select') return Array.isArray(entry.values) && entry.values.length > 0;
+  return entry.value !== undefined && entry.value !== null && String(entry.value).trim() !== '';
+}
+
+/**
+ * Validate one order line's customizations against the product's options.
+ * Returns { customizations, extraPrice } (extraPrice per unit) or { error } with
+ * a customer-facing message. Entries for unknown labels are dropped.
+ */
+function resolveCustomizations(product, submitted) {
+  const options = product.isCustomizable ? (product.customizationOptions || []) : [];
+  const input = Array.isArray(submitted) ? submitted : [];
+  const customizations = [];
+  let extraPrice = 0;
+
+  for (const opt of options) {
+    const entry = input.find(c => c?.label === opt.label);
+    if (!hasValue(opt, entry)) {
+      if (opt.required) {
+        return { error: opt.type === 'image'
+          ? `Please upload images for "${opt.label}" on ${product.title}`
+          : `Please fill in "${opt.label}" for ${product.title}` };
+      }
+      continue;
+    }
+
+    const record = { label: opt.label, type: opt.type, value: '', values: [], imageUrls: [], colorHex: '', extraPrice: opt.extraPrice || 0 };
+    const value = String(entry.value ?? '').trim();
+
+    switch (opt.type) {
+      case 'image': {
+        const urls = entry.imageUrls.filter(u => typeof u === 'string' && /^https?:\/\//i.test(u));
+        if (urls.length !== entry.imageUrls.length) return { error: `Invalid image for "${opt.label}"` };
+        if (opt.maxFiles && urls.length > opt.maxFiles) return { error: `Maximum ${opt.maxFiles} images allowed for "${opt.label}"` };
+        record.imageUrls = urls;
+        break;
+      }
+      case 'select':
+      case 'font':
+        if (!(opt.selectOptions || []).includes(value)) return { error: `Choose a valid option for "${opt.label}"` };
+        record.value = value;
+        break;
+      case 'multi_select': {
+        const values = [...new Set(entry.values.map(v => String(v ?? '').trim()))];
+        if (values.some(v => !(opt.selectOptions || []).includes(v))) return { error: `Choose valid options for "${opt.label}"` };
+        if (opt.minSelections && values.length < opt.minSelections) {
+          return { error: `Choose at least ${opt.minSelections} options for "${opt.label}"` };
+        }
+        if (opt.maxSelections && values.length > opt.maxSelections) {
+          return { error: `Choose at most ${opt.maxSelections} options for "${opt.label}"` };
+        }
+        record.values = values;
+        record.value = values.join(', ');
+        break;
+      }
+      case 'color': {
+        const swatch = (opt.swatches || []).find(s => s.name === value);
+        if (!swatch) return { error: `Choose a valid colour for "${opt.label}"` };
+        record.value = swatch.name;
+        record.colorHex = swatch.hex;
+        break;
+      }
+      case 'number': {
+        const n = Number(value);
+        if (!Number.isFinite(n)) return { error: `"${opt.label}" must be a number` };
+        if (opt.minValue !== null && opt.minValue !== undefined && n < opt.minValue) {
+          return { error: `"${opt.label}" must be at least ${opt.minValue}` };
+        }
+        if (opt.maxValue !== null && opt.maxValue !== undefined && n > opt.maxValue) {
+          return { error: `"${opt.label}" must be at most ${opt.maxValue}` };
+        }
+        if (opt.step) {
+          const steps = (n - (opt.minValue || 0)) / opt.step;
+          if (Math.abs(steps - Math.round(steps)) > 1e-9) return { error: `"${opt.label}" must be in steps of ${opt.step}` };
+        }
+        record.value = String(n);
+        break;
+      }
+      case 'date':
+        if (!isValidDate(value)) return { error: `"${opt.label}" must be a valid date` };
+        if (opt.minDate && value < opt.minDate) return { error: `"${opt.label}" must be on or after ${opt.minDate}` };
+        if (opt.maxDate && value > opt.maxDate) return { error: `"${opt.label}" must be on or before ${opt.maxDate}` };
+        record.value = value;
+        break;
+      default: // text
+        if (opt.maxLength && value.length > opt.maxLength) {
+          return { error: `"${opt.label}" exceeds maximum length of ${opt.maxLength} characters` };
+        }
+        record.value = value;
+    }
+
+    customizations.push(record);
+    extraPrice += record.extraPrice;
+  }
+
+  return { customizations, extraPrice };
+}
+
+/**
+ * One-line display text for a stored order customization.
+ */
+function customizationText(c) {
+  if (c.imageUrls?.length && !c.value) return `${c.imageUrls.length} image(s)`;
+  return c.colorHex ? `${c.value} (${c.colorHex})` : (c.value || '');
+}
+
+module.exports = {
+  CUSTOMIZATION_TYPES,
+  normalizeCustomizationOptions,
+  resolveCustomizations,
+  customizationText
+};
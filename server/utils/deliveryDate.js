@@ -0,0 +1,159 @@
+/**
+ * Scheduled delivery ("deliver on occasion") and shipping deadlines
+ *
+ * Customers can pick a preferred delivery date at checkout for birthdays and
+ * anniversaries. Such an order isn't due to ship until there's just enough time
+ * left for it to arrive:
+ *   shipDueAt = preferred date - transit days - the seller's handling days
+ * and never before the order was placed. Orders without a date are due at once.
+ * Either way, an order whose shipping window runs into the seller's vacation is
+ * due on the day they're back (see utils/vacation), including orders that were
+ * already open when the vacation was set.
+ *
+ * Each seller sets their handling time (sellerProfile.handlingDays): how long they
+ * have to ship once an order is due. The order's ship-by deadline is
+ *   shipBy = shipDueAt + handling days
+ * and the seller-health cron counts late shipments and auto-cancel from it.
+ *
+ * Dates are calendar days (YYYY-MM-DD), stored as UTC midnight.
+ */
+
+const { sellerAway } = require('./vacation');
+
+const SHIP_DEADLINE_HOURS = 48;  // Shipping window for orders from before handling times (no shipBy)
+const DEFAULT_HANDLING_DAYS = 2;
+const MAX_HANDLING_DAYS = 10;
+const DEFAULT_TRANSIT_DAYS = 5;  // When the courier estimate is missing
+const MAX_TRANSIT_DAYS = 15;
+const MAX_SCHEDULE_DAYS = 60;    // How far ahead a delivery can be scheduled
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const startOfUtcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+const toDay = (date) => date.toISOString().split('T')[0];
+
+/** Courier estimate in whole days, falling back to DEFAULT_TRANSIT_DAYS */
+function transitDays(estimatedDays) {
+  const days = Math.ceil(Number(estimatedDays));
+  return Number.isFinite(days) && days > 0 ? Math.min(days, MAX_TRANSIT_DAYS) : DEFAULT_TRANSIT_DAYS;
+}
+
+/** The seller's handling time in whole days */
+function handlingDays(seller) {
+  const days = Number(seller?.sellerProfile?.handlingDays);
+  return Number.isInteger(days) && days >= 1 ? Math.min(days, MAX_HANDLING_DAYS) : DEFAULT_HANDLING_DAYS;
+}
+
+/** Scheduling options (handling, away) for the functions below from the seller's settings */
+const sellerShippingOptions = (seller, now = new Date()) => ({ handling: handlingDays(seller), away: sellerAway(seller, now) });
+
+/**
+ * Validate a handling time from a settings update in place.
+ * Returns an error message or null.
+ */
+function parseHandlingDays(data) {
+  if (data.handlingDays === undefined) return null;
+  data.handlingDays = Number(data.handlingDays);
+  if (!Number.isInteger(data.handlingDays) || data.handlingDays < 1 || data.handlingDays > MAX_HANDLING_DAYS) {
+    return `Handling time must be a whole number of days between 1 and ${MAX_HANDLING_DAYS}`;
+  }
+  return null;
+}
+
+/**
+ * When an order becomes due to ship: right away, or late enough before the
+ * preferred delivery date to arrive on time, and after the seller's vacation
+ * when the shipping window would run into it.
+ * Options: handling (days, default DEFAULT_HANDLING_DAYS) and away (sellerAway() from utils/vacation).
+ */
+function shipDueDate(placedAt, preferredDeliveryDate, estimatedDays, { handling = DEFAULT_HANDLING_DAYS, away = null } = {}) {
+  let due = new Date(placedAt).getTime();
+  if (preferredDeliveryDate) {
+    due = Math.max(due, new Date(preferredDeliveryDate).getTime() - (transitDays(estimatedDays) + handling) * DAY_MS);
+  }
+  if (away && due < away.until.getTime() && due + handling * DAY_MS > away.from.getTime()) {
+    due = away.until.getTime();
+  }
+  return new Date(due);
+}
+
+/**
+ * Earliest day a delivery can be scheduled for: handling time plus transit,
+ * counted from the day after the order would become due. Returns a YYYY-MM-DD string.
+ */
+function earliestDeliveryDate(estimatedDays, now = new Date(), options = {}) {
+  const due = shipDueDate(now, null, estimatedDays, options);
+  const days = 1 + (options.handling || DEFAULT_HANDLING_DAYS) + transitDays(estimatedDays);
+  return toDay(new Date(startOfUtcDay(due) + days * DAY_MS));
+}
+
+/**
+ * Validate a preferred delivery date from a request.
+ * Returns { date } (null when none was picked) or { error }.
+ */
+function parsePreferredDeliveryDate(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return { date: null };
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return { error: 'Preferred delivery date must be in YYYY-MM-DD format' };
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || toDay(date) !== value) return { error: 'Preferred delivery date is not a valid date' };
+  if (date.getTime() > startOfUtcDay(now) + MAX_SCHEDULE_DAYS * DAY_MS) {
+    return { error: `Delivery can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+  return { date };
+}
+
+/**
+ * Whether `date` leaves the seller enough time to ship and deliver. Returns an error message or null.
+ */
+function deliveryDateError(date, estimatedDays, now = new Date(), options = {}) {
+  if (!date) return null;
+  const earliest = earliestDeliveryDate(estimatedDays, now, options);
+  if (toDay(date) < earliest) return `The earliest delivery date we can schedule is ${earliest}`;
+  // A date that would need the seller to ship while they're away can't be met either
+  const due = shipDueDate(now, date, estimatedDays, options);
+  const daysNeeded = (options.handling || DEFAULT_HANDLING_DAYS) + transitDays(estimatedDays);
+  if (due.getTime() + daysNeeded * DAY_MS > new Date(date).getTime()) {
+    return `The seller is away until ${toDay(options.away.until)}; the earliest delivery date after that is ${toDay(new Date(startOfUtcDay(due) + (1 + daysNeeded) * DAY_MS))}`;
+  }
+  return null;
+}
+
+/** Ship-by deadline for an order that became due at shipDueAt */
+const shipByDate = (shipDueAt, handling = DEFAULT_HANDLING_DAYS) => new Date(new Date(shipDueAt).getTime() + handling * DAY_MS);
+
+/** Start of an order's shipping clock (orders from before scheduling have no shipDueAt) */
+const shipClockStart = (order) => order.shipDueAt || order.createdAt;
+
+/** An order's ship-by deadline (orders from before handling times get SHIP_DEADLINE_HOURS) */
+const shipDeadline = (order) => order.shipBy || new Date(new Date(shipClockStart(order)).getTime() + SHIP_DEADLINE_HOURS * 60 * 60 * 1000);
+
+/**
+ * New { shipDueAt, shipBy } for an order that was already open when the seller
+ * set a vacation, due on the return day like new orders (see shipDueDate), or
+ * null when its shipping window doesn't run into the vacation.
+ */
+function deferredShipDates(order, { handling = DEFAULT_HANDLING_DAYS, away = null } = {}) {
+  if (!away) return null;
+  if (new Date(shipClockStart(order)) >= away.until || shipDeadline(order) <= away.from) return null;
+  return { shipDueAt: away.until, shipBy: shipByDate(away.until, handling) };
+}
+
+module.exports = {
+  SHIP_DEADLINE_HOURS,
+  DEFAULT_HANDLING_DAYS,
+  MAX_HANDLING_DAYS,
+  MAX_SCHEDULE_DAYS,
+  transitDays,
+  handlingDays,
+  sellerShippingOptions,
+  parseHandlingDays,
+  earliestDeliveryDate,
+  parsePreferredDeliveryDate,
+  deliveryDateError,
+  shipDueDate,
+  shipByDate,
+  shipClockStart,
+  shipDeadline,
+  deferredShipDates
+};
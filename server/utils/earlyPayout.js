@@ -0,0 +1,144 @@
+/**
+ * Early payouts
+ *
+ * Sellers can ask to be paid ahead of the payout schedule
+ * (POST /api/seller/payouts/request-early). An early payout settles the same
+ * unsettled ledger balance a scheduled one would (see utils/ledger), except for
+ * orders still inside the return window, which wait for a later payout. The
+ * platform can charge a fee on the amount paid early. Settings live in
+ * PlatformSettings.earlyPayout; guardrails:
+ *   - the seller is active, has bank details and a health score of at least minHealthScore
+ *   - one early payout per payout period (the time between scheduled payout days)
+ *   - the amount paid is at least minimumAmount
+ * The payout is created pending, in the admin payouts queue like any other.
+ */
+
+const SellerPayout = require('../models/SellerPayout');
+const { postDeliveredOrders, releaseDueReserves, quoteLedgerPayout } = require('./ledger');
+const { matchReserveRule } = require('./reservePolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// bounds: [min, max]
+const EARLY_PAYOUT_FIELDS = {
+  feePercent: { label: 'Early payout fee', bounds: [0, 20] },
+  minimumAmount: { label: 'Early payout minimum amount', bounds: [0, 1000000] },
+  minHealthScore: { label: 'Early payout minimum health score', bounds: [0, 100] }
+};
+
+const DEFAULT_EARLY_PAYOUT = { enabled: false, feePercent: 0, minimumAmount: 500, minHealthScore: 70 };
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc) || {};
+
+/** The platform's early payout settings with defaults for anything unset */
+function earlyPayoutSettings(settings) {
+  const stored = plain(settings?.earlyPayout);
+  return Object.fromEntries(Object.keys(DEFAULT_EARLY_PAYOUT).map(k => [k, stored[k] ?? DEFAULT_EARLY_PAYOUT[k]]));
+}
+
+/**
+ * Validate (possibly partial) settings from a request, on top of `base`.
+ * Returns { earlyPayout } or { error }.
+ */
+function parseEarlyPayoutSettings(input, base = DEFAULT_EARLY_PAYOUT) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'earlyPayout must be an object' };
+  const earlyPayout = { ...DEFAULT_EARLY_PAYOUT, ...plain(base) };
+  for (const [key, { label, bounds: [min, max] }] of Object.entries(EARLY_PAYOUT_FIELDS)) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < min || value > max) return { error: `${label} must be between ${min} and ${max}` };
+    earlyPayout[key] = value;
+  }
+  if (input.enabled !== undefined) earlyPayout.enabled = input.enabled === true;
+  return { earlyPayout: Object.fromEntries(Object.keys(DEFAULT_EARLY_PAYOUT).map(k => [k, earlyPayout[k]])) };
+}
+
+/**
+ * The payout period `now` falls in: from the last scheduled payout day (start)
+ * to the next one (next). Weekly payouts run on Mondays, biweekly on the 1st
+ * and 15th, monthly on the 1st.
+ */
+function payoutPeriod(schedule, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (schedule === 'weekly') {
+    const start = new Date(today.getTime() - ((today.getDay() + 6) % 7) * DAY_MS);
+    return { start, next: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+  if (schedule === 'monthly') {
+    return { start: new Date(now.getFullYear(), now.getMonth(), 1), next: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+  }
+  // biweekly
+  return now.getDate() < 15
+    ? { start: new Date(now.getFullYear(), now.getMonth(), 1), next: new Date(now.getFullYear(), now.getMonth(), 15) }
+    : { start: new Date(now.getFullYear(), now.getMonth(), 15), next: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+}
+
+/** Why the seller can't request an early payout, or null */
+function ineligibility(seller, policy) {
+  const profile = seller.sellerProfile || {};
+  const bank = profile.bankDetails;
+  if (!policy.enabled) return 'Early payouts are not available right now';
+  if (seller.status !== 'active') return 'Only active sellers can request early payouts';
+  if (!(bank?.accountHolderName && bank?.accountNumber && bank?.ifscCode && bank?.bankName)) {
+    return 'Add your bank details in Settings to request an early payout';
+  }
+  if (!profile.metrics?.lastCalculatedAt) return 'Early payouts open once your account health score has been calculated';
+  if (profile.metrics.healthScore < policy.minHealthScore) {
+    return `Early payouts need a health score of at least ${policy.minHealthScore} (yours is ${profile.metrics.healthScore})`;
+  }
+  return null;
+}
+
+const formatRs = (n) => `Rs. ${Number(n || 0).toLocaleString('en-IN')}`;
+
+/**
+ * What an early payout for the seller would be right now.
+ * Returns { eligible, reason, alreadyRequested, policy, nextPayoutDate, totals, orderCount, payoutOptions };
+ * payoutOptions are for createLedgerPayout when eligible.
+ */
+async function earlyPayoutQuote(seller, settings, now = new Date()) {
+  const policy = earlyPayoutSettings(settings);
+  const period = payoutPeriod(settings.payoutSchedule, now);
+  const result = { eligible: false, reason: '', alreadyRequested: false, policy, nextPayoutDate: period.next, totals: null, orderCount: 0 };
+
+  result.reason = ineligibility(seller, policy);
+  if (!result.reason) {
+    const requested = await SellerPayout.findOne({ sellerId: seller._id, earlyPeriodStart: period.start }).select('createdAt').lean();
+    if (requested) {
+      result.alreadyRequested = true;
+      result.reason = `You already requested an early payout on ${requested.createdAt.toLocaleDateString('en-IN')}. One early payout is allowed per payout period.`;
+    }
+  }
+  if (result.reason) return result;
+
+  await postDeliveredOrders({ sellerId: seller._id });
+  await releaseDueReserves({ sellerId: seller._id }, now);
+
+  // Orders still inside the return window wait for a later payout; refunds and charges always count
+  const returnWindowEnd = new Date(now.getTime() - (settings.returnWindowDays ?? 7) * DAY_MS);
+  const payoutOptions = {
+    eligible: e => !e.key.startsWith('order:') || e.occurredAt <= returnWindowEnd,
+    feePercent: policy.feePercent,
+    reserve: matchReserveRule(settings.reserveRules, seller, now),
+    earlyPeriodStart: period.start // unique per seller, so concurrent requests can't both go through
+  };
+  const quote = await quoteLedgerPayout(seller, { ...payoutOptions, until: now });
+  result.totals = quote.totals || null;
+  result.orderCount = quote.orderIds?.length || 0;
+
+  const netPayout = quote.totals?.netPayout ?? quote.netPayout;
+  if (quote.skipped || netPayout < policy.minimumAmount) {
+    result.reason = `Your balance eligible for early payout is ${formatRs(Math.max(0, netPayout))}, below the ${formatRs(policy.minimumAmount)} minimum`;
+    return result;
+  }
+  return { ...result, eligible: true, payoutOptions };
+}
+
+module.exports = {
+  EARLY_PAYOUT_FIELDS,
+  DEFAULT_EARLY_PAYOUT,
+  earlyPayoutSettings,
+  parseEarlyPayoutSettings,
+  payoutPeriod,
+  earlyPayoutQuote
+};
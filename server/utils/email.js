@@ -145,6 +145,26 @@ const sendCancellationEmail = async (email, order) => {
   });
 };
 
+const sendLowStockAlert = async (email, items) => {
+  const subject = items.length === 1
+    ? `Low stock: ${items[0].title}`
+    : `${items.length} products are running low`;
+  const html = templates.lowStockAlertTemplate(items);
+  await sendEmail(email, subject, html, {
+    template: 'low_stock', recipientRole: 'seller',
+    metadata: { productIds: items.map(i => i.productId) }
+  });
+};
+
+const sendLowStockDigest = async (email, items) => {
+  const subject = `Daily stock summary: ${items.length} product${items.length === 1 ? '' : 's'} running low`;
+  const html = templates.lowStockDigestTemplate(items);
+  await sendEmail(email, subject, html, {
+    template: 'low_stock_digest', recipientRole: 'seller',
+    metadata: { count: items.length }
+  });
+};
+
 module.exports = {
   sendOTP,
   sendOrderConfirmation,
@@ -157,5 +177,7 @@ module.exports = {
   sendReviewRequestEmail,
   sendCorporateOrderStatusEmail,
   sendCorporateQuoteNotification,
-  sendCancellationEmail
+  sendCancellationEmail,
+  sendLowStockAlert,
+  sendLowStockDigest
 };
@@ -76,6 +76,8 @@ const payoutTemplate = (payout) => baseTemplate(`
     <p style="color:#8f8;font-size:20px;font-weight:bold;margin:12px 0 0;">Payout: ₹${payout.netPayout.toLocaleString()}</p>
   `, { bg: '#1a2e1a' })}
   ${payout.transactionId ? `<p style="color:#888;margin:16px 0 0;">Transaction Ref: ${payout.transactionId}</p>` : ''}
+  ${ctaButton('Download Statement (PDF)', `${CLIENT_URL()}/seller/payouts?statement=${payout._id}&format=pdf`)}
+  <p style="color:#888;font-size:13px;text-align:center;margin:0;">Need it for a spreadsheet? <a href="${CLIENT_URL()}/seller/payouts?statement=${payout._id}&format=csv" style="color:#f5c518;">Download as CSV</a></p>
 `);
 
 const commissionChangeTemplate = (sellerName, oldRate, newRate) => baseTemplate(`
@@ -213,6 +215,23 @@ const corporateQuoteTemplate = (quote, action = 'created') => {
   `, { title: 'Giftsity Corporate' });
 };
 
+const lowStockRows = (items) => items.map(i => `
+  <p style="color:#ccc;margin:4px 0;">${i.title}${i.variantLabel ? ` (${i.variantLabel})` : ''}:
+    <strong style="color:${i.stock === 0 ? '#f88' : '#f5c518'};">${i.stock === 0 ? 'Out of stock' : `${i.stock} left`}</strong></p>`).join('');
+
+const lowStockAlertTemplate = (items) => baseTemplate(`
+  <p style="color:#ccc;">A recent order brought ${items.length === 1 ? 'this product' : 'these products'} to your low-stock threshold:</p>
+  ${infoBox(lowStockRows(items))}
+  ${ctaButton('Update Stock', `${CLIENT_URL()}/seller/products`)}
+`, { title: 'Low Stock Alert' });
+
+const lowStockDigestTemplate = (items) => baseTemplate(`
+  <p style="color:#ccc;">${items.length} of your active listings ${items.length === 1 ? 'is' : 'are'} at or below the low-stock threshold:</p>
+  ${infoBox(lowStockRows(items.slice(0, 50)))}
+  ${items.length > 50 ? `<p style="color:#888;font-size:13px;">…and ${items.length - 50} more.</p>` : ''}
+  ${ctaButton('Review Stock', `${CLIENT_URL()}/seller`)}
+`, { title: 'Daily Low Stock Summary' });
+
 const cancellationTemplate = (order) => {
   const refundStatus = order.paymentStatus === 'refunded' ? 'Refund initiated' : order.paymentStatus === 'refund_pending' ? 'Refund pending' : 'No payment was charged';
   const itemsList = (order.items || []).map(i =>
@@ -248,5 +267,7 @@ module.exports = {
   corporateWelcomeTemplate,
   corporateOrderStatusTemplate,
   corporateQuoteTemplate,
-  cancellationTemplate
+  cancellationTemplate,
+  lowStockAlertTemplate,
+  lowStockDigestTemplate
 };
@@ -0,0 +1,157 @@
+/**
+ * Partial fulfillment / split shipments
+ *
+ * An order can ship as several packages (Shipment documents), each carrying a
+ * subset of the order's items and quantities. Shipments created before split
+ * shipping have no `items` and carry the whole order. The order's status is
+ * derived from its packages:
+ *   processing          packages created, none handed to the courier yet
+ *   partially_shipped   some units dispatched, others not yet
+ *   shipped             every unit dispatched
+ *   partially_delivered some units delivered
+ *   delivered           every unit delivered
+ * Cancelled and RTO packages no longer carry their items, which can be shipped again.
+ */
+
+const INACTIVE_SHIPMENT_STATUSES = ['cancelled', 'rto'];
+const DISPATCHED_SHIPMENT_STATUSES = ['pickup_scheduled', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'ndr'];
+
+// Derived statuses only ever move forward along this sequence
+const FULFILLMENT_SEQUENCE = ['confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
+
+const isActiveShipment = s => !INACTIVE_SHIPMENT_STATUSES.includes(s.status);
+
+/**
+ * Items carried by a shipment as [{ itemId, quantity }]; legacy shipments carry every order item.
+ */
+function shipmentItems(shipment, order) {
+  if (shipment.items?.length) {
+    return shipment.items.map(i => ({ itemId: i.itemId.toString(), quantity: i.quantity }));
+  }
+  return order.items.map(i => ({ itemId: i._id.toString(), quantity: i.quantity || 1 }));
+}
+
+/**
+ * Units of each order item not yet in an active shipment, as a Map of itemId -> quantity.
+ */
+function remainingQuantities(order, shipments) {
+  const remaining = new Map(order.items.map(i => [i._id.toString(), i.quantity || 1]));
+  for (const shipment of shipments.filter(isActiveShipment)) {
+    for (const { itemId, quantity } of shipmentItems(shipment, order)) {
+      if (remaining.has(itemId)) remaining.set(itemId, Math.max(0, remaining.get(itemId) - quantity));
+    }
+  }
+  return remaining;
+}
+
+/**
+ * Validate the items requested for a new package against what is left to ship.
+ * `requested` is [{ itemId, quantity }]; omitted or empty means everything remaining.
+ * Returns { items } ready for the Shipment document, or { error }.
+ */
+function resolveShipmentItems(order, shipments, requested) {
+  const remaining = remainingQuantities(order, shipments);
+  const toShipmentItem = (item, quantity) => ({
+    itemId: item._id,
+    productId: item.productId,
+    variantId: item.variantId || null,
+    title: item.variantLabel ? `${item.title} (${item.variantLabel})` : item.title,
+    quantity
+  });
+
+  if (requested === undefined || requested === null || (Array.isArray(requested) && requested.length === 0)) {
+    const items = order.items
+      .filter(i => remaining.get(i._id.toString()) > 0)
+      .map(i => toShipmentItem(i, remaining.get(i._id.toString())));
+    if (!items.length) return { error: 'All items in this order are already in a shipment' };
+    return { items };
+  }
+
+  if (!Array.isArray(requested)) return { error: 'items must be an array of { itemId, quantity }' };
+  const seen = new Set();
+  const items = [];
+  for (const entry of requested) {
+    const itemId = String(entry?.itemId || '');
+    const item = order.items.find(i => i._id.toString() === itemId);
+    if (!item) return { error: `Item ${itemId || '(missing)'} is not part of this order` };
+    if (seen.has(itemId)) return { error: `Item "${item.title}" is listed more than once` };
+    seen.add(itemId);
+    const quantity = Number(entry.quantity);
+    const left = remaining.get(itemId);
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: `Quantity for "${item.title}" must be a whole number of at least 1` };
+    if (quantity > left) return { error: `Only ${left} of "${item.title}" left to ship` };
+    items.push(toShipmentItem(item, quantity));
+  }
+  return { items };
+}
+
+/**
+ * Order status implied by its shipments, or null when there are no active packages.
+ */
+function deriveOrderStatus(order, shipments) {
+  const active = shipments.filter(isActiveShipment);
+  if (!active.length) return null;
+
+  const total = order.items.reduce((sum, i) => sum + (i.quantity || 1), 0);
+  let dispatched = 0;
+  let delivered = 0;
+  for (const shipment of active) {
+    const units = shipmentItems(shipment, order).reduce((sum, i) => sum + i.quantity, 0);
+    if (DISPATCHED_SHIPMENT_STATUSES.includes(shipment.status)) dispatched += units;
+    if (shipment.status === 'delivered') delivered += units;
+  }
+
+  if (delivered >= total) return 'delivered';
+  if (delivered > 0) return 'partially_delivered';
+  if (dispatched >= total) return 'shipped';
+  if (dispatched > 0) return 'partially_shipped';
+  return 'processing';
+}
+
+/**
+ * Move the order to the status derived from its shipments (forward only) and
+ * record it in statusHistory. trackingInfo follows the latest dispatched package.
+ * Does not save. Returns the new status, or null when the order did not change.
+ */
+function applyDerivedStatus(order, shipments, { changedBy = null, changedByRole = 'system', note = '' } = {}) {
+  const next = deriveOrderStatus(order, shipments);
+  const from = FULFILLMENT_SEQUENCE.indexOf(order.status);
+  const to = FULFILLMENT_SEQUENCE.indexOf(next);
+  if (!next || from === -1 || to <= from) return null;
+
+  order.status = next;
+  const latest = shipments
+    .filter(s => isActiveShipment(s) && DISPATCHED_SHIPMENT_STATUSES.includes(s.status))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+  if (latest) {
+    order.trackingInfo = {
+      courierName: latest.courierName || '',
+      trackingNumber: latest.awbCode || '',
+      shippedAt: order.trackingInfo?.shippedAt || new Date(),
+      estimatedDelivery: latest.estimatedDelivery || null
+    };
+  }
+  if (next === 'delivered') order.deliveredAt = new Date();
+  if (!order.statusHistory) order.statusHistory = [];
+  order.statusHistory.push({ status: next, timestamp: new Date(), changedBy, changedByRole, note });
+  return next;
+}
+
+/**
+ * Total courier charges across the order's active packages (seller-paid shipping deduction).
+ */
+function shippingChargeTotal(shipments) {
+  return shipments.filter(isActiveShipment).reduce((sum, s) => sum + (s.shippingCharge || 0), 0);
+}
+
+module.exports = {
+  INACTIVE_SHIPMENT_STATUSES,
+  DISPATCHED_SHIPMENT_STATUSES,
+  isActiveShipment,
+  shipmentItems,
+  remainingQuantities,
+  resolveShipmentItems,
+  deriveOrderStatus,
+  applyDerivedStatus,
+  shippingChargeTotal
+};
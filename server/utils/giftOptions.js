@@ -0,0 +1,101 @@
+/**
+ * Gift options
+ *
+ * A customer can mark an order as a gift at checkout (POST /api/orders):
+ *   wrap           gift wrap every unit, where the seller offers it
+ *   message        printed on the packing slip and gift receipt
+ *   recipientName  who the parcel is addressed to, when not the buyer
+ *   hidePrices     no invoice or prices in the box; the recipient gets a gift receipt
+ *
+ * Gift wrap is charged per unit at the product's giftWrapPrice, or the seller's
+ * store-wide sellerProfile.giftWrap price when the product has none. Products
+ * without either can't be wrapped. The charge goes to the seller, who does the
+ * wrapping.
+ */
+
+const MAX_GIFT_MESSAGE_LENGTH = 300;
+const MAX_RECIPIENT_NAME_LENGTH = 100;
+const MAX_GIFT_WRAP_PRICE = 10000;
+
+// Single line for names; messages keep their line breaks
+const cleanText = (value, maxLen, multiline = false) => String(value ?? '')
+  .replace(multiline ? /[\u0000-\u0009\u000B-\u001F\u007F]/g : /[\u0000-\u001F\u007F]/g, multiline ? '' : ' ')
+  .trim()
+  .substring(0, maxLen);
+
+/**
+ * Per-unit gift wrap price for a product, or null when it can't be wrapped.
+ */
+function giftWrapUnitPrice(product, seller) {
+  if (product?.giftWrapPrice !== null && product?.giftWrapPrice !== undefined) return product.giftWrapPrice;
+  const storeWide = seller?.sellerProfile?.giftWrap;
+  return storeWide?.enabled ? (storeWide.price || 0) : null;
+}
+
+/**
+ * Parse a product's giftWrapPrice from a FormData/JSON body in place ('' clears it
+ * back to the store-wide price). Returns an error message or null.
+ */
+function parseGiftWrapPrice(data) {
+  if (data.giftWrapPrice === undefined) return null;
+  if (data.giftWrapPrice === '' || data.giftWrapPrice === null || data.giftWrapPrice === 'null') {
+    data.giftWrapPrice = null;
+    return null;
+  }
+  data.giftWrapPrice = Number(data.giftWrapPrice);
+  if (!Number.isFinite(data.giftWrapPrice) || data.giftWrapPrice < 0 || data.giftWrapPrice > MAX_GIFT_WRAP_PRICE) {
+    return `Gift wrap price must be between 0 and ${MAX_GIFT_WRAP_PRICE}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the `gift` field of an order request.
+ * Returns { gift } (isGift false when nothing was asked for) or { error }.
+ */
+function parseGiftOptions(input) {
+  if (input === undefined || input === null) return { gift: { isGift: false, wrap: false, message: '', recipientName: '', hidePrices: false } };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'gift must be an object' };
+
+  if (typeof input.message === 'string' && input.message.trim().length > MAX_GIFT_MESSAGE_LENGTH) {
+    return { error: `Gift message must be ${MAX_GIFT_MESSAGE_LENGTH} characters or less` };
+  }
+  if (typeof input.recipientName === 'string' && input.recipientName.trim().length > MAX_RECIPIENT_NAME_LENGTH) {
+    return { error: `Recipient name must be ${MAX_RECIPIENT_NAME_LENGTH} characters or less` };
+  }
+  const gift = {
+    wrap: input.wrap === true,
+    message: cleanText(input.message, MAX_GIFT_MESSAGE_LENGTH, true),
+    recipientName: cleanText(input.recipientName, MAX_RECIPIENT_NAME_LENGTH),
+    hidePrices: input.hidePrices === true
+  };
+  gift.isGift = gift.wrap || gift.hidePrices || !!gift.message || !!gift.recipientName;
+  return { gift };
+}
+
+/**
+ * Gift wrap for one seller's order lines ([{ product, quantity }]).
+ * Returns { wrapped: [bool per line], unitPrices: [price per line, 0 when not wrapped], charge, available }
+ * where `available` is whether any line could be wrapped.
+ */
+function giftWrapForLines(lines, seller, wrap = true) {
+  const prices = lines.map(l => giftWrapUnitPrice(l.product, seller));
+  const wrapped = prices.map(p => wrap && p !== null);
+  const unitPrices = prices.map((p, i) => (wrapped[i] ? p : 0));
+  return {
+    wrapped,
+    unitPrices,
+    charge: lines.reduce((sum, l, i) => sum + unitPrices[i] * (l.quantity || 1), 0),
+    available: prices.some(p => p !== null)
+  };
+}
+
+module.exports = {
+  MAX_GIFT_MESSAGE_LENGTH,
+  MAX_RECIPIENT_NAME_LENGTH,
+  MAX_GIFT_WRAP_PRICE,
+  giftWrapUnitPrice,
+  parseGiftWrapPrice,
+  parseGiftOptions,
+  giftWrapForLines
+};
@@ -0,0 +1,167 @@
+/**
+ * Seller health policy
+ *
+ * The thresholds the seller-health cron (cron/sellerHealth.js) warns and
+ * auto-suspends sellers by, stored in PlatformSettings.healthPolicy and edited
+ * through PUT /api/admin/settings. Admins can override the thresholds for a
+ * single seller (sellerProfile.healthPolicy, null = platform value), e.g. to
+ * give a new seller more room or exempt them from auto-suspension.
+ *
+ * Metrics window, minimum order count and auto-cancel grace are platform-wide:
+ * they decide which orders count, not how a seller is judged.
+ */
+
+// bounds: [min, max]; integer fields must be whole numbers
+const HEALTH_POLICY_FIELDS = {
+  fulfillmentWarnThreshold: { label: 'Fulfillment warn threshold', bounds: [0, 100] },
+  fulfillmentSuspendThreshold: { label: 'Fulfillment suspend threshold', bounds: [0, 100] },
+  cancelRateWarnThreshold: { label: 'Cancel rate warn threshold', bounds: [0, 100] },
+  cancelRateSuspendThreshold: { label: 'Cancel rate suspend threshold', bounds: [0, 100] },
+  healthScoreSuspendThreshold: { label: 'Health score suspend threshold', bounds: [0, 100] },
+  metricsLookbackDays: { label: 'Metrics lookback', bounds: [7, 365], integer: true, platformOnly: true },
+  minOrdersForMetrics: { label: 'Minimum orders for metrics', bounds: [1, 1000], integer: true, platformOnly: true },
+  autoCancelGraceHours: { label: 'Auto-cancel grace', bounds: [0, 720], integer: true, platformOnly: true }
+};
+
+const DEFAULT_HEALTH_POLICY = {
+  fulfillmentWarnThreshold: 75,   // Warn below 75%
+  fulfillmentSuspendThreshold: 50, // Auto-suspend below 50%
+  cancelRateWarnThreshold: 3,     // Warn above 3%
+  cancelRateSuspendThreshold: 5,  // Auto-suspend above 5%
+  healthScoreSuspendThreshold: 40, // Auto-suspend below 40
+  metricsLookbackDays: 30,        // Calculate over the last 30 days
+  minOrdersForMetrics: 3,         // Need at least 3 orders to judge
+  autoCancelGraceHours: 24,       // Auto-cancel unshipped orders 24h past their ship-by deadline
+  autoSuspend: true               // Off = warn only
+};
+
+const OVERRIDABLE_FIELDS = [
+  ...Object.keys(HEALTH_POLICY_FIELDS).filter(k => !HEALTH_POLICY_FIELDS[k].platformOnly),
+  'autoSuspend'
+];
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc) || {};
+
+function fieldError(key, value) {
+  const { label, bounds: [min, max], integer } = HEALTH_POLICY_FIELDS[key];
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    return `${label} must be ${integer ? 'a whole number ' : ''}between ${min} and ${max}`;
+  }
+  return null;
+}
+
+// Warn thresholds must trip before the matching suspend thresholds
+function consistencyError(policy) {
+  if (policy.fulfillmentWarnThreshold < policy.fulfillmentSuspendThreshold) {
+    return 'Fulfillment warn threshold must be at or above the suspend threshold';
+  }
+  if (policy.cancelRateWarnThreshold > policy.cancelRateSuspendThreshold) {
+    return 'Cancel rate warn threshold must be at or below the suspend threshold';
+  }
+  return null;
+}
+
+/** The platform policy with defaults for anything unset */
+function platformHealthPolicy(settings) {
+  const stored = plain(settings?.healthPolicy);
+  const policy = { ...DEFAULT_HEALTH_POLICY };
+  for (const key of Object.keys(DEFAULT_HEALTH_POLICY)) {
+    if (stored[key] !== undefined && stored[key] !== null) policy[key] = stored[key];
+  }
+  return policy;
+}
+
+/**
+ * Validate a (possibly partial) policy from a request, on top of `base`.
+ * Returns { policy } with every field set, or { error }.
+ */
+function parseHealthPolicy(input, base = DEFAULT_HEALTH_POLICY) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'healthPolicy must be an object' };
+  const policy = { ...DEFAULT_HEALTH_POLICY, ...plain(base) };
+  for (const key of Object.keys(HEALTH_POLICY_FIELDS)) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const value = Number(input[key]);
+    const error = fieldError(key, value);
+    if (error) return { error };
+    policy[key] = value;
+  }
+  if (input.autoSuspend !== undefined) policy.autoSuspend = input.autoSuspend === true;
+  const error = consistencyError(policy);
+  return error ? { error } : { policy: Object.fromEntries(Object.keys(DEFAULT_HEALTH_POLICY).map(k => [k, policy[k]])) };
+}
+
+/** The policy a seller is judged by: the platform policy with their overrides applied */
+function effectiveHealthPolicy(platformPolicy, seller) {
+  const overrides = plain(seller?.sellerProfile?.healthPolicy);
+  const policy = { ...platformPolicy };
+  for (const key of OVERRIDABLE_FIELDS) {
+    if (overrides[key] !== undefined && overrides[key] !== null) policy[key] = overrides[key];
+  }
+  return policy;
+}
+
+/**
+ * Validate per-seller overrides (null clears them all; a null field uses the platform value).
+ * Returns { overrides } or { error }.
+ */
+function parseHealthPolicyOverrides(input, platformPolicy) {
+  const overrides = Object.fromEntries(OVERRIDABLE_FIELDS.map(k => [k, null]));
+  if (input === null) return { overrides };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'overrides must be an object' };
+  for (const key of Object.keys(input)) {
+    if (!OVERRIDABLE_FIELDS.includes(key)) return { error: `${key} can't be overridden per seller` };
+    if (input[key] === null || input[key] === '') continue;
+    if (key === 'autoSuspend') {
+      overrides.autoSuspend = input.autoSuspend === true;
+      continue;
+    }
+    const value = Number(input[key]);
+    const error = fieldError(key, value);
+    if (error) return { error };
+    overrides[key] = value;
+  }
+  const error = consistencyError(effectiveHealthPolicy(platformPolicy, { sellerProfile: { healthPolicy: overrides } }));
+  return error ? { error } : { overrides };
+}
+
+/**
+ * What the policy says to do about a seller's metrics.
+ * Returns { action: 'suspend' | 'warn' | null, reason }.
+ */
+function evaluateSellerHealth(m, policy) {
+  const verdict = thresholdVerdict(m, policy);
+  if (verdict.action === 'suspend' && !policy.autoSuspend) {
+    return { action: 'warn', reason: `${verdict.reason}. Auto-suspension is off for this seller.` };
+  }
+  return verdict;
+}
+
+function thresholdVerdict(m, policy) {
+  if (m.fulfillmentRate < policy.fulfillmentSuspendThreshold) {
+    return { action: 'suspend', reason: `Fulfillment rate dropped to ${m.fulfillmentRate}% (minimum: ${policy.fulfillmentSuspendThreshold}%)` };
+  }
+  if (m.cancelRate > policy.cancelRateSuspendThreshold) {
+    return { action: 'suspend', reason: `Cancellation rate reached ${m.cancelRate}% (maximum: ${policy.cancelRateSuspendThreshold}%)` };
+  }
+  if (m.healthScore < policy.healthScoreSuspendThreshold) {
+    return { action: 'suspend', reason: `Health score dropped to ${m.healthScore}/100 (minimum: ${policy.healthScoreSuspendThreshold})` };
+  }
+  if (m.fulfillmentRate < policy.fulfillmentWarnThreshold) {
+    return { action: 'warn', reason: `Fulfillment rate is ${m.fulfillmentRate}%. Below ${policy.fulfillmentSuspendThreshold}% will result in suspension.` };
+  }
+  if (m.cancelRate > policy.cancelRateWarnThreshold) {
+    return { action: 'warn', reason: `Cancellation rate is ${m.cancelRate}%. Above ${policy.cancelRateSuspendThreshold}% will result in suspension.` };
+  }
+  return { action: null, reason: '' };
+}
+
+module.exports = {
+  HEALTH_POLICY_FIELDS,
+  DEFAULT_HEALTH_POLICY,
+  OVERRIDABLE_FIELDS,
+  platformHealthPolicy,
+  parseHealthPolicy,
+  effectiveHealthPolicy,
+  parseHealthPolicyOverrides,
+  evaluateSellerHealth
+};
@@ -0,0 +1,84 @@
+/**
+ * Responsive image variants
+ *
+ * Product uploads are resized with sharp into fixed widths, each encoded as WebP
+ * and AVIF, and stored next to the original under derived public IDs
+ * (`<publicId>__card_webp`). The original stays the JPEG/PNG fallback.
+ *   thumb  gallery thumbnails, seller lists
+ *   card   product cards and listings
+ *   zoom   product page zoom
+ */
+
+const sharp = require('sharp');
+const axios = require('axios');
+
+const IMAGE_SIZES = { thumb: 200, card: 480, zoom: 1600 };
+const IMAGE_FORMATS = {
+  webp: { quality: 80 },
+  avif: { quality: 50 }
+};
+const MAX_REMOTE_BYTES = 60 * 1024 * 1024;
+
+/**
+ * Public IDs of every variant derived from an original's public ID.
+ */
+function variantPublicIds(publicId) {
+  if (!publicId) return [];
+  return Object.keys(IMAGE_SIZES).flatMap(name => Object.keys(IMAGE_FORMATS).map(format => `${publicId}__${name}_${format}`));
+}
+
+/**
+ * Whether a URL points at media we stored ourselves: Cloudinary delivery URLs of
+ * our cloud, or local storage. Other URLs (e.g. from a seller's CSV) are never
+ * fetched by this server, so they can't reach internal hosts or cloud metadata;
+ * Cloudinary fetches those on upload instead.
+ */
+function isStoredMediaUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return false; }
+  if (parsed.protocol === 'https:' && parsed.host === 'res.cloudinary.com') {
+    return parsed.pathname.startsWith(`/${process.env.CLOUDINARY_CLOUD_NAME}/`);
+  }
+  if (process.env.MEDIA_STORAGE === 'local') {
+    // Required here: local storage uses loadMediaBuffer itself
+    const { LOCAL_MEDIA_URL } = require('../config/localStorage');
+    return parsed.href.startsWith(`${LOCAL_MEDIA_URL}/`); // href has '..' segments resolved
+  }
+  return false;
+}
+
+/**
+ * Raw bytes of a base64 data URI, or of the URL of media we stored (see isStoredMediaUrl).
+ * @param {object} options - timeout (ms) for URLs
+ */
+async function loadMediaBuffer(data, { timeout = 30000 } = {}) {
+  if (Buffer.isBuffer(data)) return data;
+  const dataUri = /^data:[^;]+;base64,(.*)$/s.exec(data);
+  if (dataUri) return Buffer.from(dataUri[1], 'base64');
+  if (/^https?:\/\//i.test(data)) {
+    if (!isStoredMediaUrl(data)) throw new Error('Only media stored on Giftsity can be loaded by URL');
+    const res = await axios.get(data, { responseType: 'arraybuffer', timeout, maxContentLength: MAX_REMOTE_BYTES, maxRedirects: 0 });
+    return Buffer.from(res.data);
+  }
+  throw new Error('Invalid media data: expected a base64 string or URL');
+}
+
+/**
+ * Encode every variant of an image.
+ * Returns [{ name, format, width, height, buffer }], smallest first.
+ */
+async function buildImageVariants(buffer) {
+  const variants = [];
+  for (const [name, width] of Object.entries(IMAGE_SIZES)) {
+    const resized = sharp(buffer)
+      .rotate() // honour EXIF orientation before the metadata is dropped
+      .resize({ width, height: width, fit: 'inside', withoutEnlargement: true });
+    for (const [format, options] of Object.entries(IMAGE_FORMATS)) {
+      const { data, info } = await resized.clone().toFormat(format, options).toBuffer({ resolveWithObject: true });
+      variants.push({ name, format, width: info.width, height: info.height, buffer: data });
+    }
+  }
+  return variants;
+}
+
+module.exports = { IMAGE_SIZES, IMAGE_FORMATS, variantPublicIds, isStoredMediaUrl, loadMediaBuffer, buildImageVariants };
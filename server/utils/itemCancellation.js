@@ -0,0 +1,161 @@
+/**
+ * Item-level cancellation
+ *
+ * A seller can cancel some units of an order (e.g. one line is out of stock)
+ * without cancelling the whole order. Only units that are not yet in an active
+ * shipment can be cancelled, and at least one unit must remain — otherwise the
+ * whole order should be cancelled instead.
+ *
+ * The customer is refunded the cancelled units' value and gift wrap minus their
+ * proportional share of the order's coupon discount. Cancelled units move from `items` to
+ * `cancelledItems`, so everything downstream (fulfillment, invoices, payouts)
+ * keeps reading `items`.
+ *
+ * The seller-health cron cancels the same way the units of a part-shipped order
+ * that were never packed by the ship-by deadline, or came back to origin (RTO)
+ * and weren't shipped again within RTO_RESHIP_DAYS.
+ */
+
+const { calculateOrderFinancials } = require('./commission');
+const { remainingQuantities } = require('./fulfillment');
+const { shipDeadline } = require('./deliveryDate');
+
+// Not 'pending': an unpaid order's payment session still charges the original total
+const CANCELLABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped', 'partially_delivered'];
+const MAX_CANCEL_REASON_LENGTH = 300;
+const RTO_RESHIP_DAYS = 3;
+const AUTO_CANCEL_REASON = 'Auto-cancelled: not shipped in time';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Validate a cancellation request and work out the refund.
+ * `requested` is [{ itemId, quantity? }] (quantity defaults to every cancellable unit of the line).
+ * Returns { lines: [{ item, quantity, value, wrapValue }], cancelledValue, giftWrapValue, discountShare, refundAmount } or { error }.
+ */
+function planItemCancellation(order, shipments, requested) {
+  if (!CANCELLABLE_STATUSES.includes(order.status)) {
+    return { error: `Cannot cancel items of an order with status "${order.status}"` };
+  }
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { error: 'Select at least one item to cancel' };
+  }
+
+  const unpacked = remainingQuantities(order, shipments);
+  const seen = new Set();
+  const lines = [];
+  for (const entry of requested) {
+    const itemId = String(entry?.itemId || '');
+    const item = order.items.find(i => i._id.toString() === itemId);
+    if (!item) return { error: `Item ${itemId || '(missing)'} is not part of this order` };
+    if (seen.has(itemId)) return { error: `Item "${item.title}" is listed more than once` };
+    seen.add(itemId);
+
+    const available = unpacked.get(itemId) || 0;
+    if (available === 0) return { error: `"${item.title}" is already in a shipment and can't be cancelled` };
+    const quantity = entry.quantity === undefined || entry.quantity === null || entry.quantity === '' ? available : Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: `Quantity for "${item.title}" must be a whole number of at least 1` };
+    if (quantity > available) return { error: `Only ${available} of "${item.title}" can be cancelled` };
+    lines.push({ item, quantity, value: item.price * quantity, wrapValue: (item.giftWrapPrice || 0) * quantity });
+  }
+
+  const unitsLeft = order.items.reduce((sum, i) => sum + (i.quantity || 1), 0) - lines.reduce((sum, l) => sum + l.quantity, 0);
+  if (unitsLeft <= 0) return { error: 'This would cancel every item — cancel the whole order instead' };
+
+  const cancelledValue = lines.reduce((sum, l) => sum + l.value, 0);
+  const giftWrapValue = lines.reduce((sum, l) => sum + l.wrapValue, 0);
+  const discountBase = (order.itemTotal || 0) + (order.giftWrapCharge || 0);
+  const discountShare = order.discountAmount > 0 && discountBase > 0
+    ? Math.min(order.discountAmount, Math.round(order.discountAmount * (cancelledValue + giftWrapValue) / discountBase))
+    : 0;
+  const refundAmount = Math.max(0, Math.min(order.totalAmount, cancelledValue + giftWrapValue - discountShare));
+  return { lines, cancelledValue, giftWrapValue, discountShare, refundAmount };
+}
+
+/**
+ * Remove the planned units from the order, record them in cancelledItems and
+ * recompute totals and financials. Does not save, refund or restore stock.
+ * Returns the cancelledItems entries that were added.
+ */
+function applyItemCancellation(order, plan, { reason = '', gatewayFeeRate = 0, changedBy = null, changedByRole = 'seller' } = {}) {
+  const cancelledAt = new Date();
+  let refundLeft = plan.refundAmount;
+  const planValue = plan.cancelledValue + (plan.giftWrapValue || 0);
+  const records = plan.lines.map(({ item, quantity, value, wrapValue = 0 }, i) => {
+    // Split the refund over the lines by value; the last line takes the rounding remainder
+    const refundAmount = i === plan.lines.length - 1 ? refundLeft : Math.round(plan.refundAmount * (value + wrapValue) / planValue);
+    refundLeft -= refundAmount;
+    return {
+      itemId: item._id,
+      productId: item.productId,
+      variantId: item.variantId || null,
+      variantLabel: item.variantLabel || '',
+      title: item.title,
+      price: item.price,
+      giftWrapPrice: item.giftWrapPrice || 0,
+      quantity,
+      refundAmount,
+      reason,
+      cancelledAt,
+      cancelledBy: changedBy
+    };
+  });
+
+  for (const { item, quantity } of plan.lines) {
+    if (quantity >= (item.quantity || 1)) order.items.pull(item._id);
+    else item.quantity -= quantity;
+  }
+  if (!order.cancelledItems) order.cancelledItems = [];
+  order.cancelledItems.push(...records);
+
+  order.itemTotal = Math.max(0, (order.itemTotal || 0) - plan.cancelledValue);
+  order.giftWrapCharge = Math.max(0, (order.giftWrapCharge || 0) - (plan.giftWrapValue || 0));
+  order.discountAmount = Math.max(0, (order.discountAmount || 0) - plan.discountShare);
+  order.totalAmount = Math.max(0, (order.totalAmount || 0) - plan.refundAmount);
+  Object.assign(order, calculateOrderFinancials(order.itemTotal, order.totalAmount, order.commissionRate || 0, gatewayFeeRate, order.giftWrapCharge));
+
+  const summary = plan.lines.map(l => `${l.item.title} × ${l.quantity}`).join(', ');
+  if (!order.statusHistory) order.statusHistory = [];
+  order.statusHistory.push({
+    status: 'items_cancelled',
+    timestamp: cancelledAt,
+    changedBy,
+    changedByRole,
+    note: `Cancelled ${summary}${reason ? ` (${reason})` : ''}. Refund Rs.${plan.refundAmount}`
+  });
+  return order.cancelledItems.slice(-records.length);
+}
+
+/**
+ * Every unit not in an active package, as a cancellation request for planItemCancellation.
+ */
+function unshippedUnits(order, shipments) {
+  return [...remainingQuantities(order, shipments)]
+    .filter(([, quantity]) => quantity > 0)
+    .map(([itemId, quantity]) => ({ itemId, quantity }));
+}
+
+/**
+ * When a part-shipped order's unshipped units are auto-cancelled: `graceHours` past
+ * the ship-by deadline, or RTO_RESHIP_DAYS after its latest package came back, whichever is later.
+ */
+function unshippedUnitsDeadline(order, shipments, graceHours = 0) {
+  const deadlines = [shipDeadline(order).getTime() + graceHours * HOUR_MS];
+  for (const shipment of shipments) {
+    if (shipment.status !== 'rto') continue;
+    deadlines.push(new Date(shipment.returnedAt || shipment.updatedAt).getTime() + RTO_RESHIP_DAYS * DAY_MS);
+  }
+  return new Date(Math.max(...deadlines));
+}
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  MAX_CANCEL_REASON_LENGTH,
+  RTO_RESHIP_DAYS,
+  AUTO_CANCEL_REASON,
+  planItemCancellation,
+  applyItemCancellation,
+  unshippedUnits,
+  unshippedUnitsDeadline
+};
@@ -0,0 +1,552 @@
+/**
+ * Seller ledger
+ *
+ * Every rupee that moves through a seller's balance is a SellerLedgerEntry: a
+ * transaction between the seller's balance and one platform account. The amount
+ * is signed from the seller's side (+ owed to them) and the contra account takes
+ * the other side, so every transaction balances and a seller's balance is the
+ * sum of their entries.
+ *
+ *   sale         a delivered order's items and gift wrap
+ *   commission   platform commission on the sale
+ *   gateway_fee  payment gateway fee on the sale
+ *   shipping     seller-paid shipping, and shipping of packages returned to origin (RTO)
+ *   refund       refunds to the customer for returns; the commission handed back
+ *                with them (REFUND_COMMISSION_POLICIES) is a positive commission entry
+ *   adjustment   admin credits and debits, e.g. weight-dispute charges
+ *   reserve      rolling reserve held back from a payout (-, with releaseAt) and
+ *                released into a later one (+); see utils/reservePolicy
+ *   payout_fee   fee for a seller-requested early payout (see utils/earlyPayout)
+ *   payout       balance moved into a SellerPayout
+ *
+ * Delivered orders are posted when something reads the ledger
+ * (postDeliveredOrders). Payouts are built from the entries no payout has
+ * settled yet (createLedgerPayout), so refunds and charges come out of the next
+ * payout. Orders paid out before the ledger existed aren't in it.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const SellerPayout = require('../models/SellerPayout');
+const SellerLedgerEntry = require('../models/SellerLedgerEntry');
+const Shipment = require('../models/Shipment');
+const { shippingChargeTotal } = require('./fulfillment');
+const logger = require('./logger');
+
+const CONTRA_ACCOUNTS = {
+  sale: 'customer_receipts',
+  commission: 'platform_commission',
+  gateway_fee: 'payment_gateway',
+  shipping: 'courier',
+  refund: 'customer_refunds',
+  adjustment: 'platform_adjustments',
+  reserve: 'seller_reserve',
+  payout_fee: 'platform_fees',
+  payout: 'seller_bank'
+};
+const ENTRY_TYPES = Object.keys(CONTRA_ACCOUNTS);
+
+const ADJUSTMENT_REASONS = ['weight_dispute', 'rto', 'goodwill', 'correction', 'other'];
+// Commission handed back on a return refund (PlatformSettings.refundCommissionReversal):
+//   proportional  the refunded share of the items' commission
+//   full          all of the order's commission, on the first refund
+//   none          the platform keeps its commission
+const REFUND_COMMISSION_POLICIES = ['proportional', 'full', 'none'];
+const MAX_ADJUSTMENT_AMOUNT = 100000;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const entry = (type, fields) => ({ type, contraAccount: CONTRA_ACCOUNTS[type], ...fields });
+
+/**
+ * The entries a delivered order posts: the sale and what's deducted from it.
+ * Seller-paid shipping is the charge of the order's active packages; returned (RTO)
+ * packages are debited on their own by postRtoCharge. Orders without packages
+ * (shipped before Shipment documents) fall back to the order's shipping cost.
+ */
+function orderEntries(order, shipments = []) {
+  const base = {
+    sellerId: order.sellerId,
+    orderId: order._id,
+    occurredAt: order.deliveredAt || order.updatedAt || new Date()
+  };
+  const courierCharge = shipments.length ? shippingChargeTotal(shipments) : (order.actualShippingCost || order.shippingCost || 0);
+  const shipping = order.shippingPaidBy === 'seller' ? courierCharge : 0;
+  const key = (type) => `order:${order._id}:${type}`;
+
+  return [
+    entry('sale', { ...base, key: key('sale'), amount: (order.itemTotal || order.totalAmount || 0) + (order.giftWrapCharge || 0), description: `Order ${order.orderNumber}` }),
+    entry('commission', { ...base, key: key('commission'), amount: -(order.commissionAmount || 0), description: `Commission (${order.commissionRate || 0}%) on order ${order.orderNumber}` }),
+    entry('gateway_fee', { ...base, key: key('gateway_fee'), amount: -(order.paymentGatewayFee || 0), description: `Payment gateway fee on order ${order.orderNumber}` }),
+    entry('shipping', { ...base, key: key('shipping'), amount: -shipping, description: `Shipping for order ${order.orderNumber}` })
+  ].filter(e => e.type === 'sale' || e.amount !== 0);
+}
+
+/**
+ * Insert entries, skipping any already posted (same key).
+ * Returns the entries inserted now.
+ */
+async function postEntries(entries, { session = null } = {}) {
+  if (!entries.length) return [];
+  try {
+    return await SellerLedgerEntry.insertMany(entries, { ordered: false, session });
+  } catch (err) {
+    const duplicatesOnly = err.code === 11000 || (err.writeErrors?.length && err.writeErrors.every(e => e.code === 11000));
+    if (!duplicatesOnly) throw err;
+    return err.insertedDocs || [];
+  }
+}
+
+async function postOrderEntries(order) {
+  const shipments = await Shipment.find({ orderId: order._id }).select('status shippingCharge').lean();
+  return postEntries(orderEntries(order, shipments));
+}
+
+/**
+ * Post every delivered, paid order not yet on the ledger or in a payout.
+ * `filter` narrows the orders, e.g. { sellerId }. Returns the number of orders posted.
+ */
+async function postDeliveredOrders(filter = {}) {
+  const orders = await Order.find({ ...filter, status: 'delivered', paymentStatus: 'paid', payoutStatus: 'pending' }).lean();
+  if (!orders.length) return 0;
+  const posted = new Set((await SellerLedgerEntry.distinct('orderId', { orderId: { $in: orders.map(o => o._id) }, type: 'sale' })).map(String));
+  const unposted = orders.filter(o => !posted.has(o._id.toString()));
+  if (!unposted.length) return 0;
+  const shipments = await Shipment.find({ orderId: { $in: unposted.map(o => o._id) } }).select('orderId status shippingCharge').lean();
+  const shipmentsOf = (order) => shipments.filter(s => s.orderId.toString() === order._id.toString());
+  await postEntries(unposted.flatMap(o => orderEntries(o, shipmentsOf(o))));
+  return unposted.length;
+}
+
+/**
+ * Debit the seller for a return refunded to the customer, full or partial, and hand
+ * back commission by `commissionReversal` (one of REFUND_COMMISSION_POLICIES).
+ * Comes out of the next payout whether or not the order was paid out already.
+ */
+async function postReturnRefund(order, returnRequest, { commissionReversal = 'proportional' } = {}) {
+  // The sale goes on first: a refunded order may no longer count as a paid delivery
+  if (order.status === 'delivered' && order.payoutStatus === 'pending') await postOrderEntries(order);
+
+  // Earlier returns on the same order count toward the caps
+  const earlier = await SellerLedgerEntry.find({ orderId: order._id, returnRequestId: { $nin: [null, returnRequest._id] } }).lean();
+  const refundedBefore = -earlier.filter(e => e.type === 'refund').reduce((s, e) => s + e.amount, 0);
+  const reversedBefore = earlier.filter(e => e.type === 'commission').reduce((s, e) => s + e.amount, 0);
+
+  // Customer-paid shipping was never the seller's to give back
+  const sellerShare = (order.itemTotal || order.totalAmount || 0) + (order.giftWrapCharge || 0);
+  const amount = round2(Math.min(returnRequest.refundAmount || 0, sellerShare - refundedBefore));
+  if (amount <= 0) return [];
+
+  // Commission was charged on the items only
+  const commission = order.commissionAmount || 0;
+  const policyReversal = {
+    proportional: commission * Math.min(1, amount / (order.itemTotal || sellerShare)),
+    full: commission,
+    none: 0
+  }[commissionReversal] || 0;
+  const reversal = round2(Math.max(0, Math.min(policyReversal, commission - reversedBefore)));
+
+  const base = {
+    sellerId: order.sellerId,
+    orderId: order._id,
+    returnRequestId: returnRequest._id,
+    occurredAt: new Date()
+  };
+  return postEntries([
+    entry('refund', { ...base, key: `return:${returnRequest._id}:refund`, amount: -amount, description: `Return refund for order ${order.orderNumber}` }),
+    entry('commission', { ...base, key: `return:${returnRequest._id}:commission`, amount: reversal, description: `Commission reversed on return refund for order ${order.orderNumber}` })
+  ].filter(e => e.amount !== 0));
+}
+
+/** Charge the seller for the shipping of a package returned to origin */
+async function postRtoCharge(order, shipment) {
+  if (!(shipment.shippingCharge > 0)) return [];
+  return postEntries([entry('shipping', {
+    sellerId: order.sellerId,
+    orderId: order._id,
+    shipmentId: shipment._id,
+    key: `shipment:${shipment._id}:rto`,
+    amount: -shipment.shippingCharge,
+    description: `RTO shipping for order ${order.orderNumber}${shipment.awbCode ? ` (AWB ${shipment.awbCode})` : ''}`,
+    occurredAt: new Date()
+  })]);
+}
+
+/**
+ * Validate an admin adjustment: { amount (+ credit, - debit), reason, description, orderId? }.
+ * Returns { adjustment } or { error }.
+ */
+function parseAdjustment(input) {
+  if (!input || typeof input !== 'object') return { error: 'Adjustment is required' };
+  const amount = Number(input.amount);
+  if (!Number.isFinite(amount) || amount === 0 || Math.abs(amount) > MAX_ADJUSTMENT_AMOUNT) {
+    return { error: `Amount must be a non-zero number up to ${MAX_ADJUSTMENT_AMOUNT} either way` };
+  }
+  if (!ADJUSTMENT_REASONS.includes(input.reason)) {
+    return { error: `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}` };
+  }
+  const description = String(input.description ?? '').replace(/[\u0000-\u001F\u007F]/g, ' ').trim();
+  if (!description) return { error: 'Description is required' };
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less` };
+  }
+  if (input.orderId && !mongoose.isValidObjectId(input.orderId)) return { error: 'Invalid order ID' };
+  return { adjustment: { amount: round2(amount), reason: input.reason, description, orderId: input.orderId || null } };
+}
+
+async function postAdjustment(sellerId, adjustment, admin) {
+  const [posted] = await postEntries([entry('adjustment', {
+    sellerId,
+    orderId: adjustment.orderId,
+    key: `adjustment:${new mongoose.Types.ObjectId()}`,
+    amount: adjustment.amount,
+    reason: adjustment.reason,
+    description: adjustment.description,
+    createdByRole: 'admin',
+    createdBy: admin?._id || null,
+    occurredAt: new Date()
+  })]);
+  return posted;
+}
+
+/**
+ * Payout totals for a set of entries. Deductions are positive numbers;
+ * orderIds are the orders whose sale is among the entries.
+ */
+function summarizeEntries(entries) {
+  const sum = (type, sign = 0) => round2(entries
+    .filter(e => e.type === type && (!sign || Math.sign(e.amount) === sign))
+    .reduce((s, e) => s + e.amount, 0));
+  return {
+    totalSales: sum('sale'),
+    commissionDeducted: -sum('commission', -1) || 0,
+    commissionReversed: sum('commission', 1),
+    gatewayFeesDeducted: -sum('gateway_fee') || 0,
+    shippingDeducted: -sum('shipping') || 0,
+    refundsDeducted: -sum('refund') || 0,
+    adjustments: sum('adjustment'),
+    reserveHeld: -sum('reserve', -1) || 0,
+    reserveReleased: sum('reserve', 1),
+    earlyPayoutFee: -sum('payout_fee') || 0,
+    netPayout: round2(entries.reduce((s, e) => s + e.amount, 0)),
+    orderIds: [...new Set(entries.filter(e => e.type === 'sale').map(e => e.orderId.toString()))]
+  };
+}
+
+/** One line per return refund among the entries: refunded, commission handed back and the net */
+function refundBreakdown(entries) {
+  const lines = new Map();
+  for (const e of entries) {
+    if (!e.returnRequestId) continue;
+    const key = e.returnRequestId.toString();
+    if (!lines.has(key)) {
+      lines.set(key, { orderId: e.orderId, returnRequestId: e.returnRequestId, refunded: 0, commissionReversed: 0, net: 0, postedAt: e.occurredAt });
+    }
+    const line = lines.get(key);
+    if (e.type === 'refund') line.refunded = round2(line.refunded - e.amount);
+    if (e.type === 'commission') line.commissionReversed = round2(line.commissionReversed + e.amount);
+    line.net = round2(line.net + e.amount);
+  }
+  return [...lines.values()];
+}
+
+/** Entries no payout has settled yet, up to `until` */
+function unsettledEntries(sellerId, until = new Date()) {
+  return SellerLedgerEntry.find({ sellerId, payoutId: null, occurredAt: { $lte: until } }).sort({ occurredAt: 1, _id: 1 }).lean();
+}
+
+/** Sellers with unsettled entries up to `until` */
+function sellersWithUnsettledEntries(until = new Date()) {
+  return SellerLedgerEntry.distinct('sellerId', { payoutId: null, occurredAt: { $lte: until } });
+}
+
+// Transactional where the deployment supports it (replica set), plain writes otherwise
+async function withOptionalTransaction(fn) {
+  let session = null;
+  try {
+    session = await mongoose.startSession();
+    await session.withTransaction(() => fn(session));
+  } catch (txErr) {
+    if (txErr.codeName === 'IllegalOperation' || txErr.message?.includes('transaction')) {
+      logger.warn('[Ledger] Transactions not supported, falling back to non-transactional write');
+      await fn(null);
+    } else {
+      throw txErr;
+    }
+  } finally {
+    if (session) session.endSession();
+  }
+}
+
+/**
+ * What a payout for `seller` would settle, without writing anything: their
+ * unsettled entries up to `until` (the ones `eligible` accepts, if given), less
+ * a rolling reserve (a matched reserve rule) and an early-payout fee.
+ * Returns { entries, charges, orderIds, totals, reserveReason }, where charges are
+ * the reserve hold and fee entries still to be posted, or
+ * { skipped: 'no_entries' | 'no_balance', netPayout }.
+ */
+async function quoteLedgerPayout(seller, { until, reserve = null, feePercent = 0, eligible = null }) {
+  let entries = await unsettledEntries(seller._id, until);
+  if (eligible) entries = entries.filter(eligible);
+  if (!entries.length) return { skipped: 'no_entries', netPayout: 0 };
+  const balance = summarizeEntries(entries).netPayout;
+  // Refunds and charges beyond sales stay on the ledger until later sales cover them
+  if (balance <= 0) return { skipped: 'no_balance', netPayout: balance };
+
+  // The reserve goes back on the ledger as a hold, released into the first payout after the hold period.
+  // It is taken from new earnings only: reserves released into this payout are not held again
+  const earned = summarizeEntries(entries.filter(e => e.type !== 'reserve')).netPayout;
+  const held = reserve && earned > 0 ? round2(Math.min(balance, earned * reserve.percent / 100)) : 0;
+  const hold = held > 0 ? entry('reserve', {
+    sellerId: seller._id,
+    amount: -held,
+    description: `Rolling reserve (${reserve.percent}%), held for ${reserve.holdDays} days`,
+    reason: reserve.reason,
+    releaseAt: new Date(Date.now() + reserve.holdDays * DAY_MS), // from when the payout is made, not its period
+    occurredAt: until
+  }) : null;
+  const fee = feePercent > 0 ? round2((balance - held) * feePercent / 100) : 0;
+  const feeEntry = fee > 0 ? entry('payout_fee', {
+    sellerId: seller._id,
+    amount: -fee,
+    description: `Early payout fee (${feePercent}%)`,
+    occurredAt: until
+  }) : null;
+
+  const charges = [hold, feeEntry].filter(Boolean);
+  const { orderIds, ...totals } = summarizeEntries([...entries, ...charges]);
+  return { entries, charges, orderIds, totals, reserveReason: hold ? reserve.reason : '' };
+}
+
+/**
+ * Build a SellerPayout for `seller` from their unsettled entries up to periodEnd
+ * (see quoteLedgerPayout for the other options) and settle those entries with a
+ * payout entry. Payouts below minimumTransfer go on hold. Early payouts
+ * (type 'early') don't count toward the scheduled payouts' duplicate check;
+ * instead there is one per seller and earlyPeriodStart, enforced by a unique index.
+ * Returns { payout }, or { skipped: 'duplicate' | 'no_entries' | 'no_balance' }.
+ */
+async function createLedgerPayout(seller, { periodStart, periodEnd, periodLabel, minimumTransfer = 0, type = 'scheduled', earlyPeriodStart = null, ...quoteOptions }) {
+  if (type === 'scheduled') {
+    // Duplicate protection: skip if a payout already exists for an overlapping period
+    const existingPayout = await SellerPayout.findOne({
+      sellerId: seller._id,
+      type: { $ne: 'early' },
+      periodStart: { $lte: periodEnd },
+      periodEnd: { $gte: periodStart }
+    });
+    if (existingPayout) return { skipped: 'duplicate', existingPayout };
+  }
+
+  const quote = await quoteLedgerPayout(seller, { ...quoteOptions, until: periodEnd });
+  if (quote.skipped) return quote;
+  const { entries, charges, orderIds, totals } = quote;
+
+  const bank = seller.sellerProfile?.bankDetails;
+  const hasBankDetails = bank?.accountHolderName && bank?.accountNumber && bank?.ifscCode && bank?.bankName;
+  let status = 'pending';
+  let holdReason = '';
+  if (!hasBankDetails) {
+    status = 'on_hold';
+    holdReason = 'missing_bank_details';
+  } else if (totals.netPayout < minimumTransfer) {
+    status = 'on_hold';
+    holdReason = 'below_minimum_transfer';
+  }
+
+  const refundAdjustments = refundBreakdown(entries);
+  if (refundAdjustments.length) {
+    const orders = await Order.find({ _id: { $in: refundAdjustments.map(r => r.orderId) } }).select('orderNumber').lean();
+    const numbers = new Map(orders.map(o => [o._id.toString(), o.orderNumber]));
+    for (const line of refundAdjustments) line.orderNumber = numbers.get(line.orderId.toString()) || '';
+  }
+
+  const payoutData = {
+    sellerId: seller._id,
+    periodStart,
+    periodEnd,
+    periodLabel,
+    orderIds,
+    orderCount: orderIds.length,
+    ...totals,
+    refundAdjustments,
+    reserveReason: quote.reserveReason,
+    type,
+    requestedAt: type === 'early' ? new Date() : null,
+    earlyPeriodStart: type === 'early' ? earlyPeriodStart : null,
+    status,
+    holdReason,
+    bankDetailsSnapshot: bank || {}
+  };
+
+  let payout;
+  try {
+    await withOptionalTransaction(async (session) => {
+      payout = new SellerPayout(payoutData);
+      await payout.save({ session });
+      const settled = await SellerLedgerEntry.updateMany(
+        { _id: { $in: entries.map(e => e._id) }, payoutId: null },
+        { payoutId: payout._id },
+        { session }
+      );
+      if (settled.modifiedCount !== entries.length) {
+        if (!session) {
+          // Nothing to roll back without a transaction: hand back the entries this payout took and drop it
+          await SellerLedgerEntry.updateMany({ payoutId: payout._id }, { payoutId: null });
+          await SellerPayout.deleteOne({ _id: payout._id });
+        }
+        throw new Error('Ledger entries were settled by another payout');
+      }
+      if (charges.length) {
+        await SellerLedgerEntry.create(charges.map(c => ({ ...c, key: `payout:${payout._id}:${c.type}`, payoutId: payout._id })), { session });
+      }
+      await SellerLedgerEntry.create([entry('payout', {
+        sellerId: seller._id,
+        payoutId: payout._id,
+        key: `payout:${payout._id}`,
+        amount: -totals.netPayout,
+        description: `Payout ${periodLabel}`,
+        occurredAt: periodEnd
+      })], { session });
+      await Order.updateMany(
+        { _id: { $in: orderIds } },
+        { payoutStatus: 'included_in_payout', payoutId: payout._id },
+        { session }
+      );
+    });
+  } catch (err) {
+    // A second early payout request for the same period lost the race
+    if (err.code === 11000 && type === 'early') return { skipped: 'duplicate' };
+    throw err;
+  }
+
+  return { payout };
+}
+
+/**
+ * Post the release of every reserve hold due by `until`, so it is paid out with
+ * the next payout. `filter` narrows the holds, e.g. { sellerId }.
+ * Returns the number of holds released.
+ */
+async function releaseDueReserves(filter = {}, until = new Date()) {
+  const due = await SellerLedgerEntry.find({ ...filter, type: 'reserve', amount: { $lt: 0 }, releasedAt: null, releaseAt: { $lte: until } }).lean();
+  if (!due.length) return 0;
+  await postEntries(due.map(h => entry('reserve', {
+    sellerId: h.sellerId,
+    key: `reserve:${h._id}:release`,
+    amount: -h.amount,
+    description: `Rolling reserve released (held ${h.occurredAt.toISOString().split('T')[0]})`,
+    occurredAt: h.releaseAt
+  })));
+  await SellerLedgerEntry.updateMany({ _id: { $in: due.map(h => h._id) }, releasedAt: null }, { releasedAt: new Date() });
+  return due.length;
+}
+
+/** A seller's reserve still held: the total and when each part is released */
+async function reserveSummary(sellerId) {
+  const holds = await SellerLedgerEntry.find({ sellerId, type: 'reserve', amount: { $lt: 0 }, releasedAt: null })
+    .sort({ releaseAt: 1 }).select('amount releaseAt').lean();
+  return {
+    balance: round2(-holds.reduce((s, h) => s + h.amount, 0)),
+    releases: holds.map(h => ({ amount: -h.amount, releaseAt: h.releaseAt }))
+  };
+}
+
+async function sumAmounts(match, limit) {
+  if (limit === 0) return 0;
+  const pipeline = [{ $match: match }];
+  if (limit !== undefined) pipeline.push({ $sort: { createdAt: 1, _id: 1 } }, { $limit: limit });
+  pipeline.push({ $group: { _id: null, total: { $sum: '$amount' } } });
+  const [row] = await SellerLedgerEntry.aggregate(pipeline);
+  return round2(row?.total || 0);
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_STATEMENT_PAGE_SIZE = 200;
+
+/**
+ * Statement options from a query string: from/to (YYYY-MM-DD, inclusive), page, limit.
+ * Returns { options } or { error }.
+ */
+function parseStatementQuery(query) {
+  const options = {
+    page: Math.max(1, parseInt(query.page) || 1),
+    limit: Math.min(MAX_STATEMENT_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 50))
+  };
+  for (const [key, time] of [['from', 'T00:00:00.000Z'], ['to', 'T23:59:59.999Z']]) {
+    if (!query[key]) continue;
+    const date = new Date(`${query[key]}${time}`);
+    if (typeof query[key] !== 'string' || !DATE_RE.test(query[key]) || Number.isNaN(date.getTime())) {
+      return { error: `${key} must be a date in YYYY-MM-DD format` };
+    }
+    options[key] = date;
+  }
+  if (options.from && options.to && options.from > options.to) return { error: 'from must be on or before to' };
+  return { options };
+}
+
+/**
+ * A page of a seller's statement, oldest first, each entry with the balance after it.
+ * from/to are Dates bounding when entries were posted (either may be null).
+ */
+async function ledgerStatement(sellerId, { from = null, to = null, page = 1, limit = 50 } = {}) {
+  const sellerMatch = { sellerId: new mongoose.Types.ObjectId(String(sellerId)) };
+  const range = { ...sellerMatch };
+  if (from || to) {
+    range.createdAt = {};
+    if (from) range.createdAt.$gte = from;
+    if (to) range.createdAt.$lte = to;
+  }
+  const skip = (page - 1) * limit;
+
+  const [broughtForward, rangeTotal, beforePage, total, balance, entries] = await Promise.all([
+    from ? sumAmounts({ ...sellerMatch, createdAt: { $lt: from } }) : 0,
+    sumAmounts(range),
+    sumAmounts(range, skip),
+    SellerLedgerEntry.countDocuments(range),
+    sumAmounts(sellerMatch),
+    SellerLedgerEntry.find(range).sort({ createdAt: 1, _id: 1 }).skip(skip).limit(limit).lean()
+  ]);
+
+  let running = round2(broughtForward + beforePage);
+  return {
+    openingBalance: broughtForward,
+    closingBalance: round2(broughtForward + rangeTotal),
+    balance,
+    entries: entries.map(e => {
+      running = round2(running + e.amount);
+      return { ...e, balance: running };
+    }),
+    total,
+    page,
+    pages: Math.ceil(total / limit)
+  };
+}
+
+module.exports = {
+  CONTRA_ACCOUNTS,
+  ENTRY_TYPES,
+  ADJUSTMENT_REASONS,
+  REFUND_COMMISSION_POLICIES,
+  orderEntries,
+  postEntries,
+  postOrderEntries,
+  postDeliveredOrders,
+  postReturnRefund,
+  postRtoCharge,
+  parseAdjustment,
+  postAdjustment,
+  summarizeEntries,
+  refundBreakdown,
+  releaseDueReserves,
+  reserveSummary,
+  unsettledEntries,
+  sellersWithUnsettledEntries,
+  quoteLedgerPayout,
+  createLedgerPayout,
+  parseStatementQuery,
+  ledgerStatement
+};
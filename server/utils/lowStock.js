@@ -0,0 +1,115 @@
+/**
+ * Low-stock alerts
+ *
+ * A product (or, for products with variants, each active variant) is "low" when
+ * its stock is at or below product.lowStockThreshold. A threshold of 0 disables alerts.
+ * Products saved before thresholds existed have no stored value and use the default.
+ */
+
+const Seller = require('../models/Seller');
+const { createNotification } = require('./notify');
+const { variantLabel, findVariant } = require('./variants');
+const logger = require('./logger');
+
+// Product.lowStockThreshold's schema default; lean reads and queries don't apply it
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const thresholdOf = (product) => product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+const THRESHOLD_EXPR = { $ifNull: ['$lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] };
+
+/**
+ * Did reserving `quantity` move stock from above the threshold to at/below it?
+ * `product` is the document returned by reserveStock (already decremented).
+ * Returns an alert item or null.
+ */
+function lowStockCrossing(product, variantId, quantity) {
+  const threshold = thresholdOf(product);
+  if (threshold <= 0) return null;
+  const variant = findVariant(product, variantId);
+  const after = variant ? variant.stock : product.stock;
+  if (after > threshold || after + quantity <= threshold) return null;
+  return {
+    productId: product._id,
+    sellerId: product.sellerId,
+    title: product.title,
+    variantLabel: variant ? variantLabel(variant, product.variantOptions) : '',
+    stock: after,
+    threshold
+  };
+}
+
+/**
+ * Low items on one product: the product itself, or each low active variant.
+ */
+function lowStockItems(product) {
+  const threshold = thresholdOf(product);
+  if (threshold <= 0) return [];
+  const base = { productId: product._id, title: product.title, threshold };
+  if (product.variants?.length) {
+    return product.variants
+      .filter(v => v.isActive !== false && v.stock <= threshold)
+      .map(v => ({ ...base, variantId: v._id, variantLabel: variantLabel(v, product.variantOptions), stock: v.stock }));
+  }
+  return product.stock <= threshold ? [{ ...base, variantLabel: '', stock: product.stock }] : [];
+}
+
+/**
+ * Mongo filter matching products with anything at or below its threshold.
+ */
+function lowStockFilter(extra = {}) {
+  return {
+    ...extra,
+    $expr: {
+      $and: [
+        { $gt: [THRESHOLD_EXPR, 0] },
+        { $or: [
+          { $lte: ['$stock', THRESHOLD_EXPR] },
+          { $gt: [{ $size: { $filter: {
+            input: { $ifNull: ['$variants', []] },
+            cond: { $and: [{ $ne: ['$$this.isActive', false] }, { $lte: ['$$this.stock', THRESHOLD_EXPR] }] }
+          } } }, 0] }
+        ] }
+      ]
+    }
+  };
+}
+
+/**
+ * Notify each affected seller (in-app + email) about threshold crossings.
+ * Never throws: alerts must not affect the order flow.
+ */
+async function notifyLowStock(items) {
+  const bySeller = new Map();
+  for (const item of items) {
+    const sid = item.sellerId.toString();
+    if (!bySeller.has(sid)) bySeller.set(sid, []);
+    bySeller.get(sid).push(item);
+  }
+
+  for (const [sellerId, sellerItems] of bySeller) {
+    try {
+      const first = sellerItems[0];
+      const name = `${first.title}${first.variantLabel ? ` (${first.variantLabel})` : ''}`;
+      await createNotification({
+        userId: sellerId,
+        userRole: 'seller',
+        type: 'low_stock',
+        title: sellerItems.length === 1 ? `Low stock: ${name}` : `${sellerItems.length} products are running low`,
+        message: sellerItems.length === 1
+          ? (first.stock === 0 ? `${name} is now out of stock.` : `Only ${first.stock} left of ${name}.`)
+          : sellerItems.map(i => `${i.title}${i.variantLabel ? ` (${i.variantLabel})` : ''}: ${i.stock} left`).join(', '),
+        link: '/seller',
+        metadata: { productIds: sellerItems.map(i => i.productId) }
+      });
+
+      const seller = await Seller.findById(sellerId).select('email').lean();
+      if (seller?.email) {
+        const { sendLowStockAlert } = require('./email');
+        await sendLowStockAlert(seller.email, sellerItems);
+      }
+    } catch (err) {
+      logger.error(`[LowStock] Alert failed for seller ${sellerId}:`, err.message);
+    }
+  }
+}
+
+module.exports = { DEFAULT_LOW_STOCK_THRESHOLD, thresholdOf, lowStockCrossing, lowStockItems, lowStockFilter, notifyLowStock };
@@ -0,0 +1,106 @@
+/**
+ * Product moderation workflow
+ *
+ * Sellers create products as drafts or submit them to pending_review; admins
+ * approve, reject or request changes (also on live products, as a takedown).
+ * Sellers resubmit after changes are requested; rejection is final unless an
+ * admin approves the product later.
+ *
+ * Only approved products are public. Products created before moderation existed
+ * have no moderationStatus and count as approved. Editing what a reviewer looked
+ * at (title, description, category, images, variant options, customization) on
+ * an approved product sends it back through review. Price changes don't: they
+ * are bounded by the minimum price and the compare/sale price checks.
+ */
+
+const MODERATION_STATUSES = ['draft', 'pending_review', 'approved', 'rejected', 'changes_requested'];
+
+// Admin review decisions: action -> resulting status
+const REVIEW_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'changes_requested'
+};
+
+// Statuses each review action may be applied from
+const REVIEWABLE_FROM = {
+  approve: ['pending_review', 'rejected', 'changes_requested'],
+  reject: ['pending_review', 'approved', 'changes_requested'],
+  request_changes: ['pending_review', 'approved']
+};
+
+// Statuses a seller may submit (or resubmit) for review from
+const SUBMITTABLE_FROM = ['draft', 'changes_requested'];
+
+/**
+ * Mongo condition for the moderationStatus field on public queries.
+ */
+function approvedCondition() {
+  return { $in: ['approved', null] };
+}
+
+function isApproved(product) {
+  return !product.moderationStatus || product.moderationStatus === 'approved';
+}
+
+/**
+ * Status a seller's submission lands in: verified sellers skip the queue when
+ * the platform allows it.
+ */
+function submissionStatus(seller, settings) {
+  return settings.autoApproveVerifiedSellers && seller?.sellerProfile?.isVerified ? 'approved' : 'pending_review';
+}
+
+/**
+ * The parts of a product a review covers, as a string to compare before and
+ * after an edit (see needsReview).
+ */
+function reviewedContent(product) {
+  const p = typeof product.toObject === 'function' ? product.toObject({ flattenMaps: true }) : product;
+  const urls = (list) => (list || []).map(item => item.url);
+  return JSON.stringify({
+    title: p.title,
+    description: p.description,
+    category: p.category,
+    subcategory: p.subcategory,
+    images: urls(p.images),
+    media: urls(p.media),
+    variants: (p.variants || []).map(v => ({ options: v.options, images: urls(v.images) })),
+    customizationOptions: (p.customizationOptions || []).map(({ _id, ...o }) => o)
+  });
+}
+
+/**
+ * Whether an edit that turned `before` (from reviewedContent) into the product
+ * as it is now has to be reviewed again: only approved products are affected.
+ */
+function needsReview(product, before) {
+  return isApproved(product) && reviewedContent(product) !== before;
+}
+
+/**
+ * Move a product document to a new status and record it in moderationHistory.
+ */
+function applyModeration(product, status, { reason = '', actorRole, actorId = null } = {}) {
+  product.moderationStatus = status;
+  product.moderationReason = ['rejected', 'changes_requested'].includes(status) ? reason : '';
+  if (status === 'pending_review') product.submittedForReviewAt = new Date();
+  if (['approved', 'rejected', 'changes_requested'].includes(status)) {
+    product.reviewedAt = new Date();
+    product.reviewedBy = actorRole === 'admin' ? actorId : null;
+  }
+  product.moderationHistory.push({ status, reason, actorRole, actorId, at: new Date() });
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  REVIEW_ACTIONS,
+  REVIEWABLE_FROM,
+  SUBMITTABLE_FROM,
+  approvedCondition,
+  isApproved,
+  submissionStatus,
+  reviewedContent,
+  needsReview,
+  applyModeration
+};
@@ -0,0 +1,85 @@
+/**
+ * Seller order export
+ *
+ * One row per line item, with the order-level columns repeated on every row so
+ * the file can be filtered and pivoted in a spreadsheet. The AWB on each row is
+ * that of the package carrying the item (split orders can have several).
+ */
+
+const Shipment = require('../models/Shipment');
+const { isActiveShipment, shipmentItems } = require('./fulfillment');
+
+const EXPORT_COLUMNS = [
+  'Order Number', 'Order Date', 'Deliver On', 'Status', 'Payment Status', 'Return Status',
+  'Customer Name', 'Customer Email', 'Customer Phone', 'City', 'State', 'Pincode',
+  'Item', 'Variant', 'SKU', 'Quantity', 'Unit Price', 'Line Total', 'Customizations',
+  'Courier', 'AWB',
+  'Item Total', 'Gift Wrap', 'Shipping', 'Discount', 'Coupon', 'Order Total', 'Commission', 'Gateway Fee', 'Seller Amount'
+];
+
+// XLSX is built in memory, so it is capped; CSV streams without a limit
+const MAX_XLSX_ORDERS = 5000;
+const EXPORT_BATCH_SIZE = 200;
+
+/** Customizations of a line item as "Label: value; Label: value" */
+function formatCustomizations(item) {
+  return (item.customizations || []).map(c => {
+    const value = c.value || (c.imageUrls?.length ? c.imageUrls.join(' ') : '');
+    const extra = c.extraPrice > 0 ? ` (+Rs.${c.extraPrice})` : '';
+    return `${c.label}: ${value}${c.colorHex && c.colorHex !== value ? ` ${c.colorHex}` : ''}${extra}`;
+  }).join('; ');
+}
+
+/**
+ * Export rows for one order (lean document, customerId optionally populated).
+ * `shipments` are the order's packages, used to find each item's courier and AWB.
+ */
+function orderExportRows(order, shipments = []) {
+  const packages = shipments.filter(isActiveShipment);
+  const packagesFor = (itemId) => packages.filter(s => shipmentItems(s, order).some(i => i.itemId === itemId && i.quantity > 0));
+  const date = new Date(order.createdAt).toISOString().split('T')[0];
+  const customer = order.customerId && typeof order.customerId === 'object' ? order.customerId : {};
+
+  return (order.items || []).map(item => {
+    const carriers = packagesFor(item._id.toString());
+    const courier = carriers.map(s => s.courierName).filter(Boolean).join(' / ') || order.trackingInfo?.courierName || '';
+    const awb = carriers.map(s => s.awbCode).filter(Boolean).join(' / ') || order.trackingInfo?.trackingNumber || '';
+    return [
+      order.orderNumber, date, order.preferredDeliveryDate ? new Date(order.preferredDeliveryDate).toISOString().split('T')[0] : '', order.status, order.paymentStatus, order.returnStatus || 'none',
+      order.shippingAddress?.name || customer.name || '', order.customerEmail || customer.email || '', order.customerPhone || order.shippingAddress?.phone || customer.phone || '',
+      order.shippingAddress?.city || '', order.shippingAddress?.state || '', order.shippingAddress?.pincode || '',
+      item.title || '', item.variantLabel || '', item.sku || '', item.quantity || 1, item.price || 0, (item.price || 0) * (item.quantity || 1), formatCustomizations(item),
+      courier, awb,
+      order.itemTotal || 0, order.giftWrapCharge || 0, order.shippingCost || 0, order.discountAmount || 0, order.couponCode || '', order.totalAmount || 0,
+      order.commissionAmount || 0, order.paymentGatewayFee || 0, order.sellerAmount || 0
+    ];
+  });
+}
+
+/**
+ * Read orders from a query cursor in batches, load their packages, and hand the
+ * export rows of each batch to `onRows` (which may be async, e.g. to wait for a
+ * slow client). Stops early when `onRows` returns false.
+ */
+async function forEachExportBatch(cursor, onRows) {
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return true;
+    const shipments = await Shipment.find({ orderId: { $in: batch.map(o => o._id) } }).lean();
+    const rows = batch.flatMap(order => orderExportRows(order, shipments.filter(s => s.orderId.toString() === order._id.toString())));
+    batch = [];
+    return (await onRows(rows)) !== false;
+  };
+
+  try {
+    for await (const order of cursor) {
+      batch.push(order);
+      if (batch.length >= EXPORT_BATCH_SIZE && !(await flush())) return;
+    }
+    await flush();
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = { EXPORT_COLUMNS, MAX_XLSX_ORDERS, orderExportRows, formatCustomizations, forEachExportBatch };
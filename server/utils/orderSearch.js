@@ -0,0 +1,117 @@
+/**
+ * Seller order search
+ *
+ * Turns the query string of GET /api/seller/orders (and its export) into a
+ * Mongo filter and sort, always scoped to one seller:
+ *   q              order number, customer name/email/phone, AWB, product title or SKU
+ *   status         one or more order statuses, comma-separated
+ *   paymentStatus  one or more payment statuses, comma-separated
+ *   returnStatus   one or more return statuses, comma-separated
+ *   from, to       order date range (YYYY-MM-DD, both inclusive)
+ *   sort           newest | oldest | amount_desc | amount_asc | status | ship_due
+ */
+
+const Shipment = require('../models/Shipment');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'cancelled', 'refunded'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunded', 'refund_pending'];
+const RETURN_STATUSES = ['none', 'requested', 'approved', 'completed', 'rejected'];
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  amount_desc: { totalAmount: -1, createdAt: -1 },
+  amount_asc: { totalAmount: 1, createdAt: -1 },
+  status: { status: 1, createdAt: -1 },
+  ship_due: { shipDueAt: 1, createdAt: 1 } // scheduled deliveries by when they must ship
+};
+
+const MAX_SEARCH_LENGTH = 100;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a comma-separated list param against the allowed values.
+ * Returns an array (empty when the param is absent) or { error }.
+ */
+function parseList(value, allowed, name) {
+  if (value === undefined || value === null || value === '' || value === 'all') return [];
+  if (typeof value !== 'string') return { error: `${name} must be a comma-separated string` };
+  const values = [...new Set(value.split(',').map(v => v.trim()).filter(Boolean))];
+  const invalid = values.find(v => !allowed.includes(v));
+  if (invalid) return { error: `Invalid ${name} "${invalid}"` };
+  return values;
+}
+
+/**
+ * Parse a YYYY-MM-DD date; `endOfDay` makes it the last millisecond of that day (UTC).
+ */
+function parseDay(value, name, endOfDay = false) {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return { error: `${name} must be a date in YYYY-MM-DD format` };
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  if (isNaN(date.getTime())) return { error: `${name} is not a valid date` };
+  return { date };
+}
+
+/**
+ * Build { filter, sort } for a seller's orders from request query params, or { error }.
+ */
+async function buildSellerOrderQuery(sellerId, query = {}) {
+  const filter = { sellerId };
+
+  const lists = [
+    ['status', ORDER_STATUSES],
+    ['paymentStatus', PAYMENT_STATUSES],
+    ['returnStatus', RETURN_STATUSES]
+  ];
+  for (const [name, allowed] of lists) {
+    const values = parseList(query[name], allowed, name);
+    if (values.error) return values;
+    if (values.length === 1) filter[name] = values[0];
+    else if (values.length > 1) filter[name] = { $in: values };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      const from = parseDay(query.from, 'from');
+      if (from.error) return from;
+      filter.createdAt.$gte = from.date;
+    }
+    if (query.to) {
+      const to = parseDay(query.to, 'to', true);
+      if (to.error) return to;
+      filter.createdAt.$lte = to.date;
+    }
+    if (filter.createdAt.$gte && filter.createdAt.$lte && filter.createdAt.$gte > filter.createdAt.$lte) {
+      return { error: 'from must be on or before to' };
+    }
+  }
+
+  if (query.q !== undefined && query.q !== '') {
+    if (typeof query.q !== 'string') return { error: 'q must be a string' };
+    const q = query.q.trim().substring(0, MAX_SEARCH_LENGTH);
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      // Packages of split orders carry their own AWBs
+      const shipmentOrderIds = await Shipment.find({ sellerId, awbCode: pattern }).distinct('orderId');
+      filter.$or = [
+        { orderNumber: pattern },
+        { 'shippingAddress.name': pattern },
+        { customerEmail: pattern },
+        { customerPhone: pattern },
+        { 'trackingInfo.trackingNumber': pattern },
+        { 'items.title': pattern },
+        { 'items.sku': pattern },
+        ...(shipmentOrderIds.length ? [{ _id: { $in: shipmentOrderIds } }] : [])
+      ];
+    }
+  }
+
+  const sortKey = query.sort || 'newest';
+  if (!SORTS[sortKey]) return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  return { filter, sort: SORTS[sortKey] };
+}
+
+module.exports = { ORDER_STATUSES, PAYMENT_STATUSES, RETURN_STATUSES, SORTS, buildSellerOrderQuery };
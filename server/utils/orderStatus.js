@@ -5,9 +5,11 @@
 
 const VALID_TRANSITIONS = {
   pending: ['confirmed', 'cancelled'],
-  confirmed: ['processing', 'shipped', 'cancelled'],
-  processing: ['shipped', 'cancelled'],
-  shipped: ['delivered', 'cancelled'],
+  confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped', 'partially_delivered', 'delivered'],
+  shipped: ['partially_delivered', 'delivered', 'cancelled'],
+  partially_delivered: ['delivered'],
   delivered: [],    // terminal state
   cancelled: [],    // terminal state
   refunded: []      // terminal state
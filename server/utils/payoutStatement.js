@@ -0,0 +1,162 @@
+/**
+ * Payout settlement statements
+ *
+ * What a payout paid for, one row per order: sale, commission, gateway fee,
+ * shipping, refunds and adjustments, built from the ledger entries the payout
+ * settled (see utils/ledger). Payouts from before the ledger have no entries;
+ * their rows are rebuilt from the orders. Entries not tied to an order (admin
+ * credits and debits, rolling reserve, early payout fee) are listed separately.
+ * Rendered as a PDF by generatePayoutStatement (utils/pdf) or as CSV by
+ * payoutStatementCsv.
+ */
+
+const Order = require('../models/Order');
+const SellerLedgerEntry = require('../models/SellerLedgerEntry');
+const { orderEntries } = require('./ledger');
+const { toSafeCsvRow } = require('./csv');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Ledger entry types -> statement columns; refunds carry the commission handed back with them
+const COLUMN_FOR_ENTRY = { sale: 'sale', commission: 'commission', gateway_fee: 'gatewayFee', shipping: 'shipping', refund: 'refunds', adjustment: 'adjustments' };
+const STATEMENT_COLUMNS = [
+  ['sale', 'Sale'], ['commission', 'Commission'], ['gatewayFee', 'Gateway Fee'], ['shipping', 'Shipping'],
+  ['refunds', 'Refunds'], ['adjustments', 'Adjustments'], ['net', 'Net']
+];
+
+/** All but the last four digits hidden, e.g. '********1234' */
+function maskAccountNumber(accountNumber) {
+  const digits = String(accountNumber || '');
+  if (!digits) return '';
+  return '*'.repeat(Math.max(4, digits.length - 4)) + digits.slice(-4);
+}
+
+const emptyRow = () => Object.fromEntries(STATEMENT_COLUMNS.map(([key]) => [key, 0]));
+
+/**
+ * Everything on a payout's statement. `payout` and `seller` are lean documents.
+ * Amounts keep the ledger's sign: credits positive, deductions negative.
+ */
+async function buildPayoutStatement(payout, seller) {
+  let entries = await SellerLedgerEntry.find({ payoutId: payout._id, type: { $ne: 'payout' } }).sort({ occurredAt: 1, _id: 1 }).lean();
+  const legacy = entries.length === 0;
+
+  const orderIds = new Set((payout.orderIds || []).map(String));
+  for (const e of entries) if (e.orderId) orderIds.add(e.orderId.toString());
+  const orders = await Order.find({ _id: { $in: [...orderIds] } })
+    .select('orderNumber deliveredAt updatedAt createdAt sellerId itemTotal totalAmount giftWrapCharge commissionAmount commissionRate paymentGatewayFee shippingPaidBy actualShippingCost shippingCost')
+    .lean();
+  const orderById = new Map(orders.map(o => [o._id.toString(), o]));
+  if (legacy) entries = orders.flatMap(o => orderEntries(o));
+
+  const rows = new Map();
+  const otherAdjustments = [];
+  for (const e of entries) {
+    if (!e.orderId) {
+      otherAdjustments.push({ date: e.occurredAt, description: e.description, reason: e.reason, amount: e.amount });
+      continue;
+    }
+    const id = e.orderId.toString();
+    if (!rows.has(id)) {
+      const order = orderById.get(id) || {};
+      rows.set(id, { orderId: id, orderNumber: order.orderNumber || '', deliveredAt: order.deliveredAt || null, ...emptyRow() });
+    }
+    const row = rows.get(id);
+    // Commission handed back on a refund is shown against the refund it came with
+    const column = e.type === 'commission' && e.returnRequestId ? 'refunds' : COLUMN_FOR_ENTRY[e.type];
+    row[column] = round2(row[column] + e.amount);
+    row.net = round2(row.net + e.amount);
+  }
+
+  const orderRows = [...rows.values()];
+  const totals = emptyRow();
+  for (const row of orderRows) for (const [key] of STATEMENT_COLUMNS) totals[key] = round2(totals[key] + row[key]);
+  const otherTotal = round2(otherAdjustments.reduce((s, a) => s + a.amount, 0));
+  totals.adjustments = round2(totals.adjustments + otherTotal);
+  totals.net = round2(totals.net + otherTotal);
+
+  const bank = payout.bankDetailsSnapshot || {};
+  return {
+    payoutId: payout._id,
+    periodLabel: payout.periodLabel,
+    periodStart: payout.periodStart,
+    periodEnd: payout.periodEnd,
+    status: payout.status,
+    utr: payout.cashfreeUtr || payout.transactionId || '',
+    paidAt: payout.paidAt || payout.disbursedAt || null,
+    seller: {
+      name: seller?.name || '',
+      businessName: seller?.sellerProfile?.businessName || '',
+      email: seller?.email || '',
+      gstNumber: seller?.sellerProfile?.gstNumber || ''
+    },
+    bank: {
+      accountHolderName: bank.accountHolderName || '',
+      bankName: bank.bankName || '',
+      ifscCode: bank.ifscCode || '',
+      accountNumber: maskAccountNumber(bank.accountNumber)
+    },
+    rows: orderRows,
+    otherAdjustments,
+    totals,
+    // The payout's own figures; totals.net matches netPayout for ledger payouts
+    summary: {
+      totalSales: payout.totalSales || 0,
+      commissionDeducted: payout.commissionDeducted || 0,
+      commissionReversed: payout.commissionReversed || 0,
+      gatewayFeesDeducted: payout.gatewayFeesDeducted || 0,
+      shippingDeducted: payout.shippingDeducted || 0,
+      refundsDeducted: payout.refundsDeducted || 0,
+      adjustments: payout.adjustments || 0,
+      reserveHeld: payout.reserveHeld || 0,
+      reserveReleased: payout.reserveReleased || 0,
+      earlyPayoutFee: payout.earlyPayoutFee || 0,
+      netPayout: payout.netPayout || 0
+    }
+  };
+}
+
+const isoDate = (d) => (d ? new Date(d).toISOString().split('T')[0] : '');
+
+/** The statement as CSV: a header block, the order rows with a total, other adjustments and the payout summary */
+function payoutStatementCsv(statement) {
+  const { seller, bank, summary } = statement;
+  const lines = [
+    ['Payout Statement', statement.periodLabel],
+    ['Period', `${isoDate(statement.periodStart)} to ${isoDate(statement.periodEnd)}`],
+    ['Seller', seller.businessName || seller.name],
+    ['GSTIN', seller.gstNumber],
+    ['Status', statement.status],
+    ['Paid On', isoDate(statement.paidAt)],
+    ['UTR', statement.utr],
+    ['Bank', [bank.bankName, bank.accountNumber, bank.ifscCode].filter(Boolean).join(' / ')],
+    ['Account Holder', bank.accountHolderName],
+    [],
+    ['Order Number', 'Delivered On', ...STATEMENT_COLUMNS.map(([, label]) => label)],
+    ...statement.rows.map(r => [r.orderNumber, isoDate(r.deliveredAt), ...STATEMENT_COLUMNS.map(([key]) => r[key])]),
+    ['Total', '', ...STATEMENT_COLUMNS.map(([key]) => statement.totals[key])]
+  ];
+  if (statement.otherAdjustments.length) {
+    lines.push([], ['Other Adjustments'], ['Date', 'Description', 'Reason', 'Amount']);
+    for (const a of statement.otherAdjustments) lines.push([isoDate(a.date), a.description, a.reason, a.amount]);
+  }
+  lines.push(
+    [],
+    ['Summary'],
+    ['Total Sales', summary.totalSales],
+    ['Commission', -summary.commissionDeducted],
+    ['Commission Reversed', summary.commissionReversed],
+    ['Gateway Fees', -summary.gatewayFeesDeducted],
+    ['Shipping', -summary.shippingDeducted],
+    ['Refunds', -summary.refundsDeducted],
+    ['Adjustments', summary.adjustments],
+    ['Reserve Held', -summary.reserveHeld],
+    ['Reserve Released', summary.reserveReleased],
+    ['Early Payout Fee', -summary.earlyPayoutFee],
+    ['Net Payout', summary.netPayout]
+  );
+  // BOM so Excel reads the file as UTF-8
+  return '\uFEFF' + lines.map(toSafeCsvRow).join('');
+}
+
+module.exports = { STATEMENT_COLUMNS, maskAccountNumber, buildPayoutStatement, payoutStatementCsv };
@@ -1,9 +1,14 @@
 /**
- * PDF Generation for Corporate Invoices and Quotes
+ * PDF Generation for Invoices, Quotes, Packing Slips, Pick Lists, Gift Receipts and Payout Statements
  * Uses PDFKit -- lightweight, no headless browser needed.
  */
 
 const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const Product = require('../models/Product');
+const logger = require('./logger');
+const { customizationText } = require('./customizations');
+const { loadMediaBuffer } = require('./imageVariants');
 
 // ─── Shared helpers ──────────────────────────────────────────────
 
@@ -37,6 +42,24 @@ function drawTableRow(doc, y, columns, values) {
   return y + 16;
 }
 
+// Small grey lines under an item row: variant, customer customizations and gift wrap
+function drawItemDetails(doc, y, item, { x = 75, width = 220, prices = true } = {}) {
+  const lines = [];
+  if (item.variantLabel) lines.push(item.variantLabel);
+  for (const c of item.customizations || []) {
+    const extra = prices && c.extraPrice ? ` (+${formatCurrency(c.extraPrice)})` : '';
+    lines.push(`${c.label}: ${customizationText(c)}${extra}`);
+  }
+  if (item.giftWrapped) lines.push(`Gift wrapped${prices && item.giftWrapPrice ? ` (+${formatCurrency(item.giftWrapPrice)} each)` : ''}`);
+  if (!lines.length) return y;
+  doc.font('Helvetica').fontSize(8).fillColor('#777777');
+  for (const line of lines) {
+    doc.text(line, x, y - 3, { width });
+    y += doc.heightOfString(line, { width }) + 1;
+  }
+  return y + 4;
+}
+
 // ─── Order Invoice ───────────────────────────────────────────────
 
 function generateOrderInvoice(order, corporateUser) {
@@ -87,7 +110,8 @@ function generateOrderInvoice(order, corporateUser) {
       const addr = order.shippingAddress || {};
       doc.font('Helvetica').fontSize(9).fillColor('#555555');
       let sy = shipY + 15;
-      if (addr.name) { doc.text(addr.name, 320, sy); sy += 12; }
+      const shipName = order.gift?.recipientName || addr.name;
+      if (shipName) { doc.text(shipName, 320, sy); sy += 12; }
       if (addr.street) { doc.text(addr.street, 320, sy); sy += 12; }
       const cityLine = [addr.city, addr.state, addr.pincode].filter(Boolean).join(', ');
       if (cityLine) { doc.text(cityLine, 320, sy); sy += 12; }
@@ -117,6 +141,7 @@ function generateOrderInvoice(order, corporateUser) {
           formatCurrency(item.price),
           formatCurrency(subtotal)
         ]);
+        y = drawItemDetails(doc, y, item);
       });
 
       drawHr(doc, y + 4);
@@ -130,6 +155,12 @@ function generateOrderInvoice(order, corporateUser) {
       doc.text(formatCurrency(order.itemTotal || order.totalAmount), totalsX + 80, y, { width: totalsW - 80, align: 'right' });
       y += 14;
 
+      if (order.giftWrapCharge) {
+        doc.text('Gift wrap:', totalsX, y, { width: 80, align: 'left' });
+        doc.text(formatCurrency(order.giftWrapCharge), totalsX + 80, y, { width: totalsW - 80, align: 'right' });
+        y += 14;
+      }
+
       if (order.discountAmount) {
         doc.text('Discount:', totalsX, y, { width: 80, align: 'left' });
         doc.text(`-${formatCurrency(order.discountAmount)}`, totalsX + 80, y, { width: totalsW - 80, align: 'right' });
@@ -267,4 +298,437 @@ function generateQuoteDocument(quote) {
   });
 }
 
-module.exports = { generateOrderInvoice, generateQuoteDocument };
+// ─── Packing Slip ────────────────────────────────────────────────
+
+const THUMB_SIZE = 40;
+
+const THUMB_FETCH_CONCURRENCY = 4;
+const THUMB_FETCH_TIMEOUT_MS = 5000;
+
+// Stored 200px 'thumb' variant (see utils/imageVariants) of each item image, where the product still has one
+async function thumbVariantUrls(items) {
+  const productIds = [...new Set(items.map(i => i.productId?.toString()).filter(Boolean))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('images.url images.variants').lean();
+  const urls = new Map();
+  for (const image of products.flatMap(p => p.images || [])) {
+    const thumb = (image.variants || []).find(v => v.name === 'thumb' && v.format === 'webp');
+    if (thumb?.url) urls.set(image.url, thumb.url);
+  }
+  return urls;
+}
+
+// JPEG thumbnails for item images, keyed by item image URL (pdfkit can't embed WebP/AVIF).
+// A few downloads at a time with a short timeout; unreachable images are skipped
+async function loadThumbnails(items) {
+  const images = [...new Set(items.map(i => i.image).filter(Boolean))];
+  const thumbs = new Map();
+  if (!images.length) return thumbs;
+  const sources = await thumbVariantUrls(items);
+
+  let next = 0;
+  const worker = async () => {
+    while (next < images.length) {
+      const url = images[next++];
+      try {
+        const buffer = await loadMediaBuffer(sources.get(url) || url, { timeout: THUMB_FETCH_TIMEOUT_MS });
+        thumbs.set(url, await sharp(buffer).rotate().resize(THUMB_SIZE * 2, THUMB_SIZE * 2, { fit: 'cover' }).jpeg({ quality: 75 }).toBuffer());
+      } catch (err) {
+        logger.warn(`[PDF] Thumbnail skipped for ${url}: ${err.message}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(THUMB_FETCH_CONCURRENCY, images.length) }, worker));
+  return thumbs;
+}
+
+function drawPackingSlipPage(doc, order, seller, thumbs) {
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#f5c518').text('Giftsity', 50, 40);
+  doc.font('Helvetica').fontSize(10).fillColor('#888888').text('Gift Marketplace', 50, 65);
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#333333').text('PACKING SLIP', 350, 40, { width: 195, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor('#666666');
+  doc.text(`Order #: ${order.orderNumber}`, 350, 62, { width: 195, align: 'right' });
+  doc.text(`Date: ${formatDate(order.createdAt)}`, 350, 74, { width: 195, align: 'right' });
+
+  drawHr(doc, 95);
+
+  // Ship To
+  let y = 108;
+  const addr = order.shippingAddress || {};
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text('Ship To:', 50, y);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  let sy = y + 15;
+  const shipName = order.gift?.recipientName || addr.name;
+  if (shipName) { doc.text(shipName, 50, sy); sy += 12; }
+  if (addr.street) { doc.text(addr.street, 50, sy, { width: 250 }); sy += doc.heightOfString(addr.street, { width: 250 }); }
+  const cityLine = [addr.city, addr.state, addr.pincode].filter(Boolean).join(', ');
+  if (cityLine) { doc.text(cityLine, 50, sy); sy += 12; }
+  if (addr.phone) { doc.text(`Phone: ${addr.phone}`, 50, sy); sy += 12; }
+
+  // From
+  const profile = seller?.sellerProfile || {};
+  const from = profile.pickupAddress?.city ? profile.pickupAddress : (profile.businessAddress || {});
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text('From:', 320, y);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  let fy = y + 15;
+  doc.text(profile.businessName || seller?.name || 'Giftsity Seller', 320, fy); fy += 12;
+  const fromLine = [from.city, from.state].filter(Boolean).join(', ');
+  if (fromLine) { doc.text(fromLine, 320, fy); fy += 12; }
+
+  y = Math.max(sy, fy) + 10;
+  drawHr(doc, y);
+  y += 10;
+
+  // Items: no prices, so the slip can go in the box
+  const cols = [
+    { label: '', x: 50, width: THUMB_SIZE },
+    { label: 'Item', x: 100, width: 300, align: 'left' },
+    { label: 'SKU', x: 400, width: 95, align: 'left' },
+    { label: 'Qty', x: 495, width: 50, align: 'center' },
+  ];
+  y = drawTableHeader(doc, y, cols);
+
+  for (const item of order.items || []) {
+    if (y > 700) { doc.addPage(); y = 50; }
+    const top = y;
+    const thumb = thumbs.get(item.image);
+    if (thumb) doc.image(thumb, 50, top - 2, { width: THUMB_SIZE, height: THUMB_SIZE });
+    else doc.rect(50, top - 2, THUMB_SIZE, THUMB_SIZE).strokeColor('#dddddd').lineWidth(0.5).stroke();
+    y = drawTableRow(doc, y, cols, ['', item.title || 'Product', item.sku || '-', String(item.quantity || 1)]);
+    y = drawItemDetails(doc, y, item, { x: 100, width: 290, prices: false });
+    y = Math.max(y, top + THUMB_SIZE + 6);
+  }
+
+  drawHr(doc, y);
+  y += 8;
+  const units = (order.items || []).reduce((sum, i) => sum + (i.quantity || 1), 0);
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#333333').text(`Total units: ${units}`, 350, y, { width: 195, align: 'right' });
+  y += 24;
+
+  y = drawGiftMessage(doc, y, order);
+
+  if (y > 740) { doc.addPage(); y = 50; }
+  doc.font('Helvetica').fontSize(8).fillColor('#aaaaaa');
+  doc.text('Thank you for shopping on Giftsity | support@giftsity.com', 50, y, { align: 'center', width: 495 });
+}
+
+// Boxed gift message, addressed to the recipient when there is one
+function drawGiftMessage(doc, y, order) {
+  const message = order.gift?.message;
+  if (!message) return y;
+  const recipient = order.gift?.recipientName;
+  const height = doc.font('Helvetica-Oblique').fontSize(11).heightOfString(message, { width: 465 }) + 36;
+  if (y + height > 760) { doc.addPage(); y = 50; }
+  doc.rect(50, y, 495, height).strokeColor('#f5c518').lineWidth(1).stroke();
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#b8930f').text(recipient ? `A GIFT FOR ${recipient.toUpperCase()}` : 'A GIFT FOR YOU', 65, y + 10, { width: 465 });
+  doc.font('Helvetica-Oblique').fontSize(11).fillColor('#333333').text(message, 65, y + 24, { width: 465 });
+  return y + height + 16;
+}
+
+/**
+ * Packing slips for one or more orders of a seller, one page (or more) per order.
+ * Shows items, quantities, customizations, thumbnails and the gift message; never prices.
+ */
+async function generatePackingSlips(orders, seller) {
+  const thumbs = await loadThumbnails(orders.flatMap(o => o.items || []));
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const buffers = [];
+      doc.on('data', b => buffers.push(b));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+      orders.forEach((order, idx) => {
+        if (idx > 0) doc.addPage();
+        drawPackingSlipPage(doc, order, seller, thumbs);
+      });
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// ─── Gift Receipt ────────────────────────────────────────────────
+
+/**
+ * Gift receipt for the recipient of a gift order: what's in the parcel and the
+ * gift message, with no prices, so it can travel with the gift or be forwarded.
+ */
+async function generateGiftReceipt(order) {
+  const thumbs = await loadThumbnails(order.items || []);
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const buffers = [];
+      doc.on('data', b => buffers.push(b));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+      doc.font('Helvetica-Bold').fontSize(22).fillColor('#f5c518').text('Giftsity', 50, 40);
+      doc.font('Helvetica').fontSize(10).fillColor('#888888').text('Gift Marketplace', 50, 65);
+
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#333333').text('GIFT RECEIPT', 350, 40, { width: 195, align: 'right' });
+      doc.font('Helvetica').fontSize(9).fillColor('#666666');
+      doc.text(`Order #: ${order.orderNumber}`, 350, 62, { width: 195, align: 'right' });
+      doc.text(`Date: ${formatDate(order.createdAt)}`, 350, 74, { width: 195, align: 'right' });
+
+      drawHr(doc, 95);
+      let y = 108;
+      const recipient = order.gift?.recipientName || order.shippingAddress?.name;
+      if (recipient) {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text('For:', 50, y);
+        doc.font('Helvetica').fontSize(10).fillColor('#555555').text(recipient, 80, y, { width: 465 });
+        y += 24;
+      }
+
+      const cols = [
+        { label: '', x: 50, width: THUMB_SIZE },
+        { label: 'Item', x: 100, width: 395, align: 'left' },
+        { label: 'Qty', x: 495, width: 50, align: 'center' },
+      ];
+      y = drawTableHeader(doc, y, cols);
+
+      for (const item of order.items || []) {
+        if (y > 700) { doc.addPage(); y = 50; }
+        const top = y;
+        const thumb = thumbs.get(item.image);
+        if (thumb) doc.image(thumb, 50, top - 2, { width: THUMB_SIZE, height: THUMB_SIZE });
+        else doc.rect(50, top - 2, THUMB_SIZE, THUMB_SIZE).strokeColor('#dddddd').lineWidth(0.5).stroke();
+        y = drawTableRow(doc, y, cols, ['', item.title || 'Product', String(item.quantity || 1)]);
+        y = drawItemDetails(doc, y, item, { x: 100, width: 385, prices: false });
+        y = Math.max(y, top + THUMB_SIZE + 6);
+      }
+
+      drawHr(doc, y);
+      y += 16;
+      y = drawGiftMessage(doc, y, order);
+
+      if (y > 720) { doc.addPage(); y = 50; }
+      doc.font('Helvetica').fontSize(8).fillColor('#aaaaaa');
+      doc.text(`For returns or exchanges, contact support@giftsity.com with order #${order.orderNumber}.`, 50, y, { align: 'center', width: 495 });
+      doc.text('Giftsity - Gift Marketplace', 50, y + 12, { align: 'center', width: 495 });
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// ─── Pick List ───────────────────────────────────────────────────
+
+/**
+ * Units to pick across orders, one line per product + variant, sorted by SKU.
+ * Customized units are counted separately since each needs its own attention.
+ */
+function aggregatePickList(orders) {
+  const lines = new Map();
+  for (const order of orders) {
+    for (const item of order.items || []) {
+      const key = `${item.productId}:${item.variantId || ''}`;
+      const line = lines.get(key) || { sku: item.sku || '', title: item.title || 'Product', variantLabel: item.variantLabel || '', quantity: 0, customizedUnits: 0, giftWrappedUnits: 0, orderNumbers: [] };
+      const quantity = item.quantity || 1;
+      line.quantity += quantity;
+      if (item.customizations?.length) line.customizedUnits += quantity;
+      if (item.giftWrapped) line.giftWrappedUnits += quantity;
+      if (!line.orderNumbers.includes(order.orderNumber)) line.orderNumbers.push(order.orderNumber);
+      lines.set(key, line);
+    }
+  }
+  return [...lines.values()].sort((a, b) => (a.sku || '\uffff').localeCompare(b.sku || '\uffff') || a.title.localeCompare(b.title));
+}
+
+/**
+ * Consolidated pick list for many orders: total units per SKU and the orders that need them.
+ */
+function generatePickList(orders, seller) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const buffers = [];
+      doc.on('data', b => buffers.push(b));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+      doc.font('Helvetica-Bold').fontSize(22).fillColor('#f5c518').text('Giftsity', 50, 40);
+      doc.font('Helvetica').fontSize(10).fillColor('#888888').text(seller?.sellerProfile?.businessName || 'Gift Marketplace', 50, 65);
+
+      const lines = aggregatePickList(orders);
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#333333').text('PICK LIST', 350, 40, { width: 195, align: 'right' });
+      doc.font('Helvetica').fontSize(9).fillColor('#666666');
+      doc.text(`Generated: ${formatDate(new Date())}`, 350, 62, { width: 195, align: 'right' });
+      doc.text(`${orders.length} orders, ${lines.reduce((sum, l) => sum + l.quantity, 0)} units`, 350, 74, { width: 195, align: 'right' });
+
+      drawHr(doc, 95);
+      let y = 105;
+
+      const cols = [
+        { label: '', x: 50, width: 15 },
+        { label: 'SKU', x: 70, width: 90, align: 'left' },
+        { label: 'Item', x: 160, width: 205, align: 'left' },
+        { label: 'Qty', x: 365, width: 40, align: 'center' },
+        { label: 'Orders', x: 405, width: 140, align: 'left' },
+      ];
+      y = drawTableHeader(doc, y, cols);
+
+      for (const line of lines) {
+        const orderList = line.orderNumbers.join(', ');
+        const title = line.variantLabel ? `${line.title} (${line.variantLabel})` : line.title;
+        doc.font('Helvetica').fontSize(9);
+        const height = Math.max(doc.heightOfString(title, { width: 205 }), doc.heightOfString(orderList, { width: 140 }));
+        if (y + height > 740) { doc.addPage(); y = drawTableHeader(doc, 50, cols); }
+        doc.rect(50, y, 9, 9).strokeColor('#999999').lineWidth(0.5).stroke(); // tick box
+        drawTableRow(doc, y, cols, ['', line.sku || '-', title, String(line.quantity), orderList]);
+        y += Math.max(16, height + 4);
+        if (line.customizedUnits) {
+          doc.font('Helvetica').fontSize(8).fillColor('#777777').text(`${line.customizedUnits} customized - see packing slips`, 160, y - 3, { width: 205 });
+          y += 11;
+        }
+        if (line.giftWrappedUnits) {
+          doc.font('Helvetica').fontSize(8).fillColor('#777777').text(`${line.giftWrappedUnits} to gift wrap`, 160, y - 3, { width: 205 });
+          y += 11;
+        }
+      }
+
+      drawHr(doc, y + 4);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// ─── Payout Statement ────────────────────────────────────────────
+
+// Table cells are plain numbers, the header says Rs.
+function formatAmount(n) {
+  return Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/** A seller's settlement statement for one payout (see utils/payoutStatement) */
+function generatePayoutStatement(statement) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const buffers = [];
+      doc.on('data', b => buffers.push(b));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+      const { seller, bank, summary } = statement;
+      doc.font('Helvetica-Bold').fontSize(22).fillColor('#f5c518').text('Giftsity', 50, 40);
+      doc.font('Helvetica').fontSize(10).fillColor('#888888').text('Seller Settlement Statement', 50, 65);
+
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#333333').text('PAYOUT STATEMENT', 300, 40, { width: 245, align: 'right' });
+      doc.font('Helvetica').fontSize(9).fillColor('#666666');
+      doc.text(statement.periodLabel || '', 300, 62, { width: 245, align: 'right' });
+      doc.text(`${formatDate(statement.periodStart)} - ${formatDate(statement.periodEnd)}`, 300, 74, { width: 245, align: 'right' });
+      doc.text(`Status: ${(statement.status || '').toUpperCase()}`, 300, 86, { width: 245, align: 'right' });
+
+      drawHr(doc, 105);
+
+      // Seller and bank
+      let y = 118;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text('Seller:', 50, y);
+      doc.font('Helvetica').fontSize(9).fillColor('#555555');
+      let ly = y + 15;
+      doc.text(seller.businessName || seller.name, 50, ly); ly += 12;
+      if (seller.email) { doc.text(seller.email, 50, ly); ly += 12; }
+      if (seller.gstNumber) { doc.text(`GSTIN: ${seller.gstNumber}`, 50, ly); ly += 12; }
+
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text('Paid To:', 320, y);
+      doc.font('Helvetica').fontSize(9).fillColor('#555555');
+      let ry = y + 15;
+      if (bank.accountHolderName) { doc.text(bank.accountHolderName, 320, ry); ry += 12; }
+      if (bank.bankName) { doc.text(bank.bankName, 320, ry); ry += 12; }
+      if (bank.accountNumber) { doc.text(`A/C: ${bank.accountNumber}`, 320, ry); ry += 12; }
+      if (bank.ifscCode) { doc.text(`IFSC: ${bank.ifscCode}`, 320, ry); ry += 12; }
+      if (statement.utr) { doc.text(`UTR: ${statement.utr}`, 320, ry); ry += 12; }
+      if (statement.paidAt) { doc.text(`Paid on: ${formatDate(statement.paidAt)}`, 320, ry); ry += 12; }
+
+      y = Math.max(ly, ry) + 10;
+      drawHr(doc, y);
+      y += 10;
+
+      // Orders
+      const cols = [
+        { label: 'Order', x: 50, width: 80 },
+        { label: 'Delivered', x: 130, width: 55 },
+        ...[['Sale (Rs.)', 'sale'], ['Commission', 'commission'], ['Gateway', 'gatewayFee'], ['Shipping', 'shipping'], ['Refunds', 'refunds'], ['Adjust.', 'adjustments'], ['Net', 'net']]
+          .map(([label, key], i) => ({ label, key, x: 185 + i * 51, width: 51, align: 'right' }))
+      ];
+      const cells = (first, second, row) => [first, second, ...cols.slice(2).map(c => formatAmount(row[c.key]))];
+      y = drawTableHeader(doc, y, cols);
+      for (const row of statement.rows) {
+        if (y > 740) { doc.addPage(); y = drawTableHeader(doc, 50, cols); }
+        y = drawTableRow(doc, y, cols, cells(row.orderNumber, row.deliveredAt ? formatDate(row.deliveredAt) : '-', row));
+      }
+      if (!statement.rows.length) {
+        doc.font('Helvetica').fontSize(9).fillColor('#777777').text('No orders in this payout', 50, y);
+        y += 16;
+      }
+      drawHr(doc, y);
+      y += 6;
+      doc.font('Helvetica-Bold');
+      cols.forEach((col, i) => {
+        const value = cells('Total', '', statement.totals)[i];
+        doc.fontSize(9).fillColor('#333333').text(value, col.x, y, { width: col.width, align: col.align || 'left' });
+      });
+      y += 24;
+
+      // Adjustments not tied to an order
+      if (statement.otherAdjustments.length) {
+        if (y > 680) { doc.addPage(); y = 50; }
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text('Other Adjustments', 50, y);
+        y += 16;
+        const adjCols = [
+          { label: 'Date', x: 50, width: 80 },
+          { label: 'Description', x: 130, width: 315 },
+          { label: 'Amount (Rs.)', x: 445, width: 100, align: 'right' }
+        ];
+        y = drawTableHeader(doc, y, adjCols);
+        for (const a of statement.otherAdjustments) {
+          if (y > 740) { doc.addPage(); y = drawTableHeader(doc, 50, adjCols); }
+          y = drawTableRow(doc, y, adjCols, [formatDate(a.date), a.description || a.reason, formatAmount(a.amount)]);
+        }
+        y += 12;
+      }
+
+      // Period totals
+      if (y > 600) { doc.addPage(); y = 50; }
+      const totalsX = 340;
+      const lines = [
+        ['Total Sales', summary.totalSales],
+        ['Commission', -summary.commissionDeducted],
+        ['Commission Reversed', summary.commissionReversed],
+        ['Gateway Fees', -summary.gatewayFeesDeducted],
+        ['Shipping', -summary.shippingDeducted],
+        ['Refunds', -summary.refundsDeducted],
+        ['Adjustments', summary.adjustments],
+        ['Reserve Held', -summary.reserveHeld],
+        ['Reserve Released', summary.reserveReleased],
+        ['Early Payout Fee', -summary.earlyPayoutFee]
+      ].filter(([label, value]) => value || ['Total Sales', 'Commission'].includes(label));
+      doc.font('Helvetica').fontSize(9).fillColor('#555555');
+      for (const [label, value] of lines) {
+        doc.text(label, totalsX, y, { width: 100 });
+        doc.text(formatCurrency(value), totalsX + 100, y, { width: 105, align: 'right' });
+        y += 14;
+      }
+      drawHr(doc, y + 2);
+      y += 8;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#333333');
+      doc.text('Net Payout', totalsX, y, { width: 100 });
+      doc.text(formatCurrency(summary.netPayout), totalsX + 100, y, { width: 105, align: 'right' });
+
+      y += 40;
+      doc.font('Helvetica').fontSize(8).fillColor('#999999')
+        .text('Amounts are in Indian Rupees. Deductions are shown as negative amounts.', 50, y, { width: 495, align: 'center' });
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { generateOrderInvoice, generateQuoteDocument, generatePackingSlips, generatePickList, aggregatePickList, generateGiftReceipt, generatePayoutStatement };
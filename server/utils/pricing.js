@@ -0,0 +1,131 @@
+/**
+ * Scheduled publishing and time-boxed sales
+ *
+ * A product is public once publishAt has passed (null = immediately). Between
+ * saleStartsAt and saleEndsAt, salePrice (set per variant on products with
+ * variants) replaces price and the existing comparePrice stays the struck-through
+ * reference, falling back to the regular price. isOnSale/currentPrice are stored
+ * for listing filters and sorting; cron/scheduledProducts.js flips them as
+ * windows open and close.
+ */
+
+/**
+ * Mongo condition for the publishAt field: unscheduled or already published.
+ */
+function publishedCondition(now = new Date()) {
+  return { $not: { $gt: now } };
+}
+
+function isPublished(product, now = new Date()) {
+  return !product.publishAt || new Date(product.publishAt) <= now;
+}
+
+function isSaleWindowOpen(product, now = new Date()) {
+  if (!product.saleStartsAt || !product.saleEndsAt) return false;
+  return new Date(product.saleStartsAt) <= now && now < new Date(product.saleEndsAt);
+}
+
+function hasSalePrice(product) {
+  if (product.variants?.length) return product.variants.some(v => v.salePrice);
+  return !!product.salePrice;
+}
+
+/**
+ * Price a customer pays for one unit right now.
+ */
+function unitPrice(product, variant = null, now = new Date()) {
+  const target = variant || product;
+  return isSaleWindowOpen(product, now) && target.salePrice ? target.salePrice : target.price;
+}
+
+// Cheapest active variant (any variant if none are active) by a price function
+function cheapestVariant(variants, priceOf) {
+  const active = variants.filter(v => v.isActive !== false);
+  return (active.length ? active : variants).reduce((min, v) => (priceOf(v) < priceOf(min) ? v : min));
+}
+
+/**
+ * Stored sale state: { isOnSale, currentPrice }.
+ */
+function saleState(product, now = new Date()) {
+  const isOnSale = isSaleWindowOpen(product, now) && hasSalePrice(product);
+  if (product.variants?.length) {
+    const priceOf = v => unitPrice(product, v, now);
+    return { isOnSale, currentPrice: priceOf(cheapestVariant(product.variants, priceOf)) };
+  }
+  return { isOnSale, currentPrice: unitPrice(product, null, now) };
+}
+
+/**
+ * Public view of a lean product: while the sale is live, price is the sale
+ * price and comparePrice the reference price (also on each variant).
+ */
+function withSalePricing(product, now = new Date()) {
+  if (!product || !isSaleWindowOpen(product, now) || !hasSalePrice(product)) return product;
+  const discounted = item => (item.salePrice
+    ? { ...item, price: item.salePrice, comparePrice: item.comparePrice || item.price, regularPrice: item.price }
+    : item);
+
+  if (product.variants?.length) {
+    const variants = product.variants.map(discounted);
+    const cheapest = cheapestVariant(variants, v => v.price);
+    return {
+      ...product,
+      variants,
+      price: cheapest.price,
+      comparePrice: cheapest.comparePrice && cheapest.comparePrice > cheapest.price ? cheapest.comparePrice : null,
+      onSale: true
+    };
+  }
+  return { ...discounted(product), onSale: true };
+}
+
+/**
+ * Validate a product's sale setup. Returns an error message or null.
+ */
+function saleError(product, { minPrice = 0 } = {}) {
+  const priced = product.variants?.length ? product.variants : [product];
+  for (const t of priced) {
+    if (!t.salePrice) continue;
+    if (t.salePrice < minPrice) return `Sale price Rs. ${t.salePrice} is below the minimum of Rs. ${minPrice}`;
+    if (t.salePrice >= t.price) return `Sale price Rs. ${t.salePrice} must be lower than the price Rs. ${t.price}`;
+  }
+  if (!hasSalePrice(product)) return null;
+  if (!product.saleStartsAt || !product.saleEndsAt) return 'Set both a sale start and end date';
+  if (new Date(product.saleEndsAt) <= new Date(product.saleStartsAt)) return 'Sale must end after it starts';
+  return null;
+}
+
+/**
+ * Parse schedule fields from a FormData/JSON body in place ('' clears a field).
+ * Returns an error message or null.
+ */
+function parseScheduleFields(data) {
+  for (const field of ['publishAt', 'saleStartsAt', 'saleEndsAt']) {
+    if (data[field] === undefined) continue;
+    if (data[field] === '' || data[field] === null || data[field] === 'null') { data[field] = null; continue; }
+    const date = new Date(data[field]);
+    if (Number.isNaN(date.getTime())) return `Invalid date for ${field}`;
+    data[field] = date;
+  }
+  if (data.salePrice !== undefined) {
+    if (data.salePrice === '' || data.salePrice === null || data.salePrice === 'null') {
+      data.salePrice = null;
+    } else {
+      data.salePrice = Number(data.salePrice);
+      if (!Number.isFinite(data.salePrice) || data.salePrice <= 0) return 'Invalid sale price';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  publishedCondition,
+  isPublished,
+  isSaleWindowOpen,
+  unitPrice,
+  saleState,
+  withSalePricing,
+  saleError,
+  parseScheduleFields
+};
@@ -0,0 +1,366 @@
+/**
+ * Product CSV import/export
+ *
+ * Import and export share one column set so an exported file can be edited and
+ * re-imported. Rows are upserted by SKU within the seller's catalogue; rows
+ * without a SKU always create a new product. When updating, an empty cell (or a
+ * missing column) leaves that field unchanged.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Seller = require('../models/Seller');
+const PlatformSettings = require('../models/PlatformSettings');
+const { uploadImage, uploadImageWithVariants, deleteImage } = require('../config/cloudinary');
+const { slugify } = require('./slugify');
+const { sanitizeObject } = require('../middleware/sanitize');
+const { parseCsv, toCsvRow } = require('./csv');
+const { normalizeVariants, parseJsonField } = require('./variants');
+const { saleError } = require('./pricing');
+const { submissionStatus, reviewedContent, needsReview, applyModeration } = require('./moderation');
+const { normalizeCustomizationOptions } = require('./customizations');
+
+const CSV_COLUMNS = [
+  'sku', 'title', 'description', 'price', 'compareprice', 'stock', 'lowstockthreshold', 'category', 'subcategory', 'tags',
+  'weight', 'length', 'width', 'height', 'shippingpaidby', 'images',
+  'iscustomizable', 'customizationoptions', 'variantoptions', 'variants'
+];
+// Older templates used these header names
+const COLUMN_ALIASES = { compareatprice: 'compareprice', customizable: 'iscustomizable' };
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMAGES_PER_ROW = 10;
+
+const csvClean = (str, maxLen = 500) => sanitizeHtml(str || '', { allowedTags: [], allowedAttributes: {} }).substring(0, maxLen);
+const parseBool = (v) => ['true', 'yes', '1'].includes(String(v).trim().toLowerCase());
+
+/**
+ * Parse an uploaded CSV buffer into { headers, rows } or { error }.
+ * Each row is { row, values } where row is the 1-based record number (header = 1).
+ */
+function parseProductCsv(buffer) {
+  let records;
+  try {
+    records = parseCsv(buffer.toString('utf-8'));
+  } catch (e) {
+    return { error: `Invalid CSV: ${e.message}` };
+  }
+  if (records.length < 2) return { error: 'CSV must have a header row and at least one data row' };
+  if (records.length - 1 > MAX_IMPORT_ROWS) return { error: `CSV can have at most ${MAX_IMPORT_ROWS} rows per import` };
+
+  const headers = records[0].map(h => {
+    const key = h.trim().toLowerCase().replace(/[\s_]+/g, '');
+    return COLUMN_ALIASES[key] || key;
+  });
+  const hasCreateColumns = ['title', 'price', 'stock', 'category'].every(c => headers.includes(c));
+  if (!headers.includes('sku') && !hasCreateColumns) {
+    return { error: 'CSV needs a sku column (to update products) or title, price, stock and category columns (to create them)' };
+  }
+
+  const rows = records.slice(1).map((vals, idx) => {
+    const values = {};
+    headers.forEach((h, i) => { if (CSV_COLUMNS.includes(h)) values[h] = (vals[i] || '').trim(); });
+    return { row: idx + 2, values };
+  });
+  return { headers, rows };
+}
+
+/**
+ * A product's fields as CSV cell strings. Used for export and for diffing imports.
+ */
+function productToRow(product, categorySlugById = {}) {
+  const p = typeof product.toObject === 'function' ? product.toObject({ flattenMaps: true }) : product;
+  const num = (v) => (v === null || v === undefined ? '' : String(v));
+  const json = (v) => (v && v.length ? JSON.stringify(v) : '');
+  return {
+    sku: p.sku || '',
+    title: p.title || '',
+    description: p.description || '',
+    price: num(p.price),
+    compareprice: p.comparePrice ? String(p.comparePrice) : '',
+    stock: num(p.stock),
+    lowstockthreshold: num(p.lowStockThreshold),
+    category: categorySlugById[String(p.category)] || p.category || '',
+    subcategory: p.subcategory || '',
+    tags: (p.tags || []).join(';'),
+    weight: num(p.weight),
+    length: num(p.dimensions?.length),
+    width: num(p.dimensions?.width),
+    height: num(p.dimensions?.height),
+    shippingpaidby: p.shippingPaidBy || 'seller',
+    images: (p.images || []).map(i => i.url).join(';'),
+    iscustomizable: p.isCustomizable ? 'true' : 'false',
+    customizationoptions: json((p.customizationOptions || []).map(({ _id, ...o }) => o)),
+    variantoptions: json((p.variantOptions || []).map(({ _id, ...o }) => o)),
+    variants: json((p.variants || []).map(v => ({
+      _id: v._id, sku: v.sku, options: v.options, price: v.price, comparePrice: v.comparePrice, salePrice: v.salePrice,
+      stock: v.stock, weight: v.weight, images: (v.images || []).map(({ url, publicId }) => ({ url, publicId })), isActive: v.isActive
+    })))
+  };
+}
+
+/**
+ * Build an RFC 4180 CSV (with BOM, for Excel) of the given products.
+ */
+async function productsToCsv(products) {
+  const categories = await Category.find().select('slug').lean();
+  const categorySlugById = Object.fromEntries(categories.map(c => [String(c._id), c.slug]));
+  let csv = '\uFEFF' + toCsvRow(CSV_COLUMNS);
+  for (const product of products) {
+    const row = productToRow(product, categorySlugById);
+    csv += toCsvRow(CSV_COLUMNS.map(c => row[c]));
+  }
+  return csv;
+}
+
+/**
+ * Turn one row's non-empty cells into Product fields. Returns { data } or { error }.
+ * Images are returned as source URLs (data.imageUrls); they are imported on commit.
+ */
+function parseRowFields(values, { minPrice, catMap }) {
+  const data = {};
+  const has = (col) => values[col] !== undefined && values[col] !== '';
+
+  if (has('title')) data.title = csvClean(values.title, 200);
+  if (has('description')) data.description = csvClean(values.description, 5000);
+  if (has('price')) {
+    const price = parseFloat(values.price);
+    if (isNaN(price) || price <= 0) return { error: 'Invalid price' };
+    if (price < minPrice) return { error: `Price must be at least Rs. ${minPrice}` };
+    data.price = price;
+  }
+  if (has('compareprice')) {
+    const comparePrice = parseFloat(values.compareprice);
+    if (isNaN(comparePrice) || comparePrice < 0) return { error: 'Invalid compare price' };
+    data.comparePrice = comparePrice || null; // 0 clears it
+  }
+  if (has('stock')) {
+    const stock = Number(values.stock);
+    if (!Number.isInteger(stock) || stock < 0) return { error: 'Invalid stock' };
+    data.stock = stock;
+  }
+  if (has('lowstockthreshold')) {
+    const threshold = Number(values.lowstockthreshold);
+    if (!Number.isInteger(threshold) || threshold < 0) return { error: 'Invalid lowstockthreshold' };
+    data.lowStockThreshold = threshold;
+  }
+  if (has('category')) {
+    const slug = catMap[values.category.toLowerCase()];
+    if (!slug) return { error: `Category "${values.category}" not found` };
+    data.category = slug;
+  }
+  if (has('subcategory')) data.subcategory = csvClean(values.subcategory, 100);
+  if (has('tags')) data.tags = values.tags.split(';').map(t => csvClean(t.trim(), 50)).filter(Boolean);
+  if (has('weight')) {
+    const weight = Number(values.weight);
+    if (!Number.isFinite(weight) || weight < 0) return { error: 'Invalid weight' };
+    data.weight = weight;
+  }
+  for (const dim of ['length', 'width', 'height']) {
+    if (!has(dim)) continue;
+    const n = Number(values[dim]);
+    if (!Number.isFinite(n) || n < 0) return { error: `Invalid ${dim}` };
+    data[`dimensions.${dim}`] = n;
+  }
+  if (has('shippingpaidby')) {
+    const paidBy = values.shippingpaidby.toLowerCase();
+    if (!['seller', 'customer'].includes(paidBy)) return { error: 'shippingpaidby must be "seller" or "customer"' };
+    data.shippingPaidBy = paidBy;
+  }
+  if (has('images')) {
+    const urls = values.images.split(';').map(u => u.trim()).filter(Boolean);
+    if (urls.length > MAX_IMAGES_PER_ROW) return { error: `At most ${MAX_IMAGES_PER_ROW} images per product` };
+    if (urls.some(u => !/^https?:\/\/\S+$/i.test(u))) return { error: 'Images must be http(s) URLs separated by ";"' };
+    data.imageUrls = urls;
+  }
+  if (has('iscustomizable')) data.isCustomizable = parseBool(values.iscustomizable);
+  if (has('customizationoptions')) {
+    const opts = parseJsonField(values.customizationoptions, []);
+    if (!Array.isArray(opts)) return { error: 'customizationoptions must be a JSON array' };
+    const customization = normalizeCustomizationOptions(sanitizeObject(opts));
+    if (customization.error) return { error: customization.error };
+    data.customizationOptions = customization.options;
+  }
+  if (has('variantoptions') || has('variants')) {
+    if (!has('variantoptions') || !has('variants')) return { error: 'variantoptions and variants must be provided together' };
+    const variantInput = normalizeVariants(
+      sanitizeObject(parseJsonField(values.variantoptions)),
+      sanitizeObject(parseJsonField(values.variants)),
+      { minPrice }
+    );
+    if (variantInput.error) return { error: variantInput.error };
+    // Plain-string variant images are URLs to import, like the images column
+    for (const v of variantInput.variants) {
+      if (v.images.some(img => typeof img === 'string' && !/^https?:\/\/\S+$/i.test(img))) {
+        return { error: 'Variant images must be http(s) URLs' };
+      }
+      v.images = v.images.map(img => (typeof img === 'string' ? { url: img, publicId: '', pendingImport: true } : img));
+    }
+    data.variantOptions = variantInput.variantOptions;
+    data.variants = variantInput.variants;
+  }
+  return { data };
+}
+
+// Import image URLs (with responsive variants), reusing images the product already has
+async function importImages(urls, existingImages, folder, uploadedPublicIds) {
+  const byUrl = new Map(existingImages.map(img => [img.url, img]));
+  const images = [];
+  for (const url of urls) {
+    if (byUrl.has(url)) {
+      const { publicId = '', alt = '', variants = [] } = byUrl.get(url);
+      images.push({ url, publicId, alt, variants });
+      continue;
+    }
+    const result = await uploadImageWithVariants(url, { folder });
+    uploadedPublicIds.push(result.publicId);
+    images.push({ url: result.url, publicId: result.publicId, variants: result.variants });
+  }
+  return images;
+}
+
+const variantImageIds = (doc) => (doc.variants || []).flatMap(v => v.images.map(img => img.publicId)).filter(Boolean);
+
+/**
+ * Validate (and, unless dryRun, apply) parsed CSV rows for one seller.
+ * Every row is reported with its action and a field-level diff:
+ *   { row, sku, title, action: 'create'|'update'|'unchanged'|'error', changes: { col: { from, to } }, error }
+ * onProgress(summary, processedRows) is awaited after each row.
+ */
+async function importProductRows(rows, { sellerId, dryRun = false, onProgress }) {
+  const settings = await PlatformSettings.getSettings();
+  const minPrice = settings.minimumProductPrice || 0;
+  const seller = await Seller.findById(sellerId).select('sellerProfile.isVerified').lean();
+  const newProductStatus = submissionStatus(seller, settings); // imported products go through review like any other
+  const categories = await Category.find().lean();
+  const catMap = {};
+  const categorySlugById = {};
+  for (const c of categories) {
+    catMap[c.name.toLowerCase()] = c.slug;
+    if (c.slug) catMap[c.slug.toLowerCase()] = c.slug;
+    categorySlugById[String(c._id)] = c.slug;
+  }
+
+  const skus = [...new Set(rows.map(r => csvClean(r.values.sku, 100)).filter(Boolean))];
+  const existing = skus.length ? await Product.find({ sellerId, sku: { $in: skus } }) : [];
+  const bySku = new Map();
+  for (const p of existing) bySku.set(p.sku, bySku.has(p.sku) ? null : p); // null = ambiguous
+
+  const folder = `giftsity/products/${sellerId}`;
+  const seenSkus = new Set();
+  const summary = { created: 0, updated: 0, unchanged: 0, failed: 0, rows: [] };
+
+  for (const [index, { row, values }] of rows.entries()) {
+    try {
+      const sku = csvClean(values.sku, 100);
+      const report = { row, sku, title: values.title || '', action: 'error', changes: {} };
+      summary.rows.push(report);
+      const fail = (error) => { report.action = 'error'; report.error = error; summary.failed++; };
+
+      if (sku) {
+        if (seenSkus.has(sku)) { fail(`Duplicate SKU "${sku}" in file`); continue; }
+        seenSkus.add(sku);
+      }
+      const product = sku ? bySku.get(sku) : undefined;
+      if (product === null) { fail(`SKU "${sku}" matches more than one of your products`); continue; }
+
+      const parsed = parseRowFields(values, { minPrice, catMap });
+      if (parsed.error) { fail(parsed.error); continue; }
+      const { imageUrls, ...fields } = parsed.data;
+      const pendingVariantImages = (fields.variants || []).flatMap(v => v.images.filter(img => img.pendingImport));
+
+      const isCreate = !product;
+      const hasVariants = fields.variants ? fields.variants.length > 0 : !!product?.variants?.length;
+      if (isCreate) {
+        const missing = ['title', 'category'].concat(hasVariants ? [] : ['price', 'stock']).filter(f => fields[f] === undefined);
+        if (missing.length) { fail(`Missing ${missing.join(', ')} for new product`); continue; }
+      } else if (hasVariants && !fields.variants && (fields.price !== undefined || fields.stock !== undefined)) {
+        fail('This product has variants; update price and stock in the variants column');
+        continue;
+      }
+      if (fields.isCustomizable === false) fields.customizationOptions = [];
+
+      const doc = product || new Product({ sellerId, sku, isActive: true, images: [], media: [] });
+      if (isCreate) {
+        applyModeration(doc, newProductStatus, { actorRole: newProductStatus === 'approved' ? 'system' : 'seller', actorId: newProductStatus === 'approved' ? null : sellerId });
+      }
+      const before = productToRow(doc, categorySlugById);
+      const reviewedBefore = reviewedContent(doc);
+      const previousImages = (doc.images || []).map(i => ({ url: i.url, publicId: i.publicId, alt: i.alt, variants: i.variants }));
+      const previousVariantImageIds = variantImageIds(doc);
+      doc.set(fields);
+      if (imageUrls) doc.images = imageUrls.map(url => ({ url }));
+
+      try {
+        await doc.validate();
+      } catch (validationErr) {
+        fail(Object.values(validationErr.errors || {}).map(e => e.message).join('; ') || validationErr.message);
+        continue;
+      }
+      const saleProblem = saleError(doc, { minPrice });
+      if (saleProblem) { fail(saleProblem); continue; }
+
+      const after = productToRow(doc, categorySlugById);
+      for (const col of CSV_COLUMNS) {
+        if (col !== 'sku' && before[col] !== after[col]) report.changes[col] = isCreate ? { to: after[col] } : { from: before[col], to: after[col] };
+      }
+      report.title = after.title;
+      report.action = isCreate ? 'create' : Object.keys(report.changes).length ? 'update' : 'unchanged';
+
+      if (report.action === 'unchanged') { summary.unchanged++; continue; }
+      if (dryRun) { summary[isCreate ? 'created' : 'updated']++; continue; }
+
+      const uploadedPublicIds = [];
+      try {
+        if (imageUrls) {
+          doc.images = await importImages(imageUrls, previousImages, folder, uploadedPublicIds);
+          const videos = (doc.media || []).filter(m => m.type === 'video');
+          const mediaByUrl = new Map((doc.media || []).map(m => [m.url, m]));
+          doc.media = [...doc.images.map(img => mediaByUrl.get(img.url) || { type: 'image', url: img.url, publicId: img.publicId, alt: img.alt, variants: img.variants }), ...videos];
+        }
+        if (pendingVariantImages.length) {
+          const pendingUrls = new Set(pendingVariantImages.map(img => img.url));
+          for (const variant of doc.variants) {
+            for (const img of variant.images) {
+              if (img.publicId || !pendingUrls.has(img.url)) continue;
+              const result = await uploadImage(img.url, { folder });
+              uploadedPublicIds.push(result.publicId);
+              img.url = result.url;
+              img.publicId = result.publicId;
+            }
+          }
+        }
+        if (isCreate) doc.slug = slugify(doc.title);
+        // Updates to what was approved go back through review, like edits in the product form
+        if (!isCreate && needsReview(doc, reviewedBefore)) {
+          applyModeration(doc, newProductStatus, { actorRole: newProductStatus === 'approved' ? 'system' : 'seller', actorId: newProductStatus === 'approved' ? null : sellerId });
+        }
+        await doc.save();
+      } catch (saveErr) {
+        for (const publicId of uploadedPublicIds) await deleteImage(publicId).catch(() => {});
+        fail(saveErr.message);
+        continue;
+      }
+
+      // Clean up images the row dropped
+      if (imageUrls) {
+        const kept = new Set(doc.images.map(i => i.publicId));
+        for (const img of previousImages) {
+          if (img.publicId && !kept.has(img.publicId)) await deleteImage(img.publicId).catch(() => {});
+        }
+      }
+      if (fields.variants) {
+        const kept = new Set(variantImageIds(doc));
+        for (const publicId of previousVariantImageIds) {
+          if (!kept.has(publicId)) await deleteImage(publicId).catch(() => {});
+        }
+      }
+      summary[isCreate ? 'created' : 'updated']++;
+    } finally {
+      if (onProgress) await onProgress(summary, index + 1);
+    }
+  }
+  return summary;
+}
+
+module.exports = { CSV_COLUMNS, parseProductCsv, productsToCsv, importProductRows };
@@ -0,0 +1,92 @@
+/**
+ * Rolling reserve rules
+ *
+ * Payouts to risky sellers hold back part of each payout for a while, so refunds
+ * that arrive after a seller has been paid can still be deducted from their
+ * balance. Rules live in PlatformSettings.reserveRules and are edited through
+ * PUT /api/admin/settings; each one names a condition and what to hold:
+ *   new_seller  the seller was approved fewer than `threshold` days ago
+ *   low_health  the seller's health score is below `threshold`
+ * When several rules match, the strictest wins (highest percent, then longest
+ * hold). The ledger holds and releases the money (see utils/ledger).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RESERVE_RULES = 10;
+
+const RESERVE_CONDITIONS = {
+  new_seller: { label: 'Seller age', bounds: [1, 3650], integer: true },
+  low_health: { label: 'Health score threshold', bounds: [1, 100] }
+};
+
+// bounds: [min, max]. At most 90% is held so every payout still pays something.
+const RULE_FIELDS = {
+  threshold: null, // bounds per condition
+  percent: { label: 'Reserve percent', bounds: [1, 90] },
+  holdDays: { label: 'Hold period', bounds: [1, 365], integer: true }
+};
+
+function fieldError({ label, bounds: [min, max], integer }, value) {
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    return `${label} must be ${integer ? 'a whole number ' : ''}between ${min} and ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the rule list from a request. Returns { rules } or { error }.
+ */
+function parseReserveRules(input) {
+  if (!Array.isArray(input)) return { error: 'reserveRules must be an array' };
+  if (input.length > MAX_RESERVE_RULES) return { error: `At most ${MAX_RESERVE_RULES} reserve rules` };
+  const rules = [];
+  for (const raw of input) {
+    if (!raw || typeof raw !== 'object') return { error: 'Each reserve rule must be an object' };
+    const condition = RESERVE_CONDITIONS[raw.condition];
+    if (!condition) return { error: `condition must be one of ${Object.keys(RESERVE_CONDITIONS).join(', ')}` };
+    const rule = { condition: raw.condition };
+    for (const key of Object.keys(RULE_FIELDS)) {
+      const value = Number(raw[key]);
+      const error = fieldError(RULE_FIELDS[key] || condition, value);
+      if (error) return { error };
+      rule[key] = value;
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+/** Why a rule applies to the seller, or null if it doesn't */
+function ruleReason(rule, seller, now) {
+  const profile = seller?.sellerProfile || {};
+  if (rule.condition === 'new_seller') {
+    const since = profile.approvedAt || seller?.createdAt;
+    if (!since) return null;
+    const ageDays = Math.floor((now - new Date(since)) / DAY_MS);
+    return ageDays < rule.threshold ? `New seller (${ageDays} days on Giftsity, under ${rule.threshold})` : null;
+  }
+  if (rule.condition === 'low_health') {
+    // Sellers with too few orders to be scored aren't judged by their score
+    if (!profile.metrics?.lastCalculatedAt) return null;
+    const score = profile.metrics.healthScore;
+    return score < rule.threshold ? `Health score ${score} (below ${rule.threshold})` : null;
+  }
+  return null;
+}
+
+/**
+ * The reserve a seller's payouts are subject to: the strictest matching rule
+ * as { percent, holdDays, reason }, or null.
+ */
+function matchReserveRule(rules, seller, now = new Date()) {
+  let match = null;
+  for (const rule of rules || []) {
+    const reason = ruleReason(rule, seller, now);
+    if (!reason) continue;
+    const stricter = !match || rule.percent > match.percent || (rule.percent === match.percent && rule.holdDays > match.holdDays);
+    if (stricter) match = { percent: rule.percent, holdDays: rule.holdDays, reason };
+  }
+  return match;
+}
+
+module.exports = { RESERVE_CONDITIONS, MAX_RESERVE_RULES, parseReserveRules, matchReserveRule };
@@ -4,21 +4,55 @@
  * Called by the Shiprocket webhook when a shipment enters RTO status.
  * Auto-cancels the order, restores stock, initiates refund, and notifies the customer.
  * Uses existing 'cancelled' order status — no new enum values needed.
+ * When the order was split into several packages and others are still active,
+ * only the seller is alerted: the returned items can be shipped again within
+ * RTO_RESHIP_DAYS, after which the seller-health cron cancels and refunds them.
+ * Either way the returned package's shipping is charged to the seller's ledger.
  */
 
-const Product = require('../models/Product');
+const Shipment = require('../models/Shipment');
 const { createRefund, getCashfreeOrder } = require('../config/cashfree');
 const { sendCancellationEmail } = require('./email');
 const { createNotification } = require('./notify');
 const { logActivity } = require('./audit');
+const { restoreStock } = require('./stock');
+const { isActiveShipment } = require('./fulfillment');
+const { RTO_RESHIP_DAYS } = require('./itemCancellation');
+const { postRtoCharge } = require('./ledger');
 const logger = require('./logger');
 
 async function handleRTO(shipment, order) {
+  if (order) {
+    try {
+      await postRtoCharge(order, shipment);
+    } catch (ledgerErr) {
+      logger.error(`[RTO] Could not post RTO charge for ${order.orderNumber}: ${ledgerErr.message}`);
+    }
+  }
+
   if (!order || order.status === 'cancelled' || order.status === 'refunded') {
     logger.info(`[RTO] Order ${order?.orderNumber || 'unknown'} already ${order?.status}, skipping`);
     return;
   }
 
+  // Other packages of a split order are still live: don't cancel the whole order
+  const otherPackages = await Shipment.find({ orderId: order._id, _id: { $ne: shipment._id } }).lean();
+  if (otherPackages.some(isActiveShipment)) {
+    logger.info(`[RTO] Order ${order.orderNumber} has other active packages, not auto-cancelling`);
+    if (order.sellerId) {
+      createNotification({
+        userId: order.sellerId.toString(),
+        userRole: 'seller',
+        type: 'order_cancelled',
+        title: `RTO: package of Order #${order.orderNumber}`,
+        message: `Package ${shipment.awbCode || ''} was returned to origin. Ship its items again from the order within ${RTO_RESHIP_DAYS} days, or they will be cancelled and refunded to the customer.`,
+        link: '/seller/orders',
+        metadata: { orderId: order._id.toString(), shipmentId: shipment._id.toString(), reason: 'rto' }
+      });
+    }
+    return;
+  }
+
   logger.info(`[RTO] Processing RTO for order ${order.orderNumber} (shipment ${shipment._id})`);
 
   order.status = 'cancelled';
@@ -34,9 +68,7 @@ async function handleRTO(shipment, order) {
 
   // Restore product stock
   for (const item of order.items) {
-    const stockInc = { stock: item.quantity };
-    if (order.paymentStatus === 'paid') stockInc.orderCount = -item.quantity;
-    await Product.findByIdAndUpdate(item.productId, { $inc: stockInc });
+    await restoreStock(item, { revertOrderCount: order.paymentStatus === 'paid' });
   }
 
   // Initiate refund if payment was completed
@@ -0,0 +1,154 @@
+/**
+ * Seller health metrics
+ *
+ * Computed by the seller-health cron from a seller's paid (or since refunded)
+ * orders in the health policy's lookback window (see utils/healthPolicy):
+ *   fulfillmentRate   shipped / orders the seller had to act on (%)
+ *   cancelRate        orders cancelled by the seller or auto-cancelled, wholly or in part (%)
+ *   lateShipmentRate  shipped orders shipped after their ship-by deadline (%)
+ *   avgShipTimeHours  from when an order became due to when it shipped
+ *   healthScore       weighted composite, 0-100
+ * The cron keeps the latest in sellerProfile.metrics and a daily
+ * SellerMetricSnapshot for trends; metricsBreakdown() lists the orders behind
+ * each number.
+ */
+
+const { shipClockStart, shipDeadline } = require('./deliveryDate');
+const { AUTO_CANCEL_REASON } = require('./itemCancellation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FAST_SHIP_HOURS = 24; // Orders shipped within 24h of becoming due get full speed marks
+
+const SHIPPED_STATUSES = ['partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
+
+// Units of a part-shipped order the cron cancelled for not shipping (see utils/itemCancellation)
+const autoCancelledUnits = (o) => (o.cancelledItems || []).find(c => c.reason === AUTO_CANCEL_REASON);
+
+const shipHours = (o) => Math.max(0, new Date(o.trackingInfo.shippedAt) - new Date(shipClockStart(o))) / HOUR_MS;
+
+/** Order query for a seller's paid (or since refunded) orders placed in the last `lookbackDays` */
+function metricsOrderFilter(sellerId, lookbackDays, now = new Date()) {
+  return {
+    sellerId,
+    paymentStatus: { $in: ['paid', 'refunded'] },
+    createdAt: { $gte: new Date(now.getTime() - lookbackDays * DAY_MS) }
+  };
+}
+
+/**
+ * Sort a seller's orders into the groups the metrics count.
+ */
+function classifyOrders(orders, now = new Date()) {
+  // Seller-cancelled orders (cancelled by seller or auto-cancelled for not shipping, wholly or in part)
+  const sellerCancelled = orders.filter(o =>
+    (o.status === 'cancelled' && o.cancelReason && !o.cancelReason.includes('customer')) || autoCancelledUnits(o)
+  );
+  const customerCancelled = orders.filter(o =>
+    o.status === 'cancelled' && o.cancelReason?.includes('customer')
+  );
+  const shipped = orders.filter(o => SHIPPED_STATUSES.includes(o.status) || o.trackingInfo?.shippedAt);
+  // Late shipments (shipped after the order's ship-by deadline)
+  const late = shipped.filter(o => o.trackingInfo?.shippedAt && new Date(o.trackingInfo.shippedAt) > shipDeadline(o));
+  // Scheduled orders that aren't due to ship yet can't count against the seller
+  const notYetDue = orders.filter(o =>
+    ['confirmed', 'processing'].includes(o.status) && !o.trackingInfo?.shippedAt && o.shipDueAt && o.shipDueAt > now
+  );
+  // Orders the seller had to act on but hasn't shipped
+  const excluded = new Set([...shipped, ...customerCancelled, ...notYetDue]);
+  const unfulfilled = orders.filter(o => !excluded.has(o));
+
+  return { sellerCancelled, customerCancelled, shipped, late, notYetDue, unfulfilled };
+}
+
+/**
+ * Metrics from a seller's orders in the lookback window.
+ * Returns { fulfillmentRate, cancelRate, lateShipmentRate, avgShipTimeHours, healthScore }.
+ */
+function computeSellerMetrics(orders, now = new Date()) {
+  const totalOrders = orders.length;
+  const { sellerCancelled, customerCancelled, shipped, late, notYetDue } = classifyOrders(orders, now);
+
+  const cancelRate = (sellerCancelled.length / totalOrders) * 100;
+  const lateShipmentRate = shipped.length > 0 ? (late.length / shipped.length) * 100 : 0;
+
+  // Fulfillment rate = (shipped + delivered) / (total - customer-cancelled - not yet due)
+  const actionableOrders = totalOrders - customerCancelled.length - notYetDue.length;
+  const fulfillmentRate = actionableOrders > 0 ? (shipped.length / actionableOrders) * 100 : 100;
+
+  // Average ship time (hours)
+  const shipTimes = shipped.filter(o => o.trackingInfo?.shippedAt).map(shipHours);
+  const avgShipTimeHours = shipTimes.length > 0
+    ? shipTimes.reduce((a, b) => a + b, 0) / shipTimes.length
+    : 0;
+
+  // Composite health score (0-100)
+  // Weighted: fulfillment 40%, cancel rate 30%, late shipment 20%, avg ship time 10%
+  const fulfillmentScore = Math.min(fulfillmentRate, 100);
+  const cancelScore = Math.max(0, 100 - cancelRate * 10); // 10% cancel = 0 score
+  const lateScore = Math.max(0, 100 - lateShipmentRate * 4); // 25% late = 0
+  const speedScore = avgShipTimeHours <= FAST_SHIP_HOURS ? 100 : Math.max(0, 100 - (avgShipTimeHours - FAST_SHIP_HOURS) * 2);
+
+  const healthScore = Math.round(
+    fulfillmentScore * 0.4 +
+    cancelScore * 0.3 +
+    lateScore * 0.2 +
+    speedScore * 0.1
+  );
+
+  return {
+    fulfillmentRate: Math.round(fulfillmentRate * 10) / 10,
+    cancelRate: Math.round(cancelRate * 10) / 10,
+    lateShipmentRate: Math.round(lateShipmentRate * 10) / 10,
+    avgShipTimeHours: Math.round(avgShipTimeHours * 10) / 10,
+    healthScore
+  };
+}
+
+const orderRef = (o) => ({ _id: o._id, orderNumber: o.orderNumber, status: o.status, createdAt: o.createdAt });
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * The orders that pulled each metric down:
+ *   fulfillment   due but never shipped, open or cancelled (with hours past the ship-by deadline)
+ *   cancellations cancelled by the seller or auto-cancelled
+ *   late          shipped after the ship-by deadline (with hours late)
+ *   slow          shipped more than FAST_SHIP_HOURS after becoming due (with ship time)
+ * Each list is worst first.
+ */
+function metricsBreakdown(orders, now = new Date()) {
+  const { sellerCancelled, shipped, late, unfulfilled } = classifyOrders(orders, now);
+  const byDesc = key => (a, b) => b[key] - a[key];
+
+  return {
+    fulfillment: unfulfilled
+      .map(o => {
+        // Cancelled orders count too; they were overdue until they were cancelled
+        const until = o.status === 'cancelled' && o.cancelledAt ? new Date(o.cancelledAt) : now;
+        return {
+          ...orderRef(o),
+          reason: o.status === 'cancelled' ? 'Cancelled without shipping' : 'Not shipped yet',
+          shipBy: shipDeadline(o),
+          hoursOverdue: round1(Math.max(0, until - shipDeadline(o)) / HOUR_MS)
+        };
+      })
+      .sort(byDesc('hoursOverdue')),
+    cancellations: sellerCancelled
+      .map(o => {
+        const units = o.status === 'cancelled' ? null : autoCancelledUnits(o);
+        return units
+          ? { ...orderRef(o), cancelledAt: units.cancelledAt, cancelReason: `${units.reason} (some items)` }
+          : { ...orderRef(o), cancelledAt: o.cancelledAt, cancelReason: o.cancelReason };
+      })
+      .sort((a, b) => new Date(b.cancelledAt || b.createdAt) - new Date(a.cancelledAt || a.createdAt)),
+    late: late
+      .map(o => ({ ...orderRef(o), shipBy: shipDeadline(o), shippedAt: o.trackingInfo.shippedAt, hoursLate: round1((new Date(o.trackingInfo.shippedAt) - shipDeadline(o)) / HOUR_MS) }))
+      .sort(byDesc('hoursLate')),
+    slow: shipped
+      .filter(o => o.trackingInfo?.shippedAt && shipHours(o) > FAST_SHIP_HOURS)
+      .map(o => ({ ...orderRef(o), shippedAt: o.trackingInfo.shippedAt, shipTimeHours: round1(shipHours(o)) }))
+      .sort(byDesc('shipTimeHours'))
+  };
+}
+
+module.exports = { FAST_SHIP_HOURS, metricsOrderFilter, classifyOrders, computeSellerMetrics, metricsBreakdown };
@@ -0,0 +1,46 @@
+/**
+ * Stock reservation helpers
+ *
+ * Shared by order creation and every cancel / RTO / auto-cancel path so that
+ * variant stock and the product's aggregate stock always move together.
+ * An item is anything with { productId, variantId?, quantity } — order items qualify.
+ */
+
+const Product = require('../models/Product');
+
+/**
+ * Atomically reserve stock for one item.
+ * Returns the updated product, or null if there wasn't enough stock.
+ */
+async function reserveStock({ productId, variantId, quantity }) {
+  if (variantId) {
+    return Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+      { $inc: { stock: -quantity, 'variants.$[v].stock': -quantity } },
+      { new: true, arrayFilters: [{ 'v._id': variantId }] }
+    );
+  }
+  return Product.findOneAndUpdate(
+    { _id: productId, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true }
+  );
+}
+
+/**
+ * Put reserved stock back for one item.
+ * @param {Object} item - { productId, variantId?, quantity }
+ * @param {Object} [opts]
+ * @param {boolean} [opts.revertOrderCount] - also decrement orderCount (item was counted at payment)
+ */
+async function restoreStock({ productId, variantId, quantity }, { revertOrderCount = false } = {}) {
+  const inc = { stock: quantity };
+  if (revertOrderCount) inc.orderCount = -quantity;
+  if (variantId) {
+    inc['variants.$[v].stock'] = quantity;
+    return Product.findByIdAndUpdate(productId, { $inc: inc }, { arrayFilters: [{ 'v._id': variantId }] });
+  }
+  return Product.findByIdAndUpdate(productId, { $inc: inc });
+}
+
+module.exports = { reserveStock, restoreStock };
@@ -0,0 +1,112 @@
+/**
+ * Seller vacation mode
+ *
+ * A seller who's going away sets sellerProfile.vacation: the first and last day
+ * away (calendar days, inclusive, stored as UTC midnight) and a mode:
+ *   hide   listings are hidden and new orders are refused until they're back
+ *   delay  listings stay up marked "ships after <last day>"; orders are taken but
+ *          don't become due to ship until the seller is back
+ * Orders whose shipping window runs into a vacation are due on the return day too,
+ * including ones already open when the vacation is set (see utils/deliveryDate).
+ * While away, the seller-health cron leaves the seller's orders and metrics alone.
+ */
+
+const VACATION_MODES = ['hide', 'delay'];
+const MAX_VACATION_DAYS = 90;
+const MAX_VACATION_MESSAGE_LENGTH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const startOfUtcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
+
+function parseDay(value, label) {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return { error: `${label} must be in YYYY-MM-DD format` };
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || toDay(date) !== value) return { error: `${label} is not a valid date` };
+  return { date };
+}
+
+/** The seller's vacation as { from, until, mode, message } (until = return day), or null when none is set or it's over */
+function sellerAway(seller, now = new Date()) {
+  const v = seller?.sellerProfile?.vacation;
+  if (!v?.startsAt || !v?.endsAt) return null;
+  const until = new Date(new Date(v.endsAt).getTime() + DAY_MS);
+  if (until <= now) return null;
+  return { from: new Date(v.startsAt), until, mode: v.mode || 'delay', message: v.message || '' };
+}
+
+/** Whether the seller is away right now */
+function isOnVacation(seller, now = new Date()) {
+  const away = sellerAway(seller, now);
+  return !!away && away.from <= now;
+}
+
+/** Whether the seller's listings are hidden and orders refused right now */
+function isHiddenForVacation(seller, now = new Date()) {
+  return isOnVacation(seller, now) && seller.sellerProfile.vacation.mode === 'hide';
+}
+
+/** Mongo filter for sellers who are away right now */
+function onVacationCondition(now = new Date()) {
+  return {
+    'sellerProfile.vacation.startsAt': { $lte: now },
+    'sellerProfile.vacation.endsAt': { $gt: new Date(now.getTime() - DAY_MS) }
+  };
+}
+
+/**
+ * What shoppers see while the seller is away: { shipsAfter, backOn, message, acceptingOrders },
+ * or null when they aren't.
+ */
+function vacationNotice(seller, now = new Date()) {
+  if (!isOnVacation(seller, now)) return null;
+  const away = sellerAway(seller, now);
+  return {
+    shipsAfter: toDay(seller.sellerProfile.vacation.endsAt),
+    backOn: toDay(away.until),
+    message: away.message,
+    acceptingOrders: away.mode === 'delay'
+  };
+}
+
+/**
+ * Validate the `vacation` field of a settings update. null/false turns vacation mode off.
+ * Returns { vacation } (null when off) or { error }.
+ */
+function parseVacation(input, now = new Date()) {
+  if (input === null || input === false) return { vacation: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'vacation must be an object' };
+
+  const start = parseDay(input.startsAt, 'Vacation start date');
+  if (start.error) return start;
+  const end = parseDay(input.endsAt, 'Vacation end date');
+  if (end.error) return end;
+  if (end.date < start.date) return { error: 'Vacation end date must be on or after the start date' };
+  if (end.date.getTime() < startOfUtcDay(now)) return { error: 'Vacation end date is in the past' };
+  if ((end.date - start.date) / DAY_MS + 1 > MAX_VACATION_DAYS) {
+    return { error: `Vacation can be at most ${MAX_VACATION_DAYS} days` };
+  }
+
+  const mode = input.mode === undefined ? 'delay' : input.mode;
+  if (!VACATION_MODES.includes(mode)) return { error: `Vacation mode must be one of: ${VACATION_MODES.join(', ')}` };
+  const message = String(input.message ?? '').replace(/[\u0000-\u001F\u007F]/g, ' ').trim();
+  if (message.length > MAX_VACATION_MESSAGE_LENGTH) {
+    return { error: `Vacation message must be ${MAX_VACATION_MESSAGE_LENGTH} characters or less` };
+  }
+
+  return { vacation: { startsAt: start.date, endsAt: end.date, mode, message } };
+}
+
+module.exports = {
+  VACATION_MODES,
+  MAX_VACATION_DAYS,
+  MAX_VACATION_MESSAGE_LENGTH,
+  sellerAway,
+  isOnVacation,
+  isHiddenForVacation,
+  onVacationCondition,
+  vacationNotice,
+  parseVacation
+};
@@ -0,0 +1,140 @@
+/**
+ * Product variant helpers
+ *
+ * Sellers send variant groups as JSON (FormData strings) on product create/update:
+ *   variantOptions: [{ name: 'Colour', values: ['Red', 'Blue'] }, { name: 'Size', values: ['S', 'M'] }]
+ *   variants: [{ _id?, sku, options: { Colour: 'Red', Size: 'S' }, price, comparePrice, salePrice, stock, weight, images, isActive }]
+ */
+
+const mongoose = require('mongoose');
+
+const MAX_OPTION_AXES = 3;
+const MAX_VARIANTS = 100;
+const MAX_BASE64_IMAGE_SIZE = 10 * 1024 * 1024; // ~7.5MB decoded
+
+function parseJsonField(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch { return undefined; }
+}
+
+const clean = (v, maxLen = 100) => String(v ?? '').trim().substring(0, maxLen);
+
+/**
+ * Validate and normalize seller-supplied variant input.
+ * Returns { variantOptions, variants } or { error } with a seller-facing message.
+ * Variant images may still contain base64 data URIs; the route uploads those.
+ */
+function normalizeVariants(rawOptions, rawVariants, { minPrice = 0 } = {}) {
+  const options = parseJsonField(rawOptions, []);
+  const variants = parseJsonField(rawVariants, []);
+  if (!Array.isArray(options)) return { error: 'Invalid variant options' };
+  if (!Array.isArray(variants)) return { error: 'Invalid variants' };
+  if (variants.length === 0) return { variantOptions: [], variants: [] };
+
+  if (options.length === 0) return { error: 'Variants need at least one option (e.g. Size or Colour)' };
+  if (options.length > MAX_OPTION_AXES) return { error: `At most ${MAX_OPTION_AXES} variant options are allowed` };
+  if (variants.length > MAX_VARIANTS) return { error: `At most ${MAX_VARIANTS} variants are allowed` };
+
+  const variantOptions = [];
+  for (const opt of options) {
+    const name = clean(opt?.name, 50);
+    const values = [...new Set((Array.isArray(opt?.values) ? opt.values : []).map(v => clean(v, 50)).filter(Boolean))];
+    if (!name) return { error: 'Each variant option needs a name' };
+    if (values.length === 0) return { error: `Variant option "${name}" needs at least one value` };
+    if (variantOptions.some(o => o.name.toLowerCase() === name.toLowerCase())) {
+      return { error: `Duplicate variant option "${name}"` };
+    }
+    variantOptions.push({ name, values });
+  }
+
+  const seenCombos = new Set();
+  const seenSkus = new Set();
+  const normalized = [];
+  for (const [idx, v] of variants.entries()) {
+    const label = `Variant ${idx + 1}`;
+    const selected = {};
+    for (const opt of variantOptions) {
+      const value = clean(v?.options?.[opt.name], 50);
+      if (!opt.values.includes(value)) {
+        return { error: `${label}: choose a valid ${opt.name} (${opt.values.join(', ')})` };
+      }
+      selected[opt.name] = value;
+    }
+    const comboKey = variantOptions.map(o => selected[o.name]).join('|');
+    if (seenCombos.has(comboKey)) return { error: `${label}: duplicate combination ${Object.values(selected).join(' / ')}` };
+    seenCombos.add(comboKey);
+
+    const price = Number(v.price);
+    if (!Number.isFinite(price) || price <= 0) return { error: `${label}: invalid price` };
+    if (price < minPrice) return { error: `${label}: minimum product price is Rs. ${minPrice}` };
+    const comparePrice = v.comparePrice === undefined || v.comparePrice === null || v.comparePrice === '' ? null : Number(v.comparePrice);
+    if (comparePrice !== null && (!Number.isFinite(comparePrice) || comparePrice <= price)) {
+      return { error: `${label}: compare price must be greater than selling price` };
+    }
+    const salePrice = v.salePrice === undefined || v.salePrice === null || v.salePrice === '' ? null : Number(v.salePrice);
+    if (salePrice !== null && (!Number.isFinite(salePrice) || salePrice <= 0)) return { error: `${label}: invalid sale price` };
+    const stock = Number(v.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) return { error: `${label}: invalid stock` };
+    const weight = Number(v.weight ?? 0);
+    if (!Number.isFinite(weight) || weight < 0) return { error: `${label}: invalid weight` };
+
+    const sku = clean(v.sku);
+    if (sku) {
+      if (seenSkus.has(sku.toLowerCase())) return { error: `${label}: duplicate SKU "${sku}"` };
+      seenSkus.add(sku.toLowerCase());
+    }
+
+    const images = (Array.isArray(v.images) ? v.images : [])
+      .filter(img => (typeof img === 'string' && img) || (img && typeof img.url === 'string'))
+      .map(img => (typeof img === 'string' ? img : { url: img.url, publicId: img.publicId || '' }));
+    if (images.some(img => typeof img === 'string' && img.startsWith('data:') && img.length > MAX_BASE64_IMAGE_SIZE)) {
+      return { error: `${label}: base64 image too large (max ~7.5MB)` };
+    }
+
+    const entry = {
+      sku,
+      options: selected,
+      price,
+      comparePrice,
+      salePrice,
+      stock,
+      weight,
+      images,
+      isActive: v.isActive === undefined ? true : v.isActive === true || v.isActive === 'true'
+    };
+    // Keep existing variant IDs stable so past order items still resolve
+    if (v._id && mongoose.Types.ObjectId.isValid(v._id)) entry._id = v._id;
+    normalized.push(entry);
+  }
+
+  return { variantOptions, variants: normalized };
+}
+
+/**
+ * Human-readable label for a variant, in option-axis order: "Red / Large".
+ */
+function variantLabel(variant, variantOptions = []) {
+  if (!variant) return '';
+  const opts = variant.options instanceof Map ? Object.fromEntries(variant.options) : (variant.options || {});
+  const names = variantOptions.length ? variantOptions.map(o => o.name) : Object.keys(opts);
+  return names.map(n => opts[n]).filter(Boolean).join(' / ');
+}
+
+/**
+ * Find a variant on a product (document or lean object) by ID.
+ */
+function findVariant(product, variantId) {
+  if (!product?.variants?.length || !variantId) return null;
+  return product.variants.find(v => v._id.toString() === variantId.toString()) || null;
+}
+
+/**
+ * Shipping weight (grams) for one unit of an order item.
+ */
+function unitWeight(product, variantId) {
+  const variant = findVariant(product, variantId);
+  return variant?.weight || product?.weight || 500;
+}
+
+module.exports = { normalizeVariants, variantLabel, findVariant, unitWeight, parseJsonField };
@@ -10,8 +10,13 @@ const Shipment = require('../models/Shipment');
 const shiprocket = require('../config/shiprocket');
 const logger = require('./logger');
 
-async function getWeightDiscrepancy(orderId, sellerId) {
-  const shipment = await Shipment.findOne({ orderId, sellerId }).lean();
+/**
+ * Discrepancy for one package of an order: `shipmentId`, or the latest package.
+ */
+async function getWeightDiscrepancy(orderId, sellerId, shipmentId) {
+  const shipment = shipmentId
+    ? await Shipment.findOne({ _id: shipmentId, orderId, sellerId }).lean()
+    : await Shipment.findOne({ orderId, sellerId }).sort({ createdAt: -1 }).lean();
   if (!shipment) {
     return { found: false, message: 'No shipment found for this order' };
   }
@@ -41,6 +46,7 @@ async function getWeightDiscrepancy(orderId, sellerId) {
   return {
     found: true,
     orderId: orderId.toString(),
+    shipmentId: shipment._id.toString(),
     awb: shipment.awbCode,
     declaredWeightGrams: declaredWeight,
     chargedWeightGrams: Math.round(chargedWeight),